@@ -33,10 +33,21 @@ function buildSingleHTML() {
     }
     
     // Read all JavaScript modules in order
+    const notifications = readFile(path.join(__dirname, 'src/js/notifications.js'));
+    const exifReader = readFile(path.join(__dirname, 'src/js/exifReader.js'));
     const imageProcessor = readFile(path.join(__dirname, 'src/js/imageProcessor.js'));
+    const blurFilter = readFile(path.join(__dirname, 'src/js/blurFilter.js'));
+    const colorExtractor = readFile(path.join(__dirname, 'src/js/colorExtractor.js'));
+    const edgeFill = readFile(path.join(__dirname, 'src/js/edgeFill.js'));
     const canvasRenderer = readFile(path.join(__dirname, 'src/js/canvasRenderer.js'));
+    const cropTool = readFile(path.join(__dirname, 'src/js/cropTool.js'));
     const uiControls = readFile(path.join(__dirname, 'src/js/uiControls.js'));
     const downloadManager = readFile(path.join(__dirname, 'src/js/downloadManager.js'));
+    const zipBuilder = readFile(path.join(__dirname, 'src/js/zipBuilder.js'));
+    const pdfExporter = readFile(path.join(__dirname, 'src/js/pdfExporter.js'));
+    const batchProcessor = readFile(path.join(__dirname, 'src/js/batchProcessor.js'));
+    const gifCodec = readFile(path.join(__dirname, 'src/js/gifCodec.js'));
+    const animationProcessor = readFile(path.join(__dirname, 'src/js/animationProcessor.js'));
     const app = readFile(path.join(__dirname, 'src/js/app.js'));
     
     // Combine all JavaScript
@@ -44,14 +55,36 @@ function buildSingleHTML() {
 // Image Background Tool - Combined JavaScript
 // Generated on ${new Date().toISOString()}
 
+${notifications}
+
+${exifReader}
+
 ${imageProcessor}
 
+${blurFilter}
+
+${colorExtractor}
+
+${edgeFill}
+
 ${canvasRenderer}
 
+${cropTool}
+
 ${uiControls}
 
 ${downloadManager}
 
+${zipBuilder}
+
+${pdfExporter}
+
+${batchProcessor}
+
+${gifCodec}
+
+${animationProcessor}
+
 ${app}
 `;
     
@@ -0,0 +1,299 @@
+/**
+ * Animation Processor Module
+ * Decodes animated GIF/WebP uploads and renders every frame onto the frame as an animated GIF
+ */
+
+// Formats that can carry more than one frame
+const ANIMATABLE_TYPES = ['image/gif', 'image/webp'];
+// Longer animations are cut off to keep memory use bounded
+const MAX_ANIMATION_FRAMES = 500;
+// Every kept frame is a canvas, so all frames together hold at most this many pixels (about 200 MB)
+const MAX_ANIMATION_PIXELS = 50 * 1000 * 1000;
+
+/**
+ * Draws RGBA pixels onto a canvas
+ * @param {Uint8ClampedArray} data - RGBA pixel buffer
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {HTMLCanvasElement} [canvas] - Canvas to reuse; a new one is created when omitted
+ * @returns {HTMLCanvasElement} - Canvas holding the pixels
+ */
+function pixelsToCanvas(data, width, height, canvas = document.createElement('canvas')) {
+    canvas.width = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(width, height);
+    imageData.data.set(data);
+    ctx.putImageData(imageData, 0, 0);
+
+    return canvas;
+}
+
+/**
+ * Gets the size animation frames are kept at
+ * Frames are scaled down to the working resolution like still uploads
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {Object} - Object with width, height and scale (1 when the frames already fit)
+ */
+function getAnimationFrameSize(width, height) {
+    if (typeof window.calculateWorkingSize !== 'function') {
+        return { width, height, scale: 1 };
+    }
+    return window.calculateWorkingSize(width, height, window.getWorkingResolution());
+}
+
+/**
+ * Gets how many frames of an animation can be kept
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {number} - Frame limit from the frame count and total pixel caps
+ */
+function getAnimationFrameLimit(width, height) {
+    return Math.min(MAX_ANIMATION_FRAMES, Math.floor(MAX_ANIMATION_PIXELS / Math.max(1, width * height)));
+}
+
+/**
+ * Decodes animation frames with the browser's ImageDecoder (WebCodecs)
+ * This is the only way to read animated WebP; GIFs use it too when available
+ * @param {File} file - Image file
+ * @returns {Promise<Object|null>} - Animation, or null if the file has a single frame
+ */
+async function decodeWithImageDecoder(file) {
+    const decoder = new window.ImageDecoder({ data: await window.blobToBytes(file), type: file.type });
+
+    try {
+        await decoder.tracks.ready;
+        const track = decoder.tracks.selectedTrack;
+        if (!track || !track.animated || track.frameCount < 2) {
+            return null;
+        }
+
+        let frameCount = Math.min(track.frameCount, MAX_ANIMATION_FRAMES);
+        const frames = [];
+        let size = null;
+
+        for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+            const { image } = await decoder.decode({ frameIndex });
+
+            if (frameIndex === 0) {
+                // The frame size is only known once the first frame is decoded
+                size = getAnimationFrameSize(image.displayWidth, image.displayHeight);
+                frameCount = Math.min(frameCount, getAnimationFrameLimit(size.width, size.height));
+                if (frameCount < 2) {
+                    image.close();
+                    return null;
+                }
+            }
+
+            const canvas = document.createElement('canvas');
+            canvas.width = size.width;
+            canvas.height = size.height;
+            const ctx = canvas.getContext('2d');
+            ctx.imageSmoothingQuality = 'high';
+            ctx.drawImage(image, 0, 0, size.width, size.height);
+
+            // Durations are in microseconds
+            frames.push({ image: canvas, delay: Math.round((image.duration || 0) / 1000) });
+            image.close();
+        }
+
+        // repetitionCount counts extra plays; Infinity means forever, which GIF writes as 0
+        const repetitions = track.repetitionCount;
+        return {
+            width: size.width,
+            height: size.height,
+            frames,
+            loopCount: repetitions === Infinity ? 0 : (repetitions > 0 ? repetitions : null),
+            truncated: track.frameCount > frameCount
+        };
+    } finally {
+        decoder.close();
+    }
+}
+
+/**
+ * Decodes all frames of an animated upload
+ * @param {File} file - Image file
+ * @returns {Promise<Object|null>} - Animation with width, height, frames ({ image, delay in ms }), loopCount and truncated,
+ *                                   or null if the file is not animated or cannot be decoded frame by frame
+ */
+async function decodeAnimation(file) {
+    if (!file || !ANIMATABLE_TYPES.includes(file.type)) {
+        return null;
+    }
+
+    try {
+        if (typeof window.ImageDecoder === 'function' && await window.ImageDecoder.isTypeSupported(file.type)) {
+            return await decodeWithImageDecoder(file);
+        }
+
+        if (file.type !== 'image/gif') {
+            // Animated WebP cannot be decoded without ImageDecoder; the upload stays a still image
+            return null;
+        }
+
+        const bytes = await window.blobToBytes(file);
+        // The screen size caps the frame count before any frame is decoded; frames are decoded at full size
+        // before they are scaled down, so GIFs too large for that stay still images
+        const { width, height } = window.readGifScreenSize(bytes);
+        const size = getAnimationFrameSize(width, height);
+        const frameLimit = getAnimationFrameLimit(size.width, size.height);
+        if (frameLimit < 2 || getAnimationFrameLimit(width, height) < 2) {
+            return null;
+        }
+
+        // Each frame goes to a canvas as soon as it is decoded, so only one RGBA buffer is held at a time;
+        // larger frames pass through one full-size canvas on their way to the working size
+        const frames = [];
+        const fullSize = size.scale < 1 ? document.createElement('canvas') : null;
+        let decoded;
+        try {
+            decoded = window.decodeGif(bytes, frameLimit, frame => {
+                const image = fullSize
+                    ? window.downscaleImage(pixelsToCanvas(frame.data, width, height, fullSize), size.width, size.height)
+                    : pixelsToCanvas(frame.data, width, height);
+                frames.push({ image, delay: frame.delay });
+            });
+        } finally {
+            if (fullSize) {
+                fullSize.width = 0;
+                fullSize.height = 0;
+            }
+        }
+        if (frames.length < 2) {
+            return null;
+        }
+
+        return {
+            width: size.width,
+            height: size.height,
+            frames,
+            loopCount: decoded.loopCount,
+            truncated: decoded.truncated
+        };
+    } catch (error) {
+        console.error('Animation decoding error:', error);
+        return null;
+    }
+}
+
+/**
+ * Gets the animation to export, if the upload is animated and the user keeps the animation
+ * @returns {Object|null} - Animation or null to export a still image
+ */
+function getExportAnimation() {
+    const animation = typeof window.getImageAnimation === 'function' ? window.getImageAnimation() : null;
+    const keepAnimation = document.getElementById('export-animated');
+
+    if (!animation || (keepAnimation && !keepAnimation.checked)) {
+        return null;
+    }
+    return animation;
+}
+
+/**
+ * Shows the animation export option for animated uploads
+ * @param {Object|null} animation - Decoded animation, or null for still images
+ */
+function toggleAnimationControls(animation) {
+    const controls = document.getElementById('animation-controls');
+    const info = document.getElementById('animation-info');
+
+    if (controls) {
+        controls.style.display = animation ? '' : 'none';
+    }
+    if (info && animation) {
+        info.textContent = `🎞️ ${animation.frames.length} frames` + (animation.truncated ? ' (the rest are cut off to save memory)' : '');
+    }
+}
+
+/**
+ * Updates the animation export progress bar
+ * @param {number} done - Frames rendered so far
+ * @param {number} total - Total frames, or 0 to hide the progress bar
+ */
+function updateAnimationProgress(done, total) {
+    const container = document.getElementById('animation-progress');
+    const bar = document.getElementById('animation-progress-bar');
+    const label = document.getElementById('animation-progress-text');
+
+    if (container) {
+        container.style.display = total > 0 ? '' : 'none';
+    }
+    if (bar) {
+        bar.max = total || 1;
+        bar.value = done;
+    }
+    if (label) {
+        label.textContent = total > 0 ? `Rendering frame ${Math.min(done + 1, total)} of ${total}…` : '';
+    }
+}
+
+/**
+ * Renders every animation frame onto the background and border and encodes an animated GIF
+ * Each frame keeps its original delay, and the animation keeps its loop count
+ * @param {Object} animation - Animation from decodeAnimation
+ * @param {Object} settings - Canvas settings
+ * @returns {Promise<Blob>} - Promise resolving to the animated GIF
+ */
+async function renderAnimatedGif(animation, settings) {
+    const { width, height } = settings;
+    const canvas = window.createDownloadCanvas(settings);
+    const ctx = canvas.getContext('2d');
+    const total = animation.frames.length;
+    const parts = [window.encodeGifHeader(width, height, animation.loopCount)];
+
+    try {
+        for (let index = 0; index < total; index++) {
+            updateAnimationProgress(index, total);
+            // Let the browser paint the progress bar between frames
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            const frame = animation.frames[index];
+            window.renderScene(ctx, frame.image, settings);
+            const quantized = window.quantizeFrame(ctx.getImageData(0, 0, width, height).data);
+            parts.push(window.encodeGifFrame({ ...quantized, delay: frame.delay }, width, height));
+        }
+    } finally {
+        updateAnimationProgress(0, 0);
+    }
+
+    parts.push(Uint8Array.of(0x3b));
+    return new Blob(parts, { type: 'image/gif' });
+}
+
+// Export functions for testing and use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ANIMATABLE_TYPES,
+        MAX_ANIMATION_FRAMES,
+        MAX_ANIMATION_PIXELS,
+        getAnimationFrameSize,
+        getAnimationFrameLimit,
+        pixelsToCanvas,
+        decodeWithImageDecoder,
+        decodeAnimation,
+        getExportAnimation,
+        toggleAnimationControls,
+        updateAnimationProgress,
+        renderAnimatedGif
+    };
+}
+
+// Make functions available globally for browser use
+if (typeof window !== 'undefined') {
+    window.ANIMATABLE_TYPES = ANIMATABLE_TYPES;
+    window.MAX_ANIMATION_FRAMES = MAX_ANIMATION_FRAMES;
+    window.MAX_ANIMATION_PIXELS = MAX_ANIMATION_PIXELS;
+    window.getAnimationFrameSize = getAnimationFrameSize;
+    window.getAnimationFrameLimit = getAnimationFrameLimit;
+    window.pixelsToCanvas = pixelsToCanvas;
+    window.decodeWithImageDecoder = decodeWithImageDecoder;
+    window.decodeAnimation = decodeAnimation;
+    window.getExportAnimation = getExportAnimation;
+    window.toggleAnimationControls = toggleAnimationControls;
+    window.updateAnimationProgress = updateAnimationProgress;
+    window.renderAnimatedGif = renderAnimatedGif;
+}
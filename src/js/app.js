@@ -9,8 +9,6 @@
 function initializeDragAndDrop() {
     const dropZone = document.getElementById('drop-zone');
     const imageUpload = document.getElementById('image-upload');
-    const uploadPrompt = document.getElementById('upload-prompt');
-    const canvas = document.getElementById('preview-canvas');
     
     if (!dropZone || !imageUpload) return;
     
@@ -69,11 +67,7 @@ function initializeDragAndDrop() {
             
             if (typeof handleImageUpload === 'function') {
                 handleImageUpload(fakeEvent).then(() => {
-                    // Hide upload prompt and show canvas
-                    if (uploadPrompt && canvas) {
-                        uploadPrompt.style.display = 'none';
-                        canvas.style.display = 'block';
-                    }
+                    hideUploadPromptAfterUpload();
                 }).catch(error => {
                     console.error('Upload failed:', error);
                 });
@@ -82,6 +76,57 @@ function initializeDragAndDrop() {
     }
 }
 
+/**
+ * Collects the files of a paste event
+ * Screenshots and images copied in a browser arrive as file items; files copied in a file manager arrive as files
+ * @param {DataTransfer} clipboardData - Clipboard contents of the paste event
+ * @returns {Array<File>} - Pasted files, empty when only text was pasted
+ */
+function getPastedFiles(clipboardData) {
+    if (!clipboardData) return [];
+    
+    if (clipboardData.files && clipboardData.files.length > 0) {
+        return Array.from(clipboardData.files);
+    }
+    
+    return Array.from(clipboardData.items || [])
+        .filter(item => item.kind === 'file')
+        .map(item => item.getAsFile())
+        .filter(Boolean);
+}
+
+/**
+ * Uploads images pasted anywhere on the page (Ctrl+V / Cmd+V)
+ * Pasted files go through the same validation as the file input
+ * @param {ClipboardEvent} event - Paste event
+ * @returns {Promise<void>|undefined} - Upload promise, or undefined when nothing was pasted as a file
+ */
+function handlePaste(event) {
+    const files = getPastedFiles(event.clipboardData);
+    
+    // Text pastes keep working in inputs
+    if (files.length === 0 || typeof handleImageUpload !== 'function') return;
+    
+    event.preventDefault();
+    
+    return handleImageUpload({ target: { files } }).then(() => {
+        hideUploadPromptAfterUpload();
+    }).catch(error => {
+        console.error('Paste upload failed:', error);
+    });
+}
+
+/**
+ * Hides the upload prompt once an upload has left an image to show
+ * Rejected uploads resolve too, and must not uncover an empty canvas
+ */
+function hideUploadPromptAfterUpload() {
+    const image = typeof getImageElement === 'function' ? getImageElement() : null;
+    if (image) {
+        hideUploadPrompt();
+    }
+}
+
 /**
  * Shows the upload prompt (when no image is loaded)
  */
@@ -121,15 +166,26 @@ function initializeApp() {
         initializeDownload();
     }
     
+    if (typeof initializeBatch === 'function') {
+        initializeBatch();
+    }
+    
+    if (typeof initializeCropTool === 'function') {
+        initializeCropTool();
+    }
+    
     // Initialize drag and drop functionality
     initializeDragAndDrop();
     
+    // Paste images from the clipboard anywhere on the page
+    document.addEventListener('paste', handlePaste);
+    
     // Bind image upload event
     const imageUpload = document.getElementById('image-upload');
     if (imageUpload && typeof handleImageUpload === 'function') {
         imageUpload.addEventListener('change', (event) => {
             handleImageUpload(event).then(() => {
-                hideUploadPrompt();
+                hideUploadPromptAfterUpload();
             }).catch(error => {
                 console.error('Upload failed:', error);
             });
@@ -153,11 +209,15 @@ document.addEventListener('DOMContentLoaded', initializeApp);
 // Export for testing
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        getPastedFiles,
+        handlePaste,
         initializeApp
     };
 }
 
 // Make available globally
 if (typeof window !== 'undefined') {
+    window.getPastedFiles = getPastedFiles;
+    window.handlePaste = handlePaste;
     window.initializeApp = initializeApp;
 }
\ No newline at end of file
@@ -0,0 +1,262 @@
+/**
+ * Batch Processor Module
+ * Queues several uploaded images, frames each one with the current settings and packs them into a ZIP
+ */
+
+let batchQueue = [];
+let batchItemCounter = 0;
+let batchRunning = false;
+
+// Status labels shown next to each queued image
+const BATCH_STATUS_LABELS = {
+    'pending': 'Waiting',
+    'processing': 'Processing…',
+    'done': 'Done',
+    'failed': 'Failed'
+};
+
+/**
+ * Adds files to the batch queue
+ * Files that fail validation are queued as failed so they show up in the report
+ * @param {FileList|Array<File>} files - Files to add
+ */
+function addFilesToBatch(files) {
+    Array.from(files).forEach(file => {
+        const valid = window.validateImageFile ? window.validateImageFile(file) : true;
+
+        batchQueue.push({
+            id: ++batchItemCounter,
+            file,
+            name: file.name,
+            thumbnailUrl: valid ? URL.createObjectURL(file) : null,
+            status: valid ? 'pending' : 'failed',
+            error: valid ? null : 'Unsupported file type'
+        });
+    });
+
+    renderBatchQueue();
+}
+
+/**
+ * Gets the current batch queue
+ * @returns {Array<Object>} - Queued items with id, file, name, status and error
+ */
+function getBatchQueue() {
+    return batchQueue;
+}
+
+/**
+ * Empties the batch queue and releases thumbnail URLs
+ */
+function clearBatch() {
+    batchQueue.forEach(item => {
+        if (item.thumbnailUrl) {
+            URL.revokeObjectURL(item.thumbnailUrl);
+        }
+    });
+    batchQueue = [];
+
+    const summary = document.getElementById('batch-summary');
+    if (summary) {
+        summary.textContent = '';
+    }
+
+    renderBatchQueue();
+}
+
+/**
+ * Renders the queue with thumbnails and per-file status
+ */
+function renderBatchQueue() {
+    const section = document.getElementById('batch-section');
+    const list = document.getElementById('batch-queue');
+    const count = document.getElementById('batch-count');
+    if (!section || !list) return;
+
+    section.style.display = batchQueue.length > 0 ? '' : 'none';
+    if (count) {
+        count.textContent = `(${batchQueue.length})`;
+    }
+
+    list.innerHTML = '';
+    batchQueue.forEach(item => {
+        const row = document.createElement('li');
+        row.className = `batch-item batch-item-${item.status}`;
+
+        const thumbnail = document.createElement(item.thumbnailUrl ? 'img' : 'span');
+        thumbnail.className = 'batch-thumbnail';
+        if (item.thumbnailUrl) {
+            thumbnail.src = item.thumbnailUrl;
+            thumbnail.alt = '';
+        }
+
+        const name = document.createElement('span');
+        name.className = 'batch-name';
+        name.textContent = item.name;
+
+        const status = document.createElement('span');
+        status.className = 'batch-status';
+        status.textContent = item.error ? `${BATCH_STATUS_LABELS[item.status]}: ${item.error}` : BATCH_STATUS_LABELS[item.status];
+
+        row.append(thumbnail, name, status);
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Loads an image file into an upright image at the working resolution
+ * @param {File} file - Image file
+ * @param {Object|null} metadata - EXIF metadata of the file
+ * @returns {Promise<HTMLImageElement|ImageBitmap|HTMLCanvasElement>} - Promise resolving to the loaded image
+ */
+async function loadImageFile(file, metadata = null) {
+    const { image } = await window.loadWorkingImage(file, metadata);
+
+    if (metadata && typeof window.normalizeImageOrientation === 'function') {
+        const upright = await window.normalizeImageOrientation(image, metadata.orientation);
+        if (upright !== image) {
+            window.releaseWorkingImage(image);
+        }
+        return upright;
+    }
+    return image;
+}
+
+/**
+ * Writes the batch result summary
+ * @param {number} succeeded - Number of framed images
+ * @param {number} total - Number of queued images
+ */
+function updateBatchSummary(succeeded, total) {
+    const summary = document.getElementById('batch-summary');
+    if (!summary) return;
+
+    const failed = total - succeeded;
+    summary.textContent = `${succeeded} of ${total} images framed` + (failed > 0 ? `, ${failed} failed` : '');
+}
+
+/**
+ * Frames every queued image with the current settings and downloads them as one ZIP
+ * Images are processed one at a time and released after encoding to keep memory use flat
+ * @returns {Promise<Object>} - Promise resolving to { succeeded, failed } counts
+ */
+async function processBatch() {
+    if (batchRunning || batchQueue.length === 0) {
+        return { succeeded: 0, failed: 0 };
+    }
+
+    batchRunning = true;
+    const downloadButton = document.getElementById('batch-download-btn');
+    if (downloadButton) downloadButton.disabled = true;
+
+    try {
+        // The crop was drawn on the previewed photo, so every batch image is framed whole
+        const settings = { ...window.getOutputSettings(window.getCanvasSettings()), crop: null };
+        const exportSettings = window.getExportSettings();
+        const usedNames = new Set();
+        const entries = [];
+
+        for (let index = 0; index < batchQueue.length; index++) {
+            const item = batchQueue[index];
+            if (item.status === 'failed' && !item.thumbnailUrl) {
+                // Rejected at upload; keep it in the report
+                continue;
+            }
+
+            item.status = 'processing';
+            item.error = null;
+            renderBatchQueue();
+
+            let image = null;
+            try {
+                // Each file keeps its own metadata, not the one of the previewed image
+                const metadata = typeof window.readImageMetadata === 'function' ? await window.readImageMetadata(item.file) : null;
+                image = await loadImageFile(item.file, metadata);
+                const blob = await window.renderExportBlob(image, settings, exportSettings, window.selectExportMetadata(metadata));
+                window.releaseWorkingImage(image);
+                image = null;
+                const extension = window.getExtensionForMimeType(blob.type || exportSettings.mimeType);
+                const values = {
+                    ...window.buildFilenameValues(settings, extension, index + 1),
+                    original: item.name.replace(/\.[^.]+$/, '')
+                };
+
+                entries.push({
+                    name: window.uniqueZipEntryName(window.generateFilename(extension, values), usedNames),
+                    bytes: await window.blobToBytes(blob)
+                });
+                item.status = 'done';
+            } catch (error) {
+                console.error(`Batch item failed: ${item.name}`, error);
+                item.status = 'failed';
+                item.error = error.message || 'Processing failed';
+            } finally {
+                // Working images can be bitmaps of up to 64 MB; free each before loading the next
+                window.releaseWorkingImage(image);
+            }
+
+            renderBatchQueue();
+        }
+
+        if (entries.length > 0) {
+            const archive = window.createZipArchive(entries);
+            window.triggerDownload(archive, `framefill-batch-${window.formatFilenameDate(new Date())}.zip`);
+        }
+
+        updateBatchSummary(entries.length, batchQueue.length);
+
+        return { succeeded: entries.length, failed: batchQueue.length - entries.length };
+    } catch (error) {
+        // Settings or the archive failed (e.g. out of memory on a large ZIP); nothing was downloaded
+        console.error('Batch failed:', error);
+        window.notifyError(error, 'The batch could not be finished. Try fewer images or a smaller export size.');
+        updateBatchSummary(0, batchQueue.length);
+
+        return { succeeded: 0, failed: batchQueue.length };
+    } finally {
+        batchRunning = false;
+        if (downloadButton) downloadButton.disabled = false;
+    }
+}
+
+/**
+ * Binds batch queue buttons
+ */
+function initializeBatch() {
+    const downloadButton = document.getElementById('batch-download-btn');
+    const clearButton = document.getElementById('batch-clear-btn');
+
+    if (downloadButton) {
+        downloadButton.addEventListener('click', processBatch);
+    }
+
+    if (clearButton) {
+        clearButton.addEventListener('click', clearBatch);
+    }
+}
+
+// Export functions for testing and use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        addFilesToBatch,
+        getBatchQueue,
+        clearBatch,
+        renderBatchQueue,
+        loadImageFile,
+        updateBatchSummary,
+        processBatch,
+        initializeBatch
+    };
+}
+
+// Make functions available globally for browser use
+if (typeof window !== 'undefined') {
+    window.addFilesToBatch = addFilesToBatch;
+    window.getBatchQueue = getBatchQueue;
+    window.clearBatch = clearBatch;
+    window.renderBatchQueue = renderBatchQueue;
+    window.loadImageFile = loadImageFile;
+    window.updateBatchSummary = updateBatchSummary;
+    window.processBatch = processBatch;
+    window.initializeBatch = initializeBatch;
+}
@@ -0,0 +1,262 @@
+/**
+ * Software Blur Module
+ * Pure JavaScript blur and color adjustments for browsers without CanvasRenderingContext2D.filter
+ */
+
+// Number of box blur passes used to approximate a gaussian blur
+const BOX_BLUR_PASSES = 3;
+
+let canvasFilterSupport = null;
+
+/**
+ * Detects whether the browser applies CanvasRenderingContext2D.filter
+ * Safari has no filter property at all, and assigning one would only add a plain property
+ * that reads back unchanged, so the property must exist before the assignment is tested
+ * @returns {boolean} - True if canvas filters are supported
+ */
+function supportsCanvasFilter() {
+    if (canvasFilterSupport !== null) {
+        return canvasFilterSupport;
+    }
+    
+    try {
+        const ctx = document.createElement('canvas').getContext('2d');
+        if (!ctx || typeof ctx.filter !== 'string') {
+            canvasFilterSupport = false;
+        } else {
+            ctx.filter = 'blur(1px)';
+            canvasFilterSupport = ctx.filter === 'blur(1px)';
+        }
+    } catch (error) {
+        canvasFilterSupport = false;
+    }
+    
+    return canvasFilterSupport;
+}
+
+/**
+ * Clears the cached filter detection result
+ */
+function resetCanvasFilterSupport() {
+    canvasFilterSupport = null;
+}
+
+/**
+ * Calculates box sizes whose repeated application approximates a gaussian
+ * @param {number} sigma - Gaussian standard deviation (the CSS blur radius)
+ * @param {number} passes - Number of box blur passes
+ * @returns {Array<number>} - Odd box widths, one per pass
+ */
+function calculateBoxSizes(sigma, passes = BOX_BLUR_PASSES) {
+    const idealWidth = Math.sqrt((12 * sigma * sigma / passes) + 1);
+    let lowerWidth = Math.floor(idealWidth);
+    if (lowerWidth % 2 === 0) {
+        lowerWidth--;
+    }
+    const upperWidth = lowerWidth + 2;
+    
+    const idealCount = (12 * sigma * sigma - passes * lowerWidth * lowerWidth - 4 * passes * lowerWidth - 3 * passes) /
+        (-4 * lowerWidth - 4);
+    const lowerCount = Math.round(idealCount);
+    
+    const sizes = [];
+    for (let i = 0; i < passes; i++) {
+        sizes.push(i < lowerCount ? lowerWidth : upperWidth);
+    }
+    return sizes;
+}
+
+/**
+ * Runs one horizontal box blur pass over a premultiplied RGBA buffer
+ * Pixels outside the buffer count as transparent, matching CSS blur edges
+ * @param {Float32Array} source - Source buffer
+ * @param {Float32Array} target - Target buffer
+ * @param {number} width - Buffer width in pixels
+ * @param {number} height - Buffer height in pixels
+ * @param {number} radius - Box radius in pixels
+ */
+function boxBlurHorizontal(source, target, width, height, radius) {
+    const boxWidth = radius * 2 + 1;
+    
+    for (let y = 0; y < height; y++) {
+        const rowStart = y * width * 4;
+        
+        for (let channel = 0; channel < 4; channel++) {
+            let sum = 0;
+            
+            // Prime the window with the pixels right of the first one
+            for (let x = 0; x <= radius && x < width; x++) {
+                sum += source[rowStart + x * 4 + channel];
+            }
+            
+            for (let x = 0; x < width; x++) {
+                target[rowStart + x * 4 + channel] = sum / boxWidth;
+                
+                const enteringX = x + radius + 1;
+                const leavingX = x - radius;
+                if (enteringX < width) {
+                    sum += source[rowStart + enteringX * 4 + channel];
+                }
+                if (leavingX >= 0) {
+                    sum -= source[rowStart + leavingX * 4 + channel];
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Runs one vertical box blur pass over a premultiplied RGBA buffer
+ * @param {Float32Array} source - Source buffer
+ * @param {Float32Array} target - Target buffer
+ * @param {number} width - Buffer width in pixels
+ * @param {number} height - Buffer height in pixels
+ * @param {number} radius - Box radius in pixels
+ */
+function boxBlurVertical(source, target, width, height, radius) {
+    const boxWidth = radius * 2 + 1;
+    const stride = width * 4;
+    
+    for (let x = 0; x < width; x++) {
+        const columnStart = x * 4;
+        
+        for (let channel = 0; channel < 4; channel++) {
+            let sum = 0;
+            
+            for (let y = 0; y <= radius && y < height; y++) {
+                sum += source[columnStart + y * stride + channel];
+            }
+            
+            for (let y = 0; y < height; y++) {
+                target[columnStart + y * stride + channel] = sum / boxWidth;
+                
+                const enteringY = y + radius + 1;
+                const leavingY = y - radius;
+                if (enteringY < height) {
+                    sum += source[columnStart + enteringY * stride + channel];
+                }
+                if (leavingY >= 0) {
+                    sum -= source[columnStart + leavingY * stride + channel];
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Blurs raw RGBA pixel data in place
+ * Colors are premultiplied by alpha while blurring so transparent pixels do not darken edges
+ * @param {Uint8ClampedArray} data - RGBA pixel buffer (ImageData.data)
+ * @param {number} width - Buffer width in pixels
+ * @param {number} height - Buffer height in pixels
+ * @param {number} radius - Gaussian blur radius (same meaning as CSS blur())
+ */
+function blurPixelData(data, width, height, radius) {
+    if (radius <= 0 || width === 0 || height === 0) {
+        return;
+    }
+    
+    const buffer = new Float32Array(data.length);
+    const scratch = new Float32Array(data.length);
+    
+    // Premultiply alpha
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3] / 255;
+        buffer[i] = data[i] * alpha;
+        buffer[i + 1] = data[i + 1] * alpha;
+        buffer[i + 2] = data[i + 2] * alpha;
+        buffer[i + 3] = data[i + 3];
+    }
+    
+    calculateBoxSizes(radius).forEach(boxSize => {
+        const boxRadius = (boxSize - 1) / 2;
+        if (boxRadius === 0) return;
+        
+        boxBlurHorizontal(buffer, scratch, width, height, boxRadius);
+        boxBlurVertical(scratch, buffer, width, height, boxRadius);
+    });
+    
+    // Unpremultiply back into the clamped buffer
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = buffer[i + 3];
+        const factor = alpha > 0 ? 255 / alpha : 0;
+        data[i] = buffer[i] * factor;
+        data[i + 1] = buffer[i + 1] * factor;
+        data[i + 2] = buffer[i + 2] * factor;
+        data[i + 3] = alpha;
+    }
+}
+
+/**
+ * Applies brightness and saturation to raw RGBA pixel data in place
+ * Uses the same formulas as the CSS brightness() and saturate() filters
+ * @param {Uint8ClampedArray} data - RGBA pixel buffer
+ * @param {number} brightness - Brightness percentage (100 = unchanged)
+ * @param {number} saturation - Saturation percentage (100 = unchanged)
+ */
+function adjustPixelColors(data, brightness, saturation) {
+    if (brightness === 100 && saturation === 100) {
+        return;
+    }
+    
+    const b = brightness / 100;
+    const s = saturation / 100;
+    
+    for (let i = 0; i < data.length; i += 4) {
+        const r = Math.min(255, data[i] * b);
+        const g = Math.min(255, data[i + 1] * b);
+        const bl = Math.min(255, data[i + 2] * b);
+        
+        data[i] = (0.213 + 0.787 * s) * r + (0.715 - 0.715 * s) * g + (0.072 - 0.072 * s) * bl;
+        data[i + 1] = (0.213 - 0.213 * s) * r + (0.715 + 0.285 * s) * g + (0.072 - 0.072 * s) * bl;
+        data[i + 2] = (0.213 - 0.213 * s) * r + (0.715 - 0.715 * s) * g + (0.072 + 0.928 * s) * bl;
+    }
+}
+
+/**
+ * Draws an image blurred in software onto the given context
+ * The image is drawn into a scratch canvas the size of the target, filtered there and copied over
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {HTMLImageElement} image - Source image
+ * @param {Object} rect - Object with x, y, width and height to draw the image at
+ * @param {Object} adjustments - Object with radius (in canvas pixels), brightness and saturation
+ * @param {number} canvasWidth - Target canvas width
+ * @param {number} canvasHeight - Target canvas height
+ */
+function paintSoftwareBlur(ctx, image, rect, adjustments, canvasWidth, canvasHeight) {
+    const scratch = document.createElement('canvas');
+    scratch.width = canvasWidth;
+    scratch.height = canvasHeight;
+    
+    const scratchCtx = scratch.getContext('2d');
+    scratchCtx.drawImage(image, rect.x, rect.y, rect.width, rect.height);
+    
+    const imageData = scratchCtx.getImageData(0, 0, canvasWidth, canvasHeight);
+    blurPixelData(imageData.data, canvasWidth, canvasHeight, adjustments.radius);
+    adjustPixelColors(imageData.data, adjustments.brightness, adjustments.saturation);
+    scratchCtx.putImageData(imageData, 0, 0);
+    
+    ctx.drawImage(scratch, 0, 0);
+}
+
+// Export functions for testing and use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        supportsCanvasFilter,
+        resetCanvasFilterSupport,
+        calculateBoxSizes,
+        blurPixelData,
+        adjustPixelColors,
+        paintSoftwareBlur
+    };
+}
+
+// Make functions available globally for browser use
+if (typeof window !== 'undefined') {
+    window.supportsCanvasFilter = supportsCanvasFilter;
+    window.resetCanvasFilterSupport = resetCanvasFilterSupport;
+    window.calculateBoxSizes = calculateBoxSizes;
+    window.blurPixelData = blurPixelData;
+    window.adjustPixelColors = adjustPixelColors;
+    window.paintSoftwareBlur = paintSoftwareBlur;
+}
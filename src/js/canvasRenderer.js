@@ -1,11 +1,77 @@
 /**
  * Canvas Rendering Module
  * Handles canvas drawing, image positioning, and preview updates
+ * renderScene is the single drawing path shared by the preview and the download export
  */
 
+const DEFAULT_LINEAR_GRADIENT = {
+    angle: 0,
+    startColor: '#ffffff',
+    endColor: '#1e87f0',
+    stops: []
+};
+
+const DEFAULT_BLUR_SETTINGS = {
+    radius: 10,
+    zoom: 100,
+    brightness: 100,
+    saturation: 100,
+    tintColor: '#000000',
+    tintOpacity: 0
+};
+
+// Blur radius is defined for a frame whose shorter side is this long and scaled with the frame
+const BLUR_REFERENCE_SIZE = 600;
+
+const DEFAULT_EDGE_COLOR_SETTINGS = {
+    style: 'solid'
+};
+
+// Background types that continue the photo itself into the empty frame
+const EDGE_BACKGROUND_TYPES = ['edge-extend', 'mirror', 'edge-color'];
+
+// Used by both preview and export when the settings carry no border
+const DEFAULT_BORDER_SETTINGS = {
+    width: 0,
+    color: '#ffffff'
+};
+
+const DEFAULT_FIT_SETTINGS = {
+    mode: 'percentage',
+    padding: 0,
+    paddingUnit: 'px'
+};
+
+const DEFAULT_IMAGE_POSITION = {
+    anchor: 'center',
+    offsetX: 0,
+    offsetY: 0
+};
+
+// Where each nine-grid anchor sits, as a fraction of the free space around the image
+const POSITION_ANCHORS = {
+    'top-left': { x: 0, y: 0 },
+    'top': { x: 0.5, y: 0 },
+    'top-right': { x: 1, y: 0 },
+    'left': { x: 0, y: 0.5 },
+    'center': { x: 0.5, y: 0.5 },
+    'right': { x: 1, y: 0.5 },
+    'bottom-left': { x: 0, y: 1 },
+    'bottom': { x: 0.5, y: 1 },
+    'bottom-right': { x: 1, y: 1 }
+};
+
+const DEFAULT_RADIAL_GRADIENT = {
+    centerColor: '#ffffff',
+    edgeColor: '#000000',
+    shape: 'circle',
+    centerX: 50,
+    centerY: 50
+};
+
 /**
  * Gets current canvas settings from UI controls
- * @returns {Object} Settings object with width, height, scale, backgroundColor, backgroundType, border
+ * @returns {Object} Settings object with width, height, scale, fit, position, crop, backgroundColor, backgroundType, blur, linearGradient, radialGradient, edgeColor, matteColor, border
  */
 function getCanvasSettings() {
     const widthInput = document.getElementById('width-input');
@@ -17,9 +83,17 @@ function getCanvasSettings() {
         width: parseInt(widthInput ? widthInput.value : 800),
         height: parseInt(heightInput ? heightInput.value : 600),
         scale: parseInt(scaleSlider ? scaleSlider.value : 100),
+        fit: window.getFitSettings ? window.getFitSettings() : DEFAULT_FIT_SETTINGS,
+        position: window.getPositionSettings ? window.getPositionSettings() : DEFAULT_IMAGE_POSITION,
+        crop: window.getCropSettings ? window.getCropSettings() : null,
         backgroundColor: bgColorInput ? bgColorInput.value : '#ffffff',
         backgroundType: window.getBackgroundType ? window.getBackgroundType() : 'color',
-        border: window.getBorderSettings ? window.getBorderSettings() : { width: 10, color: '#ffffff' }
+        blur: window.getBlurSettings ? window.getBlurSettings() : DEFAULT_BLUR_SETTINGS,
+        linearGradient: window.getLinearGradientSettings ? window.getLinearGradientSettings() : DEFAULT_LINEAR_GRADIENT,
+        radialGradient: window.getRadialGradientSettings ? window.getRadialGradientSettings() : DEFAULT_RADIAL_GRADIENT,
+        edgeColor: window.getEdgeColorSettings ? window.getEdgeColorSettings() : DEFAULT_EDGE_COLOR_SETTINGS,
+        matteColor: window.getMatteColor ? window.getMatteColor() : '#ffffff',
+        border: window.getBorderSettings ? window.getBorderSettings() : DEFAULT_BORDER_SETTINGS
     };
 }
 
@@ -38,7 +112,7 @@ function updateCanvasDimensions(width, height) {
 
 /**
  * Draws background color on canvas
- * @param {string} color - Background color (hex format)
+ * @param {string} color - Background color (hex format) or 'transparent' to leave the canvas clear
  * @param {number} width - Canvas width
  * @param {number} height - Canvas height
  */
@@ -51,9 +125,155 @@ function drawBackground(color, width, height) {
     // Clear the canvas
     ctx.clearRect(0, 0, width, height);
     
-    // Fill with background color
-    ctx.fillStyle = color;
-    ctx.fillRect(0, 0, width, height);
+    paintBackground(ctx, null, { backgroundType: 'color', backgroundColor: color, width, height });
+}
+
+/**
+ * Toggles the checkerboard shown behind transparent areas of the preview
+ * @param {boolean} isTransparent - Whether the background is transparent
+ */
+function updateTransparencyPreview(isTransparent) {
+    const canvas = document.getElementById('preview-canvas');
+    if (!canvas) return;
+    
+    canvas.classList.toggle('transparent-preview', isTransparent);
+}
+
+/**
+ * Calculates gradient line end points for an angle
+ * 0deg runs top to bottom and 90deg left to right; the line is long enough
+ * for the start and end colors to reach the canvas corners
+ * @param {number} angle - Gradient angle in degrees
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Object} Object with x0, y0, x1, y1 coordinates
+ */
+function calculateLinearGradientPoints(angle, width, height) {
+    const radians = angle * Math.PI / 180;
+    const dx = Math.sin(radians);
+    const dy = Math.cos(radians);
+    const halfLength = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+    
+    const centerX = width / 2;
+    const centerY = height / 2;
+    
+    return {
+        x0: centerX - dx * halfLength,
+        y0: centerY - dy * halfLength,
+        x1: centerX + dx * halfLength,
+        y1: centerY + dy * halfLength
+    };
+}
+
+/**
+ * Creates a linear gradient fill for the given context
+ * @param {CanvasRenderingContext2D} ctx - Context to create the gradient on
+ * @param {Object} gradient - Object with angle, startColor, endColor and stops
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {CanvasGradient} Gradient usable as fillStyle
+ */
+function createLinearGradientFill(ctx, gradient, width, height) {
+    const { x0, y0, x1, y1 } = calculateLinearGradientPoints(gradient.angle, width, height);
+    const fill = ctx.createLinearGradient(x0, y0, x1, y1);
+    
+    fill.addColorStop(0, gradient.startColor);
+    (gradient.stops || []).forEach(stop => {
+        fill.addColorStop(stop.position / 100, stop.color);
+    });
+    fill.addColorStop(1, gradient.endColor);
+    
+    return fill;
+}
+
+/**
+ * Draws linear gradient background on canvas
+ * @param {Object} gradient - Object with angle, startColor, endColor and stops
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function drawLinearGradientBackground(gradient, width, height) {
+    const canvas = document.getElementById('preview-canvas');
+    if (!canvas) return;
+    
+    const ctx = canvas.getContext('2d');
+    
+    // Clear the canvas
+    ctx.clearRect(0, 0, width, height);
+    
+    paintBackground(ctx, null, { backgroundType: 'linear-gradient', linearGradient: gradient, width, height });
+}
+
+/**
+ * Calculates radial gradient center and radii
+ * Like CSS farthest-corner sizing, the edge color lands exactly on the farthest corner
+ * @param {Object} radial - Object with shape, centerX and centerY (percent)
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {Object} Object with centerX, centerY, radiusX and radiusY in pixels
+ */
+function calculateRadialGradientGeometry(radial, width, height) {
+    const centerX = width * radial.centerX / 100;
+    const centerY = height * radial.centerY / 100;
+    const farthestX = Math.max(centerX, width - centerX);
+    const farthestY = Math.max(centerY, height - centerY);
+    
+    if (radial.shape === 'ellipse') {
+        // Ellipse keeps the farthest-side aspect ratio and passes through the corner
+        return {
+            centerX,
+            centerY,
+            radiusX: farthestX * Math.SQRT2,
+            radiusY: farthestY * Math.SQRT2
+        };
+    }
+    
+    const radius = Math.sqrt(farthestX * farthestX + farthestY * farthestY);
+    return { centerX, centerY, radiusX: radius, radiusY: radius };
+}
+
+/**
+ * Paints a radial gradient over the whole canvas of the given context
+ * Ellipses are drawn as a circle under a vertical scale transform
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} radial - Object with centerColor, edgeColor, shape, centerX and centerY
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function paintRadialGradient(ctx, radial, width, height) {
+    const { centerX, centerY, radiusX, radiusY } = calculateRadialGradientGeometry(radial, width, height);
+    const verticalScale = radiusY / radiusX;
+    
+    ctx.save();
+    ctx.translate(centerX, centerY);
+    ctx.scale(1, verticalScale);
+    
+    const fill = ctx.createRadialGradient(0, 0, 0, 0, 0, radiusX);
+    fill.addColorStop(0, radial.centerColor);
+    fill.addColorStop(1, radial.edgeColor);
+    
+    ctx.fillStyle = fill;
+    // Canvas rectangle expressed in the transformed coordinate space
+    ctx.fillRect(-centerX, -centerY / verticalScale, width, height / verticalScale);
+    ctx.restore();
+}
+
+/**
+ * Draws radial gradient background on canvas
+ * @param {Object} radial - Object with centerColor, edgeColor, shape, centerX and centerY
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ */
+function drawRadialGradientBackground(radial, width, height) {
+    const canvas = document.getElementById('preview-canvas');
+    if (!canvas) return;
+    
+    const ctx = canvas.getContext('2d');
+    
+    // Clear the canvas
+    ctx.clearRect(0, 0, width, height);
+    
+    paintBackground(ctx, null, { backgroundType: 'radial-gradient', radialGradient: radial, width, height });
 }
 
 /**
@@ -71,6 +291,68 @@ function calculateScaledDimensions(originalWidth, originalHeight, scale) {
     };
 }
 
+/**
+ * Converts a padding setting to pixels on each side of the frame
+ * Percent padding is taken from the shorter frame side so margins stay even
+ * @param {Object} fit - Fit settings with padding and paddingUnit
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @returns {number} Padding in pixels
+ */
+function calculatePaddingPixels(fit, canvasWidth, canvasHeight) {
+    const padding = Math.max(0, fit.padding || 0);
+    
+    if (fit.paddingUnit === '%') {
+        return Math.round(Math.min(canvasWidth, canvasHeight) * padding / 100);
+    }
+    
+    return padding;
+}
+
+/**
+ * Calculates image dimensions for a sizing mode
+ * 'contain' fits inside the padded frame, 'cover' fills the frame and crops,
+ * 'fit-width' and 'fit-height' match one padded side, 'percentage' uses the scale
+ * @param {number} originalWidth - Original image width
+ * @param {number} originalHeight - Original image height
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @param {Object} fit - Fit settings with mode, padding and paddingUnit
+ * @param {number} scale - Scale percentage used by the 'percentage' mode
+ * @returns {Object} Object with scaledWidth and scaledHeight
+ */
+function calculateFittedDimensions(originalWidth, originalHeight, canvasWidth, canvasHeight, fit, scale) {
+    const padding = calculatePaddingPixels(fit, canvasWidth, canvasHeight);
+    // Never let the padding swallow the whole frame
+    const availableWidth = Math.max(1, canvasWidth - padding * 2);
+    const availableHeight = Math.max(1, canvasHeight - padding * 2);
+    const widthRatio = availableWidth / originalWidth;
+    const heightRatio = availableHeight / originalHeight;
+    
+    let ratio;
+    switch (fit.mode) {
+        case 'contain':
+            ratio = Math.min(widthRatio, heightRatio);
+            break;
+        case 'cover':
+            ratio = Math.max(canvasWidth / originalWidth, canvasHeight / originalHeight);
+            break;
+        case 'fit-width':
+            ratio = widthRatio;
+            break;
+        case 'fit-height':
+            ratio = heightRatio;
+            break;
+        default:
+            return calculateScaledDimensions(originalWidth, originalHeight, scale);
+    }
+    
+    return {
+        scaledWidth: Math.round(originalWidth * ratio),
+        scaledHeight: Math.round(originalHeight * ratio)
+    };
+}
+
 /**
  * Calculates center position for image on canvas
  * @param {number} canvasWidth - Canvas width
@@ -86,6 +368,92 @@ function calculateCenterPosition(canvasWidth, canvasHeight, imageWidth, imageHei
     };
 }
 
+/**
+ * Gets the padding the anchors are inset by
+ * 'cover' fills the whole frame, so its anchors sit on the frame edges
+ * @param {Object} settings - Canvas settings with width, height and fit
+ * @returns {number} Padding in pixels
+ */
+function calculateAnchorPadding(settings) {
+    const fit = settings.fit || DEFAULT_FIT_SETTINGS;
+    return fit.mode === 'cover' ? 0 : calculatePaddingPixels(fit, settings.width, settings.height);
+}
+
+/**
+ * Calculates the image position for a nine-grid anchor
+ * Anchors sit inside the padding; the center stays the center of the frame
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @param {number} imageWidth - Image width
+ * @param {number} imageHeight - Image height
+ * @param {string} anchor - Anchor name such as 'top-left' or 'center'
+ * @param {number} [padding] - Padding in pixels on each side of the frame
+ * @returns {Object} Object with x and y coordinates
+ */
+function calculateAnchorPosition(canvasWidth, canvasHeight, imageWidth, imageHeight, anchor, padding = 0) {
+    const fraction = POSITION_ANCHORS[anchor] || POSITION_ANCHORS.center;
+    
+    return {
+        x: Math.round(padding + (canvasWidth - padding * 2 - imageWidth) * fraction.x),
+        y: Math.round(padding + (canvasHeight - padding * 2 - imageHeight) * fraction.y)
+    };
+}
+
+/**
+ * Calculates the image position from an anchor plus a free offset
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @param {number} imageWidth - Image width
+ * @param {number} imageHeight - Image height
+ * @param {Object} position - Object with anchor, offsetX and offsetY
+ * @param {number} [padding] - Padding in pixels on each side of the frame
+ * @returns {Object} Object with x and y coordinates
+ */
+function calculateAnchoredPosition(canvasWidth, canvasHeight, imageWidth, imageHeight, position, padding = 0) {
+    const anchorPoint = calculateAnchorPosition(canvasWidth, canvasHeight, imageWidth, imageHeight, position.anchor, padding);
+    
+    return {
+        x: anchorPoint.x + Math.round(position.offsetX || 0),
+        y: anchorPoint.y + Math.round(position.offsetY || 0)
+    };
+}
+
+/**
+ * Converts an absolute image position into the nearest anchor plus offset
+ * Positions within the snap distance of an anchor snap onto it exactly
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @param {number} imageWidth - Image width
+ * @param {number} imageHeight - Image height
+ * @param {number} x - Image x coordinate
+ * @param {number} y - Image y coordinate
+ * @param {number} snapDistance - Distance in pixels that snaps onto an anchor
+ * @param {number} [padding] - Padding in pixels on each side of the frame
+ * @returns {Object} Object with anchor, offsetX and offsetY
+ */
+function snapPositionToAnchor(canvasWidth, canvasHeight, imageWidth, imageHeight, x, y, snapDistance, padding = 0) {
+    let nearest = null;
+    
+    Object.keys(POSITION_ANCHORS).forEach(anchor => {
+        const point = calculateAnchorPosition(canvasWidth, canvasHeight, imageWidth, imageHeight, anchor, padding);
+        const distance = Math.hypot(x - point.x, y - point.y);
+        
+        if (!nearest || distance < nearest.distance) {
+            nearest = { anchor, point, distance };
+        }
+    });
+    
+    if (nearest.distance <= snapDistance) {
+        return { anchor: nearest.anchor, offsetX: 0, offsetY: 0 };
+    }
+    
+    return {
+        anchor: nearest.anchor,
+        offsetX: Math.round(x - nearest.point.x),
+        offsetY: Math.round(y - nearest.point.y)
+    };
+}
+
 /**
  * Calculates scale factor for blurred background to cover entire canvas
  * @param {number} imageWidth - Original image width
@@ -118,13 +486,101 @@ function createBlurredBackground(image, canvasWidth, canvasHeight) {
     };
 }
 
+/**
+ * Scales the configured blur radius to the frame size
+ * so the same setting looks equally soft on small and large frames
+ * @param {number} radius - Blur radius at the reference frame size
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @returns {number} Blur radius in canvas pixels
+ */
+function calculateBlurRadius(radius, canvasWidth, canvasHeight) {
+    const frameSize = Math.min(canvasWidth, canvasHeight);
+    return Math.round(radius * frameSize / BLUR_REFERENCE_SIZE * 10) / 10;
+}
+
+/**
+ * Builds the canvas filter string for the blurred background
+ * @param {Object} blur - Blur settings with radius, brightness and saturation
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @returns {string} Canvas filter value
+ */
+function buildBlurFilter(blur, canvasWidth, canvasHeight) {
+    const radius = calculateBlurRadius(blur.radius, canvasWidth, canvasHeight);
+    return `blur(${radius}px) brightness(${blur.brightness}%) saturate(${blur.saturation}%)`;
+}
+
+/**
+ * Calculates where the blurred background image is drawn
+ * The image covers the canvas and is then enlarged by the extra zoom, staying centered
+ * @param {HTMLImageElement} image - Source image
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @param {number} zoom - Extra zoom percentage (100 = just covering)
+ * @returns {Object} Object with x, y, width and height
+ */
+function calculateBlurBackgroundRect(image, canvasWidth, canvasHeight, zoom) {
+    const scale = calculateBlurScale(image.width, image.height, canvasWidth, canvasHeight) * zoom / 100;
+    const width = image.width * scale;
+    const height = image.height * scale;
+    
+    return {
+        x: (canvasWidth - width) / 2,
+        y: (canvasHeight - height) / 2,
+        width,
+        height
+    };
+}
+
+/**
+ * Paints the blurred background with its adjustments and tint on the given context
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {HTMLImageElement} image - Source image
+ * @param {Object} [blur] - Blur settings, defaults to a plain 10px blur
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ */
+function paintBlurredBackground(ctx, image, blur, canvasWidth, canvasHeight) {
+    blur = blur || DEFAULT_BLUR_SETTINGS;
+    
+    const rect = calculateBlurBackgroundRect(image, canvasWidth, canvasHeight, blur.zoom);
+    
+    if (window.supportsCanvasFilter && !window.supportsCanvasFilter()) {
+        // No ctx.filter (e.g. Safari): blur the pixels in JavaScript instead
+        window.paintSoftwareBlur(ctx, image, rect, {
+            radius: calculateBlurRadius(blur.radius, canvasWidth, canvasHeight),
+            brightness: blur.brightness,
+            saturation: blur.saturation
+        }, canvasWidth, canvasHeight);
+    } else {
+        // Apply blur and color adjustments
+        ctx.filter = buildBlurFilter(blur, canvasWidth, canvasHeight);
+        
+        // Draw the blurred background
+        ctx.drawImage(image, rect.x, rect.y, rect.width, rect.height);
+        
+        // Reset filter
+        ctx.filter = 'none';
+    }
+    
+    // Optional color tint on top
+    if (blur.tintOpacity > 0) {
+        ctx.globalAlpha = blur.tintOpacity / 100;
+        ctx.fillStyle = blur.tintColor;
+        ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+        ctx.globalAlpha = 1;
+    }
+}
+
 /**
  * Draws blurred background on canvas
  * @param {HTMLImageElement} image - Source image
  * @param {number} canvasWidth - Canvas width
  * @param {number} canvasHeight - Canvas height
+ * @param {Object} [blur] - Blur settings, defaults to a plain 10px blur
  */
-function drawBlurredBackground(image, canvasWidth, canvasHeight) {
+function drawBlurredBackground(image, canvasWidth, canvasHeight, blur) {
     const canvas = document.getElementById('preview-canvas');
     if (!canvas || !image) return;
     
@@ -133,41 +589,97 @@ function drawBlurredBackground(image, canvasWidth, canvasHeight) {
     // Clear the canvas
     ctx.clearRect(0, 0, canvasWidth, canvasHeight);
     
-    // Apply blur filter
-    ctx.filter = 'blur(10px)';
+    paintBackground(ctx, image, { backgroundType: 'image', blur, width: canvasWidth, height: canvasHeight });
+}
+
+/**
+ * Paints a background that continues the image into the frame
+ * Falls back to the fill color when the edge fill module or the image pixels are unavailable
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {HTMLImageElement} image - Framed image
+ * @param {Object} settings - Canvas settings (width, height, backgroundType, edgeColor and layout options)
+ * @returns {boolean} True if the background was painted
+ */
+function paintEdgeBackground(ctx, image, settings) {
+    const { width, height, backgroundType } = settings;
+    const layout = calculateImageLayout(image, settings);
     
-    // Calculate scale to cover entire canvas
-    const scale = calculateBlurScale(image.width, image.height, canvasWidth, canvasHeight);
-    const scaledWidth = image.width * scale;
-    const scaledHeight = image.height * scale;
+    if (backgroundType === 'edge-extend' && window.paintEdgeExtension) {
+        window.paintEdgeExtension(ctx, image, layout, width, height);
+        return true;
+    }
     
-    // Center the scaled image
-    const x = (canvasWidth - scaledWidth) / 2;
-    const y = (canvasHeight - scaledHeight) / 2;
+    if (backgroundType === 'mirror' && window.paintMirroredBackground) {
+        window.paintMirroredBackground(ctx, image, layout, width, height);
+        return true;
+    }
     
-    // Draw the blurred background
-    ctx.drawImage(image, x, y, scaledWidth, scaledHeight);
+    const colors = backgroundType === 'edge-color' && window.sampleImageEdgeColors
+        ? window.sampleImageEdgeColors(image)
+        : null;
+    if (colors) {
+        const edgeColor = settings.edgeColor || DEFAULT_EDGE_COLOR_SETTINGS;
+        window.paintEdgeColorBackground(ctx, colors, layout, edgeColor.style, width, height);
+        return true;
+    }
     
-    // Reset filter
-    ctx.filter = 'none';
+    return false;
 }
 
 /**
- * Draws background based on type (color or blurred image)
- * @param {string} backgroundType - 'color' or 'image'
- * @param {string} backgroundColor - Background color for color type
- * @param {HTMLImageElement} image - Image for blur background
- * @param {number} canvasWidth - Canvas width
- * @param {number} canvasHeight - Canvas height
+ * Paints the background for the settings on the given context
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {HTMLImageElement|null} image - Image for blur and edge backgrounds
+ * @param {Object} settings - Canvas settings (width, height, backgroundType and its options)
  */
-function drawBackgroundByType(backgroundType, backgroundColor, image, canvasWidth, canvasHeight) {
+function paintBackground(ctx, image, settings) {
+    const { width, height } = settings;
+    const backgroundType = settings.backgroundType || 'color';
+    
     if (backgroundType === 'image' && image) {
-        drawBlurredBackground(image, canvasWidth, canvasHeight);
+        paintBlurredBackground(ctx, image, settings.blur, width, height);
+    } else if (EDGE_BACKGROUND_TYPES.includes(backgroundType) && image && paintEdgeBackground(ctx, image, settings)) {
+        // Painted from the image edges
+    } else if (backgroundType === 'linear-gradient') {
+        ctx.fillStyle = createLinearGradientFill(ctx, settings.linearGradient || DEFAULT_LINEAR_GRADIENT, width, height);
+        ctx.fillRect(0, 0, width, height);
+    } else if (backgroundType === 'radial-gradient') {
+        paintRadialGradient(ctx, settings.radialGradient || DEFAULT_RADIAL_GRADIENT, width, height);
+    } else if (backgroundType === 'transparent' || settings.backgroundColor === 'transparent') {
+        // Leave the cleared canvas transparent so PNG keeps alpha
     } else {
-        drawBackground(backgroundColor, canvasWidth, canvasHeight);
+        ctx.fillStyle = settings.backgroundColor;
+        ctx.fillRect(0, 0, width, height);
     }
 }
 
+/**
+ * Draws background based on type (color, blurred image, gradient or edge fill)
+ * @param {string} backgroundType - 'color', 'image', 'linear-gradient', 'radial-gradient', 'transparent', 'edge-extend', 'mirror' or 'edge-color'
+ * @param {string} backgroundColor - Background color for color type
+ * @param {HTMLImageElement} image - Image for blur and edge backgrounds
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ * @param {Object} [settings] - Canvas settings holding blur, gradient, edge color and layout options
+ */
+function drawBackgroundByType(backgroundType, backgroundColor, image, canvasWidth, canvasHeight, settings = {}) {
+    const canvas = document.getElementById('preview-canvas');
+    if (!canvas) return;
+    
+    const ctx = canvas.getContext('2d');
+    
+    // Clear the canvas
+    ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+    
+    paintBackground(ctx, image, {
+        ...settings,
+        backgroundType,
+        backgroundColor,
+        width: canvasWidth,
+        height: canvasHeight
+    });
+}
+
 /**
  * Calculates image position accounting for border
  * @param {number} canvasWidth - Canvas width
@@ -199,43 +711,156 @@ function drawImageBorder(imagePosition, imageSize, borderSettings) {
     const canvas = document.getElementById('preview-canvas');
     if (!canvas) return;
     
-    const ctx = canvas.getContext('2d');
+    paintImageBorder(canvas.getContext('2d'), {
+        x: imagePosition.x,
+        y: imagePosition.y,
+        width: imageSize.width,
+        height: imageSize.height
+    }, borderSettings);
+}
+
+/**
+ * Paints a border around the image area on the given context
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} layout - Image area with x, y, width and height
+ * @param {Object} borderSettings - Object with width and color
+ */
+function paintImageBorder(ctx, layout, borderSettings) {
+    if (!borderSettings || borderSettings.width <= 0) return; // No border
     
     // Set border style
     ctx.strokeStyle = borderSettings.color;
     ctx.lineWidth = borderSettings.width;
     
     // Calculate border rectangle (centered on the image edge)
-    const x = imagePosition.x - borderSettings.width / 2;
-    const y = imagePosition.y - borderSettings.width / 2;
-    const width = imageSize.width + borderSettings.width;
-    const height = imageSize.height + borderSettings.width;
+    const x = layout.x - borderSettings.width / 2;
+    const y = layout.y - borderSettings.width / 2;
+    const width = layout.width + borderSettings.width;
+    const height = layout.height + borderSettings.width;
     
     // Draw border
     ctx.strokeRect(x, y, width, height);
 }
 
+/**
+ * Converts a crop (fractions of the image) to the pixel area that is drawn
+ * The crop is stored as fractions so it fits the working image, animation frames and exports alike
+ * @param {HTMLImageElement} image - Uncropped image
+ * @param {Object|null} crop - Crop with x, y, width and height from 0 to 1, or null for the whole image
+ * @returns {Object} Source rectangle with x, y, width and height in image pixels
+ */
+function calculateCropRect(image, crop) {
+    if (!crop) {
+        return { x: 0, y: 0, width: image.width, height: image.height };
+    }
+    
+    const x = Math.min(image.width - 1, Math.max(0, Math.round(crop.x * image.width)));
+    const y = Math.min(image.height - 1, Math.max(0, Math.round(crop.y * image.height)));
+    
+    return {
+        x,
+        y,
+        width: Math.max(1, Math.min(image.width - x, Math.round(crop.width * image.width))),
+        height: Math.max(1, Math.min(image.height - y, Math.round(crop.height * image.height)))
+    };
+}
+
+/**
+ * Copies the cropped area for backgrounds that continue the photo (blur and edge fills)
+ * @param {HTMLImageElement} image - Uncropped image
+ * @param {Object} settings - Canvas settings with crop and backgroundType
+ * @returns {HTMLCanvasElement|null} Cropped copy, or null when the background does not need one
+ */
+function createCroppedBackgroundImage(image, settings) {
+    const backgroundType = settings.backgroundType || 'color';
+    if (!settings.crop || (backgroundType !== 'image' && !EDGE_BACKGROUND_TYPES.includes(backgroundType))) {
+        return null;
+    }
+    
+    const source = calculateCropRect(image, settings.crop);
+    const canvas = document.createElement('canvas');
+    canvas.width = source.width;
+    canvas.height = source.height;
+    canvas.getContext('2d').drawImage(image, source.x, source.y, source.width, source.height, 0, 0, source.width, source.height);
+    
+    return canvas;
+}
+
+/**
+ * Calculates where the image is drawn on the canvas
+ * @param {HTMLImageElement} image - Image element to place
+ * @param {Object} settings - Canvas settings with width, height, scale, fit, position and crop
+ * @returns {Object} Object with x, y, width and height
+ */
+function calculateImageLayout(image, settings) {
+    // Fit and scale work on the cropped area, not the whole photo
+    const source = calculateCropRect(image, settings.crop);
+    const { scaledWidth, scaledHeight } = calculateFittedDimensions(
+        source.width,
+        source.height,
+        settings.width,
+        settings.height,
+        settings.fit || DEFAULT_FIT_SETTINGS,
+        settings.scale
+    );
+    const { x, y } = calculateAnchoredPosition(
+        settings.width,
+        settings.height,
+        scaledWidth,
+        scaledHeight,
+        settings.position || DEFAULT_IMAGE_POSITION,
+        calculateAnchorPadding(settings)
+    );
+    
+    return { x, y, width: scaledWidth, height: scaledHeight };
+}
+
 /**
  * Draws image on canvas at center position with scaling
  * @param {HTMLImageElement} image - Image element to draw
  * @param {number} scale - Scale percentage
  * @param {number} canvasWidth - Canvas width
  * @param {number} canvasHeight - Canvas height
+ * @param {Object|null} [crop] - Crop as fractions of the image, or null for the whole image
  */
-function drawImageOnCanvas(image, scale, canvasWidth, canvasHeight) {
+function drawImageOnCanvas(image, scale, canvasWidth, canvasHeight, crop = null) {
     const canvas = document.getElementById('preview-canvas');
     if (!canvas || !image) return;
     
     const ctx = canvas.getContext('2d');
     
-    // Calculate scaled dimensions
-    const { scaledWidth, scaledHeight } = calculateScaledDimensions(image.width, image.height, scale);
+    // Calculate scaled, centered position
+    const source = calculateCropRect(image, crop);
+    const layout = calculateImageLayout(image, { width: canvasWidth, height: canvasHeight, scale, crop });
+    
+    // Draw the cropped area of the image
+    ctx.drawImage(image, source.x, source.y, source.width, source.height, layout.x, layout.y, layout.width, layout.height);
+}
+
+/**
+ * Renders the complete scene (background, image and border) on any 2D context
+ * Both the preview and the download export go through here so they always match
+ * @param {CanvasRenderingContext2D} ctx - Target context, already sized to settings.width x settings.height
+ * @param {HTMLImageElement|null} image - Image to frame, or null for background only
+ * @param {Object} settings - Canvas settings
+ */
+function renderScene(ctx, image, settings) {
+    // Clear canvas
+    ctx.clearRect(0, 0, settings.width, settings.height);
     
-    // Calculate center position
-    const { x, y } = calculateCenterPosition(canvasWidth, canvasHeight, scaledWidth, scaledHeight);
+    // Draw background based on type; blur and edge fills continue the cropped area
+    const croppedBackground = image ? createCroppedBackgroundImage(image, settings) : null;
+    paintBackground(ctx, croppedBackground || image, croppedBackground ? { ...settings, crop: null } : settings);
     
-    // Draw the image
-    ctx.drawImage(image, x, y, scaledWidth, scaledHeight);
+    if (!image) return;
+    
+    // Draw main image, cropped through the source rectangle so the original pixels are never re-encoded
+    const source = calculateCropRect(image, settings.crop);
+    const layout = calculateImageLayout(image, settings);
+    ctx.drawImage(image, source.x, source.y, source.width, source.height, layout.x, layout.y, layout.width, layout.height);
+    
+    // Draw border if specified
+    paintImageBorder(ctx, layout, settings.border || DEFAULT_BORDER_SETTINGS);
 }
 
 /**
@@ -249,43 +874,22 @@ function updatePreview() {
     
     // Update canvas dimensions
     updateCanvasDimensions(settings.width, settings.height);
+    updateTransparencyPreview(settings.backgroundType === 'transparent');
     
-    // Draw background based on type
-    drawBackgroundByType(
-        settings.backgroundType, 
-        settings.backgroundColor, 
-        imageElement, 
-        settings.width, 
-        settings.height
-    );
+    const canvas = document.getElementById('preview-canvas');
+    if (!canvas) return;
     
-    // Draw image if both image element and uploaded image data are available
-    if (imageElement && uploadedImage) {
-        // Calculate image dimensions and position
-        const { scaledWidth, scaledHeight } = calculateScaledDimensions(
-            imageElement.width, 
-            imageElement.height, 
-            settings.scale
-        );
-        
-        const imagePosition = calculateCenterPosition(
-            settings.width, 
-            settings.height, 
-            scaledWidth, 
-            scaledHeight
-        );
-        
-        // Draw the image
-        drawImageOnCanvas(imageElement, settings.scale, settings.width, settings.height);
-        
-        // Draw border if specified
-        if (settings.border.width > 0) {
-            drawImageBorder(
-                imagePosition, 
-                { width: scaledWidth, height: scaledHeight }, 
-                settings.border
-            );
-        }
+    // Only frame the image once both image element and uploaded image data are available
+    renderScene(canvas.getContext('2d'), imageElement && uploadedImage ? imageElement : null, settings);
+    
+    // The filename preview depends on frame size and the uploaded file name
+    if (typeof window.updateFilenamePreview === 'function') {
+        window.updateFilenamePreview();
+    }
+    
+    // Output size and upscale warning follow the frame size and scale
+    if (typeof window.updateExportSizeInfo === 'function') {
+        window.updateExportSizeInfo();
     }
 }
 
@@ -295,15 +899,39 @@ if (typeof module !== 'undefined' && module.exports) {
         getCanvasSettings,
         updateCanvasDimensions,
         drawBackground,
+        updateTransparencyPreview,
+        calculateLinearGradientPoints,
+        createLinearGradientFill,
+        drawLinearGradientBackground,
+        calculateRadialGradientGeometry,
+        paintRadialGradient,
+        drawRadialGradientBackground,
         calculateScaledDimensions,
+        calculatePaddingPixels,
+        calculateFittedDimensions,
         calculateCenterPosition,
+        calculateAnchorPadding,
+        calculateAnchorPosition,
+        calculateAnchoredPosition,
+        snapPositionToAnchor,
         calculateBlurScale,
         createBlurredBackground,
+        calculateBlurRadius,
+        buildBlurFilter,
+        calculateBlurBackgroundRect,
+        paintBlurredBackground,
         drawBlurredBackground,
+        paintEdgeBackground,
+        paintBackground,
         drawBackgroundByType,
         calculateImagePositionWithBorder,
         drawImageBorder,
+        paintImageBorder,
+        calculateCropRect,
+        createCroppedBackgroundImage,
+        calculateImageLayout,
         drawImageOnCanvas,
+        renderScene,
         updatePreview
     };
 }
@@ -313,14 +941,38 @@ if (typeof window !== 'undefined') {
     window.getCanvasSettings = getCanvasSettings;
     window.updateCanvasDimensions = updateCanvasDimensions;
     window.drawBackground = drawBackground;
+    window.updateTransparencyPreview = updateTransparencyPreview;
+    window.calculateLinearGradientPoints = calculateLinearGradientPoints;
+    window.createLinearGradientFill = createLinearGradientFill;
+    window.drawLinearGradientBackground = drawLinearGradientBackground;
+    window.calculateRadialGradientGeometry = calculateRadialGradientGeometry;
+    window.paintRadialGradient = paintRadialGradient;
+    window.drawRadialGradientBackground = drawRadialGradientBackground;
     window.calculateScaledDimensions = calculateScaledDimensions;
+    window.calculatePaddingPixels = calculatePaddingPixels;
+    window.calculateFittedDimensions = calculateFittedDimensions;
     window.calculateCenterPosition = calculateCenterPosition;
+    window.calculateAnchorPadding = calculateAnchorPadding;
+    window.calculateAnchorPosition = calculateAnchorPosition;
+    window.calculateAnchoredPosition = calculateAnchoredPosition;
+    window.snapPositionToAnchor = snapPositionToAnchor;
     window.calculateBlurScale = calculateBlurScale;
     window.createBlurredBackground = createBlurredBackground;
+    window.calculateBlurRadius = calculateBlurRadius;
+    window.buildBlurFilter = buildBlurFilter;
+    window.calculateBlurBackgroundRect = calculateBlurBackgroundRect;
+    window.paintBlurredBackground = paintBlurredBackground;
     window.drawBlurredBackground = drawBlurredBackground;
+    window.paintEdgeBackground = paintEdgeBackground;
+    window.paintBackground = paintBackground;
     window.drawBackgroundByType = drawBackgroundByType;
     window.calculateImagePositionWithBorder = calculateImagePositionWithBorder;
     window.drawImageBorder = drawImageBorder;
+    window.paintImageBorder = paintImageBorder;
+    window.calculateCropRect = calculateCropRect;
+    window.createCroppedBackgroundImage = createCroppedBackgroundImage;
+    window.calculateImageLayout = calculateImageLayout;
     window.drawImageOnCanvas = drawImageOnCanvas;
+    window.renderScene = renderScene;
     window.updatePreview = updatePreview;
 }
\ No newline at end of file
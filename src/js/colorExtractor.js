@@ -0,0 +1,235 @@
+/**
+ * Color Extractor Module
+ * Extracts a dominant color palette from the uploaded image and derives background suggestions
+ */
+
+// Longest side of the downscaled copy used for palette extraction
+const PALETTE_SAMPLE_SIZE = 100;
+const DEFAULT_PALETTE_SIZE = 8;
+// Pixels more transparent than this are left out of the palette
+const MIN_PALETTE_ALPHA = 128;
+
+/**
+ * Converts RGB components to a hex color string
+ * @param {number} r - Red (0-255)
+ * @param {number} g - Green (0-255)
+ * @param {number} b - Blue (0-255)
+ * @returns {string} - Hex color such as '#1e87f0'
+ */
+function rgbToHex(r, g, b) {
+    return '#' + [r, g, b].map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Converts a 6-digit hex color to RGB components
+ * @param {string} hex - Hex color such as '#1e87f0'
+ * @returns {Object} - Object with r, g and b (0-255)
+ */
+function hexToRgb(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    
+    return {
+        r: (value >> 16) & 255,
+        g: (value >> 8) & 255,
+        b: value & 255
+    };
+}
+
+/**
+ * Converts a hex color to HSL
+ * @param {string} hex - Hex color
+ * @returns {Object} - Object with h (0-360), s (0-100) and l (0-100)
+ */
+function hexToHsl(hex) {
+    const { r, g, b } = hexToRgb(hex);
+    const red = r / 255;
+    const green = g / 255;
+    const blue = b / 255;
+    const max = Math.max(red, green, blue);
+    const min = Math.min(red, green, blue);
+    const lightness = (max + min) / 2;
+    
+    if (max === min) {
+        return { h: 0, s: 0, l: lightness * 100 };
+    }
+    
+    const delta = max - min;
+    const saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+    let hue;
+    if (max === red) {
+        hue = (green - blue) / delta + (green < blue ? 6 : 0);
+    } else if (max === green) {
+        hue = (blue - red) / delta + 2;
+    } else {
+        hue = (red - green) / delta + 4;
+    }
+    
+    return { h: hue * 60, s: saturation * 100, l: lightness * 100 };
+}
+
+/**
+ * Converts HSL to a hex color
+ * @param {number} h - Hue in degrees (wraps around)
+ * @param {number} s - Saturation (0-100)
+ * @param {number} l - Lightness (0-100)
+ * @returns {string} - Hex color
+ */
+function hslToHex(h, s, l) {
+    const hue = ((h % 360) + 360) % 360;
+    const saturation = Math.min(100, Math.max(0, s)) / 100;
+    const lightness = Math.min(100, Math.max(0, l)) / 100;
+    const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+    const channel = (n) => {
+        const k = (n + hue / 30) % 12;
+        return (lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255;
+    };
+    
+    return rgbToHex(channel(0), channel(8), channel(4));
+}
+
+/**
+ * Reduces pixels to a small palette with median cut
+ * The box with the most pixels spread over the widest channel is split at its median until enough boxes exist
+ * @param {Uint8ClampedArray} data - RGBA pixel buffer
+ * @param {number} colorCount - Maximum number of colors
+ * @returns {Array<string>} - Hex colors ordered by how many pixels they cover
+ */
+function extractPalette(data, colorCount = DEFAULT_PALETTE_SIZE) {
+    const pixels = [];
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] >= MIN_PALETTE_ALPHA) {
+            pixels.push([data[i], data[i + 1], data[i + 2]]);
+        }
+    }
+    
+    if (pixels.length === 0) {
+        return [];
+    }
+    
+    const widestChannel = (box) => {
+        let channel = 0;
+        let range = -1;
+        for (let c = 0; c < 3; c++) {
+            let min = 255, max = 0;
+            box.forEach(pixel => {
+                min = Math.min(min, pixel[c]);
+                max = Math.max(max, pixel[c]);
+            });
+            if (max - min > range) {
+                range = max - min;
+                channel = c;
+            }
+        }
+        return { channel, range };
+    };
+    
+    const boxes = [pixels];
+    while (boxes.length < colorCount) {
+        let splitIndex = -1;
+        let bestScore = 0;
+        boxes.forEach((box, index) => {
+            const score = box.length * widestChannel(box).range;
+            if (score > bestScore) {
+                bestScore = score;
+                splitIndex = index;
+            }
+        });
+        
+        // Every remaining box holds a single color
+        if (splitIndex === -1) break;
+        
+        const box = boxes[splitIndex];
+        const { channel } = widestChannel(box);
+        box.sort((a, b) => a[channel] - b[channel]);
+        // Split next to the median value so pixels of one shade stay together
+        const medianValue = box[Math.floor(box.length / 2)][channel];
+        let cut = box.findIndex(pixel => pixel[channel] > medianValue);
+        if (cut === -1) {
+            cut = box.findIndex(pixel => pixel[channel] === medianValue);
+        }
+        boxes.splice(splitIndex, 1, box.slice(0, cut), box.slice(cut));
+    }
+    
+    const colors = boxes
+        .map(box => {
+            const sum = box.reduce((total, pixel) => [total[0] + pixel[0], total[1] + pixel[1], total[2] + pixel[2]], [0, 0, 0]);
+            return { color: rgbToHex(sum[0] / box.length, sum[1] / box.length, sum[2] / box.length), population: box.length };
+        })
+        .sort((a, b) => b.population - a.population)
+        .map(entry => entry.color);
+    
+    return colors.filter((color, index) => colors.indexOf(color) === index);
+}
+
+/**
+ * Extracts the palette of an image from a downscaled copy
+ * @param {HTMLImageElement} image - Source image
+ * @param {number} colorCount - Maximum number of colors
+ * @returns {Array<string>|null} - Hex colors, dominant first, or null if pixels are unreadable
+ */
+function extractImagePalette(image, colorCount = DEFAULT_PALETTE_SIZE) {
+    try {
+        const ratio = Math.min(1, PALETTE_SAMPLE_SIZE / Math.max(image.width, image.height));
+        const width = Math.max(1, Math.round(image.width * ratio));
+        const height = Math.max(1, Math.round(image.height * ratio));
+        
+        const scratch = document.createElement('canvas');
+        scratch.width = width;
+        scratch.height = height;
+        
+        const scratchCtx = scratch.getContext('2d');
+        if (!scratchCtx) {
+            return null;
+        }
+        
+        scratchCtx.drawImage(image, 0, 0, width, height);
+        const palette = extractPalette(scratchCtx.getImageData(0, 0, width, height).data, colorCount);
+        return palette.length ? palette : null;
+    } catch (error) {
+        console.error('Palette extraction error:', error);
+        return null;
+    }
+}
+
+/**
+ * Derives background suggestions from a palette
+ * @param {Array<string>} palette - Hex colors, dominant first
+ * @returns {Array<Object>} - Suggestions with name, type ('gradient' or 'solid') and colors
+ */
+function buildColorSuggestions(palette) {
+    const dominant = palette[0];
+    const { h, s, l } = hexToHsl(dominant);
+    const averageLightness = palette.reduce((total, color) => total + hexToHsl(color).l, 0) / palette.length;
+    
+    return [
+        { name: 'Dominant', type: 'gradient', colors: [hslToHex(h, s, l + 15), hslToHex(h, s, l - 15)] },
+        { name: 'Complementary', type: 'gradient', colors: [dominant, hslToHex(h + 180, s, l)] },
+        { name: 'Analogous', type: 'gradient', colors: [hslToHex(h - 30, s, l), dominant, hslToHex(h + 30, s, l)] },
+        // Bright images get a dark neutral backdrop and dark images a light one
+        { name: 'Neutral', type: 'solid', colors: [hslToHex(0, 0, averageLightness > 50 ? 20 : 90)] }
+    ];
+}
+
+// Export functions for testing and use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        rgbToHex,
+        hexToRgb,
+        hexToHsl,
+        hslToHex,
+        extractPalette,
+        extractImagePalette,
+        buildColorSuggestions
+    };
+}
+
+// Make functions available globally for browser use
+if (typeof window !== 'undefined') {
+    window.rgbToHex = rgbToHex;
+    window.hexToRgb = hexToRgb;
+    window.hexToHsl = hexToHsl;
+    window.hslToHex = hslToHex;
+    window.extractPalette = extractPalette;
+    window.extractImagePalette = extractImagePalette;
+    window.buildColorSuggestions = buildColorSuggestions;
+}
@@ -0,0 +1,484 @@
+/**
+ * Crop Tool Module
+ * Crop rectangle editor shown over the uploaded image; the crop is stored as fractions of the image
+ * and applied by the renderer as the drawImage source rectangle
+ */
+
+// Aspect ratios (width / height) offered by the aspect lock, besides free, original and frame
+const CROP_ASPECT_RATIOS = {
+    '1:1': 1,
+    '4:5': 4 / 5,
+    '3:2': 3 / 2,
+    '16:9': 16 / 9
+};
+
+// Longest side of the crop editor thumbnail
+const CROP_PREVIEW_SIZE = 320;
+// Smallest crop, matching the smallest image accepted on upload
+const MIN_CROP_PIXELS = 10;
+
+const FULL_CROP = { x: 0, y: 0, width: 1, height: 1 };
+
+let cropRect = null;
+let cropDragState = null;
+
+/**
+ * Keeps a crop inside the image and above the minimum size
+ * @param {Object} rect - Crop with x, y, width and height as fractions
+ * @param {number} [minWidth=0] - Smallest width as a fraction
+ * @param {number} [minHeight=0] - Smallest height as a fraction
+ * @returns {Object} - Clamped crop
+ */
+function clampCropRect(rect, minWidth = 0, minHeight = 0) {
+    const width = Math.min(1, Math.max(minWidth, rect.width));
+    const height = Math.min(1, Math.max(minHeight, rect.height));
+
+    return {
+        x: Math.min(1 - width, Math.max(0, rect.x)),
+        y: Math.min(1 - height, Math.max(0, rect.y)),
+        width,
+        height
+    };
+}
+
+/**
+ * Moves a crop without changing its size
+ * @param {Object} rect - Crop as fractions
+ * @param {number} dx - Horizontal move as a fraction of the image width
+ * @param {number} dy - Vertical move as a fraction of the image height
+ * @returns {Object} - Moved crop, kept inside the image
+ */
+function moveCropRect(rect, dx, dy) {
+    return clampCropRect({ ...rect, x: rect.x + dx, y: rect.y + dy });
+}
+
+/**
+ * Resizes a crop by dragging one corner while the opposite corner stays put
+ * @param {Object} rect - Crop as fractions
+ * @param {string} handle - Dragged corner: 'nw', 'ne', 'sw' or 'se'
+ * @param {number} dx - Horizontal drag as a fraction of the image width
+ * @param {number} dy - Vertical drag as a fraction of the image height
+ * @param {Object} [options] - aspect (width / height in fractions, or null for free), minWidth and minHeight
+ * @returns {Object} - Resized crop
+ */
+function resizeCropRect(rect, handle, dx, dy, options = {}) {
+    const { aspect = null, minWidth = 0, minHeight = 0 } = options;
+    const west = handle.includes('w');
+    const north = handle.includes('n');
+
+    const anchorX = west ? rect.x + rect.width : rect.x;
+    const anchorY = north ? rect.y + rect.height : rect.y;
+    // Room between the fixed corner and the image edge the handle moves towards
+    const maxWidth = west ? anchorX : 1 - anchorX;
+    const maxHeight = north ? anchorY : 1 - anchorY;
+
+    let width = Math.min(maxWidth, Math.max(minWidth, rect.width + (west ? -dx : dx)));
+    let height = Math.min(maxHeight, Math.max(minHeight, rect.height + (north ? -dy : dy)));
+
+    if (aspect) {
+        // The width leads; the height follows the ratio and shrinks both when it runs out of room
+        width = Math.max(width, minHeight * aspect);
+        height = width / aspect;
+        if (height > maxHeight) {
+            height = maxHeight;
+            width = height * aspect;
+        }
+        if (width > maxWidth) {
+            width = maxWidth;
+            height = width / aspect;
+        }
+    }
+
+    return {
+        x: west ? anchorX - width : anchorX,
+        y: north ? anchorY - height : anchorY,
+        width,
+        height
+    };
+}
+
+/**
+ * Shrinks a crop around its center to the given aspect ratio
+ * @param {Object} rect - Crop as fractions
+ * @param {number} aspect - Width / height in fractions of the image
+ * @returns {Object} - Crop with the aspect ratio
+ */
+function fitCropToAspect(rect, aspect) {
+    let { width, height } = rect;
+    if (width / height > aspect) {
+        width = height * aspect;
+    } else {
+        height = width / aspect;
+    }
+
+    return clampCropRect({
+        x: rect.x + (rect.width - width) / 2,
+        y: rect.y + (rect.height - height) / 2,
+        width,
+        height
+    });
+}
+
+/**
+ * Converts a crop to whole pixels of an image
+ * @param {Object} rect - Crop as fractions
+ * @param {number} imageWidth - Image width
+ * @param {number} imageHeight - Image height
+ * @returns {Object} - Crop with x, y, width and height in pixels
+ */
+function cropToPixels(rect, imageWidth, imageHeight) {
+    return {
+        x: Math.round(rect.x * imageWidth),
+        y: Math.round(rect.y * imageHeight),
+        width: Math.round(rect.width * imageWidth),
+        height: Math.round(rect.height * imageHeight)
+    };
+}
+
+/**
+ * Converts a crop in pixels to fractions of an image
+ * @param {Object} pixels - Crop with x, y, width and height in pixels
+ * @param {number} imageWidth - Image width
+ * @param {number} imageHeight - Image height
+ * @returns {Object} - Crop as fractions
+ */
+function pixelsToCrop(pixels, imageWidth, imageHeight) {
+    return {
+        x: pixels.x / imageWidth,
+        y: pixels.y / imageHeight,
+        width: pixels.width / imageWidth,
+        height: pixels.height / imageHeight
+    };
+}
+
+/**
+ * Gets the size the numeric crop inputs are measured in
+ * Scaled-down uploads are cropped in the pixels of the original photo
+ * @returns {Object|null} - Object with width and height, or null without an image
+ */
+function getCropImageSize() {
+    const image = typeof window.getImageElement === 'function' ? window.getImageElement() : null;
+    if (!image) {
+        return null;
+    }
+
+    const source = typeof window.getImageSourceSize === 'function' ? window.getImageSourceSize() : null;
+    if (!source) {
+        return { width: image.width, height: image.height };
+    }
+
+    // Browsers that ignore EXIF orientation decode the photo as stored; the app turned it upright afterwards
+    const metadata = typeof window.getImageMetadata === 'function' ? window.getImageMetadata() : null;
+    const turnedByApp = Boolean(metadata) && metadata.orientation >= 5 && metadata.orientation <= 8 &&
+        !(typeof window.browserAppliesExifOrientation === 'function' && window.browserAppliesExifOrientation());
+    return turnedByApp ? { width: source.height, height: source.width } : source;
+}
+
+/**
+ * Gets the locked aspect ratio in fractions of the image
+ * @param {number} imageWidth - Image width
+ * @param {number} imageHeight - Image height
+ * @returns {number|null} - Width / height of the crop in fractions, or null for a free crop
+ */
+function getCropAspect(imageWidth, imageHeight) {
+    const select = document.getElementById('crop-aspect');
+    const choice = select ? select.value : 'free';
+
+    let ratio = CROP_ASPECT_RATIOS[choice] || null;
+    if (choice === 'original') {
+        ratio = imageWidth / imageHeight;
+    } else if (choice === 'frame' && typeof window.getCanvasSettings === 'function') {
+        const settings = window.getCanvasSettings();
+        ratio = settings.width / settings.height;
+    }
+
+    return ratio ? ratio * imageHeight / imageWidth : null;
+}
+
+/**
+ * Gets the crop applied to the uploaded image
+ * @returns {Object|null} - Crop with x, y, width and height from 0 to 1, or null for the whole image
+ */
+function getCropSettings() {
+    return cropRect;
+}
+
+/**
+ * Shows the crop rectangle on the editor and in the numeric inputs
+ */
+function renderCropEditor() {
+    const rect = cropRect || FULL_CROP;
+
+    const box = document.getElementById('crop-box');
+    if (box) {
+        box.style.left = `${rect.x * 100}%`;
+        box.style.top = `${rect.y * 100}%`;
+        box.style.width = `${rect.width * 100}%`;
+        box.style.height = `${rect.height * 100}%`;
+    }
+
+    const size = getCropImageSize();
+    if (!size) return;
+
+    const pixels = cropToPixels(rect, size.width, size.height);
+    ['x', 'y', 'width', 'height'].forEach(key => {
+        const input = document.getElementById(`crop-${key}`);
+        if (input) input.value = pixels[key];
+    });
+}
+
+/**
+ * Stores a new crop and redraws the editor and the preview
+ * @param {Object|null} rect - Crop as fractions, or null for the whole image
+ */
+function setCropRect(rect) {
+    // A crop covering the whole image is no crop at all
+    const whole = !rect || (rect.x <= 0 && rect.y <= 0 && rect.width >= 1 && rect.height >= 1);
+    cropRect = whole ? null : rect;
+
+    renderCropEditor();
+
+    if (typeof window.updatePreview === 'function') {
+        window.updatePreview();
+    }
+}
+
+/**
+ * Shows the uploaded image in the crop editor and starts over with the whole image
+ * Called after every upload, since a crop only fits the photo it was drawn on
+ */
+function resetCrop() {
+    cropRect = null;
+
+    const image = typeof window.getImageElement === 'function' ? window.getImageElement() : null;
+    const editor = document.getElementById('crop-editor');
+    const empty = document.getElementById('crop-empty');
+    if (editor) editor.style.display = image ? '' : 'none';
+    if (empty) empty.style.display = image ? 'none' : '';
+
+    const canvas = document.getElementById('crop-canvas');
+    if (canvas && image) {
+        const ratio = Math.min(1, CROP_PREVIEW_SIZE / Math.max(image.width, image.height));
+        canvas.width = Math.max(1, Math.round(image.width * ratio));
+        canvas.height = Math.max(1, Math.round(image.height * ratio));
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    }
+
+    const aspect = image ? getCropAspect(image.width, image.height) : null;
+    setCropRect(aspect ? fitCropToAspect(FULL_CROP, aspect) : null);
+}
+
+/**
+ * Gets the smallest crop as fractions of the image
+ * @param {Object} size - Image width and height
+ * @returns {Object} - Object with minWidth and minHeight
+ */
+function getMinCropSize(size) {
+    return {
+        minWidth: Math.min(1, MIN_CROP_PIXELS / size.width),
+        minHeight: Math.min(1, MIN_CROP_PIXELS / size.height)
+    };
+}
+
+/**
+ * Applies a newly chosen aspect lock to the current crop
+ */
+function handleCropAspectChange() {
+    const size = getCropImageSize();
+    if (!size) return;
+
+    const aspect = getCropAspect(size.width, size.height);
+    if (aspect) {
+        setCropRect(fitCropToAspect(cropRect || FULL_CROP, aspect));
+    }
+}
+
+/**
+ * Applies the numeric crop inputs
+ * With a locked aspect ratio, the other side follows the edited width or height
+ * @param {Event} event - Input change event
+ */
+function handleCropInputChange(event) {
+    const size = getCropImageSize();
+    if (!size) return;
+
+    const pixels = {};
+    ['x', 'y', 'width', 'height'].forEach(key => {
+        const input = document.getElementById(`crop-${key}`);
+        pixels[key] = parseInt(input ? input.value : 0) || 0;
+    });
+
+    const rect = pixelsToCrop(pixels, size.width, size.height);
+    const aspect = getCropAspect(size.width, size.height);
+    if (aspect) {
+        if (event && event.target && event.target.id === 'crop-height') {
+            rect.width = rect.height * aspect;
+        } else {
+            rect.height = rect.width / aspect;
+        }
+    }
+
+    const { minWidth, minHeight } = getMinCropSize(size);
+    const clamped = clampCropRect(rect, minWidth, minHeight);
+    setCropRect(aspect ? fitCropToAspect(clamped, aspect) : clamped);
+}
+
+/**
+ * Gets the pointer position of a mouse or touch event
+ * @param {MouseEvent|TouchEvent} event - Pointer event
+ * @returns {Object} - Object with clientX and clientY
+ */
+function getCropPointer(event) {
+    const point = event.touches && event.touches.length ? event.touches[0] :
+        (event.changedTouches && event.changedTouches.length ? event.changedTouches[0] : event);
+    return { clientX: point.clientX, clientY: point.clientY };
+}
+
+/**
+ * Starts moving the crop box, or resizing it when a corner handle is pressed
+ * @param {MouseEvent|TouchEvent} event - mousedown or touchstart event
+ */
+function startCropDrag(event) {
+    const stage = document.getElementById('crop-stage');
+    const size = getCropImageSize();
+    const bounds = stage ? stage.getBoundingClientRect() : null;
+    if (!bounds || !bounds.width || !bounds.height || !size) {
+        return;
+    }
+
+    // Keep the press from selecting text or scrolling the page
+    if (event.cancelable) {
+        event.preventDefault();
+    }
+
+    cropDragState = {
+        handle: (event.target.dataset && event.target.dataset.handle) || 'move',
+        start: getCropPointer(event),
+        startRect: cropRect || FULL_CROP,
+        bounds,
+        aspect: getCropAspect(size.width, size.height),
+        ...getMinCropSize(size)
+    };
+
+    document.addEventListener('mousemove', moveCropDrag);
+    document.addEventListener('mouseup', endCropDrag);
+    document.addEventListener('touchmove', moveCropDrag, { passive: false });
+    document.addEventListener('touchend', endCropDrag);
+    document.addEventListener('touchcancel', endCropDrag);
+}
+
+/**
+ * Moves or resizes the crop box with the pointer
+ * @param {MouseEvent|TouchEvent} event - mousemove or touchmove event
+ */
+function moveCropDrag(event) {
+    if (!cropDragState) {
+        return;
+    }
+
+    if (event.cancelable) {
+        event.preventDefault();
+    }
+
+    const { handle, start, startRect, bounds } = cropDragState;
+    const point = getCropPointer(event);
+    const dx = (point.clientX - start.clientX) / bounds.width;
+    const dy = (point.clientY - start.clientY) / bounds.height;
+
+    setCropRect(handle === 'move'
+        ? moveCropRect(startRect, dx, dy)
+        : resizeCropRect(startRect, handle, dx, dy, cropDragState));
+}
+
+/**
+ * Ends a crop drag
+ */
+function endCropDrag() {
+    document.removeEventListener('mousemove', moveCropDrag);
+    document.removeEventListener('mouseup', endCropDrag);
+    document.removeEventListener('touchmove', moveCropDrag);
+    document.removeEventListener('touchend', endCropDrag);
+    document.removeEventListener('touchcancel', endCropDrag);
+
+    cropDragState = null;
+}
+
+/**
+ * Binds the crop editor controls
+ */
+function initializeCropTool() {
+    const box = document.getElementById('crop-box');
+    if (box) {
+        box.addEventListener('mousedown', startCropDrag);
+        box.addEventListener('touchstart', startCropDrag, { passive: false });
+    }
+
+    const aspectSelect = document.getElementById('crop-aspect');
+    if (aspectSelect) {
+        aspectSelect.addEventListener('change', handleCropAspectChange);
+    }
+
+    ['x', 'y', 'width', 'height'].forEach(key => {
+        const input = document.getElementById(`crop-${key}`);
+        if (input) input.addEventListener('change', handleCropInputChange);
+    });
+
+    const resetButton = document.getElementById('crop-reset-btn');
+    if (resetButton) {
+        resetButton.addEventListener('click', () => {
+            if (aspectSelect) aspectSelect.value = 'free';
+            setCropRect(null);
+        });
+    }
+}
+
+// Export functions for testing and use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CROP_ASPECT_RATIOS,
+        MIN_CROP_PIXELS,
+        clampCropRect,
+        moveCropRect,
+        resizeCropRect,
+        fitCropToAspect,
+        cropToPixels,
+        pixelsToCrop,
+        getCropImageSize,
+        getCropAspect,
+        getMinCropSize,
+        getCropSettings,
+        renderCropEditor,
+        setCropRect,
+        resetCrop,
+        handleCropAspectChange,
+        handleCropInputChange,
+        startCropDrag,
+        moveCropDrag,
+        endCropDrag,
+        initializeCropTool
+    };
+}
+
+// Make functions available globally for browser use
+if (typeof window !== 'undefined') {
+    window.CROP_ASPECT_RATIOS = CROP_ASPECT_RATIOS;
+    window.clampCropRect = clampCropRect;
+    window.moveCropRect = moveCropRect;
+    window.resizeCropRect = resizeCropRect;
+    window.fitCropToAspect = fitCropToAspect;
+    window.cropToPixels = cropToPixels;
+    window.pixelsToCrop = pixelsToCrop;
+    window.getCropImageSize = getCropImageSize;
+    window.getCropAspect = getCropAspect;
+    window.getMinCropSize = getMinCropSize;
+    window.getCropSettings = getCropSettings;
+    window.renderCropEditor = renderCropEditor;
+    window.setCropRect = setCropRect;
+    window.resetCrop = resetCrop;
+    window.handleCropAspectChange = handleCropAspectChange;
+    window.handleCropInputChange = handleCropInputChange;
+    window.startCropDrag = startCropDrag;
+    window.moveCropDrag = moveCropDrag;
+    window.endCropDrag = endCropDrag;
+    window.initializeCropTool = initializeCropTool;
+}
@@ -3,13 +3,244 @@
  * Handles image download functionality including canvas creation, rendering, and file generation
  */
 
+// Formats that can store an alpha channel; anything else gets flattened onto the matte color
+const ALPHA_CAPABLE_TYPES = ['image/png', 'image/webp'];
+
+// Export formats offered in the format selector
+const EXPORT_FORMATS = {
+    'png': { mimeType: 'image/png', extension: 'png', lossy: false },
+    'jpeg': { mimeType: 'image/jpeg', extension: 'jpg', lossy: true },
+    'webp': { mimeType: 'image/webp', extension: 'webp', lossy: true },
+    // PDFs are written by pdfExporter.js, not by the canvas encoder
+    'pdf': { mimeType: 'application/pdf', extension: 'pdf', lossy: true, document: true },
+    // Only written by animationProcessor.js for animated uploads; not offered in the selector
+    'gif': { mimeType: 'image/gif', extension: 'gif', lossy: false, animated: true }
+};
+
+const DEFAULT_EXPORT_QUALITY = 92;
+
+// Largest output side; bigger canvases fail to allocate in several browsers
+const MAX_EXPORT_SIDE = 8192;
+// Upscaling below this factor comes from rounding and is not visible
+const UPSCALE_WARNING_THRESHOLD = 1.01;
+
+const DEFAULT_FILENAME_TEMPLATE = 'image-with-bg-{timestamp}';
+const FILENAME_TEMPLATE_STORAGE_KEY = 'framefill-filename-template';
+const MAX_FILENAME_LENGTH = 200;
+
+// Wait for the settings to settle before encoding a size estimate
+const ESTIMATE_DEBOUNCE_MS = 500;
+const SIZE_BUDGET_STORAGE_KEY = 'framefill-size-budget';
+const BYTES_PER_MB = 1024 * 1024;
+
+const encodingSupport = {};
+let estimateTimer = null;
+let estimateSequence = 0;
+// Estimates encode at full output size, so they only run while the estimate line can be seen
+let estimateOnScreen = true;
+let estimatePending = false;
+
 /**
- * Generates filename with timestamp
- * @returns {string} - Filename in format image-with-bg-{timestamp}.png
+ * Replaces characters that are not allowed in file names
+ * @param {string} name - File name without extension
+ * @returns {string} - Safe file name, never empty
  */
-function generateFilename() {
-    const timestamp = Date.now();
-    return `image-with-bg-${timestamp}.png`;
+function sanitizeFilename(name) {
+    const cleaned = name
+        .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '-')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s.]+|[\s.]+$/g, '')
+        .slice(0, MAX_FILENAME_LENGTH);
+    
+    // Windows reserves device names such as CON and LPT1
+    if (/^(con|prn|aux|nul|com\d|lpt\d)$/i.test(cleaned)) {
+        return `${cleaned}-image`;
+    }
+    
+    return cleaned || 'image';
+}
+
+/**
+ * Formats a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date to format
+ * @returns {string} - Formatted date
+ */
+function formatFilenameDate(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Replaces {token} placeholders in a filename template
+ * Unknown tokens are kept as written
+ * @param {string} template - Template such as '{original}-{width}x{height}'
+ * @param {Object} values - Token values by name
+ * @returns {string} - Filled template
+ */
+function applyFilenameTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (token, name) =>
+        values[name] !== undefined && values[name] !== null ? String(values[name]) : token
+    );
+}
+
+/**
+ * Gets the filename template from the template input
+ * @returns {string} - Template, or the default when the input is empty
+ */
+function getFilenameTemplate() {
+    const templateInput = document.getElementById('filename-template');
+    const template = templateInput ? templateInput.value.trim() : '';
+    return template || DEFAULT_FILENAME_TEMPLATE;
+}
+
+/**
+ * Remembers the filename template for the next visit
+ * @param {string} template - Template to store
+ */
+function saveFilenameTemplate(template) {
+    try {
+        localStorage.setItem(FILENAME_TEMPLATE_STORAGE_KEY, template);
+    } catch (error) {
+        // Storage can be disabled (private mode); the template just is not remembered
+    }
+}
+
+/**
+ * Restores the last used filename template into the template input
+ */
+function loadFilenameTemplate() {
+    const templateInput = document.getElementById('filename-template');
+    
+    try {
+        const template = localStorage.getItem(FILENAME_TEMPLATE_STORAGE_KEY);
+        if (template && templateInput) {
+            templateInput.value = template;
+        }
+    } catch (error) {
+        // Fall back to the template in the markup
+    }
+}
+
+/**
+ * Collects filename token values for a render
+ * @param {Object} settings - Canvas settings with width and height
+ * @param {string} extension - Output file extension
+ * @param {number} index - 1-based position of the file in a batch
+ * @returns {Object} - Token values by name
+ */
+function buildFilenameValues(settings, extension, index = 1) {
+    const original = window.getOriginalFilename ? window.getOriginalFilename() : null;
+    
+    return {
+        original: original || 'image',
+        width: settings.width,
+        height: settings.height,
+        preset: window.getSizePreset ? window.getSizePreset(settings.width, settings.height) : 'custom',
+        format: extension,
+        index
+    };
+}
+
+/**
+ * Generates a filename from the filename template
+ * {date} and {timestamp} are filled in from the current time
+ * @param {string} extension - File extension without the dot
+ * @param {Object} [values] - Token values such as original, width, height, preset, index and format
+ * @param {string} [template] - Template to use instead of the one in the template input
+ * @returns {string} - Sanitized filename with extension
+ */
+function generateFilename(extension = 'png', values = {}, template = getFilenameTemplate()) {
+    const now = new Date();
+    const name = applyFilenameTemplate(template, {
+        original: 'image',
+        preset: 'custom',
+        index: 1,
+        format: extension,
+        ...values,
+        date: formatFilenameDate(now),
+        timestamp: now.getTime()
+    });
+    
+    return `${sanitizeFilename(name)}.${extension}`;
+}
+
+/**
+ * Detects whether the browser can encode a canvas in the given format
+ * Browsers silently fall back to PNG for formats they cannot encode
+ * @param {string} mimeType - MIME type to test
+ * @returns {boolean} - True if the format is encoded natively
+ */
+function supportsImageEncoding(mimeType) {
+    if (mimeType in encodingSupport) {
+        return encodingSupport[mimeType];
+    }
+    
+    try {
+        const canvas = document.createElement('canvas');
+        canvas.width = 1;
+        canvas.height = 1;
+        encodingSupport[mimeType] = canvas.toDataURL(mimeType).startsWith(`data:${mimeType}`);
+    } catch (error) {
+        encodingSupport[mimeType] = false;
+    }
+    
+    return encodingSupport[mimeType];
+}
+
+/**
+ * Gets the file extension for an encoded MIME type
+ * @param {string} mimeType - MIME type of the encoded blob
+ * @returns {string} - File extension without the dot
+ */
+function getExtensionForMimeType(mimeType) {
+    const format = Object.values(EXPORT_FORMATS).find(entry => entry.mimeType === mimeType);
+    return format ? format.extension : 'png';
+}
+
+/**
+ * Gets the PDF page settings
+ * @returns {Object} - Object with pageSize ('frame', 'a4' or 'letter'), dpi, margin (mm) and imageEncoding
+ */
+function getPdfSettings() {
+    const pageSizeSelect = document.getElementById('pdf-page-size');
+    const dpiInput = document.getElementById('pdf-dpi');
+    const marginInput = document.getElementById('pdf-margin');
+    const encodingSelect = document.getElementById('pdf-image-encoding');
+    const dpi = parseInt(dpiInput ? dpiInput.value : 300);
+    const margin = parseFloat(marginInput ? marginInput.value : 10);
+    
+    return {
+        pageSize: pageSizeSelect ? pageSizeSelect.value : 'frame',
+        dpi: dpi > 0 ? dpi : 300,
+        margin: margin >= 0 ? margin : 0,
+        imageEncoding: encodingSelect ? encodingSelect.value : 'jpeg'
+    };
+}
+
+/**
+ * Gets current export format settings
+ * @returns {Object} - Object with format, mimeType, extension, quality (0-1, lossy formats only) and pdf settings for PDFs
+ */
+function getExportSettings() {
+    const formatSelect = document.getElementById('export-format');
+    const qualitySlider = document.getElementById('export-quality');
+    
+    const format = formatSelect && EXPORT_FORMATS[formatSelect.value] ? formatSelect.value : 'png';
+    const quality = parseInt(qualitySlider ? qualitySlider.value : DEFAULT_EXPORT_QUALITY);
+    const { mimeType, extension, lossy } = EXPORT_FORMATS[format];
+    
+    const exportSettings = {
+        format,
+        mimeType,
+        extension,
+        quality: lossy ? (isNaN(quality) ? DEFAULT_EXPORT_QUALITY : quality) / 100 : undefined
+    };
+    
+    if (format === 'pdf') {
+        exportSettings.pdf = getPdfSettings();
+    }
+    
+    return exportSettings;
 }
 
 /**
@@ -26,6 +257,7 @@ function createDownloadCanvas(settings) {
 
 /**
  * Renders image to download canvas with background and scaling
+ * Uses the same renderScene core as the preview so the export matches it exactly
  * @param {HTMLCanvasElement} canvas - Target canvas element
  * @param {HTMLImageElement} image - Image to render
  * @param {Object} settings - Render settings
@@ -33,80 +265,57 @@ function createDownloadCanvas(settings) {
 async function renderToDownloadCanvas(canvas, image, settings) {
     const ctx = canvas.getContext('2d');
     
-    // Clear canvas
-    ctx.clearRect(0, 0, settings.width, settings.height);
-    
-    // Draw background based on type
-    const backgroundType = settings.backgroundType || 'color';
-    if (backgroundType === 'image' && image) {
-        // Draw blurred background
-        ctx.filter = 'blur(10px)';
-        
-        // Calculate scale to cover entire canvas
-        const scaleX = settings.width / image.width;
-        const scaleY = settings.height / image.height;
-        const scale = Math.max(scaleX, scaleY);
-        const scaledWidth = image.width * scale;
-        const scaledHeight = image.height * scale;
-        
-        // Center the scaled image
-        const bgX = (settings.width - scaledWidth) / 2;
-        const bgY = (settings.height - scaledHeight) / 2;
-        
-        // Draw the blurred background
-        ctx.drawImage(image, bgX, bgY, scaledWidth, scaledHeight);
-        
-        // Reset filter
-        ctx.filter = 'none';
-    } else {
-        // Draw solid color background
-        ctx.fillStyle = settings.backgroundColor;
-        ctx.fillRect(0, 0, settings.width, settings.height);
+    window.renderScene(ctx, image, settings);
+}
+
+/**
+ * Prepares a rendered canvas for encoding in the given format
+ * Formats without alpha support get the canvas flattened onto the matte color
+ * @param {HTMLCanvasElement} canvas - Rendered canvas
+ * @param {string} mimeType - Target MIME type
+ * @param {string} matteColor - Color that replaces transparency (hex format)
+ * @returns {HTMLCanvasElement} - The original canvas or a flattened copy
+ */
+function prepareCanvasForFormat(canvas, mimeType, matteColor) {
+    if (ALPHA_CAPABLE_TYPES.includes(mimeType)) {
+        return canvas;
     }
     
-    // Calculate scaled dimensions for main image
-    const scaleFactor = settings.scale / 100;
-    const scaledWidth = Math.round(image.width * scaleFactor);
-    const scaledHeight = Math.round(image.height * scaleFactor);
-    
-    // Calculate center position
-    const x = Math.round((settings.width - scaledWidth) / 2);
-    const y = Math.round((settings.height - scaledHeight) / 2);
+    const flattened = document.createElement('canvas');
+    flattened.width = canvas.width;
+    flattened.height = canvas.height;
     
-    // Draw main image
-    ctx.drawImage(image, x, y, scaledWidth, scaledHeight);
+    const ctx = flattened.getContext('2d');
+    ctx.fillStyle = matteColor || '#ffffff';
+    ctx.fillRect(0, 0, flattened.width, flattened.height);
+    ctx.drawImage(canvas, 0, 0);
     
-    // Draw border if specified
-    const border = settings.border || { width: 0, color: '#ffffff' };
-    if (border.width > 0) {
-        ctx.strokeStyle = border.color;
-        ctx.lineWidth = border.width;
-        
-        // Calculate border rectangle (centered on the image edge)
-        const borderX = x - border.width / 2;
-        const borderY = y - border.width / 2;
-        const borderWidth = scaledWidth + border.width;
-        const borderHeight = scaledHeight + border.width;
-        
-        // Draw border
-        ctx.strokeRect(borderX, borderY, borderWidth, borderHeight);
-    }
+    return flattened;
 }
 
 /**
  * Converts canvas to blob
  * @param {HTMLCanvasElement} canvas - Canvas to convert
+ * @param {string} mimeType - Target MIME type
+ * @param {number} [quality] - Encoder quality (0-1) for lossy formats
  * @returns {Promise<Blob>} - Promise resolving to blob
  */
-function canvasToBlob(canvas) {
+function canvasToBlob(canvas, mimeType = 'image/png', quality) {
     return new Promise((resolve, reject) => {
-        canvas.toBlob((blob) => {
+        const callback = (blob) => {
             if (blob) {
                 resolve(blob);
             } else {
-                reject(new Error('Failed to convert canvas to blob'));
+                // Browsers hand back null when the canvas is too large to encode
+                reject(window.createAppError(window.ERROR_TYPES.ENCODE_FAILED, `The image could not be saved as ${getExtensionForMimeType(mimeType).toUpperCase()}. Try a smaller export size or another format.`));
             }
-        }, 'image/png');
+        };
+        
+        if (quality === undefined) {
+            canvas.toBlob(callback, mimeType);
+        } else {
+            canvas.toBlob(callback, mimeType, quality);
+        }
     });
 }
 
@@ -129,6 +338,88 @@ function triggerDownload(blob, filename) {
     URL.revokeObjectURL(url);
 }
 
+/**
+ * Picks the metadata fields the user chose to keep in exported JPEGs
+ * Everything else, including location, is left out
+ * @param {Object|null} metadata - EXIF metadata of the source image
+ * @returns {Object|null} - Metadata to write, or null to strip everything
+ */
+function selectExportMetadata(metadata) {
+    if (!metadata) {
+        return null;
+    }
+    
+    const keepCamera = document.getElementById('export-keep-camera');
+    const keepDate = document.getElementById('export-keep-date');
+    const selected = {};
+    
+    if (keepCamera && keepCamera.checked) {
+        if (metadata.make) selected.make = metadata.make;
+        if (metadata.model) selected.model = metadata.model;
+    }
+    if (keepDate && keepDate.checked && metadata.dateTaken) {
+        selected.dateTaken = metadata.dateTaken;
+    }
+    
+    return Object.keys(selected).length > 0 ? selected : null;
+}
+
+/**
+ * Gets the metadata to write into exports of the uploaded image
+ * @returns {Object|null} - Metadata to write, or null to strip everything
+ */
+function getExportMetadata() {
+    return selectExportMetadata(window.getImageMetadata ? window.getImageMetadata() : null);
+}
+
+/**
+ * Renders an image with the given settings and encodes it for export
+ * Shared by download, copy, share and the bundle/batch exports so they all match the preview
+ * @param {HTMLImageElement} image - Image to render
+ * @param {Object} settings - Canvas settings
+ * @param {Object} exportSettings - Export settings with mimeType and quality
+ * @param {Object|null} metadata - Metadata to write into JPEGs, or null to export without any
+ * @returns {Promise<Blob>} - Promise resolving to the encoded image
+ */
+async function renderExportBlob(image, settings, exportSettings, metadata = null) {
+    const canvas = createDownloadCanvas(settings);
+    await renderToDownloadCanvas(canvas, image, settings);
+    
+    // Flatten transparency for formats without alpha, then encode
+    const output = prepareCanvasForFormat(canvas, exportSettings.mimeType, settings.matteColor);
+    
+    // PDFs place the flattened frame on a page instead of encoding it directly
+    if (exportSettings.format === 'pdf') {
+        return window.createPdfFromCanvas(output, exportSettings.pdf, exportSettings.quality);
+    }
+    
+    const blob = await canvasToBlob(output, exportSettings.mimeType, exportSettings.quality);
+    
+    // Canvas output never carries metadata, so only the kept fields are written back
+    if (metadata && blob.type === 'image/jpeg' && typeof window.embedExifInJpeg === 'function') {
+        return window.embedExifInJpeg(blob, metadata);
+    }
+    
+    return blob;
+}
+
+/**
+ * Renders the uploaded image for download or sharing
+ * Animated uploads become an animated GIF unless the user turned animation off
+ * @param {HTMLImageElement} imageElement - Uploaded image (first frame for animations)
+ * @param {Object} settings - Canvas settings
+ * @param {Object} exportSettings - Export settings with mimeType and quality
+ * @returns {Promise<Blob>} - Promise resolving to the encoded image
+ */
+async function renderUploadBlob(imageElement, settings, exportSettings) {
+    const animation = typeof window.getExportAnimation === 'function' ? window.getExportAnimation() : null;
+    if (animation) {
+        return window.renderAnimatedGif(animation, settings);
+    }
+    
+    return renderExportBlob(imageElement, settings, exportSettings, getExportMetadata());
+}
+
 /**
  * Handles download button click event
  * Main function that orchestrates the entire download process
@@ -140,34 +431,645 @@ async function handleDownloadClick() {
         const imageElement = window.getImageElement ? window.getImageElement() : null;
         
         if (!uploadedImage || !imageElement) {
-            alert('Please upload an image first.');
+            window.notifyError(window.createAppError(window.ERROR_TYPES.INVALID_INPUT, 'Please upload an image first.'));
             return;
         }
         
-        // Get current settings from UI
-        const settings = window.getCanvasSettings ? window.getCanvasSettings() : {
+        // Get current settings from UI, enlarged to the chosen export size
+        const settings = getOutputSettings(window.getCanvasSettings ? window.getCanvasSettings() : {
             width: 800,
             height: 600,
             scale: 100,
             backgroundColor: '#ffffff'
-        };
-        
-        // Create download canvas
-        const canvas = createDownloadCanvas(settings);
+        });
         
-        // Render to canvas
-        await renderToDownloadCanvas(canvas, imageElement, settings);
+        const exportSettings = getExportSettings();
+        const blob = await renderUploadBlob(imageElement, settings, exportSettings);
         
-        // Convert to blob
-        const blob = await canvasToBlob(canvas);
-        
-        // Generate filename and trigger download
-        const filename = generateFilename();
+        // Name the file after what was actually encoded, in case the browser fell back to PNG
+        const extension = getExtensionForMimeType(blob.type || exportSettings.mimeType);
+        const filename = generateFilename(extension, buildFilenameValues(settings, extension));
         triggerDownload(blob, filename);
+        saveFilenameTemplate(getFilenameTemplate());
         
     } catch (error) {
         console.error('Download failed:', error);
-        alert('Download failed. Please try again.');
+        window.notifyError(error, 'Download failed. Please try again.');
+    }
+}
+
+/**
+ * Briefly replaces a button label to confirm an action
+ * @param {string} buttonId - Button element id
+ * @param {string} message - Temporary label
+ */
+function showActionFeedback(buttonId, message) {
+    const button = document.getElementById(buttonId);
+    if (!button) return;
+    
+    if (!button.dataset.label) {
+        button.dataset.label = button.textContent;
+    }
+    button.textContent = message;
+    
+    setTimeout(() => {
+        button.textContent = button.dataset.label;
+    }, 2000);
+}
+
+/**
+ * Copies the rendered image to the clipboard as PNG
+ */
+async function handleCopyClick() {
+    try {
+        const uploadedImage = window.getUploadedImage ? window.getUploadedImage() : null;
+        const imageElement = window.getImageElement ? window.getImageElement() : null;
+        
+        if (!uploadedImage || !imageElement) {
+            window.notifyError(window.createAppError(window.ERROR_TYPES.INVALID_INPUT, 'Please upload an image first.'));
+            return;
+        }
+        
+        if (!navigator.clipboard || typeof navigator.clipboard.write !== 'function' || typeof window.ClipboardItem !== 'function') {
+            window.notify('Copying images is not supported in this browser. Please use Download instead.', 'warning');
+            return;
+        }
+        
+        // Browsers only accept PNG images on the clipboard
+        const blob = renderExportBlob(imageElement, getOutputSettings(window.getCanvasSettings()), { mimeType: 'image/png' });
+        
+        // Handing over the pending blob keeps Safari's user gesture alive while the image renders
+        await navigator.clipboard.write([new window.ClipboardItem({ 'image/png': blob })]);
+        showActionFeedback('copy-btn', '✅ Copied!');
+        
+    } catch (error) {
+        console.error('Copy failed:', error);
+        window.notifyError(error, 'Copy failed. Your browser may have blocked clipboard access; please use Download instead.');
+    }
+}
+
+/**
+ * Shares the rendered image through the Web Share API
+ * Browsers that cannot share files get the image downloaded instead
+ */
+async function handleShareClick() {
+    try {
+        const uploadedImage = window.getUploadedImage ? window.getUploadedImage() : null;
+        const imageElement = window.getImageElement ? window.getImageElement() : null;
+        
+        if (!uploadedImage || !imageElement) {
+            window.notifyError(window.createAppError(window.ERROR_TYPES.INVALID_INPUT, 'Please upload an image first.'));
+            return;
+        }
+        
+        const settings = getOutputSettings(window.getCanvasSettings());
+        const exportSettings = getExportSettings();
+        const blob = await renderUploadBlob(imageElement, settings, exportSettings);
+        const extension = getExtensionForMimeType(blob.type || exportSettings.mimeType);
+        const filename = generateFilename(extension, buildFilenameValues(settings, extension));
+        const file = new File([blob], filename, { type: blob.type || exportSettings.mimeType });
+        
+        if (typeof navigator.canShare !== 'function' || !navigator.canShare({ files: [file] })) {
+            window.notify('Sharing images is not supported in this browser. The image was downloaded instead.', 'info');
+            triggerDownload(blob, filename);
+            return;
+        }
+        
+        await navigator.share({ files: [file], title: 'FrameFilled image' });
+        
+    } catch (error) {
+        // Closing the share sheet rejects with AbortError, which is not a failure
+        if (error && error.name === 'AbortError') {
+            return;
+        }
+        console.error('Share failed:', error);
+        window.notifyError(error, 'Sharing failed. Please try again or use Download instead.');
+    }
+}
+
+/**
+ * Gets the frame sizes selected for the multi-size bundle
+ * @param {Object} settings - Current canvas settings (used for the 'current' entry)
+ * @returns {Array<Object>} - Sizes with id, width and height
+ */
+function getBundleSizes(settings) {
+    const presets = window.SIZE_PRESETS || [];
+    
+    return Array.from(document.querySelectorAll('input[name="bundle-size"]:checked'))
+        .map(checkbox => {
+            if (checkbox.value === 'current') {
+                return { id: 'current', width: settings.width, height: settings.height };
+            }
+            return presets.find(preset => preset.id === checkbox.value);
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Re-lays out settings for another frame size
+ * Fit mode and anchor are kept; pixel values (offsets, padding, border) are scaled so the design keeps its proportions
+ * The blur radius is left alone: calculateBlurRadius already scales it with the frame
+ * @param {Object} settings - Canvas settings designed at the current size
+ * @param {number} width - Target frame width
+ * @param {number} height - Target frame height
+ * @returns {Object} - Settings for the target size
+ */
+function scaleSettingsToSize(settings, width, height) {
+    const ratioX = width / settings.width;
+    const ratioY = height / settings.height;
+    const ratio = Math.min(ratioX, ratioY);
+    const fit = settings.fit || { mode: 'percentage', padding: 0, paddingUnit: 'px' };
+    const position = settings.position || { anchor: 'center', offsetX: 0, offsetY: 0 };
+    
+    return {
+        ...settings,
+        width,
+        height,
+        // Percentage mode sizes the image from its own pixels, so follow the frame
+        scale: fit.mode === 'percentage' ? settings.scale * ratio : settings.scale,
+        fit: {
+            ...fit,
+            padding: fit.paddingUnit === 'px' ? Math.round(fit.padding * ratio) : fit.padding
+        },
+        position: {
+            ...position,
+            offsetX: Math.round(position.offsetX * ratioX),
+            offsetY: Math.round(position.offsetY * ratioY)
+        },
+        ...(settings.border && { border: { ...settings.border, width: Math.round(settings.border.width * ratio) } })
+    };
+}
+
+/**
+ * Gets the output size chosen with the export multiplier or pixel target
+ * @param {Object} settings - Canvas settings at the design size
+ * @returns {Object} - Output width, height and factor relative to the design size
+ */
+function getExportDimensions(settings) {
+    const scaleSelect = document.getElementById('export-scale');
+    const targetInput = document.getElementById('export-target-width');
+    const choice = scaleSelect ? scaleSelect.value : '1';
+    
+    let factor = choice === 'custom'
+        ? parseInt(targetInput ? targetInput.value : settings.width) / settings.width
+        : parseFloat(choice);
+    if (!(factor > 0)) {
+        factor = 1;
+    }
+    factor = Math.min(factor, MAX_EXPORT_SIDE / settings.width, MAX_EXPORT_SIDE / settings.height);
+    
+    return {
+        width: Math.round(settings.width * factor),
+        height: Math.round(settings.height * factor),
+        factor
+    };
+}
+
+/**
+ * Scales design settings to the chosen export size
+ * @param {Object} settings - Canvas settings at the design size
+ * @returns {Object} - Settings to render the export with
+ */
+function getOutputSettings(settings) {
+    const { width, height } = getExportDimensions(settings);
+    
+    if (width === settings.width && height === settings.height) {
+        return settings;
+    }
+    return scaleSettingsToSize(settings, width, height);
+}
+
+/**
+ * Calculates how far the image is enlarged beyond its native resolution
+ * @param {HTMLImageElement} image - Source image
+ * @param {Object} settings - Settings the image is rendered with
+ * @returns {number} - Upscale factor (1 or less means no quality loss)
+ */
+function calculateUpscaleFactor(image, settings) {
+    if (!image || !image.width || typeof window.calculateImageLayout !== 'function') {
+        return 1;
+    }
+    
+    const layout = window.calculateImageLayout(image, settings);
+    // A crop is enlarged more than the whole photo would be
+    const source = typeof window.calculateCropRect === 'function' ? window.calculateCropRect(image, settings.crop) : image;
+    return Math.max(layout.width / source.width, layout.height / source.height);
+}
+
+/**
+ * Shows the output size and warns when the image will be upscaled
+ */
+function updateExportSizeInfo() {
+    const info = document.getElementById('export-size-info');
+    if (!info || !window.getCanvasSettings) return;
+    
+    const output = getOutputSettings(window.getCanvasSettings());
+    const image = window.getImageElement ? window.getImageElement() : null;
+    const upscale = calculateUpscaleFactor(image, output);
+    
+    let text = `Output: ${output.width}×${output.height}px`;
+    if (upscale > UPSCALE_WARNING_THRESHOLD) {
+        const source = typeof window.calculateCropRect === 'function' ? window.calculateCropRect(image, output.crop) : image;
+        const native = output.crop ? `cropped ${source.width}×${source.height}px` : `native ${image.width}×${image.height}px`;
+        text += ` · ⚠️ Image enlarged ${upscale.toFixed(1)}× beyond its ${native} and may look soft`;
+    }
+    
+    info.textContent = text;
+    info.classList.toggle('uk-text-warning', upscale > UPSCALE_WARNING_THRESHOLD);
+    
+    // The size estimate follows every change that reaches the size info (skipped while it is out of view)
+    scheduleExportEstimate();
+}
+
+/**
+ * Formats a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Size such as '512 B', '48 KB' or '2.4 MB'
+ */
+function formatFileSize(bytes) {
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
+    if (bytes < BYTES_PER_MB) {
+        return `${Math.round(bytes / 1024)} KB`;
+    }
+    return `${(bytes / BYTES_PER_MB).toFixed(1)} MB`;
+}
+
+/**
+ * Gets the file size budget from the budget input
+ * @returns {number|null} - Budget in bytes, or null when no budget is set
+ */
+function getSizeBudget() {
+    const budgetInput = document.getElementById('size-budget');
+    const megabytes = parseFloat(budgetInput ? budgetInput.value : '');
+    return megabytes > 0 ? Math.round(megabytes * BYTES_PER_MB) : null;
+}
+
+/**
+ * Remembers the size budget for the next visit
+ * @param {string} value - Budget in MB as typed, empty for no budget
+ */
+function saveSizeBudget(value) {
+    try {
+        localStorage.setItem(SIZE_BUDGET_STORAGE_KEY, value);
+    } catch (error) {
+        // Storage can be disabled (private mode); the budget just is not remembered
+    }
+}
+
+/**
+ * Restores the last used size budget into the budget input
+ */
+function loadSizeBudget() {
+    const budgetInput = document.getElementById('size-budget');
+    
+    try {
+        const budget = localStorage.getItem(SIZE_BUDGET_STORAGE_KEY);
+        if (budget !== null && budgetInput) {
+            budgetInput.value = budget;
+        }
+    } catch (error) {
+        // Fall back to no budget
+    }
+}
+
+/**
+ * Builds the estimate line shown above the download button
+ * @param {Object} estimate - Estimate with width, height, format label and size (bytes, or null while unknown)
+ * @param {number|null} budget - Size budget in bytes, or null for none
+ * @returns {Object} - Object with text and overBudget
+ */
+function describeExportEstimate(estimate, budget) {
+    const parts = [`${estimate.width}×${estimate.height}px`, estimate.format];
+    const overBudget = budget !== null && estimate.size !== null && estimate.size > budget;
+    
+    if (estimate.size !== null) {
+        parts.push(`≈ ${formatFileSize(estimate.size)}`);
+    }
+    if (overBudget) {
+        parts.push(`⚠️ Over your ${formatFileSize(budget)} budget; lower the quality or export size, or pick JPEG/WebP`);
+    }
+    
+    return { text: parts.join(' · '), overBudget };
+}
+
+/**
+ * Encodes the current design in the background and shows its dimensions, format and file size
+ * Results of older encodes that finish late are dropped
+ * @returns {Promise<void>}
+ */
+async function updateExportEstimate() {
+    const display = document.getElementById('export-estimate');
+    if (!display || !window.getCanvasSettings) return;
+    
+    const sequence = ++estimateSequence;
+    const uploadedImage = window.getUploadedImage ? window.getUploadedImage() : null;
+    const imageElement = window.getImageElement ? window.getImageElement() : null;
+    
+    if (!uploadedImage || !imageElement) {
+        display.textContent = '';
+        display.classList.remove('uk-text-warning');
+        return;
+    }
+    
+    const settings = getOutputSettings(window.getCanvasSettings());
+    const animation = typeof window.getExportAnimation === 'function' ? window.getExportAnimation() : null;
+    
+    // Encoding every frame would stall the page, so animated exports are not estimated
+    if (animation) {
+        display.textContent = `${settings.width}×${settings.height}px · GIF · ${animation.frames.length} frames`;
+        display.classList.remove('uk-text-warning');
+        return;
+    }
+    
+    const exportSettings = getExportSettings();
+    const estimate = { width: settings.width, height: settings.height, format: exportSettings.format.toUpperCase(), size: null };
+    display.textContent = `${describeExportEstimate(estimate, null).text} · estimating size…`;
+    
+    try {
+        const blob = await renderExportBlob(imageElement, settings, exportSettings, getExportMetadata());
+        if (sequence !== estimateSequence) return;
+        
+        // Show what was actually encoded, in case the browser fell back to PNG
+        const format = Object.keys(EXPORT_FORMATS).find(key => EXPORT_FORMATS[key].mimeType === blob.type);
+        estimate.format = (format || exportSettings.format).toUpperCase();
+        estimate.size = blob.size;
+    } catch (error) {
+        if (sequence !== estimateSequence) return;
+        console.error('Size estimate failed:', error);
+    }
+    
+    const { text, overBudget } = describeExportEstimate(estimate, getSizeBudget());
+    display.textContent = text;
+    display.classList.toggle('uk-text-warning', overBudget);
+}
+
+/**
+ * Schedules a size estimate once the settings stop changing
+ * While the estimate is scrolled out of view or the tab is hidden, the estimate waits until it shows again
+ */
+function scheduleExportEstimate() {
+    clearTimeout(estimateTimer);
+    
+    if (!estimateOnScreen || document.hidden) {
+        estimatePending = true;
+        return;
+    }
+    
+    estimatePending = false;
+    estimateTimer = setTimeout(updateExportEstimate, ESTIMATE_DEBOUNCE_MS);
+}
+
+/**
+ * Runs a postponed size estimate once the estimate line is back in view
+ * @param {boolean} onScreen - Whether the estimate line is on screen
+ */
+function setExportEstimateOnScreen(onScreen) {
+    estimateOnScreen = onScreen;
+    if (onScreen && estimatePending) {
+        scheduleExportEstimate();
+    }
+}
+
+/**
+ * Tracks whether the estimate line is visible
+ * Without IntersectionObserver the line counts as always on screen
+ */
+function observeExportEstimate() {
+    const display = document.getElementById('export-estimate');
+    
+    if (display && typeof window.IntersectionObserver === 'function') {
+        const observer = new window.IntersectionObserver(entries => {
+            setExportEstimateOnScreen(entries.some(entry => entry.isIntersecting));
+        });
+        observer.observe(display);
+    }
+    
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden && estimatePending) {
+            scheduleExportEstimate();
+        }
+    });
+}
+
+/**
+ * Shows the pixel target input only for the custom export size
+ * @param {string} choice - Selected export scale
+ */
+function toggleExportTargetControls(choice) {
+    const targetControls = document.getElementById('export-target-controls');
+    if (targetControls) {
+        targetControls.style.display = choice === 'custom' ? '' : 'none';
+    }
+}
+
+/**
+ * Renders and encodes the current image at every selected bundle size and downloads them as one ZIP
+ */
+async function handleBundleDownloadClick() {
+    try {
+        const uploadedImage = window.getUploadedImage ? window.getUploadedImage() : null;
+        const imageElement = window.getImageElement ? window.getImageElement() : null;
+        
+        if (!uploadedImage || !imageElement) {
+            window.notifyError(window.createAppError(window.ERROR_TYPES.INVALID_INPUT, 'Please upload an image first.'));
+            return;
+        }
+        
+        const settings = window.getCanvasSettings();
+        const sizes = getBundleSizes(settings);
+        
+        if (sizes.length === 0) {
+            window.notifyError(window.createAppError(window.ERROR_TYPES.INVALID_INPUT, 'Please select at least one size for the bundle.'));
+            return;
+        }
+        
+        const exportSettings = getExportSettings();
+        // Without a size token every file in the bundle would get the same name
+        let template = getFilenameTemplate();
+        if (!/\{(preset|width|height)\}/.test(template)) {
+            template += '-{width}x{height}';
+        }
+        
+        const usedNames = new Set();
+        const entries = [];
+        
+        for (let index = 0; index < sizes.length; index++) {
+            const sizeSettings = scaleSettingsToSize(settings, sizes[index].width, sizes[index].height);
+            const blob = await renderExportBlob(imageElement, sizeSettings, exportSettings, getExportMetadata());
+            const extension = getExtensionForMimeType(blob.type || exportSettings.mimeType);
+            const filename = generateFilename(extension, buildFilenameValues(sizeSettings, extension, index + 1), template);
+            
+            entries.push({
+                name: window.uniqueZipEntryName(filename, usedNames),
+                bytes: await window.blobToBytes(blob)
+            });
+        }
+        
+        triggerDownload(window.createZipArchive(entries), `framefill-sizes-${formatFilenameDate(new Date())}.zip`);
+        saveFilenameTemplate(getFilenameTemplate());
+        
+    } catch (error) {
+        console.error('Bundle download failed:', error);
+        window.notifyError(error, 'Bundle download failed. Please try again.');
+    }
+}
+
+/**
+ * Updates the quality label next to the quality slider
+ * @param {number} value - Quality percentage
+ */
+function updateExportQualityDisplay(value) {
+    const qualityDisplay = document.getElementById('export-quality-display');
+    if (qualityDisplay) {
+        qualityDisplay.textContent = `${value}%`;
+    }
+}
+
+/**
+ * Shows the quality slider only for lossy formats
+ * @param {string} format - Export format key ('png', 'jpeg' or 'webp')
+ */
+function toggleExportQualityControls(format) {
+    const qualityControls = document.getElementById('export-quality-controls');
+    const exportFormat = EXPORT_FORMATS[format] || EXPORT_FORMATS.png;
+    
+    if (qualityControls) {
+        qualityControls.style.display = exportFormat.lossy ? '' : 'none';
+    }
+}
+
+/**
+ * Shows the page settings only when exporting a PDF
+ * @param {string} format - Selected export format key
+ */
+function togglePdfControls(format) {
+    const pdfControls = document.getElementById('pdf-controls');
+    if (pdfControls) {
+        pdfControls.style.display = format === 'pdf' ? '' : 'none';
+    }
+}
+
+/**
+ * Shows the DPI field for frame-sized pages and the margin field for paper sizes
+ * @param {string} pageSize - Selected page size
+ */
+function togglePdfPageControls(pageSize) {
+    const dpiControls = document.getElementById('pdf-dpi-controls');
+    const marginControls = document.getElementById('pdf-margin-controls');
+    
+    if (dpiControls) dpiControls.style.display = pageSize === 'frame' ? '' : 'none';
+    if (marginControls) marginControls.style.display = pageSize === 'frame' ? 'none' : '';
+}
+
+/**
+ * Disables format options the browser cannot encode
+ */
+function updateAvailableExportFormats() {
+    const formatSelect = document.getElementById('export-format');
+    if (!formatSelect) return;
+    
+    Array.from(formatSelect.options).forEach(option => {
+        const format = EXPORT_FORMATS[option.value];
+        option.disabled = !format || (format.mimeType !== 'image/png' && !format.document && !supportsImageEncoding(format.mimeType));
+    });
+    
+    if (formatSelect.selectedOptions[0] && formatSelect.selectedOptions[0].disabled) {
+        formatSelect.value = 'png';
+    }
+}
+
+/**
+ * Shows the filename the current template and settings produce
+ */
+function updateFilenamePreview() {
+    const preview = document.getElementById('filename-preview');
+    if (!preview) return;
+    
+    const settings = getOutputSettings(window.getCanvasSettings ? window.getCanvasSettings() : { width: 800, height: 600 });
+    // Animated uploads are always saved as GIF
+    const animated = typeof window.getExportAnimation === 'function' && window.getExportAnimation();
+    const { extension } = animated ? EXPORT_FORMATS.gif : getExportSettings();
+    preview.textContent = generateFilename(extension, buildFilenameValues(settings, extension));
+}
+
+/**
+ * Binds export format, quality and filename controls
+ */
+function bindExportFormatEvents() {
+    const formatSelect = document.getElementById('export-format');
+    const qualitySlider = document.getElementById('export-quality');
+    const templateInput = document.getElementById('filename-template');
+    const scaleSelect = document.getElementById('export-scale');
+    const targetInput = document.getElementById('export-target-width');
+    
+    const handleExportSizeChange = () => {
+        toggleExportTargetControls(scaleSelect.value);
+        updateExportSizeInfo();
+        updateFilenamePreview();
+    };
+    
+    if (scaleSelect) {
+        scaleSelect.addEventListener('change', handleExportSizeChange);
+        toggleExportTargetControls(scaleSelect.value);
+    }
+    
+    if (scaleSelect && targetInput) {
+        targetInput.addEventListener('input', handleExportSizeChange);
+    }
+    
+    if (formatSelect) {
+        formatSelect.addEventListener('change', (event) => {
+            toggleExportQualityControls(event.target.value);
+            togglePdfControls(event.target.value);
+            updateFilenamePreview();
+            scheduleExportEstimate();
+        });
+        toggleExportQualityControls(formatSelect.value);
+        togglePdfControls(formatSelect.value);
+    }
+    
+    const pageSizeSelect = document.getElementById('pdf-page-size');
+    if (pageSizeSelect) {
+        pageSizeSelect.addEventListener('change', (event) => togglePdfPageControls(event.target.value));
+        togglePdfPageControls(pageSizeSelect.value);
+    }
+    
+    if (templateInput) {
+        templateInput.addEventListener('input', updateFilenamePreview);
+    }
+    
+    const animatedCheckbox = document.getElementById('export-animated');
+    if (animatedCheckbox) {
+        animatedCheckbox.addEventListener('change', () => {
+            updateFilenamePreview();
+            scheduleExportEstimate();
+        });
+    }
+    
+    if (qualitySlider) {
+        qualitySlider.addEventListener('input', (event) => {
+            updateExportQualityDisplay(parseInt(event.target.value));
+            scheduleExportEstimate();
+        });
+        updateExportQualityDisplay(parseInt(qualitySlider.value));
+    }
+    
+    // Metadata and PDF page settings change the encoded size too
+    ['export-keep-camera', 'export-keep-date', 'pdf-page-size', 'pdf-dpi', 'pdf-margin', 'pdf-image-encoding'].forEach(id => {
+        const control = document.getElementById(id);
+        if (control) {
+            control.addEventListener('change', scheduleExportEstimate);
+        }
+    });
+    
+    const budgetInput = document.getElementById('size-budget');
+    if (budgetInput) {
+        budgetInput.addEventListener('input', (event) => {
+            saveSizeBudget(event.target.value);
+            scheduleExportEstimate();
+        });
     }
 }
 
@@ -207,6 +1109,21 @@ function bindDownloadEvent() {
     if (previewDownloadBtn) {
         previewDownloadBtn.addEventListener('click', handleDownloadClick);
     }
+    
+    const bundleDownloadBtn = document.getElementById('bundle-download-btn');
+    if (bundleDownloadBtn) {
+        bundleDownloadBtn.addEventListener('click', handleBundleDownloadClick);
+    }
+    
+    const copyBtn = document.getElementById('copy-btn');
+    if (copyBtn) {
+        copyBtn.addEventListener('click', handleCopyClick);
+    }
+    
+    const shareBtn = document.getElementById('share-btn');
+    if (shareBtn) {
+        shareBtn.addEventListener('click', handleShareClick);
+    }
 }
 
 /**
@@ -214,17 +1131,66 @@ function bindDownloadEvent() {
  */
 function initializeDownload() {
     bindDownloadEvent();
+    updateAvailableExportFormats();
+    loadFilenameTemplate();
+    loadSizeBudget();
+    bindExportFormatEvents();
+    observeExportEstimate();
+    updateFilenamePreview();
 }
 
 // Export functions for testing and use
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        sanitizeFilename,
+        formatFilenameDate,
+        applyFilenameTemplate,
+        getFilenameTemplate,
+        saveFilenameTemplate,
+        loadFilenameTemplate,
+        buildFilenameValues,
         generateFilename,
+        supportsImageEncoding,
+        getExtensionForMimeType,
+        getPdfSettings,
+        getExportSettings,
         createDownloadCanvas,
         renderToDownloadCanvas,
+        prepareCanvasForFormat,
         canvasToBlob,
         triggerDownload,
+        selectExportMetadata,
+        getExportMetadata,
+        renderExportBlob,
+        renderUploadBlob,
         handleDownloadClick,
+        showActionFeedback,
+        handleCopyClick,
+        handleShareClick,
+        getBundleSizes,
+        scaleSettingsToSize,
+        getExportDimensions,
+        getOutputSettings,
+        calculateUpscaleFactor,
+        updateExportSizeInfo,
+        formatFileSize,
+        getSizeBudget,
+        saveSizeBudget,
+        loadSizeBudget,
+        describeExportEstimate,
+        updateExportEstimate,
+        scheduleExportEstimate,
+        setExportEstimateOnScreen,
+        observeExportEstimate,
+        toggleExportTargetControls,
+        handleBundleDownloadClick,
+        updateExportQualityDisplay,
+        toggleExportQualityControls,
+        togglePdfControls,
+        togglePdfPageControls,
+        updateAvailableExportFormats,
+        updateFilenamePreview,
+        bindExportFormatEvents,
         enablePreviewDownloadButton,
         disablePreviewDownloadButton,
         bindDownloadEvent,
@@ -234,12 +1200,55 @@ if (typeof module !== 'undefined' && module.exports) {
 
 // Make functions available globally for browser use
 if (typeof window !== 'undefined') {
+    window.sanitizeFilename = sanitizeFilename;
+    window.formatFilenameDate = formatFilenameDate;
+    window.applyFilenameTemplate = applyFilenameTemplate;
+    window.getFilenameTemplate = getFilenameTemplate;
+    window.saveFilenameTemplate = saveFilenameTemplate;
+    window.loadFilenameTemplate = loadFilenameTemplate;
+    window.buildFilenameValues = buildFilenameValues;
     window.generateFilename = generateFilename;
+    window.supportsImageEncoding = supportsImageEncoding;
+    window.getExtensionForMimeType = getExtensionForMimeType;
+    window.getPdfSettings = getPdfSettings;
+    window.getExportSettings = getExportSettings;
     window.createDownloadCanvas = createDownloadCanvas;
     window.renderToDownloadCanvas = renderToDownloadCanvas;
+    window.prepareCanvasForFormat = prepareCanvasForFormat;
     window.canvasToBlob = canvasToBlob;
     window.triggerDownload = triggerDownload;
+    window.selectExportMetadata = selectExportMetadata;
+    window.getExportMetadata = getExportMetadata;
+    window.renderExportBlob = renderExportBlob;
+    window.renderUploadBlob = renderUploadBlob;
     window.handleDownloadClick = handleDownloadClick;
+    window.showActionFeedback = showActionFeedback;
+    window.handleCopyClick = handleCopyClick;
+    window.handleShareClick = handleShareClick;
+    window.getBundleSizes = getBundleSizes;
+    window.scaleSettingsToSize = scaleSettingsToSize;
+    window.getExportDimensions = getExportDimensions;
+    window.getOutputSettings = getOutputSettings;
+    window.calculateUpscaleFactor = calculateUpscaleFactor;
+    window.updateExportSizeInfo = updateExportSizeInfo;
+    window.formatFileSize = formatFileSize;
+    window.getSizeBudget = getSizeBudget;
+    window.saveSizeBudget = saveSizeBudget;
+    window.loadSizeBudget = loadSizeBudget;
+    window.describeExportEstimate = describeExportEstimate;
+    window.updateExportEstimate = updateExportEstimate;
+    window.scheduleExportEstimate = scheduleExportEstimate;
+    window.setExportEstimateOnScreen = setExportEstimateOnScreen;
+    window.observeExportEstimate = observeExportEstimate;
+    window.toggleExportTargetControls = toggleExportTargetControls;
+    window.handleBundleDownloadClick = handleBundleDownloadClick;
+    window.updateExportQualityDisplay = updateExportQualityDisplay;
+    window.toggleExportQualityControls = toggleExportQualityControls;
+    window.togglePdfControls = togglePdfControls;
+    window.togglePdfPageControls = togglePdfPageControls;
+    window.updateAvailableExportFormats = updateAvailableExportFormats;
+    window.updateFilenamePreview = updateFilenamePreview;
+    window.bindExportFormatEvents = bindExportFormatEvents;
     window.enablePreviewDownloadButton = enablePreviewDownloadButton;
     window.disablePreviewDownloadButton = disablePreviewDownloadButton;
     window.bindDownloadEvent = bindDownloadEvent;
@@ -0,0 +1,227 @@
+/**
+ * Edge Fill Module
+ * Backgrounds that continue the photo into the empty frame: stretched edges, mirrored tiles and edge colors
+ */
+
+// Longest side of the downscaled copy used to sample edge colors
+const EDGE_SAMPLE_SIZE = 64;
+
+const edgeColorCache = new WeakMap();
+
+/**
+ * Averages the outermost pixel row or column on each side of an RGBA buffer
+ * Pixels are weighted by alpha so transparent edges do not pull colors to black
+ * Relies on rgbToHex from colorExtractor.js
+ * @param {Uint8ClampedArray} data - RGBA pixel buffer
+ * @param {number} width - Buffer width in pixels
+ * @param {number} height - Buffer height in pixels
+ * @returns {Object} - Object with top, bottom, left and right hex colors
+ */
+function averageEdgeColors(data, width, height) {
+    const averageOf = (pixelIndexes) => {
+        let r = 0, g = 0, b = 0, weight = 0;
+        
+        pixelIndexes.forEach(index => {
+            const alpha = data[index * 4 + 3];
+            r += data[index * 4] * alpha;
+            g += data[index * 4 + 1] * alpha;
+            b += data[index * 4 + 2] * alpha;
+            weight += alpha;
+        });
+        
+        return weight > 0 ? rgbToHex(r / weight, g / weight, b / weight) : '#ffffff';
+    };
+    
+    const range = (count, toIndex) => Array.from({ length: count }, (_, i) => toIndex(i));
+    
+    return {
+        top: averageOf(range(width, x => x)),
+        bottom: averageOf(range(width, x => (height - 1) * width + x)),
+        left: averageOf(range(height, y => y * width)),
+        right: averageOf(range(height, y => y * width + width - 1))
+    };
+}
+
+/**
+ * Samples the average color along each edge of an image
+ * Results are cached per image because the preview re-renders on every input
+ * @param {HTMLImageElement} image - Source image
+ * @returns {Object|null} - Object with top, bottom, left and right colors, or null if pixels are unreadable
+ */
+function sampleImageEdgeColors(image) {
+    if (edgeColorCache.has(image)) {
+        return edgeColorCache.get(image);
+    }
+    
+    let colors = null;
+    try {
+        const ratio = Math.min(1, EDGE_SAMPLE_SIZE / Math.max(image.width, image.height));
+        const width = Math.max(1, Math.round(image.width * ratio));
+        const height = Math.max(1, Math.round(image.height * ratio));
+        
+        const scratch = document.createElement('canvas');
+        scratch.width = width;
+        scratch.height = height;
+        
+        const scratchCtx = scratch.getContext('2d');
+        if (scratchCtx) {
+            scratchCtx.drawImage(image, 0, 0, width, height);
+            colors = averageEdgeColors(scratchCtx.getImageData(0, 0, width, height).data, width, height);
+        }
+    } catch (error) {
+        // Unreadable pixels (e.g. a tainted canvas) leave the caller to fall back
+        colors = null;
+    }
+    
+    edgeColorCache.set(image, colors);
+    return colors;
+}
+
+/**
+ * Stretches the outermost rows and columns of the image out to the frame edges
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {HTMLImageElement} image - Source image
+ * @param {Object} layout - Image layout with x, y, width and height
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ */
+function paintEdgeExtension(ctx, image, layout, canvasWidth, canvasHeight) {
+    const left = layout.x;
+    const top = layout.y;
+    const right = layout.x + layout.width;
+    const bottom = layout.y + layout.height;
+    const lastColumn = image.width - 1;
+    const lastRow = image.height - 1;
+    
+    // Sides: one pixel column or row stretched across the gap
+    if (left > 0) {
+        ctx.drawImage(image, 0, 0, 1, image.height, 0, top, left, layout.height);
+    }
+    if (right < canvasWidth) {
+        ctx.drawImage(image, lastColumn, 0, 1, image.height, right, top, canvasWidth - right, layout.height);
+    }
+    if (top > 0) {
+        ctx.drawImage(image, 0, 0, image.width, 1, left, 0, layout.width, top);
+    }
+    if (bottom < canvasHeight) {
+        ctx.drawImage(image, 0, lastRow, image.width, 1, left, bottom, layout.width, canvasHeight - bottom);
+    }
+    
+    // Corners: the corner pixel fills the remaining rectangle
+    if (left > 0 && top > 0) {
+        ctx.drawImage(image, 0, 0, 1, 1, 0, 0, left, top);
+    }
+    if (right < canvasWidth && top > 0) {
+        ctx.drawImage(image, lastColumn, 0, 1, 1, right, 0, canvasWidth - right, top);
+    }
+    if (left > 0 && bottom < canvasHeight) {
+        ctx.drawImage(image, 0, lastRow, 1, 1, 0, bottom, left, canvasHeight - bottom);
+    }
+    if (right < canvasWidth && bottom < canvasHeight) {
+        ctx.drawImage(image, lastColumn, lastRow, 1, 1, right, bottom, canvasWidth - right, canvasHeight - bottom);
+    }
+}
+
+/**
+ * Tiles mirrored copies of the image around it until the frame is covered
+ * Neighbouring tiles are flipped so every seam continues the photo
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {HTMLImageElement} image - Source image
+ * @param {Object} layout - Image layout with x, y, width and height
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ */
+function paintMirroredBackground(ctx, image, layout, canvasWidth, canvasHeight) {
+    if (layout.width <= 0 || layout.height <= 0) {
+        return;
+    }
+    
+    const firstColumn = -Math.ceil(layout.x / layout.width);
+    const lastColumn = Math.ceil((canvasWidth - layout.x - layout.width) / layout.width);
+    const firstRow = -Math.ceil(layout.y / layout.height);
+    const lastRow = Math.ceil((canvasHeight - layout.y - layout.height) / layout.height);
+    
+    for (let row = firstRow; row <= lastRow; row++) {
+        for (let column = firstColumn; column <= lastColumn; column++) {
+            // The main image is drawn on top afterwards
+            if (row === 0 && column === 0) continue;
+            
+            const flipX = Math.abs(column) % 2 === 1;
+            const flipY = Math.abs(row) % 2 === 1;
+            const tileX = layout.x + column * layout.width;
+            const tileY = layout.y + row * layout.height;
+            
+            ctx.save();
+            ctx.translate(tileX + (flipX ? layout.width : 0), tileY + (flipY ? layout.height : 0));
+            ctx.scale(flipX ? -1 : 1, flipY ? -1 : 1);
+            ctx.drawImage(image, 0, 0, layout.width, layout.height);
+            ctx.restore();
+        }
+    }
+}
+
+/**
+ * Fills the frame around the image with the image's average edge colors
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} colors - Object with top, bottom, left and right colors
+ * @param {Object} layout - Image layout with x, y, width and height
+ * @param {string} style - 'solid' fills each side with its color, 'gradient' blends opposite sides
+ * @param {number} canvasWidth - Canvas width
+ * @param {number} canvasHeight - Canvas height
+ */
+function paintEdgeColorBackground(ctx, colors, layout, style, canvasWidth, canvasHeight) {
+    const left = Math.max(0, layout.x);
+    const top = Math.max(0, layout.y);
+    const right = Math.min(canvasWidth, layout.x + layout.width);
+    const bottom = Math.min(canvasHeight, layout.y + layout.height);
+    
+    if (style === 'gradient') {
+        // Blend across whichever axis has more empty space
+        const horizontalGap = left + (canvasWidth - right);
+        const verticalGap = top + (canvasHeight - bottom);
+        const gradient = horizontalGap >= verticalGap
+            ? ctx.createLinearGradient(0, 0, canvasWidth, 0)
+            : ctx.createLinearGradient(0, 0, 0, canvasHeight);
+        
+        gradient.addColorStop(0, horizontalGap >= verticalGap ? colors.left : colors.top);
+        gradient.addColorStop(1, horizontalGap >= verticalGap ? colors.right : colors.bottom);
+        
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+        return;
+    }
+    
+    const bands = [
+        { color: colors.top, rect: [0, 0, canvasWidth, top] },
+        { color: colors.bottom, rect: [0, bottom, canvasWidth, canvasHeight - bottom] },
+        { color: colors.left, rect: [0, top, left, bottom - top] },
+        { color: colors.right, rect: [right, top, canvasWidth - right, bottom - top] }
+    ];
+    
+    bands.forEach(({ color, rect }) => {
+        if (rect[2] > 0 && rect[3] > 0) {
+            ctx.fillStyle = color;
+            ctx.fillRect(...rect);
+        }
+    });
+}
+
+// Export functions for testing and use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        averageEdgeColors,
+        sampleImageEdgeColors,
+        paintEdgeExtension,
+        paintMirroredBackground,
+        paintEdgeColorBackground
+    };
+}
+
+// Make functions available globally for browser use
+if (typeof window !== 'undefined') {
+    window.averageEdgeColors = averageEdgeColors;
+    window.sampleImageEdgeColors = sampleImageEdgeColors;
+    window.paintEdgeExtension = paintEdgeExtension;
+    window.paintMirroredBackground = paintMirroredBackground;
+    window.paintEdgeColorBackground = paintEdgeColorBackground;
+}
@@ -0,0 +1,328 @@
+/**
+ * EXIF Reader Module
+ * Reads orientation and key metadata from uploaded JPEGs and writes selected metadata back into exports
+ */
+
+// The EXIF APP1 segment is at most 64KB but can follow other segments, so scan twice that
+const EXIF_SCAN_BYTES = 128 * 1024;
+
+const EXIF_TAGS = {
+    make: 0x010f,
+    model: 0x0110,
+    orientation: 0x0112,
+    dateTime: 0x0132,
+    exifIfd: 0x8769,
+    gpsIfd: 0x8825,
+    dateTimeOriginal: 0x9003
+};
+
+const TIFF_TYPE_ASCII = 2;
+const TIFF_TYPE_SHORT = 3;
+const TIFF_TYPE_LONG = 4;
+
+/**
+ * Reads the entries of one TIFF image file directory
+ * @param {DataView} view - View over the TIFF block
+ * @param {number} offset - IFD offset within the TIFF block
+ * @param {boolean} littleEndian - Byte order of the TIFF block
+ * @returns {Object} - Map of tag number to decoded value (numbers or trimmed strings)
+ */
+function readTiffDirectory(view, offset, littleEndian) {
+    const values = {};
+    const count = view.getUint16(offset, littleEndian);
+
+    for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        const tag = view.getUint16(entry, littleEndian);
+        const type = view.getUint16(entry + 2, littleEndian);
+        const length = view.getUint32(entry + 4, littleEndian);
+
+        if (type === TIFF_TYPE_SHORT) {
+            values[tag] = view.getUint16(entry + 8, littleEndian);
+        } else if (type === TIFF_TYPE_LONG) {
+            values[tag] = view.getUint32(entry + 8, littleEndian);
+        } else if (type === TIFF_TYPE_ASCII) {
+            // Strings up to 4 bytes sit in the entry itself, longer ones behind an offset
+            const start = length <= 4 ? entry + 8 : view.getUint32(entry + 8, littleEndian);
+            let text = '';
+            for (let j = 0; j < length; j++) {
+                text += String.fromCharCode(view.getUint8(start + j));
+            }
+            values[tag] = text.replace(/\0+$/, '').trim();
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parses EXIF metadata from JPEG bytes
+ * @param {Uint8Array} bytes - Start of a JPEG file
+ * @returns {Object|null} - Metadata with orientation, make, model, dateTaken and hasLocation, or null without EXIF
+ */
+function readExifFromBytes(bytes) {
+    if (bytes.length < 4 || bytes[0] !== 0xff || bytes[1] !== 0xd8) {
+        return null;
+    }
+
+    try {
+        let offset = 2;
+        while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+            const marker = bytes[offset + 1];
+            // Start of scan or end of image: no metadata segments follow
+            if (marker === 0xda || marker === 0xd9) {
+                break;
+            }
+
+            const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+            const isExif = marker === 0xe1 && String.fromCharCode(...bytes.subarray(offset + 4, offset + 10)) === 'Exif\0\0';
+
+            if (isExif) {
+                const tiffStart = offset + 10;
+                const view = new DataView(bytes.buffer, bytes.byteOffset + tiffStart, Math.min(length - 8, bytes.length - tiffStart));
+                const littleEndian = view.getUint16(0) === 0x4949;
+                if (view.getUint16(2, littleEndian) !== 42) {
+                    return null;
+                }
+
+                const ifd0 = readTiffDirectory(view, view.getUint32(4, littleEndian), littleEndian);
+                const exif = ifd0[EXIF_TAGS.exifIfd] ? readTiffDirectory(view, ifd0[EXIF_TAGS.exifIfd], littleEndian) : {};
+
+                return {
+                    orientation: ifd0[EXIF_TAGS.orientation] || 1,
+                    make: ifd0[EXIF_TAGS.make] || null,
+                    model: ifd0[EXIF_TAGS.model] || null,
+                    dateTaken: exif[EXIF_TAGS.dateTimeOriginal] || ifd0[EXIF_TAGS.dateTime] || null,
+                    hasLocation: EXIF_TAGS.gpsIfd in ifd0
+                };
+            }
+
+            offset += 2 + length;
+        }
+    } catch (error) {
+        // Truncated or malformed EXIF is treated as missing
+        console.error('EXIF parsing error:', error);
+    }
+
+    return null;
+}
+
+/**
+ * Reads EXIF metadata from an uploaded file
+ * @param {File} file - Uploaded image file
+ * @returns {Promise<Object|null>} - Promise resolving to metadata, or null for non-JPEGs and unreadable files
+ */
+async function readImageMetadata(file) {
+    if (!file || file.type !== 'image/jpeg') {
+        return null;
+    }
+
+    try {
+        const bytes = await window.blobToBytes(file.slice(0, EXIF_SCAN_BYTES));
+        return readExifFromBytes(bytes);
+    } catch (error) {
+        console.error('Metadata reading error:', error);
+        return null;
+    }
+}
+
+/**
+ * Checks whether the browser already rotates images by their EXIF orientation
+ * Browsers that support image-orientation also apply it when drawing to a canvas
+ * @returns {boolean} - True if no manual rotation is needed
+ */
+function browserAppliesExifOrientation() {
+    return typeof CSS !== 'undefined' && typeof CSS.supports === 'function' && CSS.supports('image-orientation', 'from-image');
+}
+
+/**
+ * Gets the canvas transform that turns a stored image upright
+ * @param {number} orientation - EXIF orientation (1-8)
+ * @param {number} width - Stored image width
+ * @param {number} height - Stored image height
+ * @returns {Object} - Upright width, height and transform matrix [a, b, c, d, e, f]
+ */
+function getOrientationTransform(orientation, width, height) {
+    const matrices = {
+        2: [-1, 0, 0, 1, width, 0],
+        3: [-1, 0, 0, -1, width, height],
+        4: [1, 0, 0, -1, 0, height],
+        5: [0, 1, 1, 0, 0, 0],
+        6: [0, 1, -1, 0, height, 0],
+        7: [0, -1, -1, 0, height, width],
+        8: [0, -1, 1, 0, 0, width]
+    };
+    const swapsSides = orientation >= 5 && orientation <= 8;
+
+    return {
+        width: swapsSides ? height : width,
+        height: swapsSides ? width : height,
+        matrix: matrices[orientation] || [1, 0, 0, 1, 0, 0]
+    };
+}
+
+/**
+ * Returns an upright copy of an image stored rotated or mirrored
+ * The copy is the canvas itself; re-encoding it would be slow and hold the pixels twice
+ * @param {HTMLImageElement|HTMLCanvasElement} image - Decoded image
+ * @param {number} orientation - EXIF orientation (1-8)
+ * @returns {Promise<HTMLImageElement|HTMLCanvasElement>} - Promise resolving to the upright canvas (the same image if nothing changes)
+ */
+function normalizeImageOrientation(image, orientation) {
+    if (!orientation || orientation === 1 || browserAppliesExifOrientation()) {
+        return Promise.resolve(image);
+    }
+
+    const { width, height, matrix } = getOrientationTransform(orientation, image.width, image.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext('2d');
+    ctx.transform(...matrix);
+    ctx.drawImage(image, 0, 0);
+
+    return Promise.resolve(canvas);
+}
+
+/**
+ * Formats an EXIF date for display
+ * @param {string} value - EXIF date such as '2024:05:01 12:34:56'
+ * @returns {string} - Date such as '2024-05-01 12:34'
+ */
+function formatExifDate(value) {
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2})/.exec(value || '');
+    return match ? `${match[1]}-${match[2]}-${match[3]} ${match[4]}:${match[5]}` : (value || '');
+}
+
+/**
+ * Builds a JPEG APP1 segment holding only the given metadata
+ * Orientation is always written as 1 because exports are rendered upright
+ * @param {Object} metadata - Metadata with optional make, model and dateTaken
+ * @returns {Uint8Array} - Complete APP1 segment including marker and length
+ */
+function buildExifSegment(metadata) {
+    const text = (value) => Uint8Array.from(`${value}\0`, character => character.charCodeAt(0) & 0xff);
+
+    const ifd0 = [];
+    if (metadata.make) {
+        ifd0.push({ tag: EXIF_TAGS.make, bytes: text(metadata.make) });
+    }
+    if (metadata.model) {
+        ifd0.push({ tag: EXIF_TAGS.model, bytes: text(metadata.model) });
+    }
+    ifd0.push({ tag: EXIF_TAGS.orientation, short: 1 });
+    if (metadata.dateTaken) {
+        ifd0.push({ tag: EXIF_TAGS.dateTime, bytes: text(metadata.dateTaken) });
+    }
+
+    const exifIfd = metadata.dateTaken ? [{ tag: EXIF_TAGS.dateTimeOriginal, bytes: text(metadata.dateTaken) }] : [];
+    if (exifIfd.length) {
+        ifd0.push({ tag: EXIF_TAGS.exifIfd, long: 0 });
+    }
+
+    // Layout: header, IFD0, Exif IFD, then the strings too long to sit inside an entry
+    const exifIfdOffset = 8 + 2 + ifd0.length * 12 + 4;
+    let dataOffset = exifIfdOffset + (exifIfd.length ? 2 + exifIfd.length * 12 + 4 : 0);
+    ifd0.concat(exifIfd).forEach(entry => {
+        if (entry.bytes && entry.bytes.length > 4) {
+            entry.dataOffset = dataOffset;
+            dataOffset += entry.bytes.length + (entry.bytes.length % 2);
+        }
+        if (entry.tag === EXIF_TAGS.exifIfd) {
+            entry.long = exifIfdOffset;
+        }
+    });
+
+    const tiff = new Uint8Array(dataOffset);
+    const view = new DataView(tiff.buffer);
+    view.setUint16(0, 0x4949);
+    view.setUint16(2, 42, true);
+    view.setUint32(4, 8, true);
+
+    const writeDirectory = (entries, offset) => {
+        view.setUint16(offset, entries.length, true);
+        entries.forEach((entry, index) => {
+            const position = offset + 2 + index * 12;
+            view.setUint16(position, entry.tag, true);
+
+            if (entry.bytes) {
+                view.setUint16(position + 2, TIFF_TYPE_ASCII, true);
+                view.setUint32(position + 4, entry.bytes.length, true);
+                if (entry.dataOffset !== undefined) {
+                    view.setUint32(position + 8, entry.dataOffset, true);
+                    tiff.set(entry.bytes, entry.dataOffset);
+                } else {
+                    tiff.set(entry.bytes, position + 8);
+                }
+            } else if (entry.long !== undefined) {
+                view.setUint16(position + 2, TIFF_TYPE_LONG, true);
+                view.setUint32(position + 4, 1, true);
+                view.setUint32(position + 8, entry.long, true);
+            } else {
+                view.setUint16(position + 2, TIFF_TYPE_SHORT, true);
+                view.setUint32(position + 4, 1, true);
+                view.setUint16(position + 8, entry.short, true);
+            }
+        });
+        // No further directories
+        view.setUint32(offset + 2 + entries.length * 12, 0, true);
+    };
+
+    writeDirectory(ifd0, 8);
+    if (exifIfd.length) {
+        writeDirectory(exifIfd, exifIfdOffset);
+    }
+
+    const segmentLength = 2 + 6 + tiff.length;
+    const segment = new Uint8Array(2 + segmentLength);
+    segment.set([0xff, 0xe1, segmentLength >> 8, segmentLength & 0xff]);
+    segment.set(Uint8Array.from('Exif\0\0', character => character.charCodeAt(0)), 4);
+    segment.set(tiff, 10);
+
+    return segment;
+}
+
+/**
+ * Writes metadata into an encoded JPEG
+ * @param {Blob} blob - JPEG produced by the canvas (carries no metadata of its own)
+ * @param {Object} metadata - Metadata to write
+ * @returns {Promise<Blob>} - Promise resolving to the JPEG with an EXIF segment
+ */
+async function embedExifInJpeg(blob, metadata) {
+    const bytes = await window.blobToBytes(blob);
+
+    if (bytes[0] !== 0xff || bytes[1] !== 0xd8) {
+        return blob;
+    }
+
+    return new Blob([bytes.subarray(0, 2), buildExifSegment(metadata), bytes.subarray(2)], { type: 'image/jpeg' });
+}
+
+// Export functions for testing and use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        readTiffDirectory,
+        readExifFromBytes,
+        readImageMetadata,
+        browserAppliesExifOrientation,
+        getOrientationTransform,
+        normalizeImageOrientation,
+        formatExifDate,
+        buildExifSegment,
+        embedExifInJpeg
+    };
+}
+
+// Make functions available globally for browser use
+if (typeof window !== 'undefined') {
+    window.readTiffDirectory = readTiffDirectory;
+    window.readExifFromBytes = readExifFromBytes;
+    window.readImageMetadata = readImageMetadata;
+    window.browserAppliesExifOrientation = browserAppliesExifOrientation;
+    window.getOrientationTransform = getOrientationTransform;
+    window.normalizeImageOrientation = normalizeImageOrientation;
+    window.formatExifDate = formatExifDate;
+    window.buildExifSegment = buildExifSegment;
+    window.embedExifInJpeg = embedExifInJpeg;
+}
@@ -0,0 +1,524 @@
+/**
+ * GIF Codec Module
+ * Decodes animated GIFs into full frames and encodes rendered frames back into an animated GIF
+ */
+
+// Largest LZW code table allowed by the GIF format
+const GIF_MAX_CODES = 4096;
+// Frames are encoded with 8-bit indices into a 256-entry local color table
+const GIF_CODE_SIZE = 8;
+const GIF_PALETTE_SIZE = 256;
+// Pixels sampled per frame to build its palette
+const MAX_QUANTIZE_SAMPLES = 20000;
+// Disposal methods from the Graphic Control Extension
+const GIF_DISPOSAL_BACKGROUND = 2;
+const GIF_DISPOSAL_PREVIOUS = 3;
+
+/**
+ * Decompresses GIF LZW image data into color indices
+ * @param {number} minCodeSize - LZW minimum code size from the image block
+ * @param {Uint8Array} data - Compressed data with the sub-block lengths removed
+ * @param {number} pixelCount - Number of indices to produce
+ * @returns {Uint8Array} - Color indices; a truncated stream leaves the rest at 0
+ */
+function decodeGifLzw(minCodeSize, data, pixelCount) {
+    const output = new Uint8Array(pixelCount);
+    const prefix = new Int16Array(GIF_MAX_CODES);
+    const suffix = new Uint8Array(GIF_MAX_CODES);
+    const stack = new Uint8Array(GIF_MAX_CODES + 1);
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+
+    for (let code = 0; code < clearCode; code++) {
+        prefix[code] = -1;
+        suffix[code] = code;
+    }
+
+    let codeSize = minCodeSize + 1;
+    let codeMask = (1 << codeSize) - 1;
+    let available = clearCode + 2;
+    let oldCode = -1;
+    let first = 0;
+    let datum = 0;
+    let bits = 0;
+    let position = 0;
+    let written = 0;
+
+    while (written < pixelCount) {
+        while (bits < codeSize) {
+            if (position >= data.length) return output;
+            datum |= data[position++] << bits;
+            bits += 8;
+        }
+        const code = datum & codeMask;
+        datum >>= codeSize;
+        bits -= codeSize;
+
+        if (code === clearCode) {
+            codeSize = minCodeSize + 1;
+            codeMask = (1 << codeSize) - 1;
+            available = clearCode + 2;
+            oldCode = -1;
+            continue;
+        }
+        if (code === endCode) break;
+
+        if (oldCode === -1) {
+            output[written++] = suffix[code];
+            oldCode = code;
+            first = code;
+            continue;
+        }
+
+        let top = 0;
+        let current = code;
+        // A code that is not in the table yet stands for the previous string plus its own first index
+        if (code >= available) {
+            stack[top++] = first;
+            current = oldCode;
+        }
+        while (current >= clearCode) {
+            stack[top++] = suffix[current];
+            current = prefix[current];
+        }
+        first = suffix[current];
+        stack[top++] = first;
+
+        if (available < GIF_MAX_CODES) {
+            prefix[available] = oldCode;
+            suffix[available] = first;
+            available++;
+            if ((available & codeMask) === 0 && available < GIF_MAX_CODES) {
+                codeSize++;
+                codeMask = (1 << codeSize) - 1;
+            }
+        }
+        oldCode = code;
+
+        while (top > 0 && written < pixelCount) {
+            output[written++] = stack[--top];
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Compresses color indices with GIF LZW
+ * @param {number} minCodeSize - LZW minimum code size (2-8)
+ * @param {Uint8Array} indices - Color indices
+ * @returns {Uint8Array} - Compressed data without sub-block lengths
+ */
+function encodeGifLzw(minCodeSize, indices) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const bytes = [];
+    const table = new Map();
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let datum = 0;
+    let bits = 0;
+
+    const writeCode = (code) => {
+        datum |= code << bits;
+        bits += codeSize;
+        while (bits >= 8) {
+            bytes.push(datum & 0xff);
+            datum >>= 8;
+            bits -= 8;
+        }
+    };
+
+    writeCode(clearCode);
+    if (indices.length > 0) {
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const index = indices[i];
+            const key = (prefix << 8) | index;
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            writeCode(prefix);
+            if (nextCode === GIF_MAX_CODES) {
+                // The table is full; start over so the rest of the frame still compresses
+                writeCode(clearCode);
+                table.clear();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            }
+            prefix = index;
+        }
+        writeCode(prefix);
+    }
+    writeCode(endCode);
+
+    if (bits > 0) {
+        bytes.push(datum & 0xff);
+    }
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Reads a color table into RGB triplets
+ * @param {Uint8Array} bytes - GIF bytes
+ * @param {number} offset - Start of the table
+ * @param {number} size - Number of colors
+ * @returns {Uint8Array} - RGB bytes
+ */
+function readGifColorTable(bytes, offset, size) {
+    if (offset + size * 3 > bytes.length) {
+        throw new Error('GIF color table is truncated');
+    }
+    return bytes.slice(offset, offset + size * 3);
+}
+
+/**
+ * Reads the logical screen size of a GIF without decoding any frame
+ * @param {Uint8Array} bytes - GIF file bytes
+ * @returns {Object} - Object with width and height
+ */
+function readGifScreenSize(bytes) {
+    const signature = String.fromCharCode(...bytes.slice(0, 6));
+    if (bytes.length < 10 || (signature !== 'GIF87a' && signature !== 'GIF89a')) {
+        throw new Error('Not a GIF file');
+    }
+
+    return {
+        width: bytes[6] | (bytes[7] << 8),
+        height: bytes[8] | (bytes[9] << 8)
+    };
+}
+
+/**
+ * Decodes a GIF into fully composited RGBA frames
+ * Frame disposal is applied, so every frame can be drawn on its own
+ * @param {Uint8Array} bytes - GIF file bytes
+ * @param {number} [maxFrames] - Stop after this many frames
+ * @param {Function} [onFrame] - Receives each frame ({ data, delay }) as it is decoded instead of collecting them all;
+ *                               data is reused for the next frame, so copy what you keep
+ * @returns {Object} - Object with width, height, loopCount (0 = forever, null = play once), frames ({ data, delay in ms },
+ *                     empty with onFrame), frameCount and truncated
+ */
+function decodeGif(bytes, maxFrames = Infinity, onFrame = null) {
+    const { width, height } = readGifScreenSize(bytes);
+    const screenFlags = bytes[10];
+    let position = 13;
+    let globalColors = null;
+    if (screenFlags & 0x80) {
+        const size = 1 << ((screenFlags & 0x07) + 1);
+        globalColors = readGifColorTable(bytes, position, size);
+        position += size * 3;
+    }
+
+    const canvas = new Uint8ClampedArray(width * height * 4);
+    const frames = [];
+    let frameCount = 0;
+    let loopCount = null;
+    let control = { delay: 0, disposal: 0, transparentIndex: -1 };
+    let truncated = false;
+
+    const readSubBlocks = () => {
+        const chunks = [];
+        let length = 0;
+        while (position < bytes.length && bytes[position] !== 0) {
+            const size = bytes[position];
+            chunks.push(bytes.subarray(position + 1, position + 1 + size));
+            length += size;
+            position += size + 1;
+        }
+        position++;
+
+        const data = new Uint8Array(length);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            data.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return data;
+    };
+
+    while (position < bytes.length) {
+        const blockType = bytes[position++];
+
+        if (blockType === 0x3b) break;
+
+        if (blockType === 0x21) {
+            const label = bytes[position++];
+            if (label === 0xf9) {
+                const flags = bytes[position + 1];
+                control = {
+                    delay: (bytes[position + 2] | (bytes[position + 3] << 8)) * 10,
+                    disposal: (flags >> 2) & 0x07,
+                    transparentIndex: flags & 0x01 ? bytes[position + 4] : -1
+                };
+                position += bytes[position] + 1;
+                readSubBlocks();
+            } else if (label === 0xff) {
+                const identifier = String.fromCharCode(...bytes.slice(position + 1, position + 12));
+                position += bytes[position] + 1;
+                const data = readSubBlocks();
+                if ((identifier === 'NETSCAPE2.0' || identifier === 'ANIMEXTS1.0') && data[0] === 1) {
+                    loopCount = data[1] | (data[2] << 8);
+                }
+            } else {
+                readSubBlocks();
+            }
+            continue;
+        }
+
+        if (blockType !== 0x2c) {
+            throw new Error('GIF contains an unknown block');
+        }
+
+        if (frameCount >= maxFrames) {
+            truncated = true;
+            break;
+        }
+
+        const left = bytes[position] | (bytes[position + 1] << 8);
+        const top = bytes[position + 2] | (bytes[position + 3] << 8);
+        const frameWidth = bytes[position + 4] | (bytes[position + 5] << 8);
+        const frameHeight = bytes[position + 6] | (bytes[position + 7] << 8);
+        const imageFlags = bytes[position + 8];
+        position += 9;
+
+        let colors = globalColors;
+        if (imageFlags & 0x80) {
+            const size = 1 << ((imageFlags & 0x07) + 1);
+            colors = readGifColorTable(bytes, position, size);
+            position += size * 3;
+        }
+        if (!colors) {
+            throw new Error('GIF frame has no color table');
+        }
+
+        const minCodeSize = bytes[position++];
+        const indices = decodeGifLzw(minCodeSize, readSubBlocks(), frameWidth * frameHeight);
+        const previous = control.disposal === GIF_DISPOSAL_PREVIOUS ? canvas.slice() : null;
+
+        // Interlaced frames store rows in four passes
+        const rows = [];
+        if (imageFlags & 0x40) {
+            [[0, 8], [4, 8], [2, 4], [1, 2]].forEach(([start, step]) => {
+                for (let row = start; row < frameHeight; row += step) rows.push(row);
+            });
+        } else {
+            for (let row = 0; row < frameHeight; row++) rows.push(row);
+        }
+
+        rows.forEach((row, sourceRow) => {
+            const y = top + row;
+            if (y >= height) return;
+            for (let column = 0; column < frameWidth; column++) {
+                const x = left + column;
+                const index = indices[sourceRow * frameWidth + column];
+                if (x >= width || index === control.transparentIndex || index * 3 >= colors.length) continue;
+                const target = (y * width + x) * 4;
+                canvas[target] = colors[index * 3];
+                canvas[target + 1] = colors[index * 3 + 1];
+                canvas[target + 2] = colors[index * 3 + 2];
+                canvas[target + 3] = 255;
+            }
+        });
+
+        if (onFrame) {
+            onFrame({ data: canvas, delay: control.delay });
+        } else {
+            frames.push({ data: canvas.slice(), delay: control.delay });
+        }
+        frameCount++;
+
+        if (control.disposal === GIF_DISPOSAL_BACKGROUND) {
+            // Browsers clear to transparent rather than the background color
+            for (let y = top; y < Math.min(height, top + frameHeight); y++) {
+                const start = (y * width + left) * 4;
+                canvas.fill(0, start, start + Math.max(0, Math.min(frameWidth, width - left)) * 4);
+            }
+        } else if (previous) {
+            canvas.set(previous);
+        }
+
+        control = { delay: 0, disposal: 0, transparentIndex: -1 };
+    }
+
+    return { width, height, loopCount, frames, frameCount, truncated };
+}
+
+/**
+ * Reduces an RGBA frame to at most 256 indexed colors
+ * The palette comes from median cut on a sample; pixels more transparent than 50% use a reserved transparent index
+ * @param {Uint8ClampedArray} data - RGBA pixel buffer
+ * @returns {Object} - Object with indices, palette (RGB bytes) and transparentIndex (-1 if the frame is opaque)
+ */
+function quantizeFrame(data) {
+    const pixelCount = data.length / 4;
+    const step = Math.max(1, Math.floor(pixelCount / MAX_QUANTIZE_SAMPLES));
+    const samples = new Uint8ClampedArray(Math.ceil(pixelCount / step) * 4);
+    for (let pixel = 0, i = 0; pixel < pixelCount; pixel += step, i += 4) {
+        samples.set(data.subarray(pixel * 4, pixel * 4 + 4), i);
+    }
+
+    // One entry is kept free for transparency
+    const colors = window.extractPalette(samples, GIF_PALETTE_SIZE - 1).map(window.hexToRgb);
+    if (colors.length === 0) {
+        colors.push({ r: 0, g: 0, b: 0 });
+    }
+    const palette = new Uint8Array(colors.length * 3);
+    colors.forEach((color, index) => palette.set([color.r, color.g, color.b], index * 3));
+
+    const reservedIndex = colors.length;
+    const indices = new Uint8Array(pixelCount);
+    // Nearest colors are cached per 15-bit color
+    const cache = new Int16Array(32768).fill(-1);
+    let transparent = false;
+
+    for (let pixel = 0; pixel < pixelCount; pixel++) {
+        const i = pixel * 4;
+        if (data[i + 3] < 128) {
+            indices[pixel] = reservedIndex;
+            transparent = true;
+            continue;
+        }
+
+        const key = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+        let nearest = cache[key];
+        if (nearest === -1) {
+            let bestDistance = Infinity;
+            for (let c = 0; c < colors.length; c++) {
+                const dr = data[i] - colors[c].r;
+                const dg = data[i + 1] - colors[c].g;
+                const db = data[i + 2] - colors[c].b;
+                const distance = dr * dr + dg * dg + db * db;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    nearest = c;
+                }
+            }
+            cache[key] = nearest;
+        }
+        indices[pixel] = nearest;
+    }
+
+    return { indices, palette, transparentIndex: transparent ? reservedIndex : -1 };
+}
+
+/**
+ * Concatenates byte chunks
+ * @param {Array<Uint8Array|Array<number>>} chunks - Chunks to join
+ * @returns {Uint8Array} - Joined bytes
+ */
+function concatGifBytes(chunks) {
+    const length = chunks.reduce((total, chunk) => total + chunk.length, 0);
+    const bytes = new Uint8Array(length);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return bytes;
+}
+
+/**
+ * Encodes the GIF header, screen descriptor and loop extension
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number|null} loopCount - Repetitions (0 = forever), or null to play once
+ * @returns {Uint8Array} - Header bytes
+ */
+function encodeGifHeader(width, height, loopCount) {
+    const chunks = [
+        Uint8Array.from('GIF89a', character => character.charCodeAt(0)),
+        // No global color table; every frame carries its own palette
+        [width & 0xff, width >> 8, height & 0xff, height >> 8, 0, 0, 0]
+    ];
+
+    if (loopCount !== null && loopCount !== undefined) {
+        const loops = Math.min(0xffff, Math.max(0, loopCount));
+        chunks.push(
+            [0x21, 0xff, 11],
+            Uint8Array.from('NETSCAPE2.0', character => character.charCodeAt(0)),
+            [3, 1, loops & 0xff, loops >> 8, 0]
+        );
+    }
+
+    return concatGifBytes(chunks);
+}
+
+/**
+ * Encodes one full-size frame with its delay and local color table
+ * @param {Object} frame - Frame with indices, palette (RGB bytes), transparentIndex and delay (ms)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8Array} - Frame bytes
+ */
+function encodeGifFrame(frame, width, height) {
+    const delay = Math.min(0xffff, Math.round((frame.delay || 0) / 10));
+    const transparent = frame.transparentIndex >= 0;
+    const palette = new Uint8Array(GIF_PALETTE_SIZE * 3);
+    palette.set(frame.palette.subarray(0, GIF_PALETTE_SIZE * 3));
+
+    const data = encodeGifLzw(GIF_CODE_SIZE, frame.indices);
+    const blocks = [];
+    for (let offset = 0; offset < data.length; offset += 255) {
+        const block = data.subarray(offset, offset + 255);
+        blocks.push([block.length], block);
+    }
+
+    return concatGifBytes([
+        // Every frame is a full redraw, so it is cleared before the next one; otherwise it would show through transparent pixels
+        [0x21, 0xf9, 4, (GIF_DISPOSAL_BACKGROUND << 2) | (transparent ? 1 : 0), delay & 0xff, delay >> 8, transparent ? frame.transparentIndex : 0, 0],
+        [0x2c, 0, 0, 0, 0, width & 0xff, width >> 8, height & 0xff, height >> 8, 0x80 | (GIF_CODE_SIZE - 1)],
+        palette,
+        [GIF_CODE_SIZE],
+        ...blocks,
+        [0]
+    ]);
+}
+
+/**
+ * Encodes indexed frames as an animated GIF
+ * @param {Array<Object>} frames - Frames with indices, palette, transparentIndex and delay (ms)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number|null} loopCount - Repetitions (0 = forever), or null to play once
+ * @returns {Uint8Array} - GIF file bytes
+ */
+function encodeGif(frames, width, height, loopCount = 0) {
+    return concatGifBytes([
+        encodeGifHeader(width, height, loopCount),
+        ...frames.map(frame => encodeGifFrame(frame, width, height)),
+        [0x3b]
+    ]);
+}
+
+// Export functions for testing and use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        decodeGifLzw,
+        encodeGifLzw,
+        readGifScreenSize,
+        decodeGif,
+        quantizeFrame,
+        encodeGifHeader,
+        encodeGifFrame,
+        encodeGif
+    };
+}
+
+// Make functions available globally for browser use
+if (typeof window !== 'undefined') {
+    window.decodeGifLzw = decodeGifLzw;
+    window.encodeGifLzw = encodeGifLzw;
+    window.readGifScreenSize = readGifScreenSize;
+    window.decodeGif = decodeGif;
+    window.quantizeFrame = quantizeFrame;
+    window.encodeGifHeader = encodeGifHeader;
+    window.encodeGifFrame = encodeGifFrame;
+    window.encodeGif = encodeGif;
+}
@@ -6,118 +6,445 @@
 // Global variables
 let uploadedImage = null;
 let imageElement = null;
+let uploadedFileName = null;
+let imageMetadata = null;
+let imageAnimation = null;
+let imageSourceSize = null;
 
-const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
 const ALLOWED_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
 
+// Longest side uploads are scaled down to; larger photos only slow every render down
+const DEFAULT_WORKING_RESOLUTION = 4096;
+// Bytes read to find the pixel size; JPEG frame headers can sit behind a large EXIF thumbnail
+const IMAGE_HEADER_SCAN_BYTES = 256 * 1024;
+// Default pixel size rules. Tiny images (tracking pixels, icons) frame badly. Large images are scaled down,
+// but the full-size decode still has to fit the browser's memory: 50 MP covers current phone and DSLR photos,
+// and the 16384px side limit catches panoramas that stay under it
+const IMAGE_DIMENSION_LIMITS = {
+    minWidth: 10,
+    minHeight: 10,
+    maxWidth: 16384,
+    maxHeight: 16384,
+    maxPixels: 50 * 1000 * 1000
+};
+
+// Largest upload choices; 4096×4096 is the strict limit for devices short on memory
+const UPLOAD_SIZE_LIMITS = {
+    '4096': { maxWidth: 4096, maxHeight: 4096, maxPixels: 4096 * 4096 },
+    '24mp': { maxWidth: 16384, maxHeight: 16384, maxPixels: 24 * 1000 * 1000 },
+    '50mp': { maxWidth: 16384, maxHeight: 16384, maxPixels: 50 * 1000 * 1000 }
+};
+
 /**
- * Validates image file type and size
+ * Validates the image file type
+ * Large files are accepted and scaled down after decoding
  * @param {File} file - The file to validate
  * @returns {boolean} - True if valid, false otherwise
  */
 function validateImageFile(file) {
-    // Check file type
-    if (!ALLOWED_TYPES.includes(file.type)) {
-        return false;
-    }
+    return ALLOWED_TYPES.includes(file.type);
+}
+
+/**
+ * Checks the decoded pixel size against the dimension limits
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} [limits] - minWidth, minHeight, maxWidth, maxHeight and maxPixels
+ * @returns {Object|null} - The failed rule and a message for the user, or null if the size is fine
+ */
+function validateImageDimensions(width, height, limits = IMAGE_DIMENSION_LIMITS) {
+    const size = `This image is ${width}×${height}px`;
+    const resize = 'Please resize it in a photo editor and try again.';
     
-    // Check file size (5MB limit)
-    if (file.size > MAX_FILE_SIZE) {
-        return false;
+    if (width < limits.minWidth) {
+        return { rule: 'minWidth', message: `${size}; it must be at least ${limits.minWidth}px wide.` };
+    }
+    if (height < limits.minHeight) {
+        return { rule: 'minHeight', message: `${size}; it must be at least ${limits.minHeight}px tall.` };
+    }
+    if (width > limits.maxWidth) {
+        return { rule: 'maxWidth', message: `${size}; images can be at most ${limits.maxWidth}px wide. ${resize}` };
+    }
+    if (height > limits.maxHeight) {
+        return { rule: 'maxHeight', message: `${size}; images can be at most ${limits.maxHeight}px tall. ${resize}` };
+    }
+    if (width * height > limits.maxPixels) {
+        const megapixels = Math.round(width * height / 1e6);
+        return { rule: 'maxPixels', message: `${size} (${megapixels} MP); images can be at most ${Math.round(limits.maxPixels / 1e6)} MP. ${resize}` };
     }
     
-    return true;
+    return null;
 }
 
 /**
- * Handles image file upload
- * @param {Event} event - The file input change event
+ * Gets the dimension limits with the largest upload chosen in the settings
+ * @returns {Object} - minWidth, minHeight, maxWidth, maxHeight and maxPixels
  */
-async function handleImageUpload(event) {
-    const file = event.target.files[0];
+function getImageDimensionLimits() {
+    const select = document.getElementById('upload-size-limit');
+    const choice = select ? UPLOAD_SIZE_LIMITS[select.value] : null;
+    return { ...IMAGE_DIMENSION_LIMITS, ...choice };
+}
+
+/**
+ * Gets the working resolution chosen for uploads
+ * @returns {number} - Longest side in pixels
+ */
+function getWorkingResolution() {
+    const select = document.getElementById('working-resolution');
+    const value = parseInt(select ? select.value : DEFAULT_WORKING_RESOLUTION);
+    return value > 0 ? value : DEFAULT_WORKING_RESOLUTION;
+}
+
+/**
+ * Calculates the size an image is scaled down to
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {number} maxSide - Longest side allowed
+ * @returns {Object} - Object with width, height and scale (1 when the image already fits)
+ */
+function calculateWorkingSize(width, height, maxSide) {
+    const scale = Math.min(1, maxSide / Math.max(width, height));
     
-    if (!file) {
-        return;
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale)),
+        scale
+    };
+}
+
+/**
+ * Reads the stored pixel size from the header of a PNG, GIF, JPEG or WebP file
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {Object|null} - Object with width and height, or null if the header is not recognized
+ */
+function readImageSizeFromBytes(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const ascii = (start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+    
+    if (bytes.length >= 24 && bytes[0] === 0x89 && ascii(1, 3) === 'PNG') {
+        return { width: view.getUint32(16), height: view.getUint32(20) };
     }
     
-    // Validate the file
-    if (!validateImageFile(file)) {
-        if (!ALLOWED_TYPES.includes(file.type)) {
-            alert('Please select a valid image file (JPG, PNG, GIF, WebP)');
-        } else if (file.size > MAX_FILE_SIZE) {
-            alert('File size exceeds 5MB limit. Please select a smaller file.');
-        }
-        return;
+    if (bytes.length >= 10 && ascii(0, 4) === 'GIF8') {
+        return { width: view.getUint16(6, true), height: view.getUint16(8, true) };
     }
     
-    try {
-        // Read the file as data URL
-        const dataUrl = await readFileAsDataURL(file);
-        
-        // Create image element
-        imageElement = new Image();
-        
-        return new Promise((resolve, reject) => {
-            imageElement.onload = () => {
-                uploadedImage = dataUrl;
-                
-                // Enable download buttons
-                const downloadBtn = document.getElementById('download-btn');
-                if (downloadBtn) {
-                    downloadBtn.disabled = false;
-                }
-                
-                // Enable preview download button
-                if (typeof window.enablePreviewDownloadButton === 'function') {
-                    window.enablePreviewDownloadButton();
-                }
-                
-                // Trigger preview update if function exists
-                if (typeof updatePreview === 'function') {
-                    updatePreview();
-                }
-                
-                resolve();
-            };
-            
-            imageElement.onerror = () => {
-                alert('Image loading failed. Please try another file.');
-                reject(new Error('Image load failed'));
+    if (bytes.length >= 30 && ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') {
+        const chunk = ascii(12, 4);
+        if (chunk === 'VP8 ') {
+            return { width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff };
+        }
+        if (chunk === 'VP8L') {
+            const bits = view.getUint32(21, true);
+            return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8X') {
+            return {
+                width: (bytes[24] | (bytes[25] << 8) | (bytes[26] << 16)) + 1,
+                height: (bytes[27] | (bytes[28] << 8) | (bytes[29] << 16)) + 1
             };
+        }
+        return null;
+    }
+    
+    if (bytes.length >= 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 <= bytes.length && bytes[offset] === 0xff) {
+            const marker = bytes[offset + 1];
+            // Start of frame markers (except DHT, JPG and DAC, which share the range) hold the size
+            if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+            }
+            // Start of scan or end of image: the frame header was not where it should be
+            if (marker === 0xda || marker === 0xd9) break;
             
-            imageElement.src = dataUrl;
+            offset += 2 + view.getUint16(offset + 2);
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Reads the stored pixel size of an image file without decoding it
+ * @param {File} file - Image file
+ * @returns {Promise<Object|null>} - Promise resolving to width and height, or null if the header cannot be read
+ */
+async function readImageFileSize(file) {
+    if (!file || typeof window.blobToBytes !== 'function') {
+        return null;
+    }
+    
+    try {
+        return readImageSizeFromBytes(await window.blobToBytes(file.slice(0, IMAGE_HEADER_SCAN_BYTES)));
+    } catch (error) {
+        console.error('Image header reading error:', error);
+        return null;
+    }
+}
+
+/**
+ * Throws a typed error when an image breaks one of the dimension limits
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ */
+function checkImageDimensions(width, height) {
+    const failure = validateImageDimensions(width, height, getImageDimensionLimits());
+    if (failure) {
+        const type = failure.rule.startsWith('min') ? window.ERROR_TYPES.INVALID_INPUT : window.ERROR_TYPES.TOO_LARGE;
+        const error = window.createAppError(type, failure.message);
+        error.rule = failure.rule;
+        throw error;
+    }
+}
+
+/**
+ * Decodes a file straight to its working size, so the full-size pixels never sit in memory
+ * @param {File} file - Image file
+ * @param {Object} size - Upright width and height read from the file header
+ * @returns {Promise<ImageBitmap|null>} - Promise resolving to the bitmap, or null when the browser cannot decode this way
+ */
+async function decodeScaledBitmap(file, size) {
+    // The bitmap only matches the <img> path when both apply EXIF orientation
+    const orientationMatches = typeof window.browserAppliesExifOrientation === 'function' && window.browserAppliesExifOrientation();
+    if (typeof window.createImageBitmap !== 'function' || !orientationMatches) {
+        return null;
+    }
+    
+    const target = calculateWorkingSize(size.width, size.height, getWorkingResolution());
+    
+    try {
+        return await window.createImageBitmap(file, {
+            resizeWidth: target.width,
+            resizeHeight: target.height,
+            resizeQuality: 'high',
+            imageOrientation: 'from-image'
         });
-        
     } catch (error) {
-        alert('File reading failed. Please try again.');
-        console.error('File reading error:', error);
+        // Older browsers reject the resize options; decode with <img> instead
+        return null;
     }
 }
 
 /**
- * Reads file as data URL
- * @param {File} file - The file to read
- * @returns {Promise<string>} - Promise resolving to data URL
+ * Decodes a file with an <img> element
+ * @param {File} file - Image file
+ * @returns {Promise<HTMLImageElement>} - Promise resolving to the decoded image
  */
-function readFileAsDataURL(file) {
+function decodeImageElement(file) {
+    const url = URL.createObjectURL(file);
+    
     return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        
-        reader.onload = (e) => {
-            resolve(e.target.result);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
         };
-        
-        reader.onerror = () => {
-            reject(new Error('FileReader error'));
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(window.createAppError(window.ERROR_TYPES.DECODE_FAILED, 'Image loading failed. Please try another file.'));
         };
+        image.src = url;
+    });
+}
+
+/**
+ * Scales a decoded image down to the given size on a canvas
+ * @param {HTMLImageElement} image - Decoded image
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {HTMLCanvasElement} - Canvas holding the scaled image
+ */
+function downscaleImage(image, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(image, 0, 0, width, height);
+    
+    return canvas;
+}
+
+/**
+ * Turns a decoded image into the image the app works with
+ * Images above the working resolution are scaled down; images outside the dimension limits are rejected
+ * @param {HTMLImageElement} image - Decoded image
+ * @returns {Promise<Object>} - Promise resolving to the working image plus the source width and height
+ */
+async function prepareWorkingImage(image) {
+    const { width, height } = image;
+    checkImageDimensions(width, height);
+    
+    const size = calculateWorkingSize(width, height, getWorkingResolution());
+    const working = size.scale < 1 ? downscaleImage(image, size.width, size.height) : image;
+    
+    return { image: working, sourceWidth: width, sourceHeight: height };
+}
+
+/**
+ * Frees the pixels of a working image that is no longer used
+ * Bitmaps are closed and canvases shrunk to nothing; <img> elements are left to the garbage collector
+ * @param {ImageBitmap|HTMLCanvasElement|HTMLImageElement|null} image - Image to release
+ */
+function releaseWorkingImage(image) {
+    if (!image) {
+        return;
+    }
+    
+    if (typeof image.close === 'function') {
+        image.close();
+    } else if (typeof image.getContext === 'function') {
+        image.width = 0;
+        image.height = 0;
+    }
+}
+
+/**
+ * Loads an image file at the working resolution
+ * The size is read from the file header first, so oversized files are rejected before anything is decoded and
+ * createImageBitmap can decode straight to the working size; an <img> decode at full size is the fallback
+ * @param {File} file - Image file
+ * @param {Object|null} [metadata] - EXIF metadata of the file
+ * @returns {Promise<Object>} - Promise resolving to the working image plus the source width and height
+ */
+async function loadWorkingImage(file, metadata = null) {
+    const stored = await readImageFileSize(file);
+    
+    if (stored) {
+        // EXIF orientations 5-8 store the photo on its side
+        const turned = Boolean(metadata) && metadata.orientation >= 5 && metadata.orientation <= 8;
+        const upright = turned ? { width: stored.height, height: stored.width } : stored;
+        checkImageDimensions(upright.width, upright.height);
         
-        reader.readAsDataURL(file);
+        const bitmap = await decodeScaledBitmap(file, upright);
+        if (bitmap) {
+            return { image: bitmap, sourceWidth: upright.width, sourceHeight: upright.height };
+        }
+    }
+    
+    return prepareWorkingImage(await decodeImageElement(file));
+}
+
+/**
+ * Handles image file upload
+ * @param {Event} event - The file input change event
+ */
+async function handleImageUpload(event) {
+    const files = Array.from(event.target.files);
+    
+    // Several files go to the batch queue; the first usable one becomes the preview
+    if (files.length > 1 && typeof window.addFilesToBatch === 'function') {
+        window.addFilesToBatch(files);
+    }
+    const file = files.length > 1 ? (files.find(validateImageFile) || files[0]) : files[0];
+    
+    if (!file) {
+        return;
+    }
+    
+    // Validate the file
+    if (!validateImageFile(file)) {
+        window.notifyError(window.createAppError(window.ERROR_TYPES.UNSUPPORTED_TYPE, 'Please select a valid image file (JPG, PNG, GIF, WebP)'));
+        return;
+    }
+    
+    let metadata;
+    let working;
+    let animation;
+    try {
+        // Read EXIF first so the orientation can be fixed before the first render
+        metadata = typeof window.readImageMetadata === 'function' ? await window.readImageMetadata(file) : null;
+        // Loaded separately so the current image stays usable if this upload is rejected
+        working = await loadWorkingImage(file, metadata);
+        // Animated GIF/WebP frames are decoded once the size is accepted; the working image only holds the first frame
+        animation = typeof window.decodeAnimation === 'function' ? await window.decodeAnimation(file) : null;
+    } catch (error) {
+        // Rejected sizes and broken files are expected; only log the unexpected
+        if (!window.isAppError(error)) {
+            console.error('Image loading error:', error);
+        }
+        window.notifyError(error, 'This image could not be loaded. Please try another file.');
+        return;
+    }
+    
+    let upright = working.image;
+    
+    // Browsers that ignore EXIF orientation would show phone photos sideways
+    if (metadata && typeof window.normalizeImageOrientation === 'function') {
+        try {
+            upright = await window.normalizeImageOrientation(working.image, metadata.orientation);
+        } catch (error) {
+            console.error('Orientation correction error:', error);
+        }
+    }
+    if (upright !== working.image) {
+        releaseWorkingImage(working.image);
+    }
+    
+    // Bitmaps of the previous upload are not freed by the garbage collector soon enough
+    releaseWorkingImage(imageElement);
+    imageElement = upright;
+    imageSourceSize = { width: working.sourceWidth, height: working.sourceHeight };
+    
+    // An object URL only points at the file, unlike a data URL that copies it into a string
+    if (uploadedImage) {
+        URL.revokeObjectURL(uploadedImage);
+    }
+    uploadedImage = URL.createObjectURL(file);
+    uploadedFileName = file.name || null;
+    imageMetadata = metadata;
+    imageAnimation = animation;
+    
+    // Enable download buttons
+    const downloadBtn = document.getElementById('download-btn');
+    if (downloadBtn) {
+        downloadBtn.disabled = false;
+    }
+    
+    ['bundle-download-btn', 'copy-btn', 'share-btn'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.disabled = false;
+        }
     });
+    
+    // Enable preview download button
+    if (typeof window.enablePreviewDownloadButton === 'function') {
+        window.enablePreviewDownloadButton();
+    }
+    
+    // Suggest backgrounds from the image colors
+    if (typeof window.updateColorSuggestions === 'function') {
+        window.updateColorSuggestions(imageElement);
+    }
+    
+    // Show camera, date and dimensions
+    if (typeof window.renderImageMetadata === 'function') {
+        window.renderImageMetadata(imageMetadata, imageElement);
+    }
+    
+    // Offer animated GIF export for animated uploads
+    if (typeof window.toggleAnimationControls === 'function') {
+        window.toggleAnimationControls(imageAnimation);
+    }
+    
+    // A crop only fits the photo it was drawn on
+    if (typeof window.resetCrop === 'function') {
+        window.resetCrop();
+    }
+    
+    // Trigger preview update if function exists
+    if (typeof updatePreview === 'function') {
+        updatePreview();
+    }
 }
 
 /**
  * Gets the current uploaded image
- * @returns {string|null} - Data URL of uploaded image or null
+ * @returns {string|null} - Object URL of the uploaded file or null
  */
 function getUploadedImage() {
     return uploadedImage;
@@ -131,24 +458,96 @@ function getImageElement() {
     return imageElement;
 }
 
+/**
+ * Gets the name of the uploaded file without its extension
+ * @returns {string|null} - Base file name or null
+ */
+function getOriginalFilename() {
+    if (!uploadedFileName) {
+        return null;
+    }
+    
+    return uploadedFileName.replace(/\.[^.]+$/, '');
+}
+
+/**
+ * Gets the EXIF metadata of the uploaded image
+ * @returns {Object|null} - Metadata with orientation, make, model, dateTaken and hasLocation, or null
+ */
+function getImageMetadata() {
+    return imageMetadata;
+}
+
+/**
+ * Gets the decoded frames of an animated upload
+ * @returns {Object|null} - Animation with width, height, frames, loopCount and truncated, or null for still images
+ */
+function getImageAnimation() {
+    return imageAnimation;
+}
+
+/**
+ * Gets the pixel size of the uploaded file before it was scaled down
+ * @returns {Object|null} - Object with width and height, or null before the first upload
+ */
+function getImageSourceSize() {
+    return imageSourceSize;
+}
+
 // Export functions for testing and use
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        IMAGE_DIMENSION_LIMITS,
+        UPLOAD_SIZE_LIMITS,
         validateImageFile,
+        validateImageDimensions,
+        getImageDimensionLimits,
+        getWorkingResolution,
+        calculateWorkingSize,
+        readImageSizeFromBytes,
+        readImageFileSize,
+        checkImageDimensions,
+        decodeScaledBitmap,
+        decodeImageElement,
+        downscaleImage,
+        prepareWorkingImage,
+        releaseWorkingImage,
+        loadWorkingImage,
         handleImageUpload,
-        readFileAsDataURL,
         getUploadedImage,
-        getImageElement
+        getImageElement,
+        getOriginalFilename,
+        getImageMetadata,
+        getImageAnimation,
+        getImageSourceSize
     };
 }
 
 // Make functions available globally for browser use
 if (typeof window !== 'undefined') {
+    window.IMAGE_DIMENSION_LIMITS = IMAGE_DIMENSION_LIMITS;
+    window.UPLOAD_SIZE_LIMITS = UPLOAD_SIZE_LIMITS;
     window.validateImageFile = validateImageFile;
+    window.validateImageDimensions = validateImageDimensions;
+    window.getImageDimensionLimits = getImageDimensionLimits;
+    window.getWorkingResolution = getWorkingResolution;
+    window.calculateWorkingSize = calculateWorkingSize;
+    window.readImageSizeFromBytes = readImageSizeFromBytes;
+    window.readImageFileSize = readImageFileSize;
+    window.checkImageDimensions = checkImageDimensions;
+    window.decodeScaledBitmap = decodeScaledBitmap;
+    window.decodeImageElement = decodeImageElement;
+    window.downscaleImage = downscaleImage;
+    window.prepareWorkingImage = prepareWorkingImage;
+    window.releaseWorkingImage = releaseWorkingImage;
+    window.loadWorkingImage = loadWorkingImage;
     window.handleImageUpload = handleImageUpload;
-    window.readFileAsDataURL = readFileAsDataURL;
     window.getUploadedImage = getUploadedImage;
     window.getImageElement = getImageElement;
+    window.getOriginalFilename = getOriginalFilename;
+    window.getImageMetadata = getImageMetadata;
+    window.getImageAnimation = getImageAnimation;
+    window.getImageSourceSize = getImageSourceSize;
     
     // Set global variables accessible
     window.uploadedImage = uploadedImage;
@@ -0,0 +1,143 @@
+/**
+ * Notifications Module
+ * Typed errors and non-blocking toast messages announced to screen readers
+ */
+
+// Kinds of failure the app reports; the type decides how a toast looks
+const ERROR_TYPES = {
+    UNSUPPORTED_TYPE: 'unsupported-type',
+    TOO_LARGE: 'too-large',
+    DECODE_FAILED: 'decode-failed',
+    ENCODE_FAILED: 'encode-failed',
+    INVALID_INPUT: 'invalid-input'
+};
+
+// UIkit alert style for each notification level
+const NOTIFICATION_STYLES = {
+    'info': 'uk-alert-primary',
+    'success': 'uk-alert-success',
+    'warning': 'uk-alert-warning',
+    'error': 'uk-alert-danger'
+};
+
+const NOTIFICATION_TIMEOUT_MS = 6000;
+const MAX_NOTIFICATIONS = 3;
+
+/**
+ * Creates an error that carries its kind, so callers can show its message as is
+ * @param {string} type - One of ERROR_TYPES
+ * @param {string} message - Message for the user
+ * @param {Error} [cause] - Underlying error
+ * @returns {Error} - Error with type (and cause when given)
+ */
+function createAppError(type, message, cause) {
+    const error = new Error(message);
+    error.name = 'AppError';
+    error.type = type;
+    if (cause) {
+        error.cause = cause;
+    }
+    return error;
+}
+
+/**
+ * Checks whether an error was created by createAppError
+ * @param {*} error - Caught value
+ * @returns {boolean} - True for typed errors
+ */
+function isAppError(error) {
+    return Boolean(error) && Object.values(ERROR_TYPES).includes(error.type);
+}
+
+/**
+ * Removes a toast and its timer
+ * @param {HTMLElement} toast - Toast element
+ */
+function dismissNotification(toast) {
+    clearTimeout(toast.dismissTimer);
+    toast.remove();
+}
+
+/**
+ * Shows a toast that goes away by itself
+ * Errors use role="alert" so screen readers announce them right away; other levels wait politely
+ * @param {string} message - Text to show
+ * @param {string} [level='info'] - info, success, warning or error
+ * @returns {HTMLElement|null} - Toast element, or null without a notification area
+ */
+function notify(message, level = 'info') {
+    const container = document.getElementById('notifications');
+    if (!container) return null;
+
+    // The same message twice in a row (e.g. during a batch) just stays up longer
+    let toast = Array.from(container.children).find(child => child.dataset.message === message);
+
+    if (!toast) {
+        toast = document.createElement('div');
+        toast.className = `notification uk-alert ${NOTIFICATION_STYLES[level] || NOTIFICATION_STYLES.info}`;
+        toast.dataset.message = message;
+        toast.setAttribute('role', level === 'error' ? 'alert' : 'status');
+
+        const text = document.createElement('p');
+        text.textContent = message;
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'uk-alert-close uk-close';
+        close.setAttribute('uk-close', '');
+        close.setAttribute('aria-label', 'Dismiss notification');
+        close.addEventListener('click', () => dismissNotification(toast));
+
+        toast.appendChild(close);
+        toast.appendChild(text);
+        container.appendChild(toast);
+
+        while (container.children.length > MAX_NOTIFICATIONS) {
+            dismissNotification(container.firstElementChild);
+        }
+    }
+
+    clearTimeout(toast.dismissTimer);
+    toast.dismissTimer = setTimeout(() => dismissNotification(toast), NOTIFICATION_TIMEOUT_MS);
+
+    return toast;
+}
+
+/**
+ * Shows a caught error as a toast
+ * Typed errors show their own message; anything else shows the fallback
+ * @param {Error} error - Caught error
+ * @param {string} [fallbackMessage] - Message for unexpected errors
+ * @returns {HTMLElement|null} - Toast element
+ */
+function notifyError(error, fallbackMessage = 'Something went wrong. Please try again.') {
+    if (!isAppError(error)) {
+        return notify(fallbackMessage, 'error');
+    }
+
+    return notify(error.message, error.type === ERROR_TYPES.INVALID_INPUT ? 'warning' : 'error');
+}
+
+// Export functions for testing and use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ERROR_TYPES,
+        NOTIFICATION_TIMEOUT_MS,
+        MAX_NOTIFICATIONS,
+        createAppError,
+        isAppError,
+        dismissNotification,
+        notify,
+        notifyError
+    };
+}
+
+// Make functions available globally for browser use
+if (typeof window !== 'undefined') {
+    window.ERROR_TYPES = ERROR_TYPES;
+    window.createAppError = createAppError;
+    window.isAppError = isAppError;
+    window.dismissNotification = dismissNotification;
+    window.notify = notify;
+    window.notifyError = notifyError;
+}
@@ -0,0 +1,211 @@
+/**
+ * PDF Exporter Module
+ * Writes a single-page PDF with the rendered frame embedded as an image, entirely in the browser
+ */
+
+const POINTS_PER_INCH = 72;
+const POINTS_PER_MM = POINTS_PER_INCH / 25.4;
+
+// Portrait paper sizes in points
+const PAPER_SIZES = {
+    'a4': { width: 595.28, height: 841.89 },
+    'letter': { width: 612, height: 792 }
+};
+
+const DEFAULT_PDF_SETTINGS = {
+    pageSize: 'frame',
+    dpi: 300,
+    margin: 10,
+    imageEncoding: 'jpeg'
+};
+
+/**
+ * Formats a number for PDF syntax with at most two decimals
+ * @param {number} value - Number to format
+ * @returns {string} - Number without exponent or trailing zeros
+ */
+function formatPdfNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Calculates the page size and where the frame sits on it
+ * @param {number} frameWidth - Frame width in pixels
+ * @param {number} frameHeight - Frame height in pixels
+ * @param {Object} pdfSettings - Settings with pageSize ('frame', 'a4' or 'letter'), dpi and margin (mm)
+ * @returns {Object} - Page width and height plus image x, y, width and height, all in points
+ */
+function calculatePdfPage(frameWidth, frameHeight, pdfSettings = DEFAULT_PDF_SETTINGS) {
+    const paper = PAPER_SIZES[pdfSettings.pageSize];
+
+    if (!paper) {
+        // The page is the frame itself, printed at the chosen resolution
+        const dpi = pdfSettings.dpi > 0 ? pdfSettings.dpi : DEFAULT_PDF_SETTINGS.dpi;
+        const width = frameWidth / dpi * POINTS_PER_INCH;
+        const height = frameHeight / dpi * POINTS_PER_INCH;
+        return { pageWidth: width, pageHeight: height, x: 0, y: 0, width, height };
+    }
+
+    // Landscape frames go on landscape paper
+    const landscape = frameWidth > frameHeight;
+    const pageWidth = landscape ? paper.height : paper.width;
+    const pageHeight = landscape ? paper.width : paper.height;
+    const margin = Math.max(0, pdfSettings.margin || 0) * POINTS_PER_MM;
+    const fit = Math.min(
+        Math.max(1, pageWidth - margin * 2) / frameWidth,
+        Math.max(1, pageHeight - margin * 2) / frameHeight
+    );
+    const width = frameWidth * fit;
+    const height = frameHeight * fit;
+
+    return {
+        pageWidth,
+        pageHeight,
+        x: (pageWidth - width) / 2,
+        y: (pageHeight - height) / 2,
+        width,
+        height
+    };
+}
+
+/**
+ * Builds the bytes of a single-page PDF showing one image
+ * @param {Object} page - Page layout from calculatePdfPage
+ * @param {Object} image - Image with width, height, bytes and filter ('DCTDecode', 'FlateDecode' or null for raw RGB)
+ * @returns {Uint8Array} - PDF file bytes
+ */
+function buildPdfBytes(page, image) {
+    const encode = (text) => Uint8Array.from(text, character => character.charCodeAt(0));
+    const parts = [];
+    const offsets = [];
+    let length = 0;
+
+    const push = (bytes) => {
+        parts.push(bytes);
+        length += bytes.length;
+    };
+    const addObject = (...chunks) => {
+        offsets.push(length);
+        push(encode(`${offsets.length} 0 obj\n`));
+        chunks.forEach(chunk => push(typeof chunk === 'string' ? encode(chunk) : chunk));
+        push(encode('\nendobj\n'));
+    };
+
+    const n = formatPdfNumber;
+    const content = `q\n${n(page.width)} 0 0 ${n(page.height)} ${n(page.x)} ${n(page.y)} cm\n/Im0 Do\nQ`;
+    const filter = image.filter ? ` /Filter /${image.filter}` : '';
+
+    // The binary comment tells transfer tools the file is not plain text
+    push(encode('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n'));
+    addObject('<< /Type /Catalog /Pages 2 0 R >>');
+    addObject('<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+    addObject(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${n(page.pageWidth)} ${n(page.pageHeight)}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`);
+    addObject(
+        `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8${filter} /Length ${image.bytes.length} >>\nstream\n`,
+        image.bytes,
+        '\nendstream'
+    );
+    addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+
+    const xrefOffset = length;
+    const entries = offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    push(encode(`xref\n0 ${offsets.length + 1}\n0000000000 65535 f \n${entries}`));
+    push(encode(`trailer\n<< /Size ${offsets.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`));
+
+    const bytes = new Uint8Array(length);
+    let position = 0;
+    parts.forEach(part => {
+        bytes.set(part, position);
+        position += part.length;
+    });
+
+    return bytes;
+}
+
+/**
+ * Compresses bytes with zlib deflate, which PDF readers decode as FlateDecode
+ * @param {Uint8Array} bytes - Bytes to compress
+ * @returns {Promise<Uint8Array|null>} - Compressed bytes, or null if the browser has no CompressionStream
+ */
+async function deflateBytes(bytes) {
+    if (typeof CompressionStream !== 'function' || typeof Response !== 'function') {
+        return null;
+    }
+
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Encodes a flattened canvas as a PDF image
+ * @param {HTMLCanvasElement} canvas - Rendered canvas without transparency
+ * @param {string} encoding - 'jpeg' for DCT compression, 'lossless' for deflated RGB pixels
+ * @param {number} quality - JPEG quality (0-1)
+ * @returns {Promise<Object>} - Image with width, height, bytes and filter
+ */
+async function canvasToPdfImage(canvas, encoding, quality) {
+    const { width, height } = canvas;
+
+    if (encoding === 'jpeg') {
+        const blob = await window.canvasToBlob(canvas, 'image/jpeg', quality);
+        // A browser that cannot encode JPEG hands back PNG, which PDF cannot embed as-is
+        if (blob.type === 'image/jpeg') {
+            return { width, height, bytes: await window.blobToBytes(blob), filter: 'DCTDecode' };
+        }
+    }
+
+    const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+    const rgb = new Uint8Array(width * height * 3);
+    for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+        rgb[j] = data[i];
+        rgb[j + 1] = data[i + 1];
+        rgb[j + 2] = data[i + 2];
+    }
+
+    let compressed = null;
+    try {
+        compressed = await deflateBytes(rgb);
+    } catch (error) {
+        console.error('PDF image compression error:', error);
+    }
+
+    return { width, height, bytes: compressed || rgb, filter: compressed ? 'FlateDecode' : null };
+}
+
+/**
+ * Creates a PDF document from a rendered canvas
+ * @param {HTMLCanvasElement} canvas - Rendered canvas without transparency
+ * @param {Object} pdfSettings - Settings with pageSize, dpi, margin and imageEncoding
+ * @param {number} quality - JPEG quality (0-1) for JPEG-encoded images
+ * @returns {Promise<Blob>} - Promise resolving to the PDF
+ */
+async function createPdfFromCanvas(canvas, pdfSettings = DEFAULT_PDF_SETTINGS, quality) {
+    const image = await canvasToPdfImage(canvas, pdfSettings.imageEncoding, quality);
+    const page = calculatePdfPage(canvas.width, canvas.height, pdfSettings);
+
+    return new Blob([buildPdfBytes(page, image)], { type: 'application/pdf' });
+}
+
+// Export functions for testing and use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PAPER_SIZES,
+        formatPdfNumber,
+        calculatePdfPage,
+        buildPdfBytes,
+        deflateBytes,
+        canvasToPdfImage,
+        createPdfFromCanvas
+    };
+}
+
+// Make functions available globally for browser use
+if (typeof window !== 'undefined') {
+    window.PAPER_SIZES = PAPER_SIZES;
+    window.formatPdfNumber = formatPdfNumber;
+    window.calculatePdfPage = calculatePdfPage;
+    window.buildPdfBytes = buildPdfBytes;
+    window.deflateBytes = deflateBytes;
+    window.canvasToPdfImage = canvasToPdfImage;
+    window.createPdfFromCanvas = createPdfFromCanvas;
+}
@@ -9,6 +9,63 @@ const MIN_SCALE = 25;
 const MAX_SCALE = 200;
 const MIN_BORDER_WIDTH = 0;
 const MAX_BORDER_WIDTH = 50;
+const MIN_GRADIENT_ANGLE = 0;
+const MAX_GRADIENT_ANGLE = 360;
+const MAX_GRADIENT_STOPS = 5;
+
+// Frame size presets for common social media formats
+const SIZE_PRESETS = [
+    { id: 'instagram-post', name: 'Instagram Post', width: 1080, height: 1080 },
+    { id: 'instagram-story', name: 'Instagram Story', width: 1080, height: 1920 },
+    { id: 'facebook-post', name: 'Facebook Post', width: 1200, height: 630 },
+    { id: 'twitter-post', name: 'Twitter Post', width: 1200, height: 675 },
+    { id: 'linkedin-post', name: 'LinkedIn Post', width: 1200, height: 627 }
+];
+
+// Blur background sliders and the unit shown next to each value
+const BLUR_SLIDERS = {
+    'blur-radius': 'px',
+    'blur-zoom': '%',
+    'blur-brightness': '%',
+    'blur-saturation': '%',
+    'blur-tint-opacity': '%'
+};
+
+// Sizing modes and whether each one uses the scale slider or the padding input
+const FIT_MODE_CONTROLS = {
+    'percentage': { scale: true, padding: false },
+    'contain': { scale: false, padding: true },
+    'cover': { scale: false, padding: false },
+    'fit-width': { scale: false, padding: true },
+    'fit-height': { scale: false, padding: true }
+};
+
+// Pointer travel in screen pixels before a press on the image becomes a drag
+const DRAG_START_DISTANCE = 3;
+// Distance in canvas pixels within which a dropped image snaps onto an anchor
+const ANCHOR_SNAP_DISTANCE = 12;
+const NUDGE_STEP = 1;
+const NUDGE_STEP_LARGE = 10;
+
+// Arrow keys and the offset direction they nudge the image in
+const NUDGE_DIRECTIONS = {
+    'ArrowLeft': { x: -1, y: 0 },
+    'ArrowRight': { x: 1, y: 0 },
+    'ArrowUp': { x: 0, y: -1 },
+    'ArrowDown': { x: 0, y: 1 }
+};
+
+// Maps each background type to the control panel shown for it
+const BACKGROUND_CONTROL_PANELS = {
+    'color': 'bg-color-controls',
+    'image': 'bg-image-controls',
+    'linear-gradient': 'bg-linear-gradient-controls',
+    'radial-gradient': 'bg-radial-gradient-controls',
+    'transparent': 'bg-transparent-controls',
+    'edge-extend': 'bg-edge-extend-controls',
+    'mirror': 'bg-mirror-controls',
+    'edge-color': 'bg-edge-color-controls'
+};
 
 /**
  * Validates size input (width/height)
@@ -27,10 +84,15 @@ function validateSizeInput(value) {
 
 /**
  * Validates hex color input
+ * Accepts opaque (#rgb, #rrggbb) and alpha (#rgba, #rrggbbaa) hex colors plus 'transparent'
  * @param {string} color - Color string to validate
- * @returns {boolean} - True if valid hex color, false otherwise
+ * @returns {boolean} - True if valid color, false otherwise
  */
 function validateColorInput(color) {
+    if (color === 'transparent') {
+        return true;
+    }
+    
     // Check for # prefix
     if (!color.startsWith('#')) {
         return false;
@@ -39,8 +101,8 @@ function validateColorInput(color) {
     // Remove # and check hex format
     const hexColor = color.slice(1);
     
-    // Valid lengths: 3 or 6
-    if (hexColor.length !== 3 && hexColor.length !== 6) {
+    // Valid lengths: 3 or 6, or 4 or 8 with alpha
+    if (![3, 4, 6, 8].includes(hexColor.length)) {
         return false;
     }
     
@@ -56,6 +118,8 @@ function validateColorInput(color) {
 function handleSizeChange(event) {
     const value = parseInt(event.target.value);
     
+    syncSizePresetSelect();
+    
     // Only update preview if we have a valid number in the acceptable range
     // Don't show alert while user is still typing, but also don't update preview for invalid values
     if (!isNaN(value) && validateSizeInput(value)) {
@@ -66,6 +130,48 @@ function handleSizeChange(event) {
     }
 }
 
+/**
+ * Finds the size preset matching the given frame dimensions
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {string} - Preset id, or 'custom' if no preset matches
+ */
+function getSizePreset(width, height) {
+    const preset = SIZE_PRESETS.find(entry => entry.width === width && entry.height === height);
+    return preset ? preset.id : 'custom';
+}
+
+/**
+ * Keeps the preset selector in sync with the width and height inputs
+ */
+function syncSizePresetSelect() {
+    const presetSelect = document.getElementById('size-preset');
+    const widthInput = document.getElementById('width-input');
+    const heightInput = document.getElementById('height-input');
+    
+    if (presetSelect && widthInput && heightInput) {
+        presetSelect.value = getSizePreset(parseInt(widthInput.value), parseInt(heightInput.value));
+    }
+}
+
+/**
+ * Handles size preset selection
+ * @param {Event} event - Select change event
+ */
+function handleSizePresetChange(event) {
+    const preset = SIZE_PRESETS.find(entry => entry.id === event.target.value);
+    if (!preset) return;
+    
+    const widthInput = document.getElementById('width-input');
+    const heightInput = document.getElementById('height-input');
+    if (widthInput) widthInput.value = preset.width;
+    if (heightInput) heightInput.value = preset.height;
+    
+    if (typeof window.updatePreview === 'function') {
+        window.updatePreview();
+    }
+}
+
 /**
  * Handles size input validation when user finishes editing (blur event)
  * @param {Event} event - Input blur event
@@ -74,9 +180,10 @@ function handleSizeBlur(event) {
     const value = parseInt(event.target.value);
     
     if (!validateSizeInput(value)) {
-        alert('Size must be between 100-2000px and must be an integer.');
+        window.notifyError(window.createAppError(window.ERROR_TYPES.INVALID_INPUT, 'Size must be between 100-2000px and must be an integer.'));
         // Reset to previous valid value or default
         event.target.value = event.target.id === 'width-input' ? 800 : 600;
+        syncSizePresetSelect();
         
         // Update preview after reset
         if (typeof window.updatePreview === 'function') {
@@ -112,6 +219,65 @@ function updateScaleDisplay(value) {
     }
 }
 
+/**
+ * Gets current image sizing settings
+ * @returns {Object} Object with mode, padding and paddingUnit properties
+ */
+function getFitSettings() {
+    const modeSelect = document.getElementById('fit-mode');
+    const paddingInput = document.getElementById('fit-padding');
+    const unitSelect = document.getElementById('fit-padding-unit');
+    
+    const mode = modeSelect ? modeSelect.value : 'percentage';
+    const padding = parseInt(paddingInput ? paddingInput.value : 0);
+    
+    return {
+        mode: FIT_MODE_CONTROLS[mode] ? mode : 'percentage',
+        padding: isNaN(padding) || padding < 0 ? 0 : padding,
+        paddingUnit: unitSelect && unitSelect.value === '%' ? '%' : 'px'
+    };
+}
+
+/**
+ * Shows the scale slider or padding input depending on the sizing mode
+ * @param {string} mode - Sizing mode
+ */
+function toggleFitControls(mode) {
+    const controls = FIT_MODE_CONTROLS[mode] || FIT_MODE_CONTROLS.percentage;
+    const scaleControls = document.getElementById('scale-controls');
+    const paddingControls = document.getElementById('fit-padding-controls');
+    
+    if (scaleControls) {
+        scaleControls.style.display = controls.scale ? '' : 'none';
+    }
+    
+    if (paddingControls) {
+        paddingControls.style.display = controls.padding ? '' : 'none';
+    }
+}
+
+/**
+ * Handles sizing mode changes
+ * @param {Event} event - Select change event
+ */
+function handleFitModeChange(event) {
+    toggleFitControls(event.target.value);
+    
+    if (typeof window.updatePreview === 'function') {
+        window.updatePreview();
+    }
+}
+
+/**
+ * Handles padding value or unit changes
+ * @param {Event} event - Input change event
+ */
+function handleFitPaddingChange(event) {
+    if (typeof window.updatePreview === 'function') {
+        window.updatePreview();
+    }
+}
+
 /**
  * Handles background color changes
  * @param {Event} event - Input change event
@@ -121,7 +287,7 @@ function handleColorChange(event) {
     
     // HTML color input should always provide valid colors, but validate anyway
     if (!validateColorInput(color)) {
-        alert('Please select a valid color.');
+        window.notifyError(window.createAppError(window.ERROR_TYPES.INVALID_INPUT, 'Please select a valid color.'));
         event.target.value = '#ffffff'; // Reset to white
         return;
     }
@@ -147,16 +313,13 @@ function validateBorderWidth(value) {
 
 /**
  * Gets current background type from radio buttons
- * @returns {string} - 'color' or 'image'
+ * @returns {string} - 'color', 'image', 'linear-gradient', 'radial-gradient', 'transparent', 'edge-extend', 'mirror' or 'edge-color'
  */
 function getBackgroundType() {
-    const colorRadio = document.getElementById('bg-type-color');
-    const imageRadio = document.getElementById('bg-type-image');
+    const checkedRadio = document.querySelector('input[name="bg-type"]:checked');
     
-    if (colorRadio && colorRadio.checked) {
-        return 'color';
-    } else if (imageRadio && imageRadio.checked) {
-        return 'image';
+    if (checkedRadio) {
+        return checkedRadio.value;
     }
     
     return 'color'; // Default fallback
@@ -164,18 +327,173 @@ function getBackgroundType() {
 
 /**
  * Toggles visibility of background controls based on type
- * @param {string} type - Background type ('color' or 'image')
+ * @param {string} type - Background type ('color', 'image', 'linear-gradient', 'radial-gradient', 'transparent', 'edge-extend', 'mirror' or 'edge-color')
  */
 function toggleBackgroundControls(type) {
-    const colorControls = document.getElementById('bg-color-controls');
+    Object.keys(BACKGROUND_CONTROL_PANELS).forEach(panelType => {
+        const panel = document.getElementById(BACKGROUND_CONTROL_PANELS[panelType]);
+        
+        if (panel) {
+            panel.style.display = panelType === type ? '' : 'none';
+        }
+    });
+}
+
+/**
+ * Validates gradient angle input
+ * @param {number} value - Angle in degrees
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function validateGradientAngle(value) {
+    if (isNaN(value)) {
+        return false;
+    }
+    
+    return value >= MIN_GRADIENT_ANGLE && value <= MAX_GRADIENT_ANGLE;
+}
+
+/**
+ * Validates gradient stop position input
+ * @param {number} value - Stop position percentage
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function validateGradientStopPosition(value) {
+    if (isNaN(value)) {
+        return false;
+    }
+    
+    return value >= 0 && value <= 100;
+}
+
+/**
+ * Gets current linear gradient settings
+ * Intermediate stops with invalid positions are skipped and the rest are sorted by position
+ * @returns {Object} Object with angle, startColor, endColor and stops properties
+ */
+function getLinearGradientSettings() {
+    const startColorInput = document.getElementById('gradient-start-color');
+    const endColorInput = document.getElementById('gradient-end-color');
+    const angleInput = document.getElementById('gradient-angle');
+    
+    const angle = parseFloat(angleInput ? angleInput.value : 0);
+    
+    const stops = Array.from(document.querySelectorAll('#gradient-stops .gradient-stop'))
+        .map(row => ({
+            color: row.querySelector('.gradient-stop-color').value,
+            position: parseFloat(row.querySelector('.gradient-stop-position').value)
+        }))
+        .filter(stop => validateGradientStopPosition(stop.position))
+        .sort((a, b) => a.position - b.position);
+    
+    return {
+        angle: validateGradientAngle(angle) ? angle : 0,
+        startColor: startColorInput ? startColorInput.value : '#ffffff',
+        endColor: endColorInput ? endColorInput.value : '#1e87f0',
+        stops: stops
+    };
+}
+
+/**
+ * Adds an intermediate color stop row to the gradient editor
+ * @param {string} color - Stop color (hex format)
+ * @param {number} position - Stop position percentage (0-100)
+ * @returns {HTMLElement|null} - The new stop row, or null if the stop limit is reached
+ */
+function addGradientStop(color = '#888888', position = 50) {
+    const stopsContainer = document.getElementById('gradient-stops');
+    if (!stopsContainer) return null;
+    
+    if (stopsContainer.querySelectorAll('.gradient-stop').length >= MAX_GRADIENT_STOPS) {
+        return null;
+    }
+    
+    const row = document.createElement('div');
+    row.className = 'gradient-stop';
+    row.innerHTML = `
+        <input class="uk-input gradient-stop-color" type="color" value="${color}" aria-label="Stop color">
+        <input class="uk-input uk-form-small gradient-stop-position" type="number" value="${position}" min="0" max="100" aria-label="Stop position in percent">
+        <button class="uk-button uk-button-default uk-button-small remove-gradient-stop" type="button" aria-label="Remove color stop">×</button>
+    `;
+    stopsContainer.appendChild(row);
+    
+    updateAddGradientStopButton();
+    
+    return row;
+}
+
+/**
+ * Removes a color stop row from the gradient editor
+ * @param {HTMLElement} row - Stop row to remove
+ */
+function removeGradientStop(row) {
+    if (row && row.parentNode) {
+        row.parentNode.removeChild(row);
+    }
     
-    if (colorControls) {
-        if (type === 'color') {
-            colorControls.style.display = '';
-        } else {
-            colorControls.style.display = 'none';
+    updateAddGradientStopButton();
+}
+
+/**
+ * Disables the add stop button once the stop limit is reached
+ */
+function updateAddGradientStopButton() {
+    const addButton = document.getElementById('add-gradient-stop');
+    if (!addButton) return;
+    
+    const stopCount = document.querySelectorAll('#gradient-stops .gradient-stop').length;
+    addButton.disabled = stopCount >= MAX_GRADIENT_STOPS;
+}
+
+/**
+ * Handles gradient angle preset selection
+ * @param {Event} event - Select change event
+ */
+function handleGradientPresetChange(event) {
+    const value = event.target.value;
+    
+    // "Custom" keeps whatever angle is currently typed in
+    if (value !== 'custom') {
+        const angleInput = document.getElementById('gradient-angle');
+        if (angleInput) {
+            angleInput.value = value;
         }
     }
+    
+    if (typeof window.updatePreview === 'function') {
+        window.updatePreview();
+    }
+}
+
+/**
+ * Handles free gradient angle input, syncing the preset selector
+ * @param {Event} event - Input change event
+ */
+function handleGradientAngleChange(event) {
+    const value = parseFloat(event.target.value);
+    
+    if (!validateGradientAngle(value)) {
+        return;
+    }
+    
+    const presetSelect = document.getElementById('gradient-angle-preset');
+    if (presetSelect) {
+        const matchingPreset = Array.from(presetSelect.options).find(option => parseFloat(option.value) === value);
+        presetSelect.value = matchingPreset ? matchingPreset.value : 'custom';
+    }
+    
+    if (typeof window.updatePreview === 'function') {
+        window.updatePreview();
+    }
+}
+
+/**
+ * Handles changes to any gradient color or stop input
+ * @param {Event} event - Input change event
+ */
+function handleGradientChange(event) {
+    if (typeof window.updatePreview === 'function') {
+        window.updatePreview();
+    }
 }
 
 /**
@@ -194,6 +512,169 @@ function handleBackgroundTypeChange(event) {
     }
 }
 
+/**
+ * Selects a background type radio and shows its controls
+ * @param {string} type - Background type
+ */
+function selectBackgroundType(type) {
+    const radio = document.querySelector(`input[name="bg-type"][value="${type}"]`);
+    if (radio) {
+        radio.checked = true;
+    }
+    
+    toggleBackgroundControls(type);
+}
+
+/**
+ * Shows palette and suggestion swatches for the uploaded image
+ * @param {Array<string>} palette - Hex colors, dominant first
+ * @param {Array<Object>} suggestions - Suggestions with name, type and colors
+ */
+function renderColorSuggestions(palette, suggestions) {
+    const container = document.getElementById('color-suggestions');
+    const paletteSwatches = document.getElementById('palette-swatches');
+    const suggestionSwatches = document.getElementById('suggestion-swatches');
+    if (!container || !paletteSwatches || !suggestionSwatches) return;
+    
+    paletteSwatches.innerHTML = palette.map(color =>
+        `<button class="color-swatch" type="button" data-colors="${color}" style="background: ${color};" title="${color}" aria-label="Use ${color} as background"></button>`
+    ).join('');
+    
+    suggestionSwatches.innerHTML = suggestions.map(suggestion => {
+        const background = suggestion.colors.length > 1
+            ? `linear-gradient(to right, ${suggestion.colors.join(', ')})`
+            : suggestion.colors[0];
+        return `<button class="color-swatch suggestion" type="button" data-colors="${suggestion.colors.join(',')}" style="background: ${background};" title="${suggestion.name}" aria-label="Use ${suggestion.name.toLowerCase()} background"></button>`;
+    }).join('');
+    
+    container.style.display = '';
+}
+
+/**
+ * Shows camera, capture date and dimensions of the uploaded image
+ * @param {Object|null} metadata - EXIF metadata, or null if the file has none
+ * @param {HTMLImageElement} image - Uploaded image (already upright and scaled to the working resolution)
+ */
+function renderImageMetadata(metadata, image) {
+    const container = document.getElementById('image-metadata');
+    if (!container) return;
+    
+    const details = [];
+    if (metadata) {
+        // Models often repeat the make ("Canon" + "Canon EOS R5")
+        const camera = metadata.make && metadata.model && !metadata.model.startsWith(metadata.make)
+            ? `${metadata.make} ${metadata.model}`
+            : (metadata.model || metadata.make);
+        if (camera) details.push(`📷 ${camera}`);
+        if (metadata.dateTaken) {
+            details.push(`🗓️ ${window.formatExifDate ? window.formatExifDate(metadata.dateTaken) : metadata.dateTaken}`);
+        }
+    }
+    if (image) {
+        // Large uploads are worked on at a smaller size
+        const source = typeof window.getImageSourceSize === 'function' ? window.getImageSourceSize() : null;
+        const scaled = source && Math.max(source.width, source.height) > Math.max(image.width, image.height);
+        details.push(scaled
+            ? `${source.width}×${source.height}px, scaled to ${image.width}×${image.height}px`
+            : `${image.width}×${image.height}px`);
+    }
+    if (metadata && metadata.hasLocation) details.push('📍 Contains location');
+    
+    container.textContent = details.join(' · ');
+    container.style.display = details.length ? '' : 'none';
+}
+
+/**
+ * Extracts the palette of a newly loaded image and shows suggestions for it
+ * @param {HTMLImageElement} image - Uploaded image
+ */
+function updateColorSuggestions(image) {
+    const container = document.getElementById('color-suggestions');
+    const palette = typeof window.extractImagePalette === 'function' ? window.extractImagePalette(image) : null;
+    
+    if (!palette) {
+        if (container) container.style.display = 'none';
+        return;
+    }
+    
+    renderColorSuggestions(palette, window.buildColorSuggestions(palette));
+}
+
+/**
+ * Applies a swatch: one color becomes the fill color, several become a linear gradient
+ * @param {Array<string>} colors - Hex colors of the swatch
+ */
+function applyColorSuggestion(colors) {
+    if (colors.length === 1) {
+        const bgColorInput = document.getElementById('bg-color');
+        if (bgColorInput) bgColorInput.value = colors[0];
+        selectBackgroundType('color');
+    } else {
+        const startColorInput = document.getElementById('gradient-start-color');
+        const endColorInput = document.getElementById('gradient-end-color');
+        const stopsContainer = document.getElementById('gradient-stops');
+        
+        if (startColorInput) startColorInput.value = colors[0];
+        if (endColorInput) endColorInput.value = colors[colors.length - 1];
+        
+        // Middle colors replace the existing stops, spaced evenly
+        if (stopsContainer) {
+            stopsContainer.querySelectorAll('.gradient-stop').forEach(removeGradientStop);
+        }
+        colors.slice(1, -1).forEach((color, index) => {
+            addGradientStop(color, Math.round((index + 1) / (colors.length - 1) * 100));
+        });
+        
+        selectBackgroundType('linear-gradient');
+    }
+    
+    if (typeof window.updatePreview === 'function') {
+        window.updatePreview();
+    }
+}
+
+/**
+ * Handles clicks on palette and suggestion swatches
+ * @param {MouseEvent} event - Click event
+ */
+function handleColorSuggestionClick(event) {
+    const swatch = event.target.closest('.color-swatch');
+    if (!swatch) return;
+    
+    applyColorSuggestion(swatch.dataset.colors.split(','));
+}
+
+/**
+ * Gets the matte color used when exporting transparency to an opaque format
+ * @returns {string} - Matte color (hex format)
+ */
+function getMatteColor() {
+    const matteColorInput = document.getElementById('matte-color');
+    return matteColorInput ? matteColorInput.value : '#ffffff';
+}
+
+/**
+ * Gets edge color background settings
+ * @returns {Object} Object with style ('solid' or 'gradient')
+ */
+function getEdgeColorSettings() {
+    const styleSelect = document.getElementById('edge-color-style');
+    
+    return {
+        style: styleSelect && styleSelect.value === 'gradient' ? 'gradient' : 'solid'
+    };
+}
+
+/**
+ * Handles edge color fill style changes
+ * @param {Event} event - Select change event
+ */
+function handleEdgeColorStyleChange(event) {
+    if (typeof window.updatePreview === 'function') {
+        window.updatePreview();
+    }
+}
+
 /**
  * Gets current border settings
  * @returns {Object} Object with width and color properties
@@ -232,7 +713,7 @@ function handleBorderWidthBlur(event) {
     const value = parseInt(event.target.value);
     
     if (!validateBorderWidth(value)) {
-        alert('Border width must be between 0-50px and must be an integer.');
+        window.notifyError(window.createAppError(window.ERROR_TYPES.INVALID_INPUT, 'Border width must be between 0-50px and must be an integer.'));
         event.target.value = '10'; // Reset to default
         
         // Update preview after reset
@@ -259,10 +740,15 @@ function handleBorderColorChange(event) {
 function bindControlEvents() {
     const widthInput = document.getElementById('width-input');
     const heightInput = document.getElementById('height-input');
+    const sizePresetSelect = document.getElementById('size-preset');
     const scaleSlider = document.getElementById('scale-slider');
+    const fitModeSelect = document.getElementById('fit-mode');
+    const fitPaddingInput = document.getElementById('fit-padding');
+    const fitPaddingUnitSelect = document.getElementById('fit-padding-unit');
     const bgColorInput = document.getElementById('bg-color');
-    const bgTypeColorRadio = document.getElementById('bg-type-color');
-    const bgTypeImageRadio = document.getElementById('bg-type-image');
+    const bgTypeRadios = document.querySelectorAll('input[name="bg-type"]');
+    const edgeColorStyleSelect = document.getElementById('edge-color-style');
+    const colorSuggestions = document.getElementById('color-suggestions');
     const borderWidthInput = document.getElementById('border-width');
     const borderColorInput = document.getElementById('border-color');
     
@@ -276,22 +762,47 @@ function bindControlEvents() {
         heightInput.addEventListener('blur', handleSizeBlur);   // Validation on blur
     }
     
+    if (sizePresetSelect) {
+        sizePresetSelect.addEventListener('change', handleSizePresetChange);
+    }
+    
     if (scaleSlider) {
         scaleSlider.addEventListener('input', handleScaleChange);
         // Initialize scale display
         updateScaleDisplay(parseInt(scaleSlider.value));
     }
     
+    if (fitModeSelect) {
+        fitModeSelect.addEventListener('change', handleFitModeChange);
+    }
+    
+    if (fitPaddingInput) {
+        fitPaddingInput.addEventListener('input', handleFitPaddingChange);
+    }
+    
+    if (fitPaddingUnitSelect) {
+        fitPaddingUnitSelect.addEventListener('change', handleFitPaddingChange);
+    }
+    
     if (bgColorInput) {
         bgColorInput.addEventListener('input', handleColorChange);
     }
     
-    if (bgTypeColorRadio) {
-        bgTypeColorRadio.addEventListener('change', handleBackgroundTypeChange);
+    bgTypeRadios.forEach(radio => {
+        radio.addEventListener('change', handleBackgroundTypeChange);
+    });
+    
+    if (colorSuggestions) {
+        colorSuggestions.addEventListener('click', handleColorSuggestionClick);
     }
     
-    if (bgTypeImageRadio) {
-        bgTypeImageRadio.addEventListener('change', handleBackgroundTypeChange);
+    bindBlurEvents();
+    bindGradientEvents();
+    bindRadialGradientEvents();
+    bindPositionEvents();
+    
+    if (edgeColorStyleSelect) {
+        edgeColorStyleSelect.addEventListener('change', handleEdgeColorStyleChange);
     }
     
     if (borderWidthInput) {
@@ -304,6 +815,473 @@ function bindControlEvents() {
     }
 }
 
+/**
+ * Gets current blur background settings
+ * @returns {Object} Object with radius, zoom, brightness, saturation, tintColor and tintOpacity properties
+ */
+function getBlurSettings() {
+    const readSlider = (id, fallback) => {
+        const slider = document.getElementById(id);
+        const value = parseInt(slider ? slider.value : fallback);
+        return isNaN(value) ? fallback : value;
+    };
+    const tintColorInput = document.getElementById('blur-tint-color');
+    
+    return {
+        radius: readSlider('blur-radius', 10),
+        zoom: readSlider('blur-zoom', 100),
+        brightness: readSlider('blur-brightness', 100),
+        saturation: readSlider('blur-saturation', 100),
+        tintColor: tintColorInput ? tintColorInput.value : '#000000',
+        tintOpacity: readSlider('blur-tint-opacity', 0)
+    };
+}
+
+/**
+ * Updates the value label next to a blur slider
+ * @param {string} sliderId - Slider element id
+ * @param {number} value - Slider value
+ */
+function updateBlurSliderDisplay(sliderId, value) {
+    const display = document.getElementById(`${sliderId}-display`);
+    if (display) {
+        display.textContent = `${value}${BLUR_SLIDERS[sliderId] || ''}`;
+    }
+}
+
+/**
+ * Handles changes to blur background sliders and tint color
+ * @param {Event} event - Input change event
+ */
+function handleBlurSettingChange(event) {
+    if (BLUR_SLIDERS[event.target.id] !== undefined) {
+        updateBlurSliderDisplay(event.target.id, parseInt(event.target.value));
+    }
+    
+    if (typeof window.updatePreview === 'function') {
+        window.updatePreview();
+    }
+}
+
+/**
+ * Binds blur background control events
+ */
+function bindBlurEvents() {
+    Object.keys(BLUR_SLIDERS).concat('blur-tint-color').forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('input', handleBlurSettingChange);
+        }
+    });
+}
+
+/**
+ * Gets current radial gradient settings
+ * @returns {Object} Object with centerColor, edgeColor, shape, centerX and centerY (percent) properties
+ */
+function getRadialGradientSettings() {
+    const centerColorInput = document.getElementById('radial-center-color');
+    const edgeColorInput = document.getElementById('radial-edge-color');
+    const shapeSelect = document.getElementById('radial-shape');
+    const centerXInput = document.getElementById('radial-center-x');
+    const centerYInput = document.getElementById('radial-center-y');
+    
+    const centerX = parseFloat(centerXInput ? centerXInput.value : 50);
+    const centerY = parseFloat(centerYInput ? centerYInput.value : 50);
+    
+    return {
+        centerColor: centerColorInput ? centerColorInput.value : '#ffffff',
+        edgeColor: edgeColorInput ? edgeColorInput.value : '#000000',
+        shape: shapeSelect && shapeSelect.value === 'ellipse' ? 'ellipse' : 'circle',
+        centerX: validateGradientStopPosition(centerX) ? centerX : 50,
+        centerY: validateGradientStopPosition(centerY) ? centerY : 50
+    };
+}
+
+/**
+ * Converts a pointer event on the preview canvas to percentage coordinates
+ * Accounts for the canvas being displayed smaller than its pixel size
+ * @param {MouseEvent} event - Pointer event with clientX and clientY
+ * @param {HTMLCanvasElement} canvas - Preview canvas
+ * @returns {Object} Object with x and y percentages (0-100)
+ */
+function calculateCanvasClickPercent(event, canvas) {
+    const rect = canvas.getBoundingClientRect();
+    if (!rect.width || !rect.height) {
+        return { x: 50, y: 50 };
+    }
+    
+    const x = (event.clientX - rect.left) / rect.width * 100;
+    const y = (event.clientY - rect.top) / rect.height * 100;
+    
+    return {
+        x: Math.round(Math.min(100, Math.max(0, x))),
+        y: Math.round(Math.min(100, Math.max(0, y)))
+    };
+}
+
+/**
+ * Handles clicks on the preview canvas
+ * With a radial gradient background the click moves the gradient center
+ * @param {MouseEvent} event - Click event
+ */
+function handlePreviewCanvasClick(event) {
+    if (getBackgroundType() !== 'radial-gradient') {
+        return;
+    }
+    
+    // Keep the drop zone from opening the file picker
+    event.stopPropagation();
+    
+    const { x, y } = calculateCanvasClickPercent(event, event.currentTarget);
+    const centerXInput = document.getElementById('radial-center-x');
+    const centerYInput = document.getElementById('radial-center-y');
+    
+    if (centerXInput) centerXInput.value = x;
+    if (centerYInput) centerYInput.value = y;
+    
+    if (typeof window.updatePreview === 'function') {
+        window.updatePreview();
+    }
+}
+
+/**
+ * Binds radial gradient editor events
+ */
+function bindRadialGradientEvents() {
+    const inputIds = ['radial-center-color', 'radial-edge-color', 'radial-shape', 'radial-center-x', 'radial-center-y'];
+    
+    inputIds.forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('input', handleGradientChange);
+        }
+    });
+    
+    const previewCanvas = document.getElementById('preview-canvas');
+    if (previewCanvas) {
+        previewCanvas.addEventListener('click', handlePreviewCanvasClick);
+    }
+}
+
+/**
+ * Binds linear gradient editor events
+ */
+function bindGradientEvents() {
+    const startColorInput = document.getElementById('gradient-start-color');
+    const endColorInput = document.getElementById('gradient-end-color');
+    const presetSelect = document.getElementById('gradient-angle-preset');
+    const angleInput = document.getElementById('gradient-angle');
+    const stopsContainer = document.getElementById('gradient-stops');
+    const addStopButton = document.getElementById('add-gradient-stop');
+    
+    if (startColorInput) {
+        startColorInput.addEventListener('input', handleGradientChange);
+    }
+    
+    if (endColorInput) {
+        endColorInput.addEventListener('input', handleGradientChange);
+    }
+    
+    if (presetSelect) {
+        presetSelect.addEventListener('change', handleGradientPresetChange);
+    }
+    
+    if (angleInput) {
+        angleInput.addEventListener('input', handleGradientAngleChange);
+    }
+    
+    if (stopsContainer) {
+        // Stop rows are created dynamically, so listen on the container
+        stopsContainer.addEventListener('input', handleGradientChange);
+        stopsContainer.addEventListener('click', (event) => {
+            if (event.target.classList.contains('remove-gradient-stop')) {
+                removeGradientStop(event.target.closest('.gradient-stop'));
+                handleGradientChange(event);
+            }
+        });
+    }
+    
+    if (addStopButton) {
+        addStopButton.addEventListener('click', (event) => {
+            if (addGradientStop()) {
+                handleGradientChange(event);
+            }
+        });
+    }
+}
+
+/**
+ * Gets current image position settings
+ * @returns {Object} Object with anchor, offsetX and offsetY properties
+ */
+function getPositionSettings() {
+    const anchorRadio = document.querySelector('input[name="position-anchor"]:checked');
+    const offsetXInput = document.getElementById('position-offset-x');
+    const offsetYInput = document.getElementById('position-offset-y');
+    
+    const offsetX = parseInt(offsetXInput ? offsetXInput.value : 0);
+    const offsetY = parseInt(offsetYInput ? offsetYInput.value : 0);
+    
+    return {
+        anchor: anchorRadio ? anchorRadio.value : 'center',
+        offsetX: isNaN(offsetX) ? 0 : offsetX,
+        offsetY: isNaN(offsetY) ? 0 : offsetY
+    };
+}
+
+/**
+ * Writes image position settings back to the position controls
+ * @param {Object} position - Object with anchor, offsetX and offsetY properties
+ */
+function setPositionSettings(position) {
+    const anchorRadio = document.querySelector(`input[name="position-anchor"][value="${position.anchor}"]`);
+    const offsetXInput = document.getElementById('position-offset-x');
+    const offsetYInput = document.getElementById('position-offset-y');
+    
+    if (anchorRadio) anchorRadio.checked = true;
+    if (offsetXInput) offsetXInput.value = Math.round(position.offsetX);
+    if (offsetYInput) offsetYInput.value = Math.round(position.offsetY);
+}
+
+/**
+ * Handles anchor selection - a new anchor starts without offset
+ * @param {Event} event - Input change event
+ */
+function handleAnchorChange(event) {
+    setPositionSettings({ anchor: event.target.value, offsetX: 0, offsetY: 0 });
+    
+    if (typeof window.updatePreview === 'function') {
+        window.updatePreview();
+    }
+}
+
+/**
+ * Handles offset input changes
+ * @param {Event} event - Input change event
+ */
+function handlePositionOffsetChange(event) {
+    if (typeof window.updatePreview === 'function') {
+        window.updatePreview();
+    }
+}
+
+/**
+ * Converts a mouse or touch event to canvas pixel coordinates
+ * @param {MouseEvent|TouchEvent} event - Pointer event
+ * @param {HTMLCanvasElement} canvas - Preview canvas
+ * @returns {Object|null} Object with x and y in canvas pixels, or null if the canvas is not displayed
+ */
+function calculateCanvasPoint(event, canvas) {
+    const point = event.touches && event.touches.length ? event.touches[0] :
+        (event.changedTouches && event.changedTouches.length ? event.changedTouches[0] : event);
+    const rect = canvas.getBoundingClientRect();
+    if (!rect.width || !rect.height) {
+        return null;
+    }
+    
+    return {
+        x: (point.clientX - rect.left) * canvas.width / rect.width,
+        y: (point.clientY - rect.top) * canvas.height / rect.height,
+        clientX: point.clientX,
+        clientY: point.clientY
+    };
+}
+
+/**
+ * Gets where the uploaded image currently sits in the preview
+ * @returns {Object|null} Object with settings and layout, or null without an image
+ */
+function getPreviewImageLayout() {
+    const image = typeof window.getImageElement === 'function' ? window.getImageElement() : null;
+    const uploaded = typeof window.getUploadedImage === 'function' ? window.getUploadedImage() : null;
+    if (!image || !uploaded || typeof window.getCanvasSettings !== 'function') {
+        return null;
+    }
+    
+    const settings = window.getCanvasSettings();
+    return { settings, layout: window.calculateImageLayout(image, settings) };
+}
+
+let imageDragState = null;
+
+/**
+ * Swallows the click that follows a drag so it does not open the file picker
+ * @param {MouseEvent} event - Click event
+ */
+function suppressClickAfterDrag(event) {
+    event.stopPropagation();
+    event.preventDefault();
+    window.removeEventListener('click', suppressClickAfterDrag, true);
+}
+
+/**
+ * Starts dragging the image when a press lands on it
+ * @param {MouseEvent|TouchEvent} event - mousedown or touchstart event
+ */
+function startImageDrag(event) {
+    const canvas = event.currentTarget;
+    const preview = getPreviewImageLayout();
+    const point = preview ? calculateCanvasPoint(event, canvas) : null;
+    if (!point) {
+        return;
+    }
+    
+    const { layout } = preview;
+    const onImage = point.x >= layout.x && point.x <= layout.x + layout.width &&
+        point.y >= layout.y && point.y <= layout.y + layout.height;
+    if (!onImage) {
+        return;
+    }
+    
+    imageDragState = {
+        canvas,
+        startPoint: point,
+        startLayout: layout,
+        settings: preview.settings,
+        moved: false
+    };
+    
+    document.addEventListener('mousemove', moveImageDrag);
+    document.addEventListener('mouseup', endImageDrag);
+    document.addEventListener('touchmove', moveImageDrag, { passive: false });
+    document.addEventListener('touchend', endImageDrag);
+    document.addEventListener('touchcancel', endImageDrag);
+}
+
+/**
+ * Moves the image with the pointer, keeping the offset relative to the current anchor
+ * @param {MouseEvent|TouchEvent} event - mousemove or touchmove event
+ */
+function moveImageDrag(event) {
+    if (!imageDragState) {
+        return;
+    }
+    
+    const { canvas, startPoint, startLayout, settings } = imageDragState;
+    const point = calculateCanvasPoint(event, canvas);
+    if (!point) {
+        return;
+    }
+    
+    if (!imageDragState.moved) {
+        const travel = Math.hypot(point.clientX - startPoint.clientX, point.clientY - startPoint.clientY);
+        if (travel < DRAG_START_DISTANCE) {
+            return;
+        }
+        imageDragState.moved = true;
+        canvas.classList.add('dragging');
+    }
+    
+    // Keep touch drags from scrolling the page
+    if (event.cancelable) {
+        event.preventDefault();
+    }
+    
+    const x = startLayout.x + point.x - startPoint.x;
+    const y = startLayout.y + point.y - startPoint.y;
+    const anchorPoint = window.calculateAnchorPosition(
+        settings.width, settings.height, startLayout.width, startLayout.height, settings.position.anchor,
+        window.calculateAnchorPadding(settings)
+    );
+    
+    imageDragState.x = x;
+    imageDragState.y = y;
+    setPositionSettings({
+        anchor: settings.position.anchor,
+        offsetX: x - anchorPoint.x,
+        offsetY: y - anchorPoint.y
+    });
+    
+    if (typeof window.updatePreview === 'function') {
+        window.updatePreview();
+    }
+}
+
+/**
+ * Ends a drag and snaps the image onto the nearest anchor when it is close
+ * @param {MouseEvent|TouchEvent} event - mouseup, touchend or touchcancel event
+ */
+function endImageDrag(event) {
+    document.removeEventListener('mousemove', moveImageDrag);
+    document.removeEventListener('mouseup', endImageDrag);
+    document.removeEventListener('touchmove', moveImageDrag);
+    document.removeEventListener('touchend', endImageDrag);
+    document.removeEventListener('touchcancel', endImageDrag);
+    
+    const dragState = imageDragState;
+    imageDragState = null;
+    if (!dragState || !dragState.moved) {
+        return;
+    }
+    
+    const { canvas, startLayout, settings } = dragState;
+    canvas.classList.remove('dragging');
+    
+    setPositionSettings(window.snapPositionToAnchor(
+        settings.width, settings.height, startLayout.width, startLayout.height,
+        dragState.x, dragState.y, ANCHOR_SNAP_DISTANCE, window.calculateAnchorPadding(settings)
+    ));
+    
+    if (typeof window.updatePreview === 'function') {
+        window.updatePreview();
+    }
+    
+    // The click fired right after mouseup belongs to the drag
+    window.addEventListener('click', suppressClickAfterDrag, true);
+    setTimeout(() => window.removeEventListener('click', suppressClickAfterDrag, true), 0);
+}
+
+/**
+ * Nudges the image with the arrow keys while the preview has focus
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handlePreviewCanvasKeydown(event) {
+    const direction = NUDGE_DIRECTIONS[event.key];
+    if (!direction || !getPreviewImageLayout()) {
+        return;
+    }
+    
+    event.preventDefault();
+    
+    const step = event.shiftKey ? NUDGE_STEP_LARGE : NUDGE_STEP;
+    const position = getPositionSettings();
+    setPositionSettings({
+        anchor: position.anchor,
+        offsetX: position.offsetX + direction.x * step,
+        offsetY: position.offsetY + direction.y * step
+    });
+    
+    if (typeof window.updatePreview === 'function') {
+        window.updatePreview();
+    }
+}
+
+/**
+ * Binds image position events: anchor grid, offsets, dragging and arrow keys
+ */
+function bindPositionEvents() {
+    const anchorRadios = document.querySelectorAll('input[name="position-anchor"]');
+    const offsetInputs = ['position-offset-x', 'position-offset-y'].map(id => document.getElementById(id));
+    const previewCanvas = document.getElementById('preview-canvas');
+    
+    anchorRadios.forEach(radio => {
+        radio.addEventListener('change', handleAnchorChange);
+    });
+    
+    offsetInputs.forEach(input => {
+        if (input) {
+            input.addEventListener('input', handlePositionOffsetChange);
+        }
+    });
+    
+    if (previewCanvas) {
+        previewCanvas.addEventListener('mousedown', startImageDrag);
+        previewCanvas.addEventListener('touchstart', startImageDrag);
+        previewCanvas.addEventListener('keydown', handlePreviewCanvasKeydown);
+    }
+}
+
 /**
  * Initialize all UI controls
  */
@@ -316,6 +1294,8 @@ function initializeControls() {
         updateScaleDisplay(parseInt(scaleSlider.value));
     }
     
+    toggleFitControls(getFitSettings().mode);
+    
     // Initialize background controls visibility
     const initialType = getBackgroundType();
     toggleBackgroundControls(initialType);
@@ -324,17 +1304,61 @@ function initializeControls() {
 // Export functions for testing and use
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        SIZE_PRESETS,
         validateSizeInput,
         validateColorInput,
         validateBorderWidth,
         handleSizeChange,
         handleSizeBlur,
+        getSizePreset,
+        syncSizePresetSelect,
+        handleSizePresetChange,
         handleScaleChange,
         updateScaleDisplay,
+        getFitSettings,
+        toggleFitControls,
+        handleFitModeChange,
+        handleFitPaddingChange,
         handleColorChange,
         getBackgroundType,
         toggleBackgroundControls,
         handleBackgroundTypeChange,
+        validateGradientAngle,
+        validateGradientStopPosition,
+        getLinearGradientSettings,
+        addGradientStop,
+        removeGradientStop,
+        handleGradientPresetChange,
+        handleGradientAngleChange,
+        handleGradientChange,
+        bindGradientEvents,
+        getBlurSettings,
+        updateBlurSliderDisplay,
+        handleBlurSettingChange,
+        bindBlurEvents,
+        getRadialGradientSettings,
+        calculateCanvasClickPercent,
+        handlePreviewCanvasClick,
+        bindRadialGradientEvents,
+        getPositionSettings,
+        setPositionSettings,
+        handleAnchorChange,
+        handlePositionOffsetChange,
+        calculateCanvasPoint,
+        startImageDrag,
+        moveImageDrag,
+        endImageDrag,
+        handlePreviewCanvasKeydown,
+        bindPositionEvents,
+        selectBackgroundType,
+        renderColorSuggestions,
+        renderImageMetadata,
+        updateColorSuggestions,
+        applyColorSuggestion,
+        handleColorSuggestionClick,
+        getMatteColor,
+        getEdgeColorSettings,
+        handleEdgeColorStyleChange,
         getBorderSettings,
         handleBorderWidthChange,
         handleBorderColorChange,
@@ -345,17 +1369,61 @@ if (typeof module !== 'undefined' && module.exports) {
 
 // Make functions available globally for browser use
 if (typeof window !== 'undefined') {
+    window.SIZE_PRESETS = SIZE_PRESETS;
     window.validateSizeInput = validateSizeInput;
     window.validateColorInput = validateColorInput;
     window.validateBorderWidth = validateBorderWidth;
     window.handleSizeChange = handleSizeChange;
     window.handleSizeBlur = handleSizeBlur;
+    window.getSizePreset = getSizePreset;
+    window.syncSizePresetSelect = syncSizePresetSelect;
+    window.handleSizePresetChange = handleSizePresetChange;
     window.handleScaleChange = handleScaleChange;
     window.updateScaleDisplay = updateScaleDisplay;
+    window.getFitSettings = getFitSettings;
+    window.toggleFitControls = toggleFitControls;
+    window.handleFitModeChange = handleFitModeChange;
+    window.handleFitPaddingChange = handleFitPaddingChange;
     window.handleColorChange = handleColorChange;
     window.getBackgroundType = getBackgroundType;
     window.toggleBackgroundControls = toggleBackgroundControls;
     window.handleBackgroundTypeChange = handleBackgroundTypeChange;
+    window.validateGradientAngle = validateGradientAngle;
+    window.validateGradientStopPosition = validateGradientStopPosition;
+    window.getLinearGradientSettings = getLinearGradientSettings;
+    window.addGradientStop = addGradientStop;
+    window.removeGradientStop = removeGradientStop;
+    window.handleGradientPresetChange = handleGradientPresetChange;
+    window.handleGradientAngleChange = handleGradientAngleChange;
+    window.handleGradientChange = handleGradientChange;
+    window.bindGradientEvents = bindGradientEvents;
+    window.getBlurSettings = getBlurSettings;
+    window.updateBlurSliderDisplay = updateBlurSliderDisplay;
+    window.handleBlurSettingChange = handleBlurSettingChange;
+    window.bindBlurEvents = bindBlurEvents;
+    window.getRadialGradientSettings = getRadialGradientSettings;
+    window.calculateCanvasClickPercent = calculateCanvasClickPercent;
+    window.handlePreviewCanvasClick = handlePreviewCanvasClick;
+    window.bindRadialGradientEvents = bindRadialGradientEvents;
+    window.getPositionSettings = getPositionSettings;
+    window.setPositionSettings = setPositionSettings;
+    window.handleAnchorChange = handleAnchorChange;
+    window.handlePositionOffsetChange = handlePositionOffsetChange;
+    window.calculateCanvasPoint = calculateCanvasPoint;
+    window.startImageDrag = startImageDrag;
+    window.moveImageDrag = moveImageDrag;
+    window.endImageDrag = endImageDrag;
+    window.handlePreviewCanvasKeydown = handlePreviewCanvasKeydown;
+    window.bindPositionEvents = bindPositionEvents;
+    window.selectBackgroundType = selectBackgroundType;
+    window.renderColorSuggestions = renderColorSuggestions;
+    window.renderImageMetadata = renderImageMetadata;
+    window.updateColorSuggestions = updateColorSuggestions;
+    window.applyColorSuggestion = applyColorSuggestion;
+    window.handleColorSuggestionClick = handleColorSuggestionClick;
+    window.getMatteColor = getMatteColor;
+    window.getEdgeColorSettings = getEdgeColorSettings;
+    window.handleEdgeColorStyleChange = handleEdgeColorStyleChange;
     window.getBorderSettings = getBorderSettings;
     window.handleBorderWidthChange = handleBorderWidthChange;
     window.handleBorderColorChange = handleBorderColorChange;
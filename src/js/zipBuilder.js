@@ -0,0 +1,198 @@
+/**
+ * ZIP Builder Module
+ * Packs files into an uncompressed ZIP archive entirely in the browser
+ */
+
+// Images are already compressed, so entries are stored without deflate
+const ZIP_METHOD_STORE = 0;
+// General purpose flag bit 11: file names are UTF-8
+const ZIP_FLAG_UTF8 = 0x0800;
+const ZIP_VERSION = 20;
+
+let crcTable = null;
+
+/**
+ * Calculates the CRC-32 checksum used by ZIP
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+function calculateCrc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encodes text as UTF-8 bytes
+ * @param {string} text - Text to encode
+ * @returns {Uint8Array} - UTF-8 bytes
+ */
+function encodeUtf8(text) {
+    return new TextEncoder().encode(text);
+}
+
+/**
+ * Reads a blob into bytes
+ * @param {Blob} blob - Blob to read
+ * @returns {Promise<Uint8Array>} - Promise resolving to the blob contents
+ */
+function blobToBytes(blob) {
+    if (typeof blob.arrayBuffer === 'function') {
+        return blob.arrayBuffer().then(buffer => new Uint8Array(buffer));
+    }
+
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(new Uint8Array(reader.result));
+        reader.onerror = () => reject(new Error('FileReader error'));
+        reader.readAsArrayBuffer(blob);
+    });
+}
+
+/**
+ * Makes a file name unique within an archive by adding a counter before the extension
+ * @param {string} name - Desired file name
+ * @param {Set<string>} usedNames - Names already in the archive (updated in place)
+ * @returns {string} - Unique file name
+ */
+function uniqueZipEntryName(name, usedNames) {
+    let candidate = name;
+    let counter = 2;
+    const dot = name.lastIndexOf('.');
+    const base = dot > 0 ? name.slice(0, dot) : name;
+    const extension = dot > 0 ? name.slice(dot) : '';
+
+    while (usedNames.has(candidate.toLowerCase())) {
+        candidate = `${base} (${counter})${extension}`;
+        counter++;
+    }
+
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+}
+
+/**
+ * Converts a date to MS-DOS time and date fields
+ * @param {Date} date - Date to convert
+ * @returns {Object} - Object with time and date (16-bit each)
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Builds the bytes of a ZIP archive
+ * @param {Array<Object>} entries - Files with name and bytes (Uint8Array)
+ * @param {Date} [date] - Modification date stored for every entry
+ * @returns {Uint8Array} - ZIP archive bytes
+ */
+function buildZipBytes(entries, date = new Date()) {
+    const { time, date: dosDate } = toDosDateTime(date);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    entries.forEach(entry => {
+        const nameBytes = encodeUtf8(entry.name);
+        const crc = calculateCrc32(entry.bytes);
+        const size = entry.bytes.length;
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, ZIP_VERSION, true);
+        local.setUint16(6, ZIP_FLAG_UTF8, true);
+        local.setUint16(8, ZIP_METHOD_STORE, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, size, true);
+        local.setUint32(22, size, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, ZIP_VERSION, true);
+        central.setUint16(6, ZIP_VERSION, true);
+        central.setUint16(8, ZIP_FLAG_UTF8, true);
+        central.setUint16(10, ZIP_METHOD_STORE, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, size, true);
+        central.setUint32(24, size, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+
+        localParts.push(new Uint8Array(local.buffer), nameBytes, entry.bytes);
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+        offset += 30 + nameBytes.length + size;
+    });
+
+    const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = localParts.concat(centralParts, [new Uint8Array(end.buffer)]);
+    const bytes = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    parts.forEach(part => {
+        bytes.set(part, position);
+        position += part.length;
+    });
+
+    return bytes;
+}
+
+/**
+ * Creates a ZIP archive blob
+ * @param {Array<Object>} entries - Files with name and bytes (Uint8Array)
+ * @returns {Blob} - ZIP archive
+ */
+function createZipArchive(entries) {
+    return new Blob([buildZipBytes(entries)], { type: 'application/zip' });
+}
+
+// Export functions for testing and use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        calculateCrc32,
+        encodeUtf8,
+        blobToBytes,
+        uniqueZipEntryName,
+        toDosDateTime,
+        buildZipBytes,
+        createZipArchive
+    };
+}
+
+// Make functions available globally for browser use
+if (typeof window !== 'undefined') {
+    window.calculateCrc32 = calculateCrc32;
+    window.encodeUtf8 = encodeUtf8;
+    window.blobToBytes = blobToBytes;
+    window.uniqueZipEntryName = uniqueZipEntryName;
+    window.toDosDateTime = toDosDateTime;
+    window.buildZipBytes = buildZipBytes;
+    window.createZipArchive = createZipArchive;
+}
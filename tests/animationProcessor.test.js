@@ -0,0 +1,269 @@
+/**
+ * Animated Upload Tests
+ * Following TDD: RED → GREEN → REFACTOR
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const html = fs.readFileSync(path.resolve(__dirname, '../src/index.html'), 'utf8');
+
+require('../src/js/notifications');
+require('../src/js/imageProcessor');
+require('../src/js/colorExtractor');
+require('../src/js/downloadManager');
+require('../src/js/zipBuilder');
+const { encodeGif, quantizeFrame } = require('../src/js/gifCodec');
+const {
+    MAX_ANIMATION_FRAMES,
+    MAX_ANIMATION_PIXELS,
+    getAnimationFrameLimit,
+    decodeAnimation,
+    getExportAnimation,
+    toggleAnimationControls,
+    updateAnimationProgress,
+    renderAnimatedGif
+} = require('../src/js/animationProcessor');
+
+// Canvas whose context keeps real pixel buffers
+function createPixelCanvas() {
+    const canvas = { width: 0, height: 0 };
+    canvas.getContext = () => ({
+        createImageData: (width, height) => ({ data: new Uint8ClampedArray(width * height * 4) }),
+        putImageData: jest.fn((imageData) => { canvas.pixels = imageData.data; }),
+        getImageData: (x, y, width, height) => ({ data: new Uint8ClampedArray(width * height * 4).fill(200) }),
+        drawImage: jest.fn(),
+        clearRect: jest.fn()
+    });
+    return canvas;
+}
+
+function createGifBytes(frameCount) {
+    const frames = [];
+    for (let i = 0; i < frameCount; i++) {
+        frames.push({ ...quantizeFrame(Uint8ClampedArray.from([i * 60, 0, 0, 255, 0, 0, 255, 255])), delay: 100 + i * 10 });
+    }
+    return encodeGif(frames, 2, 1, 0);
+}
+
+let originalCreateElement;
+
+beforeEach(() => {
+    document.body.innerHTML = html;
+    originalCreateElement = document.createElement.bind(document);
+    jest.spyOn(document, 'createElement').mockImplementation(tag => (
+        tag === 'canvas' ? createPixelCanvas() : originalCreateElement(tag)
+    ));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete window.ImageDecoder;
+    delete window.getImageAnimation;
+});
+
+describe('Animation Decoding', () => {
+    test('should decode animated GIFs into frame canvases with delays and loop count', async () => {
+        jest.spyOn(window, 'blobToBytes').mockResolvedValue(createGifBytes(3));
+
+        const animation = await decodeAnimation(new File(['gif'], 'dance.gif', { type: 'image/gif' }));
+
+        expect(animation.width).toBe(2);
+        expect(animation.height).toBe(1);
+        expect(animation.loopCount).toBe(0);
+        expect(animation.truncated).toBe(false);
+        expect(animation.frames.map(frame => frame.delay)).toEqual([100, 110, 120]);
+        expect(Array.from(animation.frames[2].image.pixels.slice(0, 4))).toEqual([120, 0, 0, 255]);
+    });
+
+    test('should scale GIF frames down to the working resolution', async () => {
+        jest.spyOn(window, 'blobToBytes').mockResolvedValue(createGifBytes(3));
+        jest.spyOn(window, 'downscaleImage');
+        // Scale the 2×1px test GIF down to 1×1px
+        document.getElementById('working-resolution').add(new Option('1px', '1', true, true));
+
+        const animation = await decodeAnimation(new File(['gif'], 'dance.gif', { type: 'image/gif' }));
+
+        expect(animation.width).toBe(1);
+        expect(animation.height).toBe(1);
+        expect(animation.frames.map(frame => [frame.image.width, frame.image.height])).toEqual([[1, 1], [1, 1], [1, 1]]);
+        expect(window.downscaleImage).toHaveBeenCalledTimes(3);
+        // All frames pass through the same full-size canvas, which is emptied afterwards
+        const fullSize = window.downscaleImage.mock.calls[0][0];
+        expect(window.downscaleImage.mock.calls.every(([canvas]) => canvas === fullSize)).toBe(true);
+        expect(fullSize.width).toBe(0);
+    });
+
+    test('should keep fewer frames of large animations', () => {
+        expect(getAnimationFrameLimit(100, 100)).toBe(MAX_ANIMATION_FRAMES);
+        expect(getAnimationFrameLimit(1000, 1000)).toBe(MAX_ANIMATION_PIXELS / 1e6);
+        expect(getAnimationFrameLimit(5000, 5000)).toBe(2);
+    });
+
+    test('should not decode frames of a GIF too large to keep animated', async () => {
+        const bytes = createGifBytes(3);
+        // Logical screen of 8000×8000px
+        bytes.set([0x40, 0x1f, 0x40, 0x1f], 6);
+        jest.spyOn(window, 'blobToBytes').mockResolvedValue(bytes);
+        jest.spyOn(window, 'decodeGif');
+
+        expect(await decodeAnimation(new File(['gif'], 'huge.gif', { type: 'image/gif' }))).toBeNull();
+        expect(window.decodeGif).not.toHaveBeenCalled();
+    });
+
+    test('should treat single-frame GIFs and other formats as still images', async () => {
+        jest.spyOn(window, 'blobToBytes').mockResolvedValue(createGifBytes(1));
+
+        expect(await decodeAnimation(new File(['gif'], 'still.gif', { type: 'image/gif' }))).toBeNull();
+        expect(await decodeAnimation(new File(['png'], 'photo.png', { type: 'image/png' }))).toBeNull();
+        expect(window.blobToBytes).toHaveBeenCalledTimes(1);
+    });
+
+    test('should fall back to a still image when the GIF is damaged', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(window, 'blobToBytes').mockResolvedValue(new Uint8Array([1, 2, 3]));
+
+        expect(await decodeAnimation(new File(['gif'], 'broken.gif', { type: 'image/gif' }))).toBeNull();
+        expect(console.error).toHaveBeenCalled();
+    });
+
+    test('should leave animated WebP as a still image without ImageDecoder', async () => {
+        jest.spyOn(window, 'blobToBytes');
+
+        expect(await decodeAnimation(new File(['webp'], 'loop.webp', { type: 'image/webp' }))).toBeNull();
+        expect(window.blobToBytes).not.toHaveBeenCalled();
+    });
+
+    test('should decode animated WebP with ImageDecoder', async () => {
+        jest.spyOn(window, 'blobToBytes').mockResolvedValue(new Uint8Array([1]));
+        const close = jest.fn();
+        const frameClose = jest.fn();
+        window.ImageDecoder = jest.fn(() => ({
+            tracks: {
+                ready: Promise.resolve(),
+                selectedTrack: { animated: true, frameCount: 2, repetitionCount: Infinity }
+            },
+            decode: jest.fn(({ frameIndex }) => Promise.resolve({
+                image: { displayWidth: 40, displayHeight: 30, duration: (frameIndex + 1) * 50000, close: frameClose }
+            })),
+            close
+        }));
+        window.ImageDecoder.isTypeSupported = jest.fn(() => Promise.resolve(true));
+
+        const animation = await decodeAnimation(new File(['webp'], 'loop.webp', { type: 'image/webp' }));
+
+        expect(window.ImageDecoder).toHaveBeenCalledWith({ data: expect.any(Uint8Array), type: 'image/webp' });
+        expect(animation.width).toBe(40);
+        expect(animation.height).toBe(30);
+        expect(animation.frames.map(frame => frame.delay)).toEqual([50, 100]);
+        expect(animation.loopCount).toBe(0);
+        expect(frameClose).toHaveBeenCalledTimes(2);
+        expect(close).toHaveBeenCalled();
+    });
+
+    test('should scale ImageDecoder frames down to the working resolution', async () => {
+        jest.spyOn(window, 'blobToBytes').mockResolvedValue(new Uint8Array([1]));
+        const frameImage = { displayWidth: 4000, displayHeight: 3000, duration: 100000, close: jest.fn() };
+        window.ImageDecoder = jest.fn(() => ({
+            tracks: {
+                ready: Promise.resolve(),
+                selectedTrack: { animated: true, frameCount: 2, repetitionCount: 0 }
+            },
+            decode: jest.fn(() => Promise.resolve({ image: frameImage })),
+            close: jest.fn()
+        }));
+        window.ImageDecoder.isTypeSupported = jest.fn(() => Promise.resolve(true));
+        document.getElementById('working-resolution').value = '2048';
+
+        const animation = await decodeAnimation(new File(['webp'], 'loop.webp', { type: 'image/webp' }));
+
+        expect(animation.width).toBe(2048);
+        expect(animation.height).toBe(1536);
+        expect(animation.frames[0].image.width).toBe(2048);
+        expect(animation.frames[0].image.height).toBe(1536);
+    });
+
+    test('should cap ImageDecoder frames by their total pixels', async () => {
+        jest.spyOn(window, 'blobToBytes').mockResolvedValue(new Uint8Array([1]));
+        const decode = jest.fn(() => Promise.resolve({
+            image: { displayWidth: 5000, displayHeight: 5000, duration: 100000, close: jest.fn() }
+        }));
+        window.ImageDecoder = jest.fn(() => ({
+            tracks: {
+                ready: Promise.resolve(),
+                selectedTrack: { animated: true, frameCount: 40, repetitionCount: 0 }
+            },
+            decode,
+            close: jest.fn()
+        }));
+        window.ImageDecoder.isTypeSupported = jest.fn(() => Promise.resolve(true));
+
+        const animation = await decodeAnimation(new File(['gif'], 'big.gif', { type: 'image/gif' }));
+
+        expect(animation.frames).toHaveLength(2);
+        expect(animation.truncated).toBe(true);
+        expect(decode).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('Animation Export Controls', () => {
+    const animation = { width: 2, height: 1, frames: [{}, {}, {}], loopCount: 0, truncated: false };
+
+    test('should show the animation option with the frame count', () => {
+        toggleAnimationControls(animation);
+
+        expect(document.getElementById('animation-controls').style.display).toBe('');
+        expect(document.getElementById('animation-info').textContent).toBe('🎞️ 3 frames');
+
+        toggleAnimationControls(null);
+        expect(document.getElementById('animation-controls').style.display).toBe('none');
+    });
+
+    test('should mention the frame limit for truncated animations', () => {
+        toggleAnimationControls({ ...animation, truncated: true });
+
+        expect(document.getElementById('animation-info').textContent).toBe('🎞️ 3 frames (the rest are cut off to save memory)');
+    });
+
+    test('should export the animation only while it is kept', () => {
+        window.getImageAnimation = () => animation;
+
+        expect(getExportAnimation()).toBe(animation);
+
+        document.getElementById('export-animated').checked = false;
+        expect(getExportAnimation()).toBeNull();
+    });
+
+    test('should show and hide the progress bar', () => {
+        updateAnimationProgress(1, 4);
+
+        expect(document.getElementById('animation-progress').style.display).toBe('');
+        expect(document.getElementById('animation-progress-bar').value).toBe(1);
+        expect(document.getElementById('animation-progress-text').textContent).toBe('Rendering frame 2 of 4…');
+
+        updateAnimationProgress(0, 0);
+        expect(document.getElementById('animation-progress').style.display).toBe('none');
+    });
+});
+
+describe('Animated GIF Rendering', () => {
+    test('should composite every frame with the scene and keep delays and loop count', async () => {
+        window.renderScene = jest.fn();
+        jest.spyOn(window, 'encodeGifHeader');
+        jest.spyOn(window, 'encodeGifFrame');
+        const frames = [{ image: { width: 2, height: 1 }, delay: 80 }, { image: { width: 2, height: 1 }, delay: 160 }];
+        const settings = { width: 4, height: 3, backgroundColor: '#ff0000' };
+
+        const blob = await renderAnimatedGif({ width: 2, height: 1, frames, loopCount: 5 }, settings);
+
+        expect(blob.type).toBe('image/gif');
+        expect(window.renderScene).toHaveBeenCalledTimes(2);
+        expect(window.renderScene).toHaveBeenNthCalledWith(2, expect.any(Object), frames[1].image, settings);
+        expect(window.encodeGifHeader).toHaveBeenCalledWith(4, 3, 5);
+        expect(window.encodeGifFrame.mock.calls.map(([frame]) => frame.delay)).toEqual([80, 160]);
+        expect(window.encodeGifFrame).toHaveBeenCalledWith(expect.objectContaining({ indices: expect.any(Uint8Array) }), 4, 3);
+        expect(document.getElementById('animation-progress').style.display).toBe('none');
+
+        delete window.renderScene;
+    });
+});
@@ -63,4 +63,110 @@ describe('Main Application', () => {
         // Should not throw errors
         expect(() => initializeApp()).not.toThrow();
     });
-});
\ No newline at end of file
+});
+describe('Paste Upload', () => {
+    function createPasteEvent(clipboardData) {
+        return { clipboardData, preventDefault: jest.fn() };
+    }
+
+    afterEach(() => {
+        delete window.handleImageUpload;
+        delete window.getImageElement;
+    });
+
+    test('should collect image blobs from clipboard items', () => {
+        const { getPastedFiles } = require('../src/js/app');
+        const screenshot = new File(['png'], 'image.png', { type: 'image/png' });
+        
+        const files = getPastedFiles({
+            files: [],
+            items: [
+                { kind: 'string', type: 'text/html', getAsFile: () => null },
+                { kind: 'file', type: 'image/png', getAsFile: () => screenshot }
+            ]
+        });
+        
+        expect(files).toEqual([screenshot]);
+    });
+
+    test('should prefer files copied from a file manager', () => {
+        const { getPastedFiles } = require('../src/js/app');
+        const first = new File(['a'], 'beach.jpg', { type: 'image/jpeg' });
+        const second = new File(['b'], 'city.png', { type: 'image/png' });
+        
+        expect(getPastedFiles({ files: [first, second], items: [] })).toEqual([first, second]);
+        expect(getPastedFiles(null)).toEqual([]);
+    });
+
+    test('should upload pasted images and hide the upload prompt', async () => {
+        const { handlePaste } = require('../src/js/app');
+        const screenshot = new File(['png'], 'image.png', { type: 'image/png' });
+        window.handleImageUpload = jest.fn(() => Promise.resolve());
+        window.getImageElement = jest.fn(() => ({ width: 400, height: 300 }));
+        const event = createPasteEvent({ files: [screenshot], items: [] });
+        
+        await handlePaste(event);
+        
+        expect(event.preventDefault).toHaveBeenCalled();
+        expect(window.handleImageUpload).toHaveBeenCalledWith({ target: { files: [screenshot] } });
+        expect(document.getElementById('upload-prompt').style.display).toBe('none');
+        expect(document.getElementById('preview-canvas').style.display).toBe('block');
+    });
+
+    test('should keep the upload prompt when the pasted image is rejected', async () => {
+        const { handlePaste } = require('../src/js/app');
+        const pasted = new File(['bmp'], 'image.bmp', { type: 'image/bmp' });
+        // handleImageUpload resolves after reporting a rejected file
+        window.handleImageUpload = jest.fn(() => Promise.resolve());
+        window.getImageElement = jest.fn(() => null);
+        document.getElementById('upload-prompt').style.display = 'block';
+        document.getElementById('preview-canvas').style.display = 'none';
+        
+        await handlePaste(createPasteEvent({ files: [pasted], items: [] }));
+        
+        expect(document.getElementById('upload-prompt').style.display).toBe('block');
+        expect(document.getElementById('preview-canvas').style.display).toBe('none');
+    });
+
+    test('should keep the upload prompt when a dropped image is rejected', async () => {
+        const { initializeApp } = require('../src/js/app');
+        const dropped = new File(['png'], 'tiny.png', { type: 'image/png' });
+        // handleImageUpload resolves after reporting a rejected file
+        window.handleImageUpload = jest.fn(() => Promise.resolve());
+        window.getImageElement = jest.fn(() => null);
+        window.updatePreview = jest.fn();
+        initializeApp();
+        
+        const drop = new Event('drop', { bubbles: true });
+        drop.dataTransfer = { files: [dropped] };
+        document.getElementById('drop-zone').dispatchEvent(drop);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        
+        expect(window.handleImageUpload).toHaveBeenCalledWith({ target: { files: [dropped] } });
+        expect(document.getElementById('upload-prompt').style.display).toBe('block');
+        expect(document.getElementById('preview-canvas').style.display).toBe('none');
+        document.removeEventListener('paste', window.handlePaste);
+    });
+
+    test('should leave text pastes alone', () => {
+        const { handlePaste } = require('../src/js/app');
+        window.handleImageUpload = jest.fn(() => Promise.resolve());
+        const event = createPasteEvent({ files: [], items: [{ kind: 'string', type: 'text/plain', getAsFile: () => null }] });
+        
+        expect(handlePaste(event)).toBeUndefined();
+        expect(event.preventDefault).not.toHaveBeenCalled();
+        expect(window.handleImageUpload).not.toHaveBeenCalled();
+    });
+
+    test('should listen for paste on the whole document', () => {
+        const { initializeApp, handlePaste } = require('../src/js/app');
+        const addEventListener = jest.spyOn(document, 'addEventListener');
+        window.updatePreview = jest.fn();
+        
+        initializeApp();
+        
+        expect(addEventListener).toHaveBeenCalledWith('paste', handlePaste);
+        addEventListener.mockRestore();
+        document.removeEventListener('paste', handlePaste);
+    });
+});
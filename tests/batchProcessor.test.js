@@ -0,0 +1,213 @@
+/**
+ * Batch Processing Tests
+ * Following TDD: RED → GREEN → REFACTOR
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const html = fs.readFileSync(path.resolve(__dirname, '../src/index.html'), 'utf8');
+
+require('../src/js/notifications');
+require('../src/js/imageProcessor');
+require('../src/js/canvasRenderer');
+require('../src/js/uiControls');
+require('../src/js/downloadManager');
+require('../src/js/zipBuilder');
+const {
+    addFilesToBatch,
+    getBatchQueue,
+    clearBatch,
+    processBatch,
+    initializeBatch
+} = require('../src/js/batchProcessor');
+
+function createImageFile(name, type = 'image/png') {
+    return new File(['fake-image-data'], name, { type });
+}
+
+beforeEach(() => {
+    document.body.innerHTML = html;
+    clearBatch();
+    URL.createObjectURL.mockClear();
+    URL.revokeObjectURL.mockClear();
+
+    jest.spyOn(window, 'renderExportBlob').mockImplementation((image, settings, exportSettings) => (
+        Promise.resolve(new Blob(['img'], { type: exportSettings.mimeType }))
+    ));
+    jest.spyOn(window, 'blobToBytes').mockResolvedValue(new Uint8Array([1, 2, 3]));
+    jest.spyOn(window, 'triggerDownload').mockImplementation(() => {});
+    jest.spyOn(window, 'createZipArchive');
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('Batch Queue', () => {
+    test('should queue files with thumbnails and show the batch section', () => {
+        addFilesToBatch([createImageFile('one.png'), createImageFile('two.jpg', 'image/jpeg')]);
+
+        expect(getBatchQueue()).toHaveLength(2);
+        expect(getBatchQueue()[0]).toEqual(expect.objectContaining({ name: 'one.png', status: 'pending' }));
+        expect(document.getElementById('batch-section').style.display).toBe('');
+        expect(document.getElementById('batch-count').textContent).toBe('(2)');
+
+        const rows = document.querySelectorAll('#batch-queue .batch-item');
+        expect(rows).toHaveLength(2);
+        expect(rows[0].querySelector('img.batch-thumbnail').getAttribute('src')).toBe('blob:fake-url');
+        expect(rows[1].querySelector('.batch-name').textContent).toBe('two.jpg');
+    });
+
+    test('should mark invalid files as failed when queued', () => {
+        addFilesToBatch([createImageFile('notes.txt', 'text/plain')]);
+
+        const [item] = getBatchQueue();
+        expect(item.status).toBe('failed');
+        expect(item.thumbnailUrl).toBeNull();
+        expect(document.querySelector('.batch-item-failed .batch-status').textContent).toContain('Failed');
+    });
+
+    test('should clear the queue and release thumbnails', () => {
+        addFilesToBatch([createImageFile('one.png'), createImageFile('two.png')]);
+
+        clearBatch();
+
+        expect(getBatchQueue()).toHaveLength(0);
+        expect(URL.revokeObjectURL).toHaveBeenCalledTimes(2);
+        expect(document.getElementById('batch-section').style.display).toBe('none');
+    });
+});
+
+describe('Batch Processing', () => {
+    test('should frame batch images whole even when the preview is cropped', async () => {
+        window.getCropSettings = () => ({ x: 0.25, y: 0.25, width: 0.5, height: 0.5 });
+        addFilesToBatch([createImageFile('beach.png')]);
+
+        await processBatch();
+        delete window.getCropSettings;
+
+        expect(window.renderExportBlob.mock.calls[0][1].crop).toBeNull();
+    });
+
+    test('should frame every image with the current settings and download one ZIP', async () => {
+        document.getElementById('width-input').value = '1080';
+        document.getElementById('height-input').value = '1080';
+        document.getElementById('filename-template').value = '{original}-{preset}-{index}';
+        addFilesToBatch([createImageFile('beach.png'), createImageFile('forest.png')]);
+
+        const result = await processBatch();
+
+        expect(result).toEqual({ succeeded: 2, failed: 0 });
+        expect(window.renderExportBlob).toHaveBeenCalledTimes(2);
+        expect(window.renderExportBlob.mock.calls[0][1]).toEqual(expect.objectContaining({ width: 1080, height: 1080 }));
+
+        const entries = window.createZipArchive.mock.calls[0][0];
+        expect(entries.map(entry => entry.name)).toEqual([
+            'beach-instagram-post-1.png',
+            'forest-instagram-post-2.png'
+        ]);
+
+        const [archive, zipName] = window.triggerDownload.mock.calls[0];
+        expect(archive.type).toBe('application/zip');
+        expect(zipName).toMatch(/^framefill-batch-\d{4}-\d{2}-\d{2}\.zip$/);
+        expect(getBatchQueue().every(item => item.status === 'done')).toBe(true);
+        expect(document.getElementById('batch-summary').textContent).toBe('2 of 2 images framed');
+    });
+
+    test('should close each decoded bitmap once it is encoded', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const bitmaps = [];
+        jest.spyOn(window, 'loadWorkingImage').mockImplementation(() => {
+            const bitmap = { width: 400, height: 300, close: jest.fn() };
+            bitmaps.push(bitmap);
+            return Promise.resolve({ image: bitmap, sourceWidth: 400, sourceHeight: 300 });
+        });
+        window.renderExportBlob.mockRejectedValueOnce(new Error('Canvas too large'));
+        addFilesToBatch([createImageFile('beach.png'), createImageFile('forest.png')]);
+
+        await processBatch();
+
+        expect(bitmaps).toHaveLength(2);
+        bitmaps.forEach(bitmap => expect(bitmap.close).toHaveBeenCalledTimes(1));
+    });
+
+    test('should keep entry names unique when the template repeats', async () => {
+        document.getElementById('filename-template').value = 'framed';
+        addFilesToBatch([createImageFile('a.png'), createImageFile('b.png')]);
+
+        await processBatch();
+
+        const entries = window.createZipArchive.mock.calls[0][0];
+        expect(entries.map(entry => entry.name)).toEqual(['framed.png', 'framed (2).png']);
+    });
+
+    test('should report per-file failures and still zip the rest', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        window.renderExportBlob
+            .mockResolvedValueOnce(new Blob(['img'], { type: 'image/png' }))
+            .mockRejectedValueOnce(new Error('Canvas too large'));
+        addFilesToBatch([
+            createImageFile('good.png'),
+            createImageFile('broken.png'),
+            createImageFile('notes.txt', 'text/plain')
+        ]);
+
+        const result = await processBatch();
+
+        expect(result).toEqual({ succeeded: 1, failed: 2 });
+        expect(window.createZipArchive.mock.calls[0][0]).toHaveLength(1);
+        expect(getBatchQueue().map(item => item.status)).toEqual(['done', 'failed', 'failed']);
+        expect(getBatchQueue()[1].error).toBe('Canvas too large');
+        expect(document.getElementById('batch-summary').textContent).toBe('1 of 3 images framed, 2 failed');
+    });
+
+    test('should not download an archive when every file fails', async () => {
+        addFilesToBatch([createImageFile('notes.txt', 'text/plain')]);
+
+        const result = await processBatch();
+
+        expect(result).toEqual({ succeeded: 0, failed: 1 });
+        expect(window.triggerDownload).not.toHaveBeenCalled();
+        expect(document.getElementById('batch-summary').textContent).toBe('0 of 1 images framed, 1 failed');
+    });
+
+    test('should encode every image with the current export settings', async () => {
+        const exportSettings = { format: 'jpeg', mimeType: 'image/jpeg', extension: 'jpg', quality: 0.9 };
+        jest.spyOn(window, 'getExportSettings').mockReturnValue(exportSettings);
+        addFilesToBatch([createImageFile('photo.png')]);
+
+        await processBatch();
+
+        expect(window.renderExportBlob).toHaveBeenCalledWith(expect.anything(), expect.any(Object), exportSettings, null);
+        expect(window.createZipArchive.mock.calls[0][0][0].name).toMatch(/\.jpg$/);
+    });
+
+    test('should report a failed archive and let the batch run again', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        window.createZipArchive.mockImplementationOnce(() => {
+            throw new RangeError('Array buffer allocation failed');
+        });
+        addFilesToBatch([createImageFile('one.png')]);
+
+        const result = await processBatch();
+
+        expect(result).toEqual({ succeeded: 0, failed: 1 });
+        expect(window.triggerDownload).not.toHaveBeenCalled();
+        expect(document.getElementById('batch-download-btn').disabled).toBe(false);
+        expect(document.querySelector('#notifications .notification').textContent)
+            .toContain('The batch could not be finished');
+
+        await processBatch();
+        expect(window.triggerDownload).toHaveBeenCalledTimes(1);
+    });
+
+    test('should bind the batch buttons', () => {
+        initializeBatch();
+        addFilesToBatch([createImageFile('one.png')]);
+
+        document.getElementById('batch-clear-btn').click();
+
+        expect(getBatchQueue()).toHaveLength(0);
+    });
+});
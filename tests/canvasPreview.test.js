@@ -129,6 +129,7 @@ describe('Canvas Preview Functionality', () => {
         
         expect(mockContext.drawImage).toHaveBeenCalledWith(
             mockImage,
+            0, 0, 200, 150, // whole image as the source rectangle
             300, // x position (centered)
             225, // y position (centered)
             200, // scaled width
@@ -360,4 +361,518 @@ describe('Border Rendering Functionality', () => {
         expect(result.adjustedWidth).toBe(200);
         expect(result.adjustedHeight).toBe(150);
     });
-});
\ No newline at end of file
+});
+describe('Linear Gradient Background Functionality', () => {
+    test('should calculate vertical gradient line for 0deg', () => {
+        const { calculateLinearGradientPoints } = require('../src/js/canvasRenderer');
+        
+        const points = calculateLinearGradientPoints(0, 800, 600);
+        
+        expect(points.x0).toBeCloseTo(400);
+        expect(points.y0).toBeCloseTo(0);
+        expect(points.x1).toBeCloseTo(400);
+        expect(points.y1).toBeCloseTo(600);
+    });
+
+    test('should calculate horizontal gradient line for 90deg', () => {
+        const { calculateLinearGradientPoints } = require('../src/js/canvasRenderer');
+        
+        const points = calculateLinearGradientPoints(90, 800, 600);
+        
+        expect(points.x0).toBeCloseTo(0);
+        expect(points.y0).toBeCloseTo(300);
+        expect(points.x1).toBeCloseTo(800);
+        expect(points.y1).toBeCloseTo(300);
+    });
+
+    test('should extend diagonal gradient line so corners get end colors', () => {
+        const { calculateLinearGradientPoints } = require('../src/js/canvasRenderer');
+        
+        // Square canvas at 45deg: line runs corner to corner
+        const points = calculateLinearGradientPoints(45, 400, 400);
+        
+        expect(points.x0).toBeCloseTo(0);
+        expect(points.y0).toBeCloseTo(0);
+        expect(points.x1).toBeCloseTo(400);
+        expect(points.y1).toBeCloseTo(400);
+    });
+
+    test('should add start, intermediate and end color stops', () => {
+        const { createLinearGradientFill } = require('../src/js/canvasRenderer');
+        
+        const mockGradient = { addColorStop: jest.fn() };
+        const mockContext = { createLinearGradient: jest.fn(() => mockGradient) };
+        
+        const result = createLinearGradientFill(mockContext, {
+            angle: 90,
+            startColor: '#ff0000',
+            endColor: '#0000ff',
+            stops: [{ color: '#00ff00', position: 25 }]
+        }, 800, 600);
+        
+        expect(result).toBe(mockGradient);
+        expect(mockContext.createLinearGradient).toHaveBeenCalledTimes(1);
+        expect(mockGradient.addColorStop.mock.calls).toEqual([
+            [0, '#ff0000'],
+            [0.25, '#00ff00'],
+            [1, '#0000ff']
+        ]);
+    });
+
+    test('should draw linear gradient background by type', () => {
+        const { drawBackgroundByType } = require('../src/js/canvasRenderer');
+        
+        const canvas = document.getElementById('preview-canvas');
+        const mockGradient = { addColorStop: jest.fn() };
+        const mockContext = {
+            fillStyle: '',
+            fillRect: jest.fn(),
+            clearRect: jest.fn(),
+            createLinearGradient: jest.fn(() => mockGradient)
+        };
+        canvas.getContext = jest.fn(() => mockContext);
+        
+        drawBackgroundByType('linear-gradient', '#ffffff', null, 800, 600, {
+            linearGradient: { angle: 0, startColor: '#000000', endColor: '#ffffff', stops: [] }
+        });
+        
+        expect(mockContext.createLinearGradient).toHaveBeenCalledWith(400, 0, 400, 600);
+        expect(mockContext.fillStyle).toBe(mockGradient);
+        expect(mockContext.fillRect).toHaveBeenCalledWith(0, 0, 800, 600);
+    });
+});
+
+describe('Radial Gradient Background Functionality', () => {
+    const createMockRadialContext = () => {
+        const mockGradient = { addColorStop: jest.fn() };
+        return {
+            mockGradient,
+            fillStyle: '',
+            fillRect: jest.fn(),
+            clearRect: jest.fn(),
+            save: jest.fn(),
+            restore: jest.fn(),
+            translate: jest.fn(),
+            scale: jest.fn(),
+            createRadialGradient: jest.fn(() => mockGradient)
+        };
+    };
+
+    test('should size circle radius to reach the farthest corner', () => {
+        const { calculateRadialGradientGeometry } = require('../src/js/canvasRenderer');
+        
+        const geometry = calculateRadialGradientGeometry(
+            { shape: 'circle', centerX: 50, centerY: 50 }, 800, 600
+        );
+        
+        expect(geometry.centerX).toBe(400);
+        expect(geometry.centerY).toBe(300);
+        expect(geometry.radiusX).toBeCloseTo(500); // sqrt(400² + 300²)
+        expect(geometry.radiusY).toBeCloseTo(500);
+    });
+
+    test('should use the farthest corner for an off-center circle', () => {
+        const { calculateRadialGradientGeometry } = require('../src/js/canvasRenderer');
+        
+        const geometry = calculateRadialGradientGeometry(
+            { shape: 'circle', centerX: 0, centerY: 0 }, 300, 400
+        );
+        
+        expect(geometry.centerX).toBe(0);
+        expect(geometry.centerY).toBe(0);
+        expect(geometry.radiusX).toBeCloseTo(500);
+    });
+
+    test('should keep canvas aspect ratio for ellipse shape', () => {
+        const { calculateRadialGradientGeometry } = require('../src/js/canvasRenderer');
+        
+        const geometry = calculateRadialGradientGeometry(
+            { shape: 'ellipse', centerX: 50, centerY: 50 }, 800, 400
+        );
+        
+        expect(geometry.radiusX / geometry.radiusY).toBeCloseTo(2);
+        // Ellipse passes through the corner: (400/rx)² + (200/ry)² = 1
+        expect(Math.pow(400 / geometry.radiusX, 2) + Math.pow(200 / geometry.radiusY, 2)).toBeCloseTo(1);
+    });
+
+    test('should paint radial gradient with center and edge colors', () => {
+        const { paintRadialGradient } = require('../src/js/canvasRenderer');
+        
+        const mockContext = createMockRadialContext();
+        
+        paintRadialGradient(mockContext, {
+            centerColor: '#ffffff',
+            edgeColor: '#000000',
+            shape: 'ellipse',
+            centerX: 50,
+            centerY: 50
+        }, 800, 400);
+        
+        expect(mockContext.translate).toHaveBeenCalledWith(400, 200);
+        expect(mockContext.scale).toHaveBeenCalledWith(1, 0.5);
+        expect(mockContext.mockGradient.addColorStop.mock.calls).toEqual([
+            [0, '#ffffff'],
+            [1, '#000000']
+        ]);
+        expect(mockContext.fillStyle).toBe(mockContext.mockGradient);
+        // Whole canvas in transformed space
+        expect(mockContext.fillRect).toHaveBeenCalledWith(-400, -400, 800, 800);
+        expect(mockContext.restore).toHaveBeenCalled();
+    });
+
+    test('should draw radial gradient background by type', () => {
+        const { drawBackgroundByType } = require('../src/js/canvasRenderer');
+        
+        const canvas = document.getElementById('preview-canvas');
+        const mockContext = createMockRadialContext();
+        canvas.getContext = jest.fn(() => mockContext);
+        
+        drawBackgroundByType('radial-gradient', '#ffffff', null, 800, 600, {
+            radialGradient: { centerColor: '#ff0000', edgeColor: '#0000ff', shape: 'circle', centerX: 50, centerY: 50 }
+        });
+        
+        expect(mockContext.clearRect).toHaveBeenCalledWith(0, 0, 800, 600);
+        expect(mockContext.createRadialGradient).toHaveBeenCalledWith(0, 0, 0, 0, 0, 500);
+    });
+
+    test('should include radial gradient settings in canvas settings', () => {
+        const { getCanvasSettings } = require('../src/js/canvasRenderer');
+        require('../src/js/uiControls');
+        
+        document.getElementById('radial-center-color').value = '#ff0000';
+        document.getElementById('radial-shape').value = 'ellipse';
+        document.getElementById('radial-center-x').value = '25';
+        
+        const settings = getCanvasSettings();
+        
+        expect(settings.radialGradient).toEqual({
+            centerColor: '#ff0000',
+            edgeColor: '#1e87f0',
+            shape: 'ellipse',
+            centerX: 25,
+            centerY: 50
+        });
+    });
+});
+
+describe('Image Sizing Modes Functionality', () => {
+    test('should keep percentage mode relative to original pixels', () => {
+        const { calculateFittedDimensions } = require('../src/js/canvasRenderer');
+        
+        const size = calculateFittedDimensions(400, 300, 800, 600, { mode: 'percentage' }, 50);
+        
+        expect(size).toEqual({ scaledWidth: 200, scaledHeight: 150 });
+    });
+
+    test('should fit large images inside the padded frame in contain mode', () => {
+        const { calculateFittedDimensions } = require('../src/js/canvasRenderer');
+        
+        expect(calculateFittedDimensions(4000, 2000, 800, 600, { mode: 'contain', padding: 0, paddingUnit: 'px' }, 100))
+            .toEqual({ scaledWidth: 800, scaledHeight: 400 });
+        expect(calculateFittedDimensions(4000, 2000, 800, 600, { mode: 'contain', padding: 50, paddingUnit: 'px' }, 100))
+            .toEqual({ scaledWidth: 700, scaledHeight: 350 });
+        // 10% of the shorter side (600) is 60px on each side
+        expect(calculateFittedDimensions(300, 300, 800, 600, { mode: 'contain', padding: 10, paddingUnit: '%' }, 100))
+            .toEqual({ scaledWidth: 480, scaledHeight: 480 });
+    });
+
+    test('should fill the whole frame in cover mode', () => {
+        const { calculateFittedDimensions } = require('../src/js/canvasRenderer');
+        
+        const size = calculateFittedDimensions(300, 300, 800, 600, { mode: 'cover', padding: 40, paddingUnit: 'px' }, 100);
+        
+        expect(size).toEqual({ scaledWidth: 800, scaledHeight: 800 });
+    });
+
+    test('should match one padded side in fit-width and fit-height modes', () => {
+        const { calculateFittedDimensions } = require('../src/js/canvasRenderer');
+        
+        expect(calculateFittedDimensions(400, 400, 800, 600, { mode: 'fit-width', padding: 100, paddingUnit: 'px' }, 100))
+            .toEqual({ scaledWidth: 600, scaledHeight: 600 });
+        expect(calculateFittedDimensions(400, 200, 800, 600, { mode: 'fit-height', padding: 0, paddingUnit: 'px' }, 100))
+            .toEqual({ scaledWidth: 1200, scaledHeight: 600 });
+    });
+
+    test('should not let padding collapse the image', () => {
+        const { calculateFittedDimensions } = require('../src/js/canvasRenderer');
+        
+        const size = calculateFittedDimensions(100, 100, 200, 200, { mode: 'contain', padding: 500, paddingUnit: 'px' }, 100);
+        
+        expect(size.scaledWidth).toBeGreaterThan(0);
+        expect(size.scaledHeight).toBeGreaterThan(0);
+    });
+
+    test('should lay out the image with the configured sizing mode', () => {
+        const { calculateImageLayout } = require('../src/js/canvasRenderer');
+        
+        const layout = calculateImageLayout({ width: 1600, height: 1600 }, {
+            width: 800, height: 600, scale: 100, fit: { mode: 'contain', padding: 20, paddingUnit: 'px' }
+        });
+        
+        expect(layout).toEqual({ x: 120, y: 20, width: 560, height: 560 });
+    });
+});
+
+describe('Image Positioning Functionality', () => {
+    test('should place the image at each nine-grid anchor', () => {
+        const { calculateAnchorPosition } = require('../src/js/canvasRenderer');
+        
+        expect(calculateAnchorPosition(800, 600, 400, 300, 'top-left')).toEqual({ x: 0, y: 0 });
+        expect(calculateAnchorPosition(800, 600, 400, 300, 'top')).toEqual({ x: 200, y: 0 });
+        expect(calculateAnchorPosition(800, 600, 400, 300, 'center')).toEqual({ x: 200, y: 150 });
+        expect(calculateAnchorPosition(800, 600, 400, 300, 'right')).toEqual({ x: 400, y: 150 });
+        expect(calculateAnchorPosition(800, 600, 400, 300, 'bottom-right')).toEqual({ x: 400, y: 300 });
+        expect(calculateAnchorPosition(800, 600, 400, 300, 'unknown')).toEqual({ x: 200, y: 150 });
+    });
+
+    test('should keep corner and edge anchors inside the padding', () => {
+        const { calculateAnchorPosition } = require('../src/js/canvasRenderer');
+        
+        expect(calculateAnchorPosition(800, 600, 400, 300, 'top-left', 40)).toEqual({ x: 40, y: 40 });
+        expect(calculateAnchorPosition(800, 600, 400, 300, 'bottom-right', 40)).toEqual({ x: 360, y: 260 });
+        expect(calculateAnchorPosition(800, 600, 400, 300, 'left', 40)).toEqual({ x: 40, y: 150 });
+        // The center does not move
+        expect(calculateAnchorPosition(800, 600, 400, 300, 'center', 40)).toEqual({ x: 200, y: 150 });
+    });
+
+    test('should inset anchored layouts by the padding except when covering the frame', () => {
+        const { calculateImageLayout } = require('../src/js/canvasRenderer');
+        const image = { width: 400, height: 300 };
+        const settings = {
+            width: 800,
+            height: 600,
+            scale: 50,
+            fit: { mode: 'percentage', padding: 5, paddingUnit: '%' },
+            position: { anchor: 'top-left', offsetX: 0, offsetY: 0 }
+        };
+        
+        // 5% of the 600px side
+        expect(calculateImageLayout(image, settings)).toEqual({ x: 30, y: 30, width: 200, height: 150 });
+        
+        settings.fit = { mode: 'cover', padding: 5, paddingUnit: '%' };
+        expect(calculateImageLayout(image, settings)).toMatchObject({ x: 0, y: 0 });
+    });
+
+    test('should add the free offset to the anchor position', () => {
+        const { calculateAnchoredPosition } = require('../src/js/canvasRenderer');
+        
+        const position = calculateAnchoredPosition(800, 600, 400, 300, { anchor: 'bottom', offsetX: -25, offsetY: 10 });
+        
+        expect(position).toEqual({ x: 175, y: 310 });
+    });
+
+    test('should snap positions near an anchor and keep others as offsets', () => {
+        const { snapPositionToAnchor } = require('../src/js/canvasRenderer');
+        
+        expect(snapPositionToAnchor(800, 600, 400, 300, 395, 6, 12)).toEqual({ anchor: 'top-right', offsetX: 0, offsetY: 0 });
+        expect(snapPositionToAnchor(800, 600, 400, 300, 260, 150, 12)).toEqual({ anchor: 'center', offsetX: 60, offsetY: 0 });
+        // Padded anchors snap where the image is drawn
+        expect(snapPositionToAnchor(800, 600, 400, 300, 45, 36, 12, 40)).toEqual({ anchor: 'top-left', offsetX: 0, offsetY: 0 });
+    });
+
+    test('should draw the image at the configured position', () => {
+        const { calculateImageLayout } = require('../src/js/canvasRenderer');
+        const image = { width: 400, height: 300 };
+        
+        expect(calculateImageLayout(image, { width: 800, height: 600, scale: 100 }))
+            .toEqual({ x: 200, y: 150, width: 400, height: 300 });
+        expect(calculateImageLayout(image, {
+            width: 800, height: 600, scale: 50, position: { anchor: 'top-left', offsetX: 20, offsetY: 30 }
+        })).toEqual({ x: 20, y: 30, width: 200, height: 150 });
+    });
+});
+
+describe('Transparent Background Functionality', () => {
+    test('should clear canvas without filling for transparent background', () => {
+        const { drawBackgroundByType } = require('../src/js/canvasRenderer');
+        
+        const canvas = document.getElementById('preview-canvas');
+        const mockContext = {
+            fillStyle: '',
+            fillRect: jest.fn(),
+            clearRect: jest.fn()
+        };
+        canvas.getContext = jest.fn(() => mockContext);
+        
+        drawBackgroundByType('transparent', '#ff0000', null, 800, 600);
+        
+        expect(mockContext.clearRect).toHaveBeenCalledWith(0, 0, 800, 600);
+        expect(mockContext.fillRect).not.toHaveBeenCalled();
+    });
+
+    test('should show checkerboard behind preview only for transparent background', () => {
+        const { updatePreview } = require('../src/js/canvasRenderer');
+        
+        const canvas = document.getElementById('preview-canvas');
+        canvas.getContext = jest.fn(() => ({
+            fillStyle: '',
+            fillRect: jest.fn(),
+            clearRect: jest.fn()
+        }));
+        window.getImageElement = jest.fn(() => null);
+        window.getUploadedImage = jest.fn(() => null);
+        
+        window.getBackgroundType = jest.fn(() => 'transparent');
+        updatePreview();
+        expect(canvas.classList.contains('transparent-preview')).toBe(true);
+        
+        window.getBackgroundType = jest.fn(() => 'color');
+        updatePreview();
+        expect(canvas.classList.contains('transparent-preview')).toBe(false);
+    });
+});
+
+describe('Configurable Blur Background Functionality', () => {
+    test('should scale blur radius with frame size', () => {
+        const { calculateBlurRadius } = require('../src/js/canvasRenderer');
+        
+        expect(calculateBlurRadius(10, 800, 600)).toBe(10);   // Reference frame
+        expect(calculateBlurRadius(10, 2000, 2000)).toBeCloseTo(33.3, 1);
+        expect(calculateBlurRadius(10, 300, 400)).toBe(5);
+        expect(calculateBlurRadius(0, 2000, 2000)).toBe(0);
+    });
+
+    test('should build blur filter with brightness and saturation', () => {
+        const { buildBlurFilter } = require('../src/js/canvasRenderer');
+        
+        const filter = buildBlurFilter({ radius: 20, brightness: 70, saturation: 150 }, 800, 600);
+        
+        expect(filter).toBe('blur(20px) brightness(70%) saturate(150%)');
+    });
+
+    test('should enlarge blurred background by extra zoom around the center', () => {
+        const { calculateBlurBackgroundRect } = require('../src/js/canvasRenderer');
+        
+        const plain = calculateBlurBackgroundRect({ width: 400, height: 300 }, 800, 600, 100);
+        expect(plain).toEqual({ x: 0, y: 0, width: 800, height: 600 });
+        
+        const zoomed = calculateBlurBackgroundRect({ width: 400, height: 300 }, 800, 600, 200);
+        expect(zoomed).toEqual({ x: -400, y: -300, width: 1600, height: 1200 });
+    });
+
+    test('should paint tint overlay only when tint opacity is set', () => {
+        const { paintBlurredBackground } = require('../src/js/canvasRenderer');
+        
+        const mockContext = {
+            filter: 'none',
+            globalAlpha: 1,
+            fillStyle: '',
+            fillRect: jest.fn(),
+            drawImage: jest.fn()
+        };
+        const image = { width: 400, height: 300 };
+        const blur = { radius: 10, zoom: 100, brightness: 100, saturation: 100, tintColor: '#000000', tintOpacity: 0 };
+        
+        paintBlurredBackground(mockContext, image, blur, 800, 600);
+        expect(mockContext.fillRect).not.toHaveBeenCalled();
+        
+        paintBlurredBackground(mockContext, image, { ...blur, tintOpacity: 40 }, 800, 600);
+        expect(mockContext.fillStyle).toBe('#000000');
+        expect(mockContext.fillRect).toHaveBeenCalledWith(0, 0, 800, 600);
+        expect(mockContext.globalAlpha).toBe(1); // Restored after tint
+        expect(mockContext.filter).toBe('none');
+    });
+
+    test('should use blur settings from canvas settings in preview', () => {
+        const { drawBackgroundByType } = require('../src/js/canvasRenderer');
+        
+        const canvas = document.getElementById('preview-canvas');
+        const filterValues = [];
+        const mockContext = {
+            set filter(value) { filterValues.push(value); },
+            drawImage: jest.fn(),
+            clearRect: jest.fn()
+        };
+        canvas.getContext = jest.fn(() => mockContext);
+        
+        drawBackgroundByType('image', '#ffffff', { width: 400, height: 300 }, 800, 600, {
+            blur: { radius: 30, zoom: 100, brightness: 50, saturation: 0, tintColor: '#000000', tintOpacity: 0 }
+        });
+        
+        expect(filterValues[0]).toBe('blur(30px) brightness(50%) saturate(0%)');
+    });
+});
+
+describe('Crop Rendering Functionality', () => {
+    const IMAGE = { width: 400, height: 300 };
+    const CROP = { x: 0.25, y: 0.5, width: 0.5, height: 0.5 };
+
+    test('should turn a crop into a source rectangle in image pixels', () => {
+        const { calculateCropRect } = require('../src/js/canvasRenderer');
+        
+        expect(calculateCropRect(IMAGE, null)).toEqual({ x: 0, y: 0, width: 400, height: 300 });
+        expect(calculateCropRect(IMAGE, CROP)).toEqual({ x: 100, y: 150, width: 200, height: 150 });
+        // Same fractions on a larger animation frame or source
+        expect(calculateCropRect({ width: 800, height: 600 }, CROP)).toEqual({ x: 200, y: 300, width: 400, height: 300 });
+    });
+
+    test('should keep the source rectangle inside the image', () => {
+        const { calculateCropRect } = require('../src/js/canvasRenderer');
+        
+        expect(calculateCropRect(IMAGE, { x: 0.9, y: 0.9, width: 0.5, height: 0.5 })).toEqual({ x: 360, y: 270, width: 40, height: 30 });
+        expect(calculateCropRect(IMAGE, { x: 0, y: 0, width: 0, height: 0 })).toEqual({ x: 0, y: 0, width: 1, height: 1 });
+    });
+
+    test('should fit and scale the cropped area instead of the whole image', () => {
+        const { calculateImageLayout } = require('../src/js/canvasRenderer');
+        
+        const layout = calculateImageLayout(IMAGE, {
+            width: 800,
+            height: 600,
+            scale: 100,
+            fit: { mode: 'contain', padding: 0, paddingUnit: 'px' },
+            crop: { x: 0, y: 0, width: 0.5, height: 1 }
+        });
+        
+        expect(layout).toEqual({ x: 200, y: 0, width: 400, height: 600 });
+    });
+
+    test('should draw the cropped area on the preview canvas', () => {
+        const { drawImageOnCanvas } = require('../src/js/canvasRenderer');
+        const mockContext = { drawImage: jest.fn() };
+        document.getElementById('preview-canvas').getContext = jest.fn(() => mockContext);
+        
+        drawImageOnCanvas(IMAGE, 100, 800, 600, CROP);
+        
+        expect(mockContext.drawImage).toHaveBeenCalledWith(IMAGE, 100, 150, 200, 150, 300, 225, 200, 150);
+    });
+
+    test('should copy the cropped area only for backgrounds painted from the image', () => {
+        const { createCroppedBackgroundImage } = require('../src/js/canvasRenderer');
+        const copyContext = { drawImage: jest.fn() };
+        const originalCreateElement = document.createElement.bind(document);
+        document.createElement = jest.fn(tag => (tag === 'canvas' ? { getContext: () => copyContext } : originalCreateElement(tag)));
+        
+        expect(createCroppedBackgroundImage(IMAGE, { backgroundType: 'color', crop: CROP })).toBeNull();
+        expect(createCroppedBackgroundImage(IMAGE, { backgroundType: 'image', crop: null })).toBeNull();
+        
+        const copy = createCroppedBackgroundImage(IMAGE, { backgroundType: 'mirror', crop: CROP });
+        document.createElement = originalCreateElement;
+        
+        expect(copy.width).toBe(200);
+        expect(copy.height).toBe(150);
+        expect(copyContext.drawImage).toHaveBeenCalledWith(IMAGE, 100, 150, 200, 150, 0, 0, 200, 150);
+    });
+
+    test('should paint blur and edge backgrounds from the cropped copy', () => {
+        const { renderScene } = require('../src/js/canvasRenderer');
+        const copy = { width: 200, height: 150, getContext: () => ({ drawImage: jest.fn() }) };
+        const originalCreateElement = document.createElement.bind(document);
+        document.createElement = jest.fn(tag => (tag === 'canvas' ? copy : originalCreateElement(tag)));
+        const ctx = { clearRect: jest.fn(), drawImage: jest.fn(), fillRect: jest.fn(), strokeRect: jest.fn() };
+        
+        renderScene(ctx, IMAGE, {
+            width: 800,
+            height: 600,
+            scale: 100,
+            backgroundType: 'image',
+            blur: { radius: 10, zoom: 100, brightness: 100, saturation: 100, tintColor: '#000000', tintOpacity: 0 },
+            crop: CROP
+        });
+        document.createElement = originalCreateElement;
+        
+        // Background covers the frame with the 200x150 copy, then the crop is drawn from the original
+        expect(ctx.drawImage.mock.calls[0]).toEqual([copy, 0, 0, 800, 600]);
+        expect(ctx.drawImage.mock.calls[1]).toEqual([IMAGE, 100, 150, 200, 150, 300, 225, 200, 150]);
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Color Extraction and Suggestion Tests
+ * Following TDD: RED → GREEN → REFACTOR
+ */
+
+const {
+    rgbToHex,
+    hexToRgb,
+    hexToHsl,
+    hslToHex,
+    extractPalette,
+    extractImagePalette,
+    buildColorSuggestions
+} = require('../src/js/colorExtractor');
+
+/**
+ * Builds an RGBA buffer from [color, pixelCount] pairs
+ */
+function createPixels(entries) {
+    const pixels = [];
+    entries.forEach(([[r, g, b, a = 255], count]) => {
+        for (let i = 0; i < count; i++) {
+            pixels.push(r, g, b, a);
+        }
+    });
+    return new Uint8ClampedArray(pixels);
+}
+
+describe('Color Conversions', () => {
+    test('should convert between hex and RGB', () => {
+        expect(rgbToHex(30, 135, 240)).toBe('#1e87f0');
+        expect(hexToRgb('#1e87f0')).toEqual({ r: 30, g: 135, b: 240 });
+    });
+
+    test('should convert between hex and HSL', () => {
+        expect(hexToHsl('#ff0000')).toEqual({ h: 0, s: 100, l: 50 });
+        expect(hexToHsl('#808080').s).toBe(0);
+        expect(hslToHex(120, 100, 50)).toBe('#00ff00');
+        expect(hslToHex(240, 100, 25)).toBe('#000080');
+    });
+
+    test('should wrap hue and clamp saturation and lightness', () => {
+        expect(hslToHex(-120, 100, 50)).toBe('#0000ff');
+        expect(hslToHex(480, 100, 50)).toBe('#00ff00');
+        expect(hslToHex(0, 150, 120)).toBe('#ffffff');
+    });
+});
+
+describe('Palette Extraction', () => {
+    test('should order palette colors by pixel count', () => {
+        const data = createPixels([
+            [[255, 0, 0], 10],
+            [[0, 0, 255], 30],
+            [[0, 255, 0], 20]
+        ]);
+        
+        expect(extractPalette(data, 3)).toEqual(['#0000ff', '#00ff00', '#ff0000']);
+    });
+
+    test('should stop splitting once every box holds one color', () => {
+        const data = createPixels([[[10, 20, 30], 50], [[200, 200, 200], 5]]);
+        
+        expect(extractPalette(data, 8)).toEqual(['#0a141e', '#c8c8c8']);
+    });
+
+    test('should ignore transparent pixels', () => {
+        const data = createPixels([[[255, 0, 0, 0], 100], [[0, 0, 0, 255], 1]]);
+        
+        expect(extractPalette(data)).toEqual(['#000000']);
+        expect(extractPalette(createPixels([[[255, 0, 0, 0], 4]]))).toEqual([]);
+    });
+
+    test('should extract the palette from a downscaled copy of the image', () => {
+        const scratchContext = {
+            drawImage: jest.fn(),
+            getImageData: jest.fn(() => ({ data: createPixels([[[255, 0, 0], 50], [[0, 0, 255], 25]]) }))
+        };
+        const scratchCanvas = { getContext: () => scratchContext };
+        const spy = jest.spyOn(document, 'createElement').mockReturnValue(scratchCanvas);
+        const image = { width: 1000, height: 500 };
+        
+        const palette = extractImagePalette(image);
+        
+        spy.mockRestore();
+        
+        expect(scratchCanvas.width).toBe(100);
+        expect(scratchCanvas.height).toBe(50);
+        expect(scratchContext.drawImage).toHaveBeenCalledWith(image, 0, 0, 100, 50);
+        expect(palette).toEqual(['#ff0000', '#0000ff']);
+    });
+
+    test('should return null when the canvas is unavailable', () => {
+        const spy = jest.spyOn(document, 'createElement').mockReturnValue({ getContext: () => null });
+        
+        expect(extractImagePalette({ width: 10, height: 10 })).toBeNull();
+        
+        spy.mockRestore();
+    });
+});
+
+describe('Background Suggestions', () => {
+    test('should derive dominant, complementary, analogous and neutral suggestions', () => {
+        const suggestions = buildColorSuggestions(['#ff0000', '#ffffff']);
+        
+        expect(suggestions.map(suggestion => suggestion.name))
+            .toEqual(['Dominant', 'Complementary', 'Analogous', 'Neutral']);
+        expect(suggestions[0].colors).toEqual(['#ff4d4d', '#b30000']);
+        expect(suggestions[1].colors).toEqual(['#ff0000', '#00ffff']);
+        expect(suggestions[2].colors).toEqual(['#ff0080', '#ff0000', '#ff8000']);
+    });
+
+    test('should contrast the neutral suggestion with image brightness', () => {
+        const bright = buildColorSuggestions(['#eeeeee', '#ffffff']);
+        const dark = buildColorSuggestions(['#111111', '#222222']);
+        
+        expect(bright[3]).toEqual({ name: 'Neutral', type: 'solid', colors: ['#333333'] });
+        expect(dark[3].colors).toEqual(['#e6e6e6']);
+    });
+});
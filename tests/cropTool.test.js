@@ -0,0 +1,245 @@
+/**
+ * Crop Tool Tests
+ * Following TDD: RED → GREEN → REFACTOR
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const html = fs.readFileSync(path.resolve(__dirname, '../src/index.html'), 'utf8');
+
+const {
+    MIN_CROP_PIXELS,
+    clampCropRect,
+    moveCropRect,
+    resizeCropRect,
+    fitCropToAspect,
+    cropToPixels,
+    pixelsToCrop,
+    getCropImageSize,
+    getCropAspect,
+    getCropSettings,
+    setCropRect,
+    resetCrop,
+    handleCropInputChange,
+    startCropDrag,
+    moveCropDrag,
+    endCropDrag,
+    initializeCropTool
+} = require('../src/js/cropTool');
+const { getCanvasSettings } = require('../src/js/canvasRenderer');
+
+const IMAGE = { width: 400, height: 200 };
+
+function expectRect(actual, expected) {
+    Object.keys(expected).forEach(key => {
+        expect(actual[key]).toBeCloseTo(expected[key], 6);
+    });
+}
+
+beforeEach(() => {
+    document.body.innerHTML = html;
+    window.getImageElement = jest.fn(() => IMAGE);
+    window.getImageSourceSize = jest.fn(() => null);
+    window.updatePreview = jest.fn();
+    setCropRect(null);
+});
+
+afterEach(() => {
+    delete window.getImageElement;
+    delete window.getImageSourceSize;
+    delete window.getImageMetadata;
+    delete window.browserAppliesExifOrientation;
+    delete window.getCanvasSettings;
+    delete window.updatePreview;
+});
+
+describe('Crop Geometry', () => {
+    test('should keep crops inside the image and above the minimum size', () => {
+        expectRect(clampCropRect({ x: -0.2, y: 0.9, width: 0.5, height: 0.5 }), { x: 0, y: 0.5, width: 0.5, height: 0.5 });
+        expectRect(clampCropRect({ x: 0.5, y: 0.5, width: 0.01, height: 2 }, 0.1, 0.1), { x: 0.5, y: 0, width: 0.1, height: 1 });
+    });
+
+    test('should move a crop without resizing it past the edges', () => {
+        const rect = { x: 0.2, y: 0.2, width: 0.5, height: 0.5 };
+
+        expectRect(moveCropRect(rect, 0.1, -0.1), { x: 0.3, y: 0.1, width: 0.5, height: 0.5 });
+        expectRect(moveCropRect(rect, 0.9, 0.9), { x: 0.5, y: 0.5, width: 0.5, height: 0.5 });
+    });
+
+    test('should resize from a corner while the opposite corner stays put', () => {
+        const rect = { x: 0.2, y: 0.2, width: 0.5, height: 0.5 };
+
+        expectRect(resizeCropRect(rect, 'se', 0.1, 0.2), { x: 0.2, y: 0.2, width: 0.6, height: 0.7 });
+        expectRect(resizeCropRect(rect, 'nw', 0.1, -0.1), { x: 0.3, y: 0.1, width: 0.4, height: 0.6 });
+        // Dragging past the image edge stops at the edge
+        expectRect(resizeCropRect(rect, 'ne', 0.9, -0.9), { x: 0.2, y: 0, width: 0.8, height: 0.7 });
+        // Dragging past the opposite corner stops at the minimum size
+        expectRect(resizeCropRect(rect, 'sw', 0.9, 0, { minWidth: 0.05, minHeight: 0.05 }), { x: 0.65, y: 0.2, width: 0.05, height: 0.5 });
+    });
+
+    test('should keep the aspect ratio while resizing', () => {
+        const rect = { x: 0, y: 0, width: 0.5, height: 0.25 };
+
+        expectRect(resizeCropRect(rect, 'se', 0.1, 0, { aspect: 2 }), { x: 0, y: 0, width: 0.6, height: 0.3 });
+        // Height runs out of room first, so the width follows it
+        expectRect(resizeCropRect({ x: 0, y: 0.8, width: 0.2, height: 0.1 }, 'se', 0.6, 0, { aspect: 2 }), { x: 0, y: 0.8, width: 0.4, height: 0.2 });
+    });
+
+    test('should shrink a crop around its center to an aspect ratio', () => {
+        expectRect(fitCropToAspect({ x: 0, y: 0, width: 1, height: 1 }, 0.5), { x: 0.25, y: 0, width: 0.5, height: 1 });
+        expectRect(fitCropToAspect({ x: 0, y: 0, width: 1, height: 1 }, 2), { x: 0, y: 0.25, width: 1, height: 0.5 });
+    });
+
+    test('should convert between fractions and pixels', () => {
+        expect(cropToPixels({ x: 0.25, y: 0.5, width: 0.5, height: 0.25 }, 4000, 3000)).toEqual({ x: 1000, y: 1500, width: 2000, height: 750 });
+        expect(pixelsToCrop({ x: 1000, y: 1500, width: 2000, height: 750 }, 4000, 3000)).toEqual({ x: 0.25, y: 0.5, width: 0.5, height: 0.25 });
+    });
+});
+
+describe('Crop Settings', () => {
+    test('should measure crops in the pixels of the original photo', () => {
+        window.getImageSourceSize = jest.fn(() => ({ width: 4000, height: 2000 }));
+        expect(getCropImageSize()).toEqual({ width: 4000, height: 2000 });
+    });
+
+    test('should turn the photo size by the EXIF orientation the app applied', () => {
+        // Stored on its side and turned upright after decoding
+        window.getImageSourceSize = jest.fn(() => ({ width: 2000, height: 4000 }));
+        window.getImageMetadata = jest.fn(() => ({ orientation: 6 }));
+        window.browserAppliesExifOrientation = jest.fn(() => false);
+        expect(getCropImageSize()).toEqual({ width: 4000, height: 2000 });
+
+        // Browsers that apply the orientation decode it upright already
+        window.browserAppliesExifOrientation = jest.fn(() => true);
+        expect(getCropImageSize()).toEqual({ width: 2000, height: 4000 });
+
+        // A portrait photo without rotation stays as it is, whatever the working image looks like
+        window.getImageMetadata = jest.fn(() => ({ orientation: 1 }));
+        window.browserAppliesExifOrientation = jest.fn(() => false);
+        expect(getCropImageSize()).toEqual({ width: 2000, height: 4000 });
+    });
+
+    test('should turn the aspect lock into a ratio of image fractions', () => {
+        const select = document.getElementById('crop-aspect');
+
+        expect(getCropAspect(400, 200)).toBeNull();
+
+        select.value = 'original';
+        expect(getCropAspect(400, 200)).toBe(1);
+
+        select.value = '1:1';
+        expect(getCropAspect(400, 200)).toBe(0.5);
+
+        select.value = 'frame';
+        window.getCanvasSettings = jest.fn(() => ({ width: 1080, height: 1920 }));
+        expect(getCropAspect(400, 200)).toBeCloseTo(1080 / 1920 / 2, 6);
+    });
+
+    test('should treat a crop of the whole image as no crop', () => {
+        setCropRect({ x: 0, y: 0, width: 1, height: 1 });
+        expect(getCropSettings()).toBeNull();
+
+        setCropRect({ x: 0.1, y: 0, width: 0.5, height: 1 });
+        expect(getCropSettings()).toEqual({ x: 0.1, y: 0, width: 0.5, height: 1 });
+        expect(window.updatePreview).toHaveBeenCalled();
+    });
+
+    test('should pass the crop to the renderer through the canvas settings', () => {
+        setCropRect({ x: 0.1, y: 0.2, width: 0.5, height: 0.5 });
+
+        expect(getCanvasSettings().crop).toEqual({ x: 0.1, y: 0.2, width: 0.5, height: 0.5 });
+    });
+});
+
+describe('Crop Editor', () => {
+    test('should show the uploaded image and start with the whole image', () => {
+        const drawImage = jest.fn();
+        document.getElementById('crop-canvas').getContext = () => ({ drawImage });
+        setCropRect({ x: 0.1, y: 0.1, width: 0.5, height: 0.5 });
+
+        resetCrop();
+
+        expect(getCropSettings()).toBeNull();
+        expect(document.getElementById('crop-editor').style.display).toBe('');
+        expect(document.getElementById('crop-empty').style.display).toBe('none');
+        expect(drawImage).toHaveBeenCalledWith(IMAGE, 0, 0, 320, 160);
+        expect(document.getElementById('crop-width').value).toBe('400');
+        expect(document.getElementById('crop-height').value).toBe('200');
+    });
+
+    test('should keep a locked aspect ratio for the next upload', () => {
+        document.getElementById('crop-canvas').getContext = () => ({ drawImage: jest.fn() });
+        document.getElementById('crop-aspect').value = '1:1';
+
+        resetCrop();
+
+        expectRect(getCropSettings(), { x: 0.25, y: 0, width: 0.5, height: 1 });
+    });
+
+    test('should place the crop box and numeric inputs', () => {
+        setCropRect({ x: 0.25, y: 0.5, width: 0.5, height: 0.25 });
+
+        const box = document.getElementById('crop-box');
+        expect(box.style.left).toBe('25%');
+        expect(box.style.top).toBe('50%');
+        expect(box.style.width).toBe('50%');
+        expect(box.style.height).toBe('25%');
+        expect(['x', 'y', 'width', 'height'].map(key => document.getElementById(`crop-${key}`).value)).toEqual(['100', '100', '200', '50']);
+    });
+
+    test('should apply typed pixel values and keep them inside the image', () => {
+        document.getElementById('crop-x').value = '300';
+        document.getElementById('crop-y').value = '20';
+        document.getElementById('crop-width').value = '200';
+        document.getElementById('crop-height').value = '5';
+
+        handleCropInputChange({ target: document.getElementById('crop-width') });
+
+        // Slid back inside the image and grown to the minimum height
+        expect(cropToPixels(getCropSettings(), 400, 200)).toEqual({ x: 200, y: 20, width: 200, height: MIN_CROP_PIXELS });
+    });
+
+    test('should follow the edited side with a locked aspect ratio', () => {
+        document.getElementById('crop-aspect').value = '1:1';
+        document.getElementById('crop-x').value = '0';
+        document.getElementById('crop-y').value = '0';
+        document.getElementById('crop-width').value = '100';
+        document.getElementById('crop-height').value = '150';
+
+        handleCropInputChange({ target: document.getElementById('crop-height') });
+
+        expect(cropToPixels(getCropSettings(), 400, 200)).toEqual({ x: 0, y: 0, width: 150, height: 150 });
+    });
+
+    test('should move and resize the crop box by dragging', () => {
+        document.getElementById('crop-stage').getBoundingClientRect = () => ({ left: 0, top: 0, width: 320, height: 160 });
+        setCropRect({ x: 0, y: 0, width: 0.5, height: 0.5 });
+        const box = document.getElementById('crop-box');
+
+        startCropDrag({ target: box, clientX: 10, clientY: 10, cancelable: true, preventDefault: jest.fn() });
+        moveCropDrag({ clientX: 42, clientY: 26 });
+        endCropDrag();
+        expectRect(getCropSettings(), { x: 0.1, y: 0.1, width: 0.5, height: 0.5 });
+
+        startCropDrag({ target: box.querySelector('[data-handle="se"]'), clientX: 0, clientY: 0 });
+        moveCropDrag({ clientX: 64, clientY: 16 });
+        endCropDrag();
+        expectRect(getCropSettings(), { x: 0.1, y: 0.1, width: 0.7, height: 0.6 });
+
+        // Pointer moves after the drag ended are ignored
+        moveCropDrag({ clientX: 300, clientY: 150 });
+        expectRect(getCropSettings(), { x: 0.1, y: 0.1, width: 0.7, height: 0.6 });
+    });
+
+    test('should reset to the whole image and free aspect', () => {
+        initializeCropTool();
+        document.getElementById('crop-aspect').value = '16:9';
+        setCropRect({ x: 0.1, y: 0.1, width: 0.5, height: 0.5 });
+
+        document.getElementById('crop-reset-btn').click();
+
+        expect(getCropSettings()).toBeNull();
+        expect(document.getElementById('crop-aspect').value).toBe('free');
+    });
+});
@@ -6,6 +6,10 @@
 const fs = require('fs');
 const path = require('path');
 
+// Download rendering goes through the shared renderScene from canvasRenderer
+require('../src/js/canvasRenderer');
+require('../src/js/notifications');
+
 // Load the HTML template
 const html = fs.readFileSync(path.resolve(__dirname, '../src/index.html'), 'utf8');
 
@@ -86,6 +90,7 @@ describe('Download Functionality', () => {
         expect(mockContext.fillRect).toHaveBeenCalledWith(0, 0, 800, 600);
         expect(mockContext.drawImage).toHaveBeenCalledWith(
             mockImage,
+            0, 0, 200, 150, // whole image as the source rectangle
             300, // centered x
             225, // centered y
             200, // scaled width
@@ -194,9 +199,6 @@ describe('Download Functionality', () => {
         global.URL.createObjectURL = jest.fn(() => 'blob:test-url');
         global.URL.revokeObjectURL = jest.fn();
         
-        // Mock alert to avoid jsdom error
-        window.alert = jest.fn();
-        
         await handleDownloadClick();
         
         expect(mockContext.drawImage).toHaveBeenCalled();
@@ -214,12 +216,11 @@ describe('Download Functionality', () => {
         global.getUploadedImage = jest.fn(() => null);
         global.getImageElement = jest.fn(() => null);
         
-        // Mock alert
-        window.alert = jest.fn();
-        
         await handleDownloadClick();
         
-        expect(window.alert).toHaveBeenCalledWith('Please upload an image first.');
+        const toast = document.querySelector('#notifications .notification');
+        expect(toast.textContent).toBe('Please upload an image first.');
+        expect(toast.classList.contains('uk-alert-warning')).toBe(true);
     });
 
     test('should bind download button event', () => {
@@ -245,7 +246,10 @@ describe('Download Functionality', () => {
             setTimeout(() => callback(null), 0);
         });
         
-        await expect(canvasToBlob(canvas)).rejects.toThrow('Failed to convert canvas to blob');
+        await expect(canvasToBlob(canvas)).rejects.toMatchObject({
+            type: 'encode-failed',
+            message: expect.stringContaining('could not be saved as PNG')
+        });
     });
 
     test('should render blur background when backgroundType is image', async () => {
@@ -375,6 +379,184 @@ describe('Download Functionality', () => {
         expect(mockContext.strokeRect).toHaveBeenCalled();
     });
 
+    test('should render linear gradient background when backgroundType is linear-gradient', async () => {
+        const { renderToDownloadCanvas } = require('../src/js/downloadManager');
+        
+        const mockImage = {
+            width: 200,
+            height: 150
+        };
+        
+        const settings = {
+            width: 800,
+            height: 600,
+            backgroundColor: '#ffffff',
+            backgroundType: 'linear-gradient',
+            linearGradient: { angle: 90, startColor: '#ff0000', endColor: '#0000ff', stops: [] },
+            scale: 100,
+            border: { width: 0, color: '#ffffff' }
+        };
+        
+        const canvas = document.createElement('canvas');
+        const mockGradient = { addColorStop: jest.fn() };
+        const mockContext = {
+            fillStyle: '',
+            fillRect: jest.fn(),
+            drawImage: jest.fn(),
+            clearRect: jest.fn(),
+            createLinearGradient: jest.fn(() => mockGradient),
+            strokeRect: jest.fn()
+        };
+        canvas.getContext = jest.fn(() => mockContext);
+        
+        await renderToDownloadCanvas(canvas, mockImage, settings);
+        
+        // Same gradient line as the preview uses
+        expect(mockContext.createLinearGradient).toHaveBeenCalledWith(0, 300, 800, 300);
+        expect(mockContext.fillStyle).toBe(mockGradient);
+        expect(mockContext.fillRect).toHaveBeenCalledWith(0, 0, 800, 600);
+        expect(mockContext.drawImage).toHaveBeenCalledTimes(1);
+    });
+
+    test('should render radial gradient background matching the preview geometry', async () => {
+        const { calculateRadialGradientGeometry } = require('../src/js/canvasRenderer');
+        const { renderToDownloadCanvas } = require('../src/js/downloadManager');
+        
+        const radialGradient = { centerColor: '#ffffff', edgeColor: '#000000', shape: 'circle', centerX: 25, centerY: 75 };
+        const settings = {
+            width: 800,
+            height: 600,
+            backgroundColor: '#ffffff',
+            backgroundType: 'radial-gradient',
+            radialGradient,
+            scale: 100,
+            border: { width: 0, color: '#ffffff' }
+        };
+        
+        const canvas = document.createElement('canvas');
+        const mockGradient = { addColorStop: jest.fn() };
+        const mockContext = {
+            fillStyle: '',
+            fillRect: jest.fn(),
+            drawImage: jest.fn(),
+            clearRect: jest.fn(),
+            save: jest.fn(),
+            restore: jest.fn(),
+            translate: jest.fn(),
+            scale: jest.fn(),
+            createRadialGradient: jest.fn(() => mockGradient)
+        };
+        canvas.getContext = jest.fn(() => mockContext);
+        
+        await renderToDownloadCanvas(canvas, { width: 200, height: 150 }, settings);
+        
+        const geometry = calculateRadialGradientGeometry(radialGradient, 800, 600);
+        expect(mockContext.translate).toHaveBeenCalledWith(geometry.centerX, geometry.centerY);
+        expect(mockContext.createRadialGradient).toHaveBeenCalledWith(0, 0, 0, 0, 0, geometry.radiusX);
+        expect(mockContext.drawImage).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep transparent background clear when exporting', async () => {
+        const { renderToDownloadCanvas } = require('../src/js/downloadManager');
+        
+        const settings = {
+            width: 800,
+            height: 600,
+            backgroundColor: '#ff0000',
+            backgroundType: 'transparent',
+            scale: 100,
+            border: { width: 0, color: '#ffffff' }
+        };
+        
+        const canvas = document.createElement('canvas');
+        const mockContext = {
+            fillStyle: '',
+            fillRect: jest.fn(),
+            drawImage: jest.fn(),
+            clearRect: jest.fn(),
+            strokeRect: jest.fn()
+        };
+        canvas.getContext = jest.fn(() => mockContext);
+        
+        await renderToDownloadCanvas(canvas, { width: 200, height: 150 }, settings);
+        
+        expect(mockContext.clearRect).toHaveBeenCalledWith(0, 0, 800, 600);
+        expect(mockContext.fillRect).not.toHaveBeenCalled();
+        expect(mockContext.drawImage).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep alpha-capable formats unflattened', () => {
+        const { prepareCanvasForFormat } = require('../src/js/downloadManager');
+        
+        const canvas = document.createElement('canvas');
+        
+        expect(prepareCanvasForFormat(canvas, 'image/png', '#000000')).toBe(canvas);
+        expect(prepareCanvasForFormat(canvas, 'image/webp', '#000000')).toBe(canvas);
+    });
+
+    test('should flatten onto matte color for formats without alpha', () => {
+        const { prepareCanvasForFormat } = require('../src/js/downloadManager');
+        
+        const source = { width: 800, height: 600 };
+        const mockContext = {
+            fillStyle: '',
+            fillRect: jest.fn(),
+            drawImage: jest.fn()
+        };
+        const flattenedCanvas = { width: 0, height: 0, getContext: jest.fn(() => mockContext) };
+        
+        const originalCreateElement = document.createElement;
+        document.createElement = jest.fn(() => flattenedCanvas);
+        
+        const result = prepareCanvasForFormat(source, 'image/jpeg', '#123456');
+        
+        document.createElement = originalCreateElement;
+        
+        expect(result).toBe(flattenedCanvas);
+        expect(result.width).toBe(800);
+        expect(result.height).toBe(600);
+        expect(mockContext.fillStyle).toBe('#123456');
+        expect(mockContext.fillRect).toHaveBeenCalledWith(0, 0, 800, 600);
+        expect(mockContext.drawImage).toHaveBeenCalledWith(source, 0, 0);
+    });
+
+    test('should apply configured blur settings when exporting', async () => {
+        const { renderToDownloadCanvas } = require('../src/js/downloadManager');
+        
+        const settings = {
+            width: 2000,
+            height: 1200,
+            backgroundColor: '#ffffff',
+            backgroundType: 'image',
+            blur: { radius: 10, zoom: 150, brightness: 60, saturation: 120, tintColor: '#ff0000', tintOpacity: 30 },
+            scale: 100,
+            border: { width: 0, color: '#ffffff' }
+        };
+        
+        const canvas = document.createElement('canvas');
+        const filterValues = [];
+        const alphaValues = [];
+        const mockContext = {
+            set filter(value) { filterValues.push(value); },
+            set globalAlpha(value) { alphaValues.push(value); },
+            fillStyle: '',
+            fillRect: jest.fn(),
+            drawImage: jest.fn(),
+            clearRect: jest.fn(),
+            strokeRect: jest.fn()
+        };
+        canvas.getContext = jest.fn(() => mockContext);
+        
+        await renderToDownloadCanvas(canvas, { width: 400, height: 300 }, settings);
+        
+        // Radius scales with the frame: 10px at 600px becomes 20px at 1200px
+        expect(filterValues).toEqual(['blur(20px) brightness(60%) saturate(120%)', 'none']);
+        // Cover scale 5 with 150% zoom, centered
+        expect(mockContext.drawImage).toHaveBeenNthCalledWith(1, expect.anything(), -500, -525, 3000, 2250);
+        expect(alphaValues).toEqual([0.3, 1]);
+        expect(mockContext.fillRect).toHaveBeenCalledWith(0, 0, 2000, 1200);
+    });
+
     test('should have both download buttons in HTML', () => {
         const mainDownloadBtn = document.getElementById('download-btn');
         const previewDownloadBtn = document.getElementById('preview-download-btn');
@@ -432,4 +614,967 @@ describe('Download Functionality', () => {
         expect(mainDownloadBtn.addEventListener).toHaveBeenCalledWith('click', expect.any(Function));
         expect(previewDownloadBtn.addEventListener).toHaveBeenCalledWith('click', expect.any(Function));
     });
-});
\ No newline at end of file
+});
+describe('Export Format Functionality', () => {
+    test('should generate filename with the given extension', () => {
+        const { generateFilename } = require('../src/js/downloadManager');
+        
+        expect(generateFilename('jpg')).toMatch(/^image-with-bg-\d{13}\.jpg$/);
+        expect(generateFilename('webp')).toMatch(/\.webp$/);
+    });
+
+    test('should pass MIME type and quality to toBlob for lossy formats', async () => {
+        const { canvasToBlob } = require('../src/js/downloadManager');
+        
+        const canvas = {
+            toBlob: jest.fn((callback, type) => callback(new Blob(['fake-data'], { type })))
+        };
+        
+        const blob = await canvasToBlob(canvas, 'image/jpeg', 0.8);
+        
+        expect(canvas.toBlob).toHaveBeenCalledWith(expect.any(Function), 'image/jpeg', 0.8);
+        expect(blob.type).toBe('image/jpeg');
+    });
+
+    test('should read export settings from the format controls', () => {
+        const { getExportSettings } = require('../src/js/downloadManager');
+        
+        expect(getExportSettings()).toEqual({ format: 'png', mimeType: 'image/png', extension: 'png', quality: undefined });
+        
+        document.getElementById('export-format').value = 'jpeg';
+        document.getElementById('export-quality').value = '75';
+        
+        expect(getExportSettings()).toEqual({ format: 'jpeg', mimeType: 'image/jpeg', extension: 'jpg', quality: 0.75 });
+    });
+
+    test('should map encoded MIME types back to extensions', () => {
+        const { getExtensionForMimeType } = require('../src/js/downloadManager');
+        
+        expect(getExtensionForMimeType('image/jpeg')).toBe('jpg');
+        expect(getExtensionForMimeType('image/webp')).toBe('webp');
+        expect(getExtensionForMimeType('image/unknown')).toBe('png');
+    });
+
+    test('should detect encodable formats from toDataURL', () => {
+        const { supportsImageEncoding } = require('../src/js/downloadManager');
+        const spy = jest.spyOn(document, 'createElement').mockReturnValue({
+            toDataURL: (type) => type === 'image/jpeg' ? 'data:image/jpeg;base64,x' : 'data:image/png;base64,x'
+        });
+        
+        expect(supportsImageEncoding('image/jpeg')).toBe(true);
+        expect(supportsImageEncoding('image/webp')).toBe(false);
+        
+        spy.mockRestore();
+    });
+
+    test('should disable WebP when the browser cannot encode it', () => {
+        const { updateAvailableExportFormats } = require('../src/js/downloadManager');
+        const formatSelect = document.getElementById('export-format');
+        formatSelect.value = 'webp';
+        
+        // Detection result for image/webp is cached as unsupported by the previous test
+        updateAvailableExportFormats();
+        
+        expect(formatSelect.querySelector('option[value="webp"]').disabled).toBe(true);
+        expect(formatSelect.querySelector('option[value="jpeg"]').disabled).toBe(false);
+        expect(formatSelect.value).toBe('png');
+    });
+
+    test('should show the quality slider only for lossy formats', () => {
+        const { toggleExportQualityControls } = require('../src/js/downloadManager');
+        const qualityControls = document.getElementById('export-quality-controls');
+        
+        toggleExportQualityControls('jpeg');
+        expect(qualityControls.style.display).toBe('');
+        
+        toggleExportQualityControls('png');
+        expect(qualityControls.style.display).toBe('none');
+    });
+
+    test('should download a flattened JPEG with the matching extension', async () => {
+        const { handleDownloadClick } = require('../src/js/downloadManager');
+        
+        window.getUploadedImage = jest.fn(() => 'data:image/png;base64,fake-data');
+        window.getImageElement = jest.fn(() => ({ width: 400, height: 300 }));
+        window.getCanvasSettings = jest.fn(() => ({
+            width: 800,
+            height: 600,
+            scale: 100,
+            backgroundType: 'transparent',
+            backgroundColor: '#ffffff',
+            matteColor: '#00ff00'
+        }));
+        document.getElementById('export-format').value = 'jpeg';
+        document.getElementById('export-quality').value = '80';
+        
+        const canvases = [];
+        const link = { href: '', download: '', click: jest.fn() };
+        const originalCreateElement = document.createElement;
+        document.createElement = jest.fn((tagName) => {
+            if (tagName === 'a') return link;
+            const context = { fillStyle: '', fillRect: jest.fn(), drawImage: jest.fn(), clearRect: jest.fn() };
+            const canvas = {
+                width: 0,
+                height: 0,
+                context,
+                getContext: () => context,
+                toBlob: jest.fn((callback, type) => callback(new Blob(['fake-data'], { type })))
+            };
+            canvases.push(canvas);
+            return canvas;
+        });
+        
+        await handleDownloadClick();
+        
+        document.createElement = originalCreateElement;
+        
+        const [rendered, flattened] = canvases;
+        expect(flattened.context.fillStyle).toBe('#00ff00');
+        expect(flattened.context.drawImage).toHaveBeenCalledWith(rendered, 0, 0);
+        expect(flattened.toBlob).toHaveBeenCalledWith(expect.any(Function), 'image/jpeg', 0.8);
+        expect(rendered.toBlob).not.toHaveBeenCalled();
+        expect(link.download).toMatch(/\.jpg$/);
+    });
+
+    test('should name the file after the encoded type when the browser falls back to PNG', async () => {
+        const { handleDownloadClick } = require('../src/js/downloadManager');
+        
+        window.getUploadedImage = jest.fn(() => 'data:image/png;base64,fake-data');
+        window.getImageElement = jest.fn(() => ({ width: 400, height: 300 }));
+        window.getCanvasSettings = jest.fn(() => ({ width: 800, height: 600, scale: 100, backgroundColor: '#ffffff' }));
+        const formatSelect = document.getElementById('export-format');
+        formatSelect.querySelector('option[value="webp"]').disabled = false;
+        formatSelect.value = 'webp';
+        
+        const link = { href: '', download: '', click: jest.fn() };
+        const originalCreateElement = document.createElement;
+        document.createElement = jest.fn((tagName) => {
+            if (tagName === 'a') return link;
+            return {
+                width: 0,
+                height: 0,
+                getContext: () => ({ fillStyle: '', fillRect: jest.fn(), drawImage: jest.fn(), clearRect: jest.fn() }),
+                toBlob: jest.fn((callback) => callback(new Blob(['fake-data'], { type: 'image/png' })))
+            };
+        });
+        
+        await handleDownloadClick();
+        
+        document.createElement = originalCreateElement;
+        
+        expect(link.download).toMatch(/\.png$/);
+    });
+});
+
+describe('Filename Template Functionality', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    test('should fill template tokens', () => {
+        const { generateFilename } = require('../src/js/downloadManager');
+        
+        const filename = generateFilename('jpg', {
+            original: 'product-shot',
+            width: 1080,
+            height: 1920,
+            preset: 'instagram-story',
+            index: 3
+        }, '{original}_{preset}_{width}x{height}_{index}_{format}');
+        
+        expect(filename).toBe('product-shot_instagram-story_1080x1920_3_jpg.jpg');
+    });
+
+    test('should fill date and timestamp tokens from the current time', () => {
+        const { generateFilename } = require('../src/js/downloadManager');
+        jest.useFakeTimers().setSystemTime(new Date(2026, 0, 5, 12, 0, 0));
+        
+        const filename = generateFilename('png', {}, '{date}-{timestamp}');
+        
+        expect(filename).toBe(`2026-01-05-${new Date(2026, 0, 5, 12, 0, 0).getTime()}.png`);
+        jest.useRealTimers();
+    });
+
+    test('should keep unknown tokens and use defaults for missing values', () => {
+        const { applyFilenameTemplate, generateFilename } = require('../src/js/downloadManager');
+        
+        expect(applyFilenameTemplate('{original}-{unknown}', { original: 'a' })).toBe('a-{unknown}');
+        expect(generateFilename('webp', {}, '{original}-{preset}-{index}-{format}')).toBe('image-custom-1-webp.webp');
+    });
+
+    test('should sanitize illegal filename characters', () => {
+        const { sanitizeFilename } = require('../src/js/downloadManager');
+        
+        expect(sanitizeFilename('my/photo:final?*')).toBe('my-photo-final--');
+        expect(sanitizeFilename('  ..hidden.  ')).toBe('hidden');
+        expect(sanitizeFilename('CON')).toBe('CON-image');
+        expect(sanitizeFilename('...')).toBe('image');
+        expect(sanitizeFilename('a'.repeat(300))).toHaveLength(200);
+    });
+
+    test('should use the template from the input and fall back to the default', () => {
+        const { generateFilename } = require('../src/js/downloadManager');
+        const templateInput = document.getElementById('filename-template');
+        
+        templateInput.value = '{original}-framed';
+        expect(generateFilename('png', { original: 'cat' })).toBe('cat-framed.png');
+        
+        templateInput.value = '   ';
+        expect(generateFilename('png')).toMatch(/^image-with-bg-\d{13}\.png$/);
+    });
+
+    test('should remember the last template used', () => {
+        const { saveFilenameTemplate, loadFilenameTemplate } = require('../src/js/downloadManager');
+        
+        saveFilenameTemplate('{original}-{date}');
+        document.body.innerHTML = html;
+        loadFilenameTemplate();
+        
+        expect(document.getElementById('filename-template').value).toBe('{original}-{date}');
+    });
+
+    test('should build token values from settings and the uploaded file', () => {
+        const { buildFilenameValues } = require('../src/js/downloadManager');
+        require('../src/js/uiControls');
+        window.getOriginalFilename = jest.fn(() => 'holiday');
+        
+        const values = buildFilenameValues({ width: 1200, height: 630 }, 'jpg', 2);
+        
+        expect(values).toEqual({
+            original: 'holiday',
+            width: 1200,
+            height: 630,
+            preset: 'facebook-post',
+            format: 'jpg',
+            index: 2
+        });
+        delete window.getOriginalFilename;
+    });
+
+    test('should show a live preview of the resulting filename', () => {
+        const { updateFilenamePreview } = require('../src/js/downloadManager');
+        window.getCanvasSettings = jest.fn(() => ({ width: 800, height: 600 }));
+        document.getElementById('filename-template').value = 'frame-{width}x{height}';
+        
+        updateFilenamePreview();
+        
+        expect(document.getElementById('filename-preview').textContent).toBe('frame-800x600.png');
+    });
+});
+
+describe('Multi-Size Bundle Functionality', () => {
+    const BASE_SETTINGS = {
+        width: 800,
+        height: 600,
+        scale: 100,
+        fit: { mode: 'percentage', padding: 20, paddingUnit: 'px' },
+        position: { anchor: 'bottom-left', offsetX: 40, offsetY: -30 },
+        backgroundType: 'color',
+        backgroundColor: '#123456',
+        matteColor: '#ffffff'
+    };
+
+    test('should have size checkboxes and a disabled bundle button', () => {
+        const checkboxes = document.querySelectorAll('input[name="bundle-size"]');
+        const bundleBtn = document.getElementById('bundle-download-btn');
+        
+        expect(Array.from(checkboxes).map(checkbox => checkbox.value)).toEqual([
+            'current', 'instagram-post', 'instagram-story', 'facebook-post', 'twitter-post', 'linkedin-post'
+        ]);
+        expect(bundleBtn.disabled).toBe(true);
+    });
+
+    test('should resolve checked sizes from the presets', () => {
+        const { getBundleSizes } = require('../src/js/downloadManager');
+        require('../src/js/uiControls');
+        document.querySelectorAll('input[name="bundle-size"]').forEach(checkbox => {
+            checkbox.checked = ['current', 'instagram-story'].includes(checkbox.value);
+        });
+        
+        expect(getBundleSizes(BASE_SETTINGS)).toEqual([
+            { id: 'current', width: 800, height: 600 },
+            expect.objectContaining({ id: 'instagram-story', width: 1080, height: 1920 })
+        ]);
+    });
+
+    test('should keep fit mode and anchor while scaling pixel values to the new size', () => {
+        const { scaleSettingsToSize } = require('../src/js/downloadManager');
+        
+        const scaled = scaleSettingsToSize(BASE_SETTINGS, 1600, 900);
+        
+        expect(scaled.width).toBe(1600);
+        expect(scaled.height).toBe(900);
+        expect(scaled.scale).toBe(150);
+        expect(scaled.fit).toEqual({ mode: 'percentage', padding: 30, paddingUnit: 'px' });
+        expect(scaled.position).toEqual({ anchor: 'bottom-left', offsetX: 80, offsetY: -45 });
+        expect(scaled.backgroundColor).toBe('#123456');
+    });
+
+    test('should leave scale and percent padding alone for frame-relative fit modes', () => {
+        const { scaleSettingsToSize } = require('../src/js/downloadManager');
+        
+        const scaled = scaleSettingsToSize({
+            ...BASE_SETTINGS,
+            fit: { mode: 'contain', padding: 5, paddingUnit: '%' }
+        }, 1080, 1920);
+        
+        expect(scaled.scale).toBe(100);
+        expect(scaled.fit.padding).toBe(5);
+    });
+
+    test('should render every checked size and download one ZIP', async () => {
+        const downloadManager = require('../src/js/downloadManager');
+        require('../src/js/uiControls');
+        require('../src/js/zipBuilder');
+        
+        window.getUploadedImage = jest.fn(() => 'data:image/png;base64,fake-data');
+        window.getImageElement = jest.fn(() => ({ width: 400, height: 300 }));
+        window.getCanvasSettings = jest.fn(() => BASE_SETTINGS);
+        window.blobToBytes = jest.fn(() => Promise.resolve(new Uint8Array([1])));
+        const createZipArchive = window.createZipArchive;
+        window.createZipArchive = jest.fn(() => new Blob(['zip'], { type: 'application/zip' }));
+        const renderScene = window.renderScene;
+        window.renderScene = jest.fn();
+        document.querySelectorAll('input[name="bundle-size"]').forEach(checkbox => {
+            checkbox.checked = ['instagram-post', 'twitter-post'].includes(checkbox.value);
+        });
+        document.getElementById('filename-template').value = 'promo';
+        
+        const link = { click: jest.fn() };
+        const originalCreateElement = document.createElement.bind(document);
+        document.createElement = jest.fn((tag) => {
+            if (tag === 'a') return link;
+            if (tag === 'canvas') return new HTMLCanvasElement();
+            return originalCreateElement(tag);
+        });
+        
+        await downloadManager.handleBundleDownloadClick();
+        
+        document.createElement = originalCreateElement;
+        
+        const renderedSizes = window.renderScene.mock.calls.map(([, , settings]) => [settings.width, settings.height]);
+        expect(renderedSizes).toEqual([[1080, 1080], [1200, 675]]);
+        expect(window.createZipArchive.mock.calls[0][0].map(entry => entry.name)).toEqual([
+            'promo-1080x1080.png',
+            'promo-1200x675.png'
+        ]);
+        expect(link.download).toMatch(/^framefill-sizes-\d{4}-\d{2}-\d{2}\.zip$/);
+        expect(link.click).toHaveBeenCalled();
+        
+        window.createZipArchive = createZipArchive;
+        window.renderScene = renderScene;
+    });
+
+    test('should ask for a size when none is checked', async () => {
+        const { handleBundleDownloadClick } = require('../src/js/downloadManager');
+        window.getUploadedImage = jest.fn(() => 'data:image/png;base64,fake-data');
+        window.getImageElement = jest.fn(() => ({ width: 400, height: 300 }));
+        window.getCanvasSettings = jest.fn(() => BASE_SETTINGS);
+        document.querySelectorAll('input[name="bundle-size"]').forEach(checkbox => {
+            checkbox.checked = false;
+        });
+        
+        await handleBundleDownloadClick();
+        
+        expect(document.getElementById('notifications').textContent).toContain('at least one size');
+    });
+});
+
+describe('Copy and Share Functionality', () => {
+    let originalCreateElement;
+    let renderScene;
+    let link;
+
+    beforeEach(() => {
+        require('../src/js/canvasRenderer');
+        window.getUploadedImage = jest.fn(() => 'data:image/png;base64,fake-data');
+        window.getImageElement = jest.fn(() => ({ width: 400, height: 300 }));
+        window.getCanvasSettings = jest.fn(() => ({ width: 800, height: 600, scale: 100, backgroundColor: '#ffffff' }));
+        renderScene = window.renderScene;
+        window.renderScene = jest.fn();
+        
+        link = { click: jest.fn() };
+        originalCreateElement = document.createElement.bind(document);
+        document.createElement = jest.fn((tag) => {
+            if (tag === 'a') return link;
+            if (tag === 'canvas') return new HTMLCanvasElement();
+            return originalCreateElement(tag);
+        });
+    });
+
+    afterEach(() => {
+        document.createElement = originalCreateElement;
+        window.renderScene = renderScene;
+        delete window.ClipboardItem;
+        delete navigator.clipboard;
+        delete navigator.canShare;
+        delete navigator.share;
+    });
+
+    function mockNavigator(property, value) {
+        Object.defineProperty(navigator, property, { value, configurable: true });
+    }
+
+    test('should have copy and share buttons disabled until an image is loaded', () => {
+        expect(document.getElementById('copy-btn').disabled).toBe(true);
+        expect(document.getElementById('share-btn').disabled).toBe(true);
+    });
+
+    test('should write the rendered PNG to the clipboard', async () => {
+        const { handleCopyClick } = require('../src/js/downloadManager');
+        window.ClipboardItem = jest.fn(function (items) { this.items = items; });
+        mockNavigator('clipboard', { write: jest.fn(() => Promise.resolve()) });
+        
+        await handleCopyClick();
+        
+        expect(window.renderScene).toHaveBeenCalled();
+        const [items] = navigator.clipboard.write.mock.calls[0];
+        const blob = await items[0].items['image/png'];
+        expect(blob.type).toBe('image/png');
+        expect(document.getElementById('copy-btn').textContent).toBe('✅ Copied!');
+        expect(document.getElementById('notifications').children).toHaveLength(0);
+    });
+
+    test('should explain when the clipboard cannot hold images', async () => {
+        const { handleCopyClick } = require('../src/js/downloadManager');
+        
+        await handleCopyClick();
+        
+        expect(document.getElementById('notifications').textContent).toContain('not supported');
+    });
+
+    test('should report a blocked clipboard write', async () => {
+        const { handleCopyClick } = require('../src/js/downloadManager');
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        window.ClipboardItem = jest.fn();
+        mockNavigator('clipboard', { write: jest.fn(() => Promise.reject(new Error('NotAllowedError'))) });
+        
+        await handleCopyClick();
+        
+        expect(document.getElementById('notifications').textContent).toContain('Copy failed');
+        console.error.mockRestore();
+    });
+
+    test('should share the rendered image as a file', async () => {
+        const { handleShareClick } = require('../src/js/downloadManager');
+        mockNavigator('canShare', jest.fn(() => true));
+        mockNavigator('share', jest.fn(() => Promise.resolve()));
+        
+        await handleShareClick();
+        
+        const [[shareData]] = navigator.share.mock.calls;
+        expect(shareData.files[0]).toBeInstanceOf(File);
+        expect(shareData.files[0].name).toMatch(/\.png$/);
+        expect(link.click).not.toHaveBeenCalled();
+    });
+
+    test('should download instead when files cannot be shared', async () => {
+        const { handleShareClick } = require('../src/js/downloadManager');
+        
+        await handleShareClick();
+        
+        expect(document.getElementById('notifications').textContent).toContain('downloaded instead');
+        expect(link.click).toHaveBeenCalled();
+    });
+
+    test('should stay quiet when the share sheet is dismissed', async () => {
+        const { handleShareClick } = require('../src/js/downloadManager');
+        const abort = new Error('Share canceled');
+        abort.name = 'AbortError';
+        mockNavigator('canShare', jest.fn(() => true));
+        mockNavigator('share', jest.fn(() => Promise.reject(abort)));
+        
+        await handleShareClick();
+        
+        expect(document.getElementById('notifications').children).toHaveLength(0);
+    });
+});
+
+describe('Export Metadata Functionality', () => {
+    const METADATA = { orientation: 6, make: 'Apple', model: 'iPhone 13', dateTaken: '2024:05:01 12:34:56', hasLocation: true };
+
+    test('should strip all metadata by default', () => {
+        const { selectExportMetadata } = require('../src/js/downloadManager');
+        
+        expect(document.getElementById('export-keep-camera').checked).toBe(false);
+        expect(document.getElementById('export-keep-date').checked).toBe(false);
+        expect(selectExportMetadata(METADATA)).toBeNull();
+    });
+
+    test('should keep only the checked fields', () => {
+        const { selectExportMetadata } = require('../src/js/downloadManager');
+        
+        document.getElementById('export-keep-camera').checked = true;
+        expect(selectExportMetadata(METADATA)).toEqual({ make: 'Apple', model: 'iPhone 13' });
+        
+        document.getElementById('export-keep-date').checked = true;
+        expect(selectExportMetadata(METADATA)).toEqual({ make: 'Apple', model: 'iPhone 13', dateTaken: '2024:05:01 12:34:56' });
+        expect(selectExportMetadata(null)).toBeNull();
+    });
+
+    test('should write kept metadata into JPEG exports only', async () => {
+        const { renderExportBlob } = require('../src/js/downloadManager');
+        const renderScene = window.renderScene;
+        window.renderScene = jest.fn();
+        const embedExifInJpeg = jest.fn(() => Promise.resolve('jpeg-with-exif'));
+        window.embedExifInJpeg = embedExifInJpeg;
+        const originalCreateElement = document.createElement.bind(document);
+        document.createElement = jest.fn((tag) => tag === 'canvas' ? new HTMLCanvasElement() : originalCreateElement(tag));
+        const settings = { width: 100, height: 100, scale: 100, matteColor: '#ffffff' };
+        const kept = { make: 'Apple' };
+        
+        const jpeg = await renderExportBlob({}, settings, { mimeType: 'image/jpeg', quality: 0.9 }, kept);
+        const png = await renderExportBlob({}, settings, { mimeType: 'image/png' }, kept);
+        const stripped = await renderExportBlob({}, settings, { mimeType: 'image/jpeg', quality: 0.9 }, null);
+        
+        document.createElement = originalCreateElement;
+        window.renderScene = renderScene;
+        delete window.embedExifInJpeg;
+        
+        expect(jpeg).toBe('jpeg-with-exif');
+        expect(embedExifInJpeg).toHaveBeenCalledTimes(1);
+        expect(embedExifInJpeg).toHaveBeenCalledWith(expect.any(Blob), kept);
+        expect(png.type).toBe('image/png');
+        expect(stripped.type).toBe('image/jpeg');
+    });
+});
+
+describe('High-DPI Export Functionality', () => {
+    const DESIGN = {
+        width: 800,
+        height: 600,
+        scale: 50,
+        fit: { mode: 'percentage', padding: 10, paddingUnit: 'px' },
+        position: { anchor: 'center', offsetX: 20, offsetY: -10 },
+        border: { width: 12, color: '#ffffff' },
+        blur: { radius: 10, zoom: 100, brightness: 100, saturation: 100, tintColor: '#000000', tintOpacity: 0 },
+        backgroundType: 'color',
+        backgroundColor: '#ffffff'
+    };
+
+    function chooseExportScale(value, targetWidth) {
+        document.getElementById('export-scale').value = value;
+        if (targetWidth !== undefined) {
+            document.getElementById('export-target-width').value = String(targetWidth);
+        }
+    }
+
+    test('should export at the frame size by default', () => {
+        const { getOutputSettings } = require('../src/js/downloadManager');
+        
+        expect(document.getElementById('export-scale').value).toBe('1');
+        expect(getOutputSettings(DESIGN)).toBe(DESIGN);
+    });
+
+    test('should scale size, border, padding and offsets with the multiplier', () => {
+        const { getOutputSettings } = require('../src/js/downloadManager');
+        chooseExportScale('2');
+        
+        const output = getOutputSettings(DESIGN);
+        
+        expect(output.width).toBe(1600);
+        expect(output.height).toBe(1200);
+        expect(output.scale).toBe(100);
+        expect(output.fit.padding).toBe(20);
+        expect(output.position).toEqual({ anchor: 'center', offsetX: 40, offsetY: -20 });
+        expect(output.border).toEqual({ width: 24, color: '#ffffff' });
+        // The renderer scales the blur with the frame itself
+        expect(output.blur.radius).toBe(10);
+    });
+
+    test('should derive the height from a custom pixel width', () => {
+        const { getExportDimensions } = require('../src/js/downloadManager');
+        chooseExportScale('custom', 1000);
+        
+        expect(getExportDimensions(DESIGN)).toEqual({ width: 1000, height: 750, factor: 1.25 });
+    });
+
+    test('should cap exports at the largest canvas side browsers allow', () => {
+        const { getExportDimensions } = require('../src/js/downloadManager');
+        chooseExportScale('custom', 50000);
+        
+        const { width, height } = getExportDimensions({ width: 2000, height: 1000 });
+        
+        expect(width).toBe(8192);
+        expect(height).toBe(4096);
+    });
+
+    test('should show the pixel target input only for a custom size', () => {
+        const { toggleExportTargetControls } = require('../src/js/downloadManager');
+        
+        toggleExportTargetControls('custom');
+        expect(document.getElementById('export-target-controls').style.display).toBe('');
+        
+        toggleExportTargetControls('2');
+        expect(document.getElementById('export-target-controls').style.display).toBe('none');
+    });
+
+    test('should warn when the export enlarges the image beyond its native size', () => {
+        const { updateExportSizeInfo } = require('../src/js/downloadManager');
+        // The size info also schedules a size estimate; keep it from firing during later tests
+        jest.useFakeTimers();
+        window.getCanvasSettings = jest.fn(() => ({ ...DESIGN, scale: 100 }));
+        window.getImageElement = jest.fn(() => ({ width: 400, height: 300 }));
+        
+        chooseExportScale('1');
+        updateExportSizeInfo();
+        const info = document.getElementById('export-size-info');
+        expect(info.textContent).toBe('Output: 800×600px');
+        expect(info.classList.contains('uk-text-warning')).toBe(false);
+        
+        chooseExportScale('3');
+        updateExportSizeInfo();
+        expect(info.textContent).toBe('Output: 2400×1800px · ⚠️ Image enlarged 3.0× beyond its native 400×300px and may look soft');
+        expect(info.classList.contains('uk-text-warning')).toBe(true);
+        
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+
+    test('should measure the enlargement against the cropped area', () => {
+        const { calculateUpscaleFactor, updateExportSizeInfo } = require('../src/js/downloadManager');
+        jest.useFakeTimers();
+        const crop = { x: 0.25, y: 0.25, width: 0.5, height: 0.5 };
+        window.getCanvasSettings = jest.fn(() => ({ ...DESIGN, scale: 100, crop }));
+        window.getImageElement = jest.fn(() => ({ width: 400, height: 300 }));
+        
+        expect(calculateUpscaleFactor({ width: 400, height: 300 }, { ...DESIGN, scale: 100, crop })).toBe(1);
+        
+        chooseExportScale('2');
+        updateExportSizeInfo();
+        expect(document.getElementById('export-size-info').textContent).toBe(
+            'Output: 1600×1200px · ⚠️ Image enlarged 2.0× beyond its cropped 200×150px and may look soft'
+        );
+        
+        jest.clearAllTimers();
+        jest.useRealTimers();
+    });
+
+    test('should render the download at the multiplied size', async () => {
+        const { handleDownloadClick } = require('../src/js/downloadManager');
+        window.getUploadedImage = jest.fn(() => 'data:image/png;base64,fake-data');
+        window.getImageElement = jest.fn(() => ({ width: 400, height: 300 }));
+        window.getCanvasSettings = jest.fn(() => DESIGN);
+        const renderScene = window.renderScene;
+        window.renderScene = jest.fn();
+        document.getElementById('filename-template').value = 'frame-{width}x{height}';
+        chooseExportScale('2');
+        
+        const link = { click: jest.fn() };
+        const originalCreateElement = document.createElement.bind(document);
+        document.createElement = jest.fn((tag) => {
+            if (tag === 'a') return link;
+            if (tag === 'canvas') return new HTMLCanvasElement();
+            return originalCreateElement(tag);
+        });
+        
+        await handleDownloadClick();
+        
+        document.createElement = originalCreateElement;
+        const [, , renderedSettings] = window.renderScene.mock.calls[0];
+        window.renderScene = renderScene;
+        
+        expect(renderedSettings.width).toBe(1600);
+        expect(renderedSettings.border.width).toBe(24);
+        expect(link.download).toBe('frame-1600x1200.png');
+    });
+});
+
+describe('PDF Export Functionality', () => {
+    test('should offer PDF regardless of canvas encoder support', () => {
+        const { updateAvailableExportFormats } = require('../src/js/downloadManager');
+        
+        updateAvailableExportFormats();
+        
+        expect(document.querySelector('#export-format option[value="pdf"]').disabled).toBe(false);
+    });
+
+    test('should include page settings in PDF export settings', () => {
+        const { getExportSettings } = require('../src/js/downloadManager');
+        document.getElementById('export-format').value = 'pdf';
+        document.getElementById('pdf-page-size').value = 'a4';
+        document.getElementById('pdf-margin').value = '15';
+        document.getElementById('pdf-image-encoding').value = 'lossless';
+        
+        expect(getExportSettings()).toEqual({
+            format: 'pdf',
+            mimeType: 'application/pdf',
+            extension: 'pdf',
+            quality: 0.92,
+            pdf: { pageSize: 'a4', dpi: 300, margin: 15, imageEncoding: 'lossless' }
+        });
+    });
+
+    test('should show PDF controls and the matching page fields', () => {
+        const { togglePdfControls, togglePdfPageControls } = require('../src/js/downloadManager');
+        
+        togglePdfControls('pdf');
+        togglePdfPageControls('letter');
+        
+        expect(document.getElementById('pdf-controls').style.display).toBe('');
+        expect(document.getElementById('pdf-dpi-controls').style.display).toBe('none');
+        expect(document.getElementById('pdf-margin-controls').style.display).toBe('');
+        
+        togglePdfControls('png');
+        expect(document.getElementById('pdf-controls').style.display).toBe('none');
+    });
+
+    test('should hand the flattened frame to the PDF writer', async () => {
+        const { renderExportBlob } = require('../src/js/downloadManager');
+        const renderScene = window.renderScene;
+        window.renderScene = jest.fn();
+        const pdf = new Blob(['%PDF'], { type: 'application/pdf' });
+        window.createPdfFromCanvas = jest.fn(() => Promise.resolve(pdf));
+        const canvases = [];
+        const originalCreateElement = document.createElement.bind(document);
+        document.createElement = jest.fn((tag) => {
+            if (tag !== 'canvas') return originalCreateElement(tag);
+            const canvas = new HTMLCanvasElement();
+            canvases.push(canvas);
+            return canvas;
+        });
+        const pdfSettings = { pageSize: 'frame', dpi: 300, margin: 10, imageEncoding: 'jpeg' };
+        
+        const result = await renderExportBlob({}, { width: 100, height: 50, scale: 100, matteColor: '#ffffff' }, {
+            format: 'pdf', mimeType: 'application/pdf', extension: 'pdf', quality: 0.9, pdf: pdfSettings
+        });
+        
+        document.createElement = originalCreateElement;
+        window.renderScene = renderScene;
+        
+        expect(result).toBe(pdf);
+        // Second canvas is the copy flattened onto the matte color
+        expect(window.createPdfFromCanvas).toHaveBeenCalledWith(canvases[1], pdfSettings, 0.9);
+        delete window.createPdfFromCanvas;
+    });
+});
+
+describe('Animated Export Functionality', () => {
+    afterEach(() => {
+        delete window.getExportAnimation;
+        delete window.renderAnimatedGif;
+        delete window.getUploadedImage;
+        delete window.getImageElement;
+        delete window.getCanvasSettings;
+    });
+
+    test('should download animated uploads as an animated GIF', async () => {
+        const { handleDownloadClick } = require('../src/js/downloadManager');
+        const animation = { width: 100, height: 100, frames: [{}, {}], loopCount: 0 };
+        const gif = new Blob(['GIF89a'], { type: 'image/gif' });
+        window.getUploadedImage = jest.fn(() => 'data:image/gif;base64,fake-data');
+        window.getImageElement = jest.fn(() => ({ width: 100, height: 100 }));
+        window.getCanvasSettings = jest.fn(() => ({ width: 300, height: 200, scale: 100, backgroundColor: '#ffffff' }));
+        window.getExportAnimation = jest.fn(() => animation);
+        window.renderAnimatedGif = jest.fn(() => Promise.resolve(gif));
+        document.getElementById('filename-template').value = 'loop';
+        
+        const link = { click: jest.fn() };
+        const originalCreateElement = document.createElement.bind(document);
+        document.createElement = jest.fn((tag) => (tag === 'a' ? link : originalCreateElement(tag)));
+        
+        await handleDownloadClick();
+        
+        document.createElement = originalCreateElement;
+        
+        expect(window.renderAnimatedGif).toHaveBeenCalledWith(animation, expect.objectContaining({ width: 300, height: 200 }));
+        expect(link.download).toBe('loop.gif');
+    });
+
+    test('should render a still image when the animation is not kept', async () => {
+        const { renderUploadBlob } = require('../src/js/downloadManager');
+        const renderScene = window.renderScene;
+        window.renderScene = jest.fn();
+        window.getExportAnimation = jest.fn(() => null);
+        window.renderAnimatedGif = jest.fn();
+        const originalCreateElement = document.createElement.bind(document);
+        document.createElement = jest.fn((tag) => (tag === 'canvas' ? new HTMLCanvasElement() : originalCreateElement(tag)));
+        
+        const blob = await renderUploadBlob({}, { width: 10, height: 10 }, { mimeType: 'image/png' });
+        
+        document.createElement = originalCreateElement;
+        window.renderScene = renderScene;
+        
+        expect(blob.type).toBe('image/png');
+        expect(window.renderAnimatedGif).not.toHaveBeenCalled();
+    });
+
+    test('should preview GIF file names for kept animations', () => {
+        const { updateFilenamePreview } = require('../src/js/downloadManager');
+        window.getExportAnimation = jest.fn(() => ({ frames: [{}, {}] }));
+        document.getElementById('filename-template').value = 'loop';
+        
+        updateFilenamePreview();
+        
+        expect(document.getElementById('filename-preview').textContent).toBe('loop.gif');
+    });
+});
+
+describe('Size Estimate Functionality', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+        delete window.getUploadedImage;
+        delete window.getImageElement;
+        delete window.getCanvasSettings;
+        delete window.getExportAnimation;
+    });
+
+    function mockUploadedImage() {
+        window.getUploadedImage = jest.fn(() => 'data:image/png;base64,fake-data');
+        window.getImageElement = jest.fn(() => ({ width: 100, height: 50 }));
+        window.getCanvasSettings = jest.fn(() => ({ width: 100, height: 50, scale: 100, backgroundColor: '#ffffff' }));
+    }
+
+    async function estimateWithMockCanvas() {
+        const { updateExportEstimate } = require('../src/js/downloadManager');
+        const renderScene = window.renderScene;
+        window.renderScene = jest.fn();
+        const originalCreateElement = document.createElement.bind(document);
+        document.createElement = jest.fn((tag) => (tag === 'canvas' ? new HTMLCanvasElement() : originalCreateElement(tag)));
+        
+        await updateExportEstimate();
+        
+        document.createElement = originalCreateElement;
+        window.renderScene = renderScene;
+        return document.getElementById('export-estimate');
+    }
+
+    test('should format file sizes in B, KB and MB', () => {
+        const { formatFileSize } = require('../src/js/downloadManager');
+        
+        expect(formatFileSize(512)).toBe('512 B');
+        expect(formatFileSize(48 * 1024)).toBe('48 KB');
+        expect(formatFileSize(2.45 * 1024 * 1024)).toBe('2.5 MB');
+    });
+
+    test('should read the size budget in megabytes', () => {
+        const { getSizeBudget } = require('../src/js/downloadManager');
+        const budgetInput = document.getElementById('size-budget');
+        
+        expect(getSizeBudget()).toBeNull();
+        
+        budgetInput.value = '5';
+        expect(getSizeBudget()).toBe(5 * 1024 * 1024);
+    });
+
+    test('should remember the size budget', () => {
+        const { saveSizeBudget, loadSizeBudget } = require('../src/js/downloadManager');
+        
+        saveSizeBudget('8');
+        document.getElementById('size-budget').value = '';
+        loadSizeBudget();
+        
+        expect(document.getElementById('size-budget').value).toBe('8');
+        localStorage.clear();
+    });
+
+    test('should describe the estimate and flag results over budget', () => {
+        const { describeExportEstimate } = require('../src/js/downloadManager');
+        const estimate = { width: 1080, height: 1080, format: 'JPEG', size: 3 * 1024 * 1024 };
+        
+        expect(describeExportEstimate(estimate, null)).toEqual({ text: '1080×1080px · JPEG · ≈ 3.0 MB', overBudget: false });
+        
+        const over = describeExportEstimate(estimate, 1024 * 1024);
+        expect(over.overBudget).toBe(true);
+        expect(over.text).toContain('⚠️ Over your 1.0 MB budget');
+    });
+
+    test('should show dimensions, format and the encoded size', async () => {
+        mockUploadedImage();
+        
+        const display = await estimateWithMockCanvas();
+        
+        // The mocked encoder always produces 'fake-image-data' (15 bytes)
+        expect(display.textContent).toBe('100×50px · PNG · ≈ 15 B');
+        expect(display.classList.contains('uk-text-warning')).toBe(false);
+    });
+
+    test('should warn when the encoded file exceeds the budget', async () => {
+        mockUploadedImage();
+        document.getElementById('size-budget').value = '0.00001';
+        
+        const display = await estimateWithMockCanvas();
+        
+        expect(display.textContent).toContain('⚠️ Over your 10 B budget');
+        expect(display.classList.contains('uk-text-warning')).toBe(true);
+    });
+
+    test('should not encode animated exports', async () => {
+        mockUploadedImage();
+        window.getExportAnimation = jest.fn(() => ({ frames: [{}, {}, {}] }));
+        
+        const display = await estimateWithMockCanvas();
+        
+        expect(display.textContent).toBe('100×50px · GIF · 3 frames');
+    });
+
+    test('should stay empty until an image is uploaded', async () => {
+        window.getCanvasSettings = jest.fn(() => ({ width: 100, height: 50 }));
+        
+        const display = await estimateWithMockCanvas();
+        
+        expect(display.textContent).toBe('');
+    });
+
+    test('should wait for settings to settle before encoding', () => {
+        const { scheduleExportEstimate } = require('../src/js/downloadManager');
+        jest.useFakeTimers();
+        mockUploadedImage();
+        window.getExportAnimation = jest.fn(() => ({ frames: [{}, {}] }));
+        const display = document.getElementById('export-estimate');
+        
+        scheduleExportEstimate();
+        scheduleExportEstimate();
+        jest.advanceTimersByTime(400);
+        expect(display.textContent).toBe('');
+        
+        jest.advanceTimersByTime(100);
+        expect(display.textContent).toBe('100×50px · GIF · 2 frames');
+        expect(window.getExportAnimation).toHaveBeenCalledTimes(1);
+    });
+
+    test('should postpone the estimate while it is scrolled out of view', () => {
+        const { observeExportEstimate, updateExportSizeInfo } = require('../src/js/downloadManager');
+        jest.useFakeTimers();
+        mockUploadedImage();
+        window.getExportAnimation = jest.fn(() => ({ frames: [{}, {}] }));
+        let reportVisibility;
+        window.IntersectionObserver = jest.fn((callback) => {
+            reportVisibility = (isIntersecting) => callback([{ isIntersecting }]);
+            return { observe: jest.fn() };
+        });
+        const display = document.getElementById('export-estimate');
+        
+        observeExportEstimate();
+        reportVisibility(false);
+        updateExportSizeInfo();
+        updateExportSizeInfo();
+        jest.advanceTimersByTime(1000);
+        expect(window.getExportAnimation).not.toHaveBeenCalled();
+        
+        reportVisibility(true);
+        jest.advanceTimersByTime(500);
+        expect(display.textContent).toBe('100×50px · GIF · 2 frames');
+        expect(window.getExportAnimation).toHaveBeenCalledTimes(1);
+        
+        delete window.IntersectionObserver;
+    });
+
+    test('should postpone the estimate while the tab is hidden', () => {
+        const { observeExportEstimate, scheduleExportEstimate } = require('../src/js/downloadManager');
+        jest.useFakeTimers();
+        mockUploadedImage();
+        window.getExportAnimation = jest.fn(() => ({ frames: [{}, {}] }));
+        Object.defineProperty(document, 'hidden', { configurable: true, get: () => true });
+        
+        observeExportEstimate();
+        scheduleExportEstimate();
+        jest.advanceTimersByTime(1000);
+        expect(window.getExportAnimation).not.toHaveBeenCalled();
+        
+        delete document.hidden;
+        document.dispatchEvent(new Event('visibilitychange'));
+        jest.advanceTimersByTime(500);
+        expect(window.getExportAnimation).toHaveBeenCalledTimes(1);
+    });
+});
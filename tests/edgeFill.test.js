@@ -0,0 +1,202 @@
+/**
+ * Edge Fill Background Tests
+ * Following TDD: RED → GREEN → REFACTOR
+ */
+
+const { rgbToHex } = require('../src/js/colorExtractor');
+const {
+    averageEdgeColors,
+    sampleImageEdgeColors,
+    paintEdgeExtension,
+    paintMirroredBackground,
+    paintEdgeColorBackground
+} = require('../src/js/edgeFill');
+
+const IMAGE = { width: 40, height: 30 };
+
+/**
+ * Builds an RGBA buffer whose edge rows/columns have distinct colors
+ */
+function createEdgePixels(width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            let color = [128, 128, 128];
+            if (x === 0) color = [255, 0, 0];
+            if (x === width - 1) color = [0, 255, 0];
+            if (y === 0) color = [0, 0, 255];
+            if (y === height - 1) color = [255, 255, 0];
+            data.set([...color, 255], i);
+        }
+    }
+    return data;
+}
+
+function createMockContext() {
+    return {
+        fillStyle: '',
+        drawImage: jest.fn(),
+        fillRect: jest.fn(),
+        save: jest.fn(),
+        restore: jest.fn(),
+        translate: jest.fn(),
+        scale: jest.fn(),
+        createLinearGradient: jest.fn(() => ({ addColorStop: jest.fn() }))
+    };
+}
+
+describe('Edge Color Sampling', () => {
+    test('should convert RGB components to hex', () => {
+        expect(rgbToHex(30, 135, 240)).toBe('#1e87f0');
+        expect(rgbToHex(0, 0, 0.4)).toBe('#000000');
+    });
+
+    test('should average the outermost row and column on each side', () => {
+        const colors = averageEdgeColors(createEdgePixels(5, 4), 5, 4);
+        
+        // Rows own the corners, so side columns mix in the corner pixels
+        expect(colors.top).toBe('#0000ff');
+        expect(colors.bottom).toBe('#ffff00');
+        expect(colors.left).toBe('#bf4040');
+        expect(colors.right).toBe('#40bf40');
+    });
+
+    test('should ignore fully transparent edge pixels', () => {
+        const data = new Uint8ClampedArray(2 * 2 * 4);
+        data.set([200, 100, 50, 255], 0);
+        
+        const colors = averageEdgeColors(data, 2, 2);
+        
+        expect(colors.top).toBe('#c86432');
+        expect(colors.bottom).toBe('#ffffff');
+    });
+
+    test('should sample a downscaled copy and cache the result per image', () => {
+        const scratchContext = {
+            drawImage: jest.fn(),
+            getImageData: jest.fn(() => ({ data: createEdgePixels(64, 48) }))
+        };
+        const scratchCanvas = { getContext: jest.fn(() => scratchContext) };
+        const spy = jest.spyOn(document, 'createElement').mockReturnValue(scratchCanvas);
+        const image = { width: 400, height: 300 };
+        
+        const first = sampleImageEdgeColors(image);
+        const second = sampleImageEdgeColors(image);
+        
+        spy.mockRestore();
+        
+        expect(scratchContext.drawImage).toHaveBeenCalledWith(image, 0, 0, 64, 48);
+        expect(scratchContext.getImageData).toHaveBeenCalledTimes(1);
+        expect(first.top).toBe('#0000ff');
+        expect(second).toBe(first);
+    });
+
+    test('should return null when pixels cannot be read', () => {
+        const scratchCanvas = {
+            getContext: () => ({
+                drawImage: jest.fn(),
+                getImageData: () => { throw new Error('tainted'); }
+            })
+        };
+        const spy = jest.spyOn(document, 'createElement').mockReturnValue(scratchCanvas);
+        
+        expect(sampleImageEdgeColors({ width: 10, height: 10 })).toBeNull();
+        
+        spy.mockRestore();
+    });
+});
+
+describe('Edge Extension Background', () => {
+    test('should stretch edge pixels into every gap around a centered image', () => {
+        const ctx = createMockContext();
+        
+        paintEdgeExtension(ctx, IMAGE, { x: 100, y: 50, width: 400, height: 300 }, 600, 400);
+        
+        expect(ctx.drawImage).toHaveBeenCalledTimes(8);
+        expect(ctx.drawImage).toHaveBeenCalledWith(IMAGE, 0, 0, 1, 30, 0, 50, 100, 300);
+        expect(ctx.drawImage).toHaveBeenCalledWith(IMAGE, 39, 0, 1, 30, 500, 50, 100, 300);
+        expect(ctx.drawImage).toHaveBeenCalledWith(IMAGE, 0, 0, 40, 1, 100, 0, 400, 50);
+        expect(ctx.drawImage).toHaveBeenCalledWith(IMAGE, 0, 29, 40, 1, 100, 350, 400, 50);
+        expect(ctx.drawImage).toHaveBeenCalledWith(IMAGE, 39, 29, 1, 1, 500, 350, 100, 50);
+    });
+
+    test('should only fill sides that have a gap', () => {
+        const ctx = createMockContext();
+        
+        paintEdgeExtension(ctx, IMAGE, { x: 0, y: 50, width: 600, height: 300 }, 600, 400);
+        
+        expect(ctx.drawImage).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('Mirrored Background', () => {
+    test('should tile flipped copies around the image but not over it', () => {
+        const ctx = createMockContext();
+        
+        paintMirroredBackground(ctx, IMAGE, { x: 100, y: 0, width: 200, height: 300 }, 500, 300);
+        
+        // One tile each side of the image
+        expect(ctx.drawImage).toHaveBeenCalledTimes(2);
+        expect(ctx.translate).toHaveBeenCalledWith(100, 0);
+        expect(ctx.translate).toHaveBeenCalledWith(500, 0);
+        expect(ctx.scale).toHaveBeenCalledWith(-1, 1);
+        expect(ctx.drawImage).toHaveBeenCalledWith(IMAGE, 0, 0, 200, 300);
+        expect(ctx.save).toHaveBeenCalledTimes(ctx.restore.mock.calls.length);
+    });
+
+    test('should flip diagonal tiles on both axes', () => {
+        const ctx = createMockContext();
+        
+        paintMirroredBackground(ctx, IMAGE, { x: 100, y: 100, width: 200, height: 100 }, 400, 300);
+        
+        expect(ctx.drawImage).toHaveBeenCalledTimes(8);
+        expect(ctx.scale).toHaveBeenCalledWith(-1, -1);
+    });
+});
+
+describe('Edge Color Background', () => {
+    const colors = { top: '#0000ff', bottom: '#ffff00', left: '#ff0000', right: '#00ff00' };
+
+    test('should fill each side band with its edge color', () => {
+        const ctx = createMockContext();
+        const fills = [];
+        ctx.fillRect = jest.fn((...rect) => fills.push([ctx.fillStyle, ...rect]));
+        
+        paintEdgeColorBackground(ctx, colors, { x: 100, y: 0, width: 400, height: 400 }, 'solid', 600, 400);
+        
+        expect(fills).toEqual([
+            ['#ff0000', 0, 0, 100, 400],
+            ['#00ff00', 500, 0, 100, 400]
+        ]);
+    });
+
+    test('should blend opposite sides along the axis with more empty space', () => {
+        const ctx = createMockContext();
+        const gradient = { addColorStop: jest.fn() };
+        ctx.createLinearGradient = jest.fn(() => gradient);
+        
+        paintEdgeColorBackground(ctx, colors, { x: 0, y: 100, width: 600, height: 200 }, 'gradient', 600, 400);
+        
+        expect(ctx.createLinearGradient).toHaveBeenCalledWith(0, 0, 0, 400);
+        expect(gradient.addColorStop).toHaveBeenCalledWith(0, '#0000ff');
+        expect(gradient.addColorStop).toHaveBeenCalledWith(1, '#ffff00');
+        expect(ctx.fillRect).toHaveBeenCalledWith(0, 0, 600, 400);
+    });
+
+    test('should fall back to the fill color when edge colors are unavailable', () => {
+        const { paintBackground } = require('../src/js/canvasRenderer');
+        const sample = window.sampleImageEdgeColors;
+        window.sampleImageEdgeColors = jest.fn(() => null);
+        const ctx = createMockContext();
+        
+        paintBackground(ctx, IMAGE, {
+            width: 600, height: 400, scale: 100, backgroundType: 'edge-color', backgroundColor: '#123456'
+        });
+        
+        window.sampleImageEdgeColors = sample;
+        
+        expect(ctx.fillStyle).toBe('#123456');
+        expect(ctx.fillRect).toHaveBeenCalledWith(0, 0, 600, 400);
+    });
+});
@@ -0,0 +1,181 @@
+/**
+ * EXIF Metadata Tests
+ * Following TDD: RED → GREEN → REFACTOR
+ */
+
+const {
+    readExifFromBytes,
+    readImageMetadata,
+    getOrientationTransform,
+    normalizeImageOrientation,
+    formatExifDate,
+    buildExifSegment,
+    embedExifInJpeg
+} = require('../src/js/exifReader');
+
+const START_OF_SCAN = [0xff, 0xda, 0x00, 0x02];
+
+/**
+ * Wraps segments into the start of a JPEG file
+ */
+function createJpegBytes(...segments) {
+    return Uint8Array.from([0xff, 0xd8, ...segments.flatMap(segment => Array.from(segment)), ...START_OF_SCAN]);
+}
+
+/**
+ * Builds a big-endian EXIF segment with orientation 6, a short make and a GPS pointer
+ */
+function createBigEndianExifSegment() {
+    const tiff = [
+        0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08,
+        0x00, 0x03,
+        0x01, 0x0f, 0x00, 0x02, 0x00, 0x00, 0x00, 0x03, 0x4c, 0x47, 0x00, 0x00,
+        0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x06, 0x00, 0x00,
+        0x88, 0x25, 0x00, 0x04, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00
+    ];
+    const length = 2 + 6 + tiff.length;
+    return [0xff, 0xe1, length >> 8, length & 0xff, 0x45, 0x78, 0x69, 0x66, 0x00, 0x00, ...tiff];
+}
+
+describe('EXIF Reading', () => {
+    test('should read camera, date and orientation written by the segment builder', () => {
+        const segment = buildExifSegment({ make: 'Apple', model: 'iPhone 13 Pro', dateTaken: '2024:05:01 12:34:56' });
+        
+        expect(readExifFromBytes(createJpegBytes(segment))).toEqual({
+            orientation: 1,
+            make: 'Apple',
+            model: 'iPhone 13 Pro',
+            dateTaken: '2024:05:01 12:34:56',
+            hasLocation: false
+        });
+    });
+
+    test('should read big-endian EXIF with inline strings and location', () => {
+        const app0 = [0xff, 0xe0, 0x00, 0x04, 0x00, 0x00];
+        
+        expect(readExifFromBytes(createJpegBytes(app0, createBigEndianExifSegment()))).toEqual({
+            orientation: 6,
+            make: 'LG',
+            model: null,
+            dateTaken: null,
+            hasLocation: true
+        });
+    });
+
+    test('should return null without EXIF', () => {
+        expect(readExifFromBytes(Uint8Array.from([0x89, 0x50, 0x4e, 0x47]))).toBeNull();
+        expect(readExifFromBytes(createJpegBytes([0xff, 0xe0, 0x00, 0x04, 0x00, 0x00]))).toBeNull();
+    });
+
+    test('should return null for truncated EXIF', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const segment = createBigEndianExifSegment().slice(0, 24);
+        
+        expect(readExifFromBytes(Uint8Array.from([0xff, 0xd8, ...segment]))).toBeNull();
+        console.error.mockRestore();
+    });
+
+    test('should only read metadata from JPEG files', async () => {
+        window.blobToBytes = jest.fn(() => Promise.resolve(createJpegBytes(createBigEndianExifSegment())));
+        
+        expect(await readImageMetadata(new File([''], 'a.png', { type: 'image/png' }))).toBeNull();
+        expect(await readImageMetadata(new File([''], 'a.jpg', { type: 'image/jpeg' }))).toEqual(expect.objectContaining({ orientation: 6 }));
+        
+        delete window.blobToBytes;
+    });
+
+    test('should format EXIF dates for display', () => {
+        expect(formatExifDate('2024:05:01 12:34:56')).toBe('2024-05-01 12:34');
+        expect(formatExifDate('unknown')).toBe('unknown');
+    });
+});
+
+describe('Orientation Normalization', () => {
+    test('should swap sides for rotated orientations', () => {
+        expect(getOrientationTransform(6, 40, 30)).toEqual({ width: 30, height: 40, matrix: [0, 1, -1, 0, 30, 0] });
+        expect(getOrientationTransform(3, 40, 30)).toEqual({ width: 40, height: 30, matrix: [-1, 0, 0, -1, 40, 30] });
+        expect(getOrientationTransform(1, 40, 30).matrix).toEqual([1, 0, 0, 1, 0, 0]);
+    });
+
+    test('should keep upright images as they are', async () => {
+        const image = { width: 40, height: 30 };
+        
+        expect(await normalizeImageOrientation(image, 1)).toBe(image);
+    });
+
+    test('should leave rotation to browsers that apply EXIF orientation', async () => {
+        const image = { width: 40, height: 30 };
+        global.CSS = { supports: jest.fn(() => true) };
+        
+        expect(await normalizeImageOrientation(image, 6)).toBe(image);
+        expect(CSS.supports).toHaveBeenCalledWith('image-orientation', 'from-image');
+        
+        delete global.CSS;
+    });
+
+    test('should redraw rotated images upright', async () => {
+        const image = { width: 40, height: 30 };
+        const ctx = { transform: jest.fn(), drawImage: jest.fn() };
+        const canvas = { getContext: () => ctx, toDataURL: jest.fn() };
+        const originalCreateElement = document.createElement;
+        document.createElement = jest.fn(() => canvas);
+        
+        const upright = await normalizeImageOrientation(image, 6);
+        document.createElement = originalCreateElement;
+        
+        expect(canvas.width).toBe(30);
+        expect(canvas.height).toBe(40);
+        expect(ctx.transform).toHaveBeenCalledWith(0, 1, -1, 0, 30, 0);
+        expect(ctx.drawImage).toHaveBeenCalledWith(image, 0, 0);
+        expect(upright).toBe(canvas);
+        expect(canvas.toDataURL).not.toHaveBeenCalled();
+    });
+});
+
+describe('EXIF Writing', () => {
+    test('should only write the given fields and an upright orientation', () => {
+        const segment = buildExifSegment({ dateTaken: '2023:01:02 03:04:05' });
+        
+        expect(Array.from(segment.slice(0, 2))).toEqual([0xff, 0xe1]);
+        expect((segment[2] << 8) | segment[3]).toBe(segment.length - 2);
+        expect(readExifFromBytes(createJpegBytes(segment))).toEqual({
+            orientation: 1,
+            make: null,
+            model: null,
+            dateTaken: '2023:01:02 03:04:05',
+            hasLocation: false
+        });
+    });
+
+    test('should insert the segment right after the JPEG start marker', async () => {
+        const jpeg = Uint8Array.from([0xff, 0xd8, 0xff, 0xdb, 0x00, 0x02, 0xff, 0xd9]);
+        const metadata = { make: 'Canon', model: 'Canon EOS R5' };
+        window.blobToBytes = jest.fn(() => Promise.resolve(jpeg));
+        const OriginalBlob = global.Blob;
+        const parts = [];
+        global.Blob = class extends OriginalBlob {
+            constructor(blobParts, options) {
+                super(blobParts, options);
+                parts.push(...blobParts);
+            }
+        };
+        
+        const result = await embedExifInJpeg(new OriginalBlob(['x'], { type: 'image/jpeg' }), metadata);
+        global.Blob = OriginalBlob;
+        delete window.blobToBytes;
+        
+        expect(result.type).toBe('image/jpeg');
+        expect(Array.from(parts[0])).toEqual([0xff, 0xd8]);
+        expect(parts[1]).toEqual(buildExifSegment(metadata));
+        expect(Array.from(parts[2])).toEqual([0xff, 0xdb, 0x00, 0x02, 0xff, 0xd9]);
+    });
+
+    test('should leave non-JPEG data untouched', async () => {
+        const blob = new Blob(['png'], { type: 'image/png' });
+        window.blobToBytes = jest.fn(() => Promise.resolve(Uint8Array.from([0x89, 0x50])));
+        
+        expect(await embedExifInJpeg(blob, { make: 'Canon' })).toBe(blob);
+        delete window.blobToBytes;
+    });
+});
@@ -0,0 +1,222 @@
+/**
+ * GIF Codec Tests
+ * Following TDD: RED → GREEN → REFACTOR
+ */
+
+require('../src/js/colorExtractor');
+const {
+    decodeGifLzw,
+    encodeGifLzw,
+    readGifScreenSize,
+    decodeGif,
+    quantizeFrame,
+    encodeGifFrame,
+    encodeGif
+} = require('../src/js/gifCodec');
+
+function fromHex(hex) {
+    return Uint8Array.from(hex.match(/../g), pair => parseInt(pair, 16));
+}
+
+function pixelAt(frame, width, x, y) {
+    const i = (y * width + x) * 4;
+    return Array.from(frame.data.slice(i, i + 4));
+}
+
+// Builds a GIF with a global palette from raw frame descriptions
+function buildGif(width, height, palette, frames, loopCount = null) {
+    const bytes = [0x47, 0x49, 0x46, 0x38, 0x39, 0x61, width, 0, height, 0, 0x80 | 1, 0, 0, ...palette];
+    if (loopCount !== null) {
+        bytes.push(0x21, 0xff, 11, ...Array.from('NETSCAPE2.0', c => c.charCodeAt(0)), 3, 1, loopCount, 0, 0);
+    }
+    frames.forEach(frame => {
+        const flags = (frame.disposal << 2) | (frame.transparentIndex >= 0 ? 1 : 0);
+        bytes.push(0x21, 0xf9, 4, flags, frame.delay, 0, Math.max(0, frame.transparentIndex), 0);
+        bytes.push(0x2c, frame.left, 0, frame.top, 0, frame.width, 0, frame.height, 0, frame.interlaced ? 0x40 : 0);
+        const data = encodeGifLzw(2, Uint8Array.from(frame.indices));
+        bytes.push(2, data.length, ...data, 0);
+    });
+    bytes.push(0x3b);
+    return Uint8Array.from(bytes);
+}
+
+// Palette: 0 black, 1 red, 2 green, 3 blue
+const PALETTE = [0, 0, 0, 255, 0, 0, 0, 255, 0, 0, 0, 255];
+
+describe('GIF LZW', () => {
+    test('should round-trip indices, including past a full code table', () => {
+        const indices = new Uint8Array(50000);
+        let seed = 7;
+        for (let i = 0; i < indices.length; i++) {
+            seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+            indices[i] = i % 40 < 20 ? (seed >> 16) & 255 : 9;
+        }
+
+        expect(decodeGifLzw(8, encodeGifLzw(8, indices), indices.length)).toEqual(indices);
+    });
+
+    test('should round-trip small code sizes and single pixels', () => {
+        const indices = Uint8Array.from([0, 1, 2, 3, 3, 3, 3, 1, 0, 0]);
+
+        expect(decodeGifLzw(2, encodeGifLzw(2, indices), indices.length)).toEqual(indices);
+        expect(decodeGifLzw(8, encodeGifLzw(8, Uint8Array.of(42)), 1)).toEqual(Uint8Array.of(42));
+    });
+});
+
+describe('GIF Decoding', () => {
+    test('should decode the reference sample image', () => {
+        // 10x10 sample from the GIF89a walkthrough: red/blue quadrants with a white center
+        const gif = decodeGif(fromHex('4749463839610a000a00910000ffffffff00000000ff00000021f90400000000002c000000000a000a000002168c2d99872a1cdc33a00275ec95faa8de608c04914c01003b'));
+
+        expect(gif.width).toBe(10);
+        expect(gif.height).toBe(10);
+        expect(gif.frames).toHaveLength(1);
+        expect(pixelAt(gif.frames[0], 10, 0, 0)).toEqual([255, 0, 0, 255]);
+        expect(pixelAt(gif.frames[0], 10, 9, 0)).toEqual([0, 0, 255, 255]);
+        expect(pixelAt(gif.frames[0], 10, 4, 4)).toEqual([255, 255, 255, 255]);
+        expect(pixelAt(gif.frames[0], 10, 0, 9)).toEqual([0, 0, 255, 255]);
+    });
+
+    test('should read delays in milliseconds and the loop count', () => {
+        const full = { left: 0, top: 0, width: 2, height: 1, disposal: 1, transparentIndex: -1, indices: [1, 1] };
+        const gif = decodeGif(buildGif(2, 1, PALETTE, [{ ...full, delay: 5 }, { ...full, delay: 20 }], 3));
+
+        expect(gif.frames.map(frame => frame.delay)).toEqual([50, 200]);
+        expect(gif.loopCount).toBe(3);
+    });
+
+    test('should play once when there is no loop extension', () => {
+        const frame = { left: 0, top: 0, width: 1, height: 1, disposal: 0, transparentIndex: -1, delay: 10, indices: [2] };
+
+        expect(decodeGif(buildGif(1, 1, PALETTE, [frame, frame])).loopCount).toBeNull();
+    });
+
+    test('should composite partial frames and keep pixels under transparent indices', () => {
+        const gif = decodeGif(buildGif(2, 2, PALETTE, [
+            { left: 0, top: 0, width: 2, height: 2, disposal: 1, transparentIndex: -1, delay: 10, indices: [1, 1, 1, 1] },
+            { left: 1, top: 1, width: 1, height: 1, disposal: 1, transparentIndex: -1, delay: 10, indices: [3] },
+            { left: 0, top: 0, width: 2, height: 1, disposal: 1, transparentIndex: 0, delay: 10, indices: [0, 2] }
+        ]));
+
+        expect(pixelAt(gif.frames[1], 2, 1, 1)).toEqual([0, 0, 255, 255]);
+        expect(pixelAt(gif.frames[1], 2, 0, 0)).toEqual([255, 0, 0, 255]);
+        expect(pixelAt(gif.frames[2], 2, 0, 0)).toEqual([255, 0, 0, 255]);
+        expect(pixelAt(gif.frames[2], 2, 1, 0)).toEqual([0, 255, 0, 255]);
+        expect(pixelAt(gif.frames[2], 2, 1, 1)).toEqual([0, 0, 255, 255]);
+    });
+
+    test('should apply restore-to-background and restore-to-previous disposal', () => {
+        const gif = decodeGif(buildGif(2, 1, PALETTE, [
+            { left: 0, top: 0, width: 2, height: 1, disposal: 1, transparentIndex: -1, delay: 10, indices: [1, 1] },
+            { left: 0, top: 0, width: 1, height: 1, disposal: 3, transparentIndex: -1, delay: 10, indices: [2] },
+            { left: 1, top: 0, width: 1, height: 1, disposal: 2, transparentIndex: -1, delay: 10, indices: [3] },
+            { left: 0, top: 0, width: 1, height: 1, disposal: 1, transparentIndex: 0, delay: 10, indices: [0] }
+        ]));
+
+        expect(pixelAt(gif.frames[1], 2, 0, 0)).toEqual([0, 255, 0, 255]);
+        // Frame 2 draws over the state from before frame 1
+        expect(pixelAt(gif.frames[2], 2, 0, 0)).toEqual([255, 0, 0, 255]);
+        expect(pixelAt(gif.frames[2], 2, 1, 0)).toEqual([0, 0, 255, 255]);
+        // Frame 2 cleared its area to transparent afterwards
+        expect(pixelAt(gif.frames[3], 2, 1, 0)).toEqual([0, 0, 0, 0]);
+    });
+
+    test('should put interlaced rows back in order', () => {
+        const gif = decodeGif(buildGif(1, 4, PALETTE, [
+            // Stored order: row 0, row 2, row 1, row 3
+            { left: 0, top: 0, width: 1, height: 4, disposal: 0, transparentIndex: -1, delay: 0, interlaced: true, indices: [0, 2, 1, 3] }
+        ]));
+
+        expect([0, 1, 2, 3].map(y => pixelAt(gif.frames[0], 1, 0, y))).toEqual([
+            [0, 0, 0, 255], [255, 0, 0, 255], [0, 255, 0, 255], [0, 0, 255, 255]
+        ]);
+    });
+
+    test('should stop at the frame limit and report truncation', () => {
+        const frame = { left: 0, top: 0, width: 1, height: 1, disposal: 0, transparentIndex: -1, delay: 10, indices: [1] };
+        const gif = decodeGif(buildGif(1, 1, PALETTE, [frame, frame, frame]), 2);
+
+        expect(gif.frames).toHaveLength(2);
+        expect(gif.truncated).toBe(true);
+    });
+
+    test('should hand frames over one at a time instead of collecting them', () => {
+        const red = { left: 0, top: 0, width: 1, height: 1, disposal: 0, transparentIndex: -1, delay: 10, indices: [1] };
+        const blue = { ...red, delay: 20, indices: [3] };
+        const received = [];
+
+        const gif = decodeGif(buildGif(1, 1, PALETTE, [red, blue]), Infinity, frame => {
+            received.push({ pixel: pixelAt(frame, 1, 0, 0), delay: frame.delay });
+        });
+
+        expect(received).toEqual([
+            { pixel: [255, 0, 0, 255], delay: 100 },
+            { pixel: [0, 0, 255, 255], delay: 200 }
+        ]);
+        expect(gif.frames).toHaveLength(0);
+        expect(gif.frameCount).toBe(2);
+    });
+
+    test('should read the screen size without decoding frames', () => {
+        expect(readGifScreenSize(buildGif(3, 2, PALETTE, []))).toEqual({ width: 3, height: 2 });
+    });
+
+    test('should reject files that are not GIFs', () => {
+        expect(() => decodeGif(Uint8Array.from([0x89, 0x50, 0x4e, 0x47, 0, 0, 0, 0, 0, 0]))).toThrow('Not a GIF file');
+    });
+});
+
+describe('GIF Encoding', () => {
+    test('should quantize opaque frames to nearby palette colors', () => {
+        const data = new Uint8ClampedArray(16 * 4);
+        for (let i = 0; i < 16; i++) {
+            data.set(i < 8 ? [250, 10, 10, 255] : [10, 10, 250, 255], i * 4);
+        }
+
+        const { indices, palette, transparentIndex } = quantizeFrame(data);
+
+        expect(transparentIndex).toBe(-1);
+        expect(Array.from(palette.slice(indices[0] * 3, indices[0] * 3 + 3))).toEqual([250, 10, 10]);
+        expect(Array.from(palette.slice(indices[15] * 3, indices[15] * 3 + 3))).toEqual([10, 10, 250]);
+    });
+
+    test('should reserve a transparent index for see-through pixels', () => {
+        const data = Uint8ClampedArray.from([0, 200, 0, 255, 0, 0, 0, 0]);
+        const { indices, transparentIndex } = quantizeFrame(data);
+
+        expect(transparentIndex).toBeGreaterThan(0);
+        expect(indices[1]).toBe(transparentIndex);
+        expect(indices[0]).not.toBe(transparentIndex);
+    });
+
+    test('should write frames that are cleared before the next one', () => {
+        const opaque = encodeGifFrame({ indices: Uint8Array.of(0), palette: Uint8Array.of(1, 2, 3), transparentIndex: -1, delay: 70 }, 1, 1);
+        const transparent = encodeGifFrame({ indices: Uint8Array.of(1), palette: Uint8Array.of(1, 2, 3), transparentIndex: 1, delay: 70 }, 1, 1);
+
+        expect(Array.from(opaque.slice(0, 8))).toEqual([0x21, 0xf9, 4, 2 << 2, 7, 0, 0, 0]);
+        expect(Array.from(transparent.slice(0, 8))).toEqual([0x21, 0xf9, 4, (2 << 2) | 1, 7, 0, 1, 0]);
+    });
+
+    test('should round-trip frames, delays and loop count through the decoder', () => {
+        const first = quantizeFrame(Uint8ClampedArray.from([255, 0, 0, 255, 0, 255, 0, 255]));
+        const second = quantizeFrame(Uint8ClampedArray.from([0, 0, 255, 255, 0, 0, 0, 0]));
+        const bytes = encodeGif([{ ...first, delay: 120 }, { ...second, delay: 40 }], 2, 1, 0);
+
+        const gif = decodeGif(bytes);
+
+        expect(gif.loopCount).toBe(0);
+        expect(gif.frames.map(frame => frame.delay)).toEqual([120, 40]);
+        expect(pixelAt(gif.frames[0], 2, 0, 0)).toEqual([255, 0, 0, 255]);
+        expect(pixelAt(gif.frames[0], 2, 1, 0)).toEqual([0, 255, 0, 255]);
+        expect(pixelAt(gif.frames[1], 2, 0, 0)).toEqual([0, 0, 255, 255]);
+        expect(pixelAt(gif.frames[1], 2, 1, 0)).toEqual([0, 0, 0, 0]);
+    });
+
+    test('should leave out the loop extension for animations that play once', () => {
+        const frame = { ...quantizeFrame(Uint8ClampedArray.from([9, 9, 9, 255])), delay: 100 };
+        const text = String.fromCharCode(...encodeGif([frame, frame], 1, 1, null));
+
+        expect(text).not.toContain('NETSCAPE2.0');
+        expect(decodeGif(encodeGif([frame, frame], 1, 1, null)).loopCount).toBeNull();
+    });
+});
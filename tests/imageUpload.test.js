@@ -10,6 +10,8 @@ const path = require('path');
 const html = fs.readFileSync(path.resolve(__dirname, '../src/index.html'), 'utf8');
 document.body.innerHTML = html;
 
+require('../src/js/notifications');
+
 // Mock the JavaScript modules we'll create
 let ImageUploader;
 
@@ -41,17 +43,13 @@ describe('Image Upload Functionality', () => {
         expect(validateImageFile(invalidFile)).toBe(false);
     });
 
-    test('should validate image file size (max 5MB)', async () => {
-        // This test will fail initially (RED phase)
+    test('should accept large files and scale them down later', async () => {
         const { validateImageFile } = require('../src/js/imageProcessor');
         
         // Mock large file (6MB)
         const largeFile = new File(['x'.repeat(6 * 1024 * 1024)], 'large.jpg', { type: 'image/jpeg' });
-        // Mock normal file (2MB)
-        const normalFile = new File(['x'.repeat(2 * 1024 * 1024)], 'normal.jpg', { type: 'image/jpeg' });
         
-        expect(validateImageFile(largeFile)).toBe(false);
-        expect(validateImageFile(normalFile)).toBe(true);
+        expect(validateImageFile(largeFile)).toBe(true);
     });
 
     test('should process valid image file upload', async () => {
@@ -103,33 +101,447 @@ describe('Image Upload Functionality', () => {
         expect(window.enablePreviewDownloadButton).toHaveBeenCalled();
     });
 
-    test('should show error alert for invalid file', async () => {
-        // This test will fail initially (RED phase)
+    test('should suggest background colors after image upload', async () => {
         const { handleImageUpload } = require('../src/js/imageProcessor');
         
-        // Mock alert function
-        window.alert = jest.fn();
+        const mockFile = new File(['fake-image-data'], 'test.jpg', { type: 'image/jpeg' });
+        const mockEvent = { target: { files: [mockFile] } };
         
-        const invalidFile = new File(['text'], 'test.txt', { type: 'text/plain' });
-        const mockEvent = { target: { files: [invalidFile] } };
+        window.updateColorSuggestions = jest.fn();
         
         await handleImageUpload(mockEvent);
         
-        expect(window.alert).toHaveBeenCalledWith(expect.stringContaining('Please select a valid image file'));
+        expect(window.updateColorSuggestions).toHaveBeenCalledWith(expect.any(Object));
+        delete window.updateColorSuggestions;
     });
 
-    test('should show error alert for oversized file', async () => {
-        // This test will fail initially (RED phase)
+    test('should remember the uploaded file name without extension', async () => {
+        const { handleImageUpload, getOriginalFilename } = require('../src/js/imageProcessor');
+        
+        const mockFile = new File(['fake-image-data'], 'summer.photo.jpg', { type: 'image/jpeg' });
+        
+        await handleImageUpload({ target: { files: [mockFile] } });
+        
+        expect(getOriginalFilename()).toBe('summer.photo');
+    });
+
+    test('should queue several files for batch processing and preview the first valid one', async () => {
+        const { handleImageUpload, getOriginalFilename } = require('../src/js/imageProcessor');
+        
+        const files = [
+            new File(['text'], 'notes.txt', { type: 'text/plain' }),
+            new File(['fake-image-data'], 'beach.jpg', { type: 'image/jpeg' }),
+            new File(['fake-image-data'], 'forest.png', { type: 'image/png' })
+        ];
+        window.addFilesToBatch = jest.fn();
+        
+        await handleImageUpload({ target: { files } });
+        
+        expect(window.addFilesToBatch).toHaveBeenCalledWith(files);
+        expect(getOriginalFilename()).toBe('beach');
+        delete window.addFilesToBatch;
+    });
+
+    test('should read EXIF, fix orientation and show metadata before rendering', async () => {
+        const { handleImageUpload, getImageElement, getImageMetadata } = require('../src/js/imageProcessor');
+        
+        const metadata = { orientation: 6, make: 'Apple', model: 'iPhone 13', dateTaken: null, hasLocation: false };
+        const upright = { width: 100, height: 100 };
+        window.readImageMetadata = jest.fn(() => Promise.resolve(metadata));
+        window.normalizeImageOrientation = jest.fn(() => Promise.resolve(upright));
+        window.renderImageMetadata = jest.fn();
+        window.updateColorSuggestions = jest.fn();
+        
+        const mockFile = new File(['fake-image-data'], 'phone.jpg', { type: 'image/jpeg' });
+        await handleImageUpload({ target: { files: [mockFile] } });
+        
+        expect(window.normalizeImageOrientation).toHaveBeenCalledWith(expect.any(Object), 6);
+        expect(getImageElement()).toBe(upright);
+        expect(getImageMetadata()).toBe(metadata);
+        expect(window.updateColorSuggestions).toHaveBeenCalledWith(upright);
+        expect(window.renderImageMetadata).toHaveBeenCalledWith(metadata, upright);
+        
+        delete window.readImageMetadata;
+        delete window.normalizeImageOrientation;
+        delete window.renderImageMetadata;
+        delete window.updateColorSuggestions;
+    });
+
+    test('should start the crop over for every upload', async () => {
         const { handleImageUpload } = require('../src/js/imageProcessor');
+        window.resetCrop = jest.fn();
         
-        // Mock alert function
-        window.alert = jest.fn();
+        await handleImageUpload({ target: { files: [new File(['fake-image-data'], 'new.jpg', { type: 'image/jpeg' })] } });
         
-        const largeFile = new File(['x'.repeat(6 * 1024 * 1024)], 'large.jpg', { type: 'image/jpeg' });
-        const mockEvent = { target: { files: [largeFile] } };
+        expect(window.resetCrop).toHaveBeenCalled();
+        delete window.resetCrop;
+    });
+
+    test('should keep decoded animation frames and offer animated export', async () => {
+        const { handleImageUpload, getImageAnimation } = require('../src/js/imageProcessor');
+        
+        const animation = { width: 100, height: 100, frames: [{}, {}], loopCount: 0, truncated: false };
+        window.decodeAnimation = jest.fn(() => Promise.resolve(animation));
+        window.toggleAnimationControls = jest.fn();
+        
+        const mockFile = new File(['fake-image-data'], 'dance.gif', { type: 'image/gif' });
+        await handleImageUpload({ target: { files: [mockFile] } });
+        
+        expect(window.decodeAnimation).toHaveBeenCalledWith(mockFile);
+        expect(getImageAnimation()).toBe(animation);
+        expect(window.toggleAnimationControls).toHaveBeenCalledWith(animation);
+        
+        delete window.decodeAnimation;
+        delete window.toggleAnimationControls;
+    });
+
+    test('should show an error message for invalid file', async () => {
+        // This test will fail initially (RED phase)
+        const { handleImageUpload } = require('../src/js/imageProcessor');
+        
+        const invalidFile = new File(['text'], 'test.txt', { type: 'text/plain' });
+        const mockEvent = { target: { files: [invalidFile] } };
         
         await handleImageUpload(mockEvent);
         
-        expect(window.alert).toHaveBeenCalledWith(expect.stringContaining('File size exceeds 5MB limit'));
+        expect(document.getElementById('notifications').textContent).toContain('Please select a valid image file');
+    });
+
+    test('should reject images larger than the browser can process and keep the current one', async () => {
+        const { handleImageUpload, getImageElement } = require('../src/js/imageProcessor');
+        
+        await handleImageUpload({ target: { files: [new File(['fake-image-data'], 'small.jpg', { type: 'image/jpeg' })] } });
+        const previous = getImageElement();
+        
+        const OriginalImage = global.Image;
+        global.Image = class extends OriginalImage {
+            constructor() {
+                super();
+                this.width = 20000;
+                this.height = 15000;
+            }
+        };
+        
+        try {
+            await handleImageUpload({ target: { files: [new File(['fake-image-data'], 'huge.jpg', { type: 'image/jpeg' })] } });
+        } finally {
+            global.Image = OriginalImage;
+        }
+        
+        expect(document.getElementById('notifications').textContent).toContain('20000×15000px; images can be at most 16384px wide');
+        expect(getImageElement()).toBe(previous);
+    });
+
+    test('should reject tracking pixels and other tiny images', async () => {
+        const { handleImageUpload, getImageElement } = require('../src/js/imageProcessor');
+        const OriginalImage = global.Image;
+        global.Image = class extends OriginalImage {
+            constructor() {
+                super();
+                this.width = 1;
+                this.height = 1;
+            }
+        };
+        
+        try {
+            await handleImageUpload({ target: { files: [new File(['fake-image-data'], 'pixel.gif', { type: 'image/gif' })] } });
+        } finally {
+            global.Image = OriginalImage;
+        }
+        
+        const toast = document.querySelector('#notifications').lastElementChild;
+        expect(toast.textContent).toBe('This image is 1×1px; it must be at least 10px wide.');
+        expect(toast.classList.contains('uk-alert-warning')).toBe(true);
+        expect(getImageElement()).not.toEqual(expect.objectContaining({ width: 1 }));
+    });
+});
+
+describe('Pixel Dimension Validation', () => {
+    test('should accept images within the limits', () => {
+        const { validateImageDimensions } = require('../src/js/imageProcessor');
+        
+        expect(validateImageDimensions(10, 10)).toBeNull();
+        expect(validateImageDimensions(16384, 3000)).toBeNull();
+        expect(validateImageDimensions(8192, 6000)).toBeNull();
+        expect(validateImageDimensions(4000, 3000)).toBeNull();
+    });
+
+    test('should report which rule failed', () => {
+        const { validateImageDimensions } = require('../src/js/imageProcessor');
+        
+        expect(validateImageDimensions(9, 500).rule).toBe('minWidth');
+        expect(validateImageDimensions(500, 9).rule).toBe('minHeight');
+        expect(validateImageDimensions(20000, 300).rule).toBe('maxWidth');
+        expect(validateImageDimensions(300, 20000).message).toBe(
+            'This image is 300×20000px; images can be at most 16384px tall. Please resize it in a photo editor and try again.'
+        );
+    });
+
+    test('should reject images by pixel count alone with the default limits', () => {
+        const { validateImageDimensions } = require('../src/js/imageProcessor');
+        
+        expect(validateImageDimensions(10000, 8000)).toEqual({
+            rule: 'maxPixels',
+            message: 'This image is 10000×8000px (80 MP); images can be at most 50 MP. Please resize it in a photo editor and try again.'
+        });
+    });
+
+    test('should accept custom limits', () => {
+        const { IMAGE_DIMENSION_LIMITS, validateImageDimensions } = require('../src/js/imageProcessor');
+        const limits = { ...IMAGE_DIMENSION_LIMITS, maxWidth: 4096, maxHeight: 4096, maxPixels: 4096 * 2048 };
+        
+        expect(validateImageDimensions(5000, 100, limits).rule).toBe('maxWidth');
+        expect(validateImageDimensions(4096, 4096, limits)).toEqual({
+            rule: 'maxPixels',
+            message: expect.stringContaining('(17 MP); images can be at most 8 MP')
+        });
+    });
+
+    test('should read the largest upload from the settings', () => {
+        const { getImageDimensionLimits } = require('../src/js/imageProcessor');
+        
+        expect(getImageDimensionLimits()).toMatchObject({ minWidth: 10, maxWidth: 16384, maxPixels: 50 * 1000 * 1000 });
+        
+        document.getElementById('upload-size-limit').value = '4096';
+        expect(getImageDimensionLimits()).toMatchObject({ minWidth: 10, maxWidth: 4096, maxHeight: 4096, maxPixels: 4096 * 4096 });
+    });
+
+    test('should reject uploads above the chosen largest size', async () => {
+        const { prepareWorkingImage } = require('../src/js/imageProcessor');
+        document.getElementById('upload-size-limit').value = '4096';
+        
+        await expect(prepareWorkingImage({ width: 5000, height: 3000 })).rejects.toMatchObject({
+            type: 'too-large',
+            rule: 'maxWidth',
+            message: expect.stringContaining('images can be at most 4096px wide')
+        });
+        
+        document.getElementById('upload-size-limit').value = '24mp';
+        await expect(prepareWorkingImage({ width: 6000, height: 5000 })).rejects.toMatchObject({ rule: 'maxPixels' });
+    });
+
+    test('should reject images outside the limits when preparing them', async () => {
+        const { prepareWorkingImage } = require('../src/js/imageProcessor');
+        
+        await expect(prepareWorkingImage({ width: 20000, height: 300 })).rejects.toMatchObject({
+            type: 'too-large',
+            rule: 'maxWidth'
+        });
+        await expect(prepareWorkingImage({ width: 5, height: 5 })).rejects.toMatchObject({
+            type: 'invalid-input',
+            rule: 'minWidth'
+        });
+    });
+});
+
+/**
+ * Builds the first bytes of a PNG file with the given size
+ */
+function createPngHeader(width, height) {
+    const bytes = new Uint8Array(24);
+    bytes.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52]);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(16, width);
+    view.setUint32(20, height);
+    return bytes;
+}
+
+describe('Image Header Size', () => {
+    test('should read the size of PNG and GIF files', () => {
+        const { readImageSizeFromBytes } = require('../src/js/imageProcessor');
+        const gif = new Uint8Array([0x47, 0x49, 0x46, 0x38, 0x39, 0x61, 0x40, 0x01, 0xf0, 0x00]);
+        
+        expect(readImageSizeFromBytes(createPngHeader(8000, 6000))).toEqual({ width: 8000, height: 6000 });
+        expect(readImageSizeFromBytes(gif)).toEqual({ width: 320, height: 240 });
+    });
+
+    test('should find the JPEG frame header behind other segments', () => {
+        const { readImageSizeFromBytes } = require('../src/js/imageProcessor');
+        const jpeg = new Uint8Array([
+            0xff, 0xd8,
+            // APP0 segment with 4 bytes of payload
+            0xff, 0xe0, 0x00, 0x06, 0x4a, 0x46, 0x49, 0x46,
+            // Baseline frame: precision 8, height 3000, width 4000
+            0xff, 0xc0, 0x00, 0x11, 0x08, 0x0b, 0xb8, 0x0f, 0xa0
+        ]);
+        
+        expect(readImageSizeFromBytes(jpeg)).toEqual({ width: 4000, height: 3000 });
+    });
+
+    test('should read the size of extended WebP files', () => {
+        const { readImageSizeFromBytes } = require('../src/js/imageProcessor');
+        const webp = new Uint8Array(30);
+        webp.set([0x52, 0x49, 0x46, 0x46, 0, 0, 0, 0, 0x57, 0x45, 0x42, 0x50, 0x56, 0x50, 0x38, 0x58]);
+        // Width and height minus one as 24-bit little-endian numbers
+        webp.set([0x7f, 0x07, 0x00, 0x37, 0x04, 0x00], 24);
+        
+        expect(readImageSizeFromBytes(webp)).toEqual({ width: 1920, height: 1080 });
+    });
+
+    test('should not guess the size of unknown data', () => {
+        const { readImageSizeFromBytes } = require('../src/js/imageProcessor');
+        
+        expect(readImageSizeFromBytes(new Uint8Array([1, 2, 3]))).toBeNull();
+    });
+});
+
+describe('Working Resolution', () => {
+    const originalBrowserAppliesExifOrientation = window.browserAppliesExifOrientation;
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete window.createImageBitmap;
+        delete window.blobToBytes;
+        window.browserAppliesExifOrientation = originalBrowserAppliesExifOrientation;
+    });
+
+    test('should fit the longest side inside the working resolution', () => {
+        const { calculateWorkingSize } = require('../src/js/imageProcessor');
+        
+        expect(calculateWorkingSize(8000, 6000, 4096)).toEqual({ width: 4096, height: 3072, scale: 0.512 });
+        expect(calculateWorkingSize(3000, 6000, 2048)).toMatchObject({ width: 1024, height: 2048 });
+        expect(calculateWorkingSize(800, 600, 4096)).toEqual({ width: 800, height: 600, scale: 1 });
     });
-});
\ No newline at end of file
+
+    test('should read the working resolution from the selector', () => {
+        const { getWorkingResolution } = require('../src/js/imageProcessor');
+        
+        expect(getWorkingResolution()).toBe(4096);
+        
+        document.getElementById('working-resolution').value = '2048';
+        expect(getWorkingResolution()).toBe(2048);
+    });
+
+    test('should keep images within the working resolution as they are', async () => {
+        const { prepareWorkingImage } = require('../src/js/imageProcessor');
+        const image = { width: 1200, height: 800 };
+        
+        expect(await prepareWorkingImage(image)).toEqual({ image, sourceWidth: 1200, sourceHeight: 800 });
+    });
+
+    test('should decode large photos straight to the working size when the browser supports it', async () => {
+        const { loadWorkingImage } = require('../src/js/imageProcessor');
+        const bitmap = { width: 2048, height: 1536 };
+        const file = new File(['x'], 'large.png', { type: 'image/png' });
+        window.blobToBytes = jest.fn().mockResolvedValue(createPngHeader(8000, 6000));
+        window.browserAppliesExifOrientation = () => true;
+        window.createImageBitmap = jest.fn().mockResolvedValue(bitmap);
+        URL.createObjectURL.mockClear();
+        document.getElementById('working-resolution').value = '2048';
+        
+        const working = await loadWorkingImage(file);
+        
+        expect(window.createImageBitmap).toHaveBeenCalledWith(file, expect.objectContaining({
+            resizeWidth: 2048,
+            resizeHeight: 1536,
+            imageOrientation: 'from-image'
+        }));
+        expect(working).toEqual({ image: bitmap, sourceWidth: 8000, sourceHeight: 6000 });
+        // No <img> decode of the full-size file
+        expect(URL.createObjectURL).not.toHaveBeenCalled();
+    });
+
+    test('should size the bitmap for photos stored on their side', async () => {
+        const { loadWorkingImage } = require('../src/js/imageProcessor');
+        window.blobToBytes = jest.fn().mockResolvedValue(createPngHeader(8000, 6000));
+        window.browserAppliesExifOrientation = () => true;
+        window.createImageBitmap = jest.fn().mockResolvedValue({ width: 3072, height: 4096 });
+        
+        const working = await loadWorkingImage(new File(['x'], 'phone.jpg', { type: 'image/jpeg' }), { orientation: 6 });
+        
+        expect(window.createImageBitmap).toHaveBeenCalledWith(expect.any(File), expect.objectContaining({
+            resizeWidth: 3072,
+            resizeHeight: 4096
+        }));
+        expect(working).toMatchObject({ sourceWidth: 6000, sourceHeight: 8000 });
+    });
+
+    test('should reject oversized files from their header before decoding', async () => {
+        const { loadWorkingImage } = require('../src/js/imageProcessor');
+        window.blobToBytes = jest.fn().mockResolvedValue(createPngHeader(30000, 500));
+        window.createImageBitmap = jest.fn();
+        URL.createObjectURL.mockClear();
+        
+        await expect(loadWorkingImage(new File(['x'], 'huge.png', { type: 'image/png' }))).rejects.toMatchObject({
+            type: 'too-large',
+            rule: 'maxWidth'
+        });
+        expect(window.createImageBitmap).not.toHaveBeenCalled();
+        expect(URL.createObjectURL).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to <img> and scale on a canvas when the browser ignores EXIF orientation', async () => {
+        const { loadWorkingImage } = require('../src/js/imageProcessor');
+        const drawImage = jest.fn();
+        const canvas = { getContext: () => ({ drawImage }) };
+        const originalCreateElement = document.createElement.bind(document);
+        jest.spyOn(document, 'createElement').mockImplementation(tag => (tag === 'canvas' ? canvas : originalCreateElement(tag)));
+        window.blobToBytes = jest.fn().mockResolvedValue(createPngHeader(6000, 8000));
+        window.browserAppliesExifOrientation = () => false;
+        window.createImageBitmap = jest.fn();
+        const OriginalImage = global.Image;
+        global.Image = class extends OriginalImage {
+            constructor() {
+                super();
+                this.width = 6000;
+                this.height = 8000;
+            }
+        };
+        
+        let working;
+        try {
+            working = await loadWorkingImage(new File(['x'], 'large.png', { type: 'image/png' }));
+        } finally {
+            global.Image = OriginalImage;
+        }
+        
+        expect(window.createImageBitmap).not.toHaveBeenCalled();
+        expect(working.image).toBe(canvas);
+        expect(canvas.width).toBe(3072);
+        expect(canvas.height).toBe(4096);
+        expect(drawImage).toHaveBeenCalledWith(expect.objectContaining({ width: 6000 }), 0, 0, 3072, 4096);
+    });
+
+    test('should close the bitmap of the previous upload', async () => {
+        const { handleImageUpload, getImageElement } = require('../src/js/imageProcessor');
+        const first = { width: 400, height: 300, close: jest.fn() };
+        const second = { width: 400, height: 300, close: jest.fn() };
+        window.blobToBytes = jest.fn().mockResolvedValue(createPngHeader(400, 300));
+        window.browserAppliesExifOrientation = () => true;
+        window.createImageBitmap = jest.fn().mockResolvedValueOnce(first).mockResolvedValueOnce(second);
+        const upload = name => handleImageUpload({ target: { files: [new File(['x'], name, { type: 'image/png' })] } });
+        
+        await upload('first.png');
+        await upload('second.png');
+        
+        expect(first.close).toHaveBeenCalledTimes(1);
+        expect(second.close).not.toHaveBeenCalled();
+        expect(getImageElement()).toBe(second);
+    });
+    
+    test('should remember the source size of scaled uploads', async () => {
+        const { handleImageUpload, getImageSourceSize, getImageElement } = require('../src/js/imageProcessor');
+        const originalCreateElement = document.createElement.bind(document);
+        jest.spyOn(document, 'createElement').mockImplementation(tag => (
+            tag === 'canvas' ? { getContext: () => ({ drawImage: jest.fn() }) } : originalCreateElement(tag)
+        ));
+        const OriginalImage = global.Image;
+        global.Image = class extends OriginalImage {
+            constructor() {
+                super();
+                this.width = 5000;
+                this.height = 2500;
+            }
+        };
+        
+        try {
+            await handleImageUpload({ target: { files: [new File(['fake-image-data'], 'wide.jpg', { type: 'image/jpeg' })] } });
+        } finally {
+            global.Image = OriginalImage;
+        }
+        
+        expect(getImageSourceSize()).toEqual({ width: 5000, height: 2500 });
+        expect(getImageElement().width).toBe(4096);
+        expect(getImageElement().height).toBe(2048);
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Notification Tests
+ * Following TDD: RED → GREEN → REFACTOR
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const html = fs.readFileSync(path.resolve(__dirname, '../src/index.html'), 'utf8');
+
+const {
+    ERROR_TYPES,
+    NOTIFICATION_TIMEOUT_MS,
+    MAX_NOTIFICATIONS,
+    createAppError,
+    isAppError,
+    notify,
+    notifyError
+} = require('../src/js/notifications');
+
+function getToasts() {
+    return Array.from(document.querySelectorAll('#notifications .notification'));
+}
+
+beforeEach(() => {
+    document.body.innerHTML = html;
+    jest.useFakeTimers();
+});
+
+afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+});
+
+describe('Typed Errors', () => {
+    test('should carry the error type, message and cause', () => {
+        const cause = new Error('toBlob returned null');
+        const error = createAppError(ERROR_TYPES.ENCODE_FAILED, 'The image could not be saved.', cause);
+
+        expect(error).toBeInstanceOf(Error);
+        expect(error.type).toBe('encode-failed');
+        expect(error.message).toBe('The image could not be saved.');
+        expect(error.cause).toBe(cause);
+        expect(isAppError(error)).toBe(true);
+    });
+
+    test('should not treat other errors as typed', () => {
+        expect(isAppError(new Error('boom'))).toBe(false);
+        expect(isAppError(null)).toBe(false);
+        expect(isAppError({ type: 'something-else' })).toBe(false);
+    });
+});
+
+describe('Toast Notifications', () => {
+    test('should have a polite live region for notifications', () => {
+        expect(document.getElementById('notifications').getAttribute('aria-live')).toBe('polite');
+    });
+
+    test('should announce errors immediately and other levels politely', () => {
+        const error = notify('Download failed.', 'error');
+        const info = notify('Image downloaded instead.', 'info');
+
+        expect(error.getAttribute('role')).toBe('alert');
+        expect(error.classList.contains('uk-alert-danger')).toBe(true);
+        expect(info.getAttribute('role')).toBe('status');
+        expect(info.classList.contains('uk-alert-primary')).toBe(true);
+        expect(getToasts().map(toast => toast.textContent)).toEqual(['Download failed.', 'Image downloaded instead.']);
+    });
+
+    test('should dismiss toasts after a while or when closed', () => {
+        notify('First');
+        const second = notify('Second');
+
+        second.querySelector('button').click();
+        expect(getToasts().map(toast => toast.textContent)).toEqual(['First']);
+
+        jest.advanceTimersByTime(NOTIFICATION_TIMEOUT_MS);
+        expect(getToasts()).toHaveLength(0);
+    });
+
+    test('should keep a repeated message as one toast that stays up longer', () => {
+        notify('Same message');
+        jest.advanceTimersByTime(NOTIFICATION_TIMEOUT_MS - 1000);
+        notify('Same message');
+        jest.advanceTimersByTime(2000);
+
+        expect(getToasts()).toHaveLength(1);
+    });
+
+    test('should drop the oldest toasts beyond the limit', () => {
+        for (let i = 1; i <= MAX_NOTIFICATIONS + 2; i++) {
+            notify(`Message ${i}`);
+        }
+
+        expect(getToasts()).toHaveLength(MAX_NOTIFICATIONS);
+        expect(getToasts()[0].textContent).toBe('Message 3');
+    });
+
+    test('should do nothing without a notification area', () => {
+        document.body.innerHTML = '';
+
+        expect(notify('Nobody sees this')).toBeNull();
+    });
+});
+
+describe('Error Notifications', () => {
+    test('should show typed errors with their own message', () => {
+        const toast = notifyError(createAppError(ERROR_TYPES.TOO_LARGE, 'This image is too large.'), 'Fallback');
+
+        expect(toast.textContent).toBe('This image is too large.');
+        expect(toast.getAttribute('role')).toBe('alert');
+    });
+
+    test('should show invalid input as a warning', () => {
+        const toast = notifyError(createAppError(ERROR_TYPES.INVALID_INPUT, 'Please upload an image first.'));
+
+        expect(toast.classList.contains('uk-alert-warning')).toBe(true);
+    });
+
+    test('should show the fallback message for unexpected errors', () => {
+        const toast = notifyError(new TypeError('x is undefined'), 'Download failed. Please try again.');
+
+        expect(toast.textContent).toBe('Download failed. Please try again.');
+        expect(toast.classList.contains('uk-alert-danger')).toBe(true);
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * PDF Export Tests
+ * Following TDD: RED → GREEN → REFACTOR
+ */
+
+const {
+    formatPdfNumber,
+    calculatePdfPage,
+    buildPdfBytes,
+    canvasToPdfImage,
+    createPdfFromCanvas
+} = require('../src/js/pdfExporter');
+
+function toText(bytes) {
+    return Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+}
+
+function createPixelCanvas(width, height, rgba) {
+    return {
+        width,
+        height,
+        getContext: () => ({
+            getImageData: jest.fn(() => ({ data: Uint8ClampedArray.from(rgba) }))
+        })
+    };
+}
+
+describe('PDF Page Layout', () => {
+    test('should size frame pages from the print resolution', () => {
+        expect(calculatePdfPage(3000, 1500, { pageSize: 'frame', dpi: 300 })).toEqual({
+            pageWidth: 720, pageHeight: 360, x: 0, y: 0, width: 720, height: 360
+        });
+    });
+
+    test('should center the frame on paper inside the margins', () => {
+        const page = calculatePdfPage(1000, 1000, { pageSize: 'letter', margin: 25.4 });
+        
+        expect(page.pageWidth).toBe(612);
+        expect(page.pageHeight).toBe(792);
+        expect(page.width).toBeCloseTo(468);
+        expect(page.height).toBeCloseTo(468);
+        expect(page.x).toBeCloseTo(72);
+        expect(page.y).toBeCloseTo(162);
+    });
+
+    test('should turn paper to landscape for wide frames', () => {
+        const page = calculatePdfPage(1200, 600, { pageSize: 'a4', margin: 0 });
+        
+        expect(page.pageWidth).toBe(841.89);
+        expect(page.pageHeight).toBe(595.28);
+        expect(page.width).toBeCloseTo(841.89);
+        expect(page.height).toBeCloseTo(420.945);
+    });
+
+    test('should format numbers without exponents or trailing zeros', () => {
+        expect(formatPdfNumber(720)).toBe('720');
+        expect(formatPdfNumber(28.346456)).toBe('28.35');
+    });
+});
+
+describe('PDF Writing', () => {
+    const PAGE = { pageWidth: 720, pageHeight: 360, x: 0, y: 0, width: 720, height: 360 };
+
+    test('should write a valid single-page document structure', () => {
+        const image = { width: 2, height: 1, bytes: Uint8Array.from([1, 2, 3, 4, 5, 6]), filter: 'DCTDecode' };
+        const text = toText(buildPdfBytes(PAGE, image));
+        
+        expect(text.startsWith('%PDF-1.4\n')).toBe(true);
+        expect(text).toContain('/MediaBox [0 0 720 360]');
+        expect(text).toContain('/Width 2 /Height 1 /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length 6');
+        expect(text).toContain('720 0 0 360 0 0 cm\n/Im0 Do');
+        expect(text.endsWith('%%EOF\n')).toBe(true);
+    });
+
+    test('should point the cross-reference table at every object', () => {
+        const image = { width: 1, height: 1, bytes: Uint8Array.from([255, 0, 0]), filter: null };
+        const text = toText(buildPdfBytes(PAGE, image));
+        
+        const xrefOffset = parseInt(/startxref\n(\d+)/.exec(text)[1]);
+        expect(text.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+        
+        const offsets = text.slice(xrefOffset).match(/(\d{10}) 00000 n /g).map(entry => parseInt(entry));
+        expect(offsets).toHaveLength(5);
+        offsets.forEach((offset, index) => {
+            expect(text.slice(offset)).toMatch(new RegExp(`^${index + 1} 0 obj`));
+        });
+        expect(text).not.toContain('/Filter');
+    });
+
+    test('should embed JPEG bytes directly', async () => {
+        const jpegBytes = Uint8Array.from([0xff, 0xd8, 0xff, 0xd9]);
+        window.canvasToBlob = jest.fn(() => Promise.resolve(new Blob(['jpeg'], { type: 'image/jpeg' })));
+        window.blobToBytes = jest.fn(() => Promise.resolve(jpegBytes));
+        
+        const image = await canvasToPdfImage({ width: 4, height: 3 }, 'jpeg', 0.8);
+        
+        expect(window.canvasToBlob).toHaveBeenCalledWith(expect.any(Object), 'image/jpeg', 0.8);
+        expect(image).toEqual({ width: 4, height: 3, bytes: jpegBytes, filter: 'DCTDecode' });
+    });
+
+    test('should store raw RGB pixels for lossless images without compression support', async () => {
+        const canvas = createPixelCanvas(2, 1, [10, 20, 30, 255, 40, 50, 60, 255]);
+        
+        const image = await canvasToPdfImage(canvas, 'lossless');
+        
+        expect(Array.from(image.bytes)).toEqual([10, 20, 30, 40, 50, 60]);
+        expect(image.filter).toBeNull();
+    });
+
+    test('should fall back to lossless pixels when JPEG encoding is unavailable', async () => {
+        window.canvasToBlob = jest.fn(() => Promise.resolve(new Blob(['png'], { type: 'image/png' })));
+        const canvas = createPixelCanvas(1, 1, [1, 2, 3, 255]);
+        
+        const image = await canvasToPdfImage(canvas, 'jpeg', 0.9);
+        
+        expect(Array.from(image.bytes)).toEqual([1, 2, 3]);
+    });
+
+    test('should create a PDF blob from a canvas', async () => {
+        const canvas = createPixelCanvas(1, 1, [1, 2, 3, 255]);
+        
+        const pdf = await createPdfFromCanvas(canvas, { pageSize: 'a4', margin: 10, imageEncoding: 'lossless' });
+        
+        expect(pdf).toBeInstanceOf(Blob);
+        expect(pdf.type).toBe('application/pdf');
+    });
+});
@@ -0,0 +1,251 @@
+/**
+ * Preview / Export Parity Tests
+ * The preview and the download must issue exactly the same drawing operations
+ * Following TDD: RED → GREEN → REFACTOR
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Load the HTML template
+const html = fs.readFileSync(path.resolve(__dirname, '../src/index.html'), 'utf8');
+
+const { getCanvasSettings, updatePreview, renderScene } = require('../src/js/canvasRenderer');
+const { renderToDownloadCanvas, getOutputSettings } = require('../src/js/downloadManager');
+require('../src/js/uiControls');
+require('../src/js/edgeFill');
+
+const MOCK_IMAGE = { width: 400, height: 300 };
+
+/**
+ * Creates a 2D context stand-in that records every call and property write
+ */
+function createRecordingContext() {
+    const operations = [];
+    const ctx = {};
+    
+    ['clearRect', 'fillRect', 'strokeRect', 'drawImage', 'save', 'restore', 'translate', 'scale'].forEach(method => {
+        ctx[method] = (...args) => {
+            operations.push([method, ...args]);
+        };
+    });
+    
+    ['createLinearGradient', 'createRadialGradient'].forEach(method => {
+        ctx[method] = (...args) => {
+            operations.push([method, ...args]);
+            return {
+                addColorStop: (...stopArgs) => operations.push(['addColorStop', ...stopArgs])
+            };
+        };
+    });
+    
+    ['fillStyle', 'strokeStyle', 'lineWidth', 'filter', 'globalAlpha'].forEach(property => {
+        let value;
+        Object.defineProperty(ctx, property, {
+            get: () => value,
+            set: (newValue) => {
+                value = newValue;
+                operations.push([`set ${property}`, typeof newValue === 'object' ? 'gradient' : newValue]);
+            }
+        });
+    });
+    
+    return { ctx, operations };
+}
+
+/**
+ * Renders the current UI settings through the preview and the export path
+ * @returns {Object} Recorded preview and export operations
+ */
+async function renderBothPaths() {
+    const preview = createRecordingContext();
+    document.getElementById('preview-canvas').getContext = () => preview.ctx;
+    updatePreview();
+    
+    const exported = createRecordingContext();
+    const downloadCanvas = { width: 0, height: 0, getContext: () => exported.ctx };
+    await renderToDownloadCanvas(downloadCanvas, MOCK_IMAGE, getCanvasSettings());
+    
+    return { preview: preview.operations, exported: exported.operations };
+}
+
+function selectBackgroundType(type) {
+    document.querySelector(`input[name="bg-type"][value="${type}"]`).checked = true;
+}
+
+beforeEach(() => {
+    document.body.innerHTML = html;
+    window.getImageElement = jest.fn(() => MOCK_IMAGE);
+    window.getUploadedImage = jest.fn(() => 'data:image/png;base64,fake-data');
+    delete window.supportsCanvasFilter;
+    delete window.getCropSettings;
+});
+
+describe('Preview and Export Parity', () => {
+    test('should draw identical operations for color background with border', async () => {
+        document.getElementById('bg-color').value = '#336699';
+        document.getElementById('border-width').value = '12';
+        document.getElementById('border-color').value = '#ff0000';
+        
+        const { preview, exported } = await renderBothPaths();
+        
+        expect(exported).toEqual(preview);
+        expect(preview).toContainEqual(['strokeRect', 194, 144, 412, 312]);
+    });
+    
+    test('should draw identical operations without border', async () => {
+        document.getElementById('border-width').value = '0';
+        
+        const { preview, exported } = await renderBothPaths();
+        
+        expect(exported).toEqual(preview);
+        expect(preview.some(([operation]) => operation === 'strokeRect')).toBe(false);
+    });
+    
+    test('should draw identical operations for blurred image background', async () => {
+        selectBackgroundType('image');
+        document.getElementById('blur-radius').value = '25';
+        document.getElementById('blur-zoom').value = '130';
+        document.getElementById('blur-tint-opacity').value = '20';
+        
+        const { preview, exported } = await renderBothPaths();
+        
+        expect(exported).toEqual(preview);
+        expect(preview.filter(([operation]) => operation === 'drawImage')).toHaveLength(2);
+    });
+    
+    test('should blur a 2x export twice as many pixels as the preview', async () => {
+        selectBackgroundType('image');
+        document.getElementById('blur-radius').value = '25';
+        document.getElementById('export-scale').value = '2';
+        
+        const preview = createRecordingContext();
+        document.getElementById('preview-canvas').getContext = () => preview.ctx;
+        updatePreview();
+        
+        const exported = createRecordingContext();
+        const downloadCanvas = { width: 0, height: 0, getContext: () => exported.ctx };
+        await renderToDownloadCanvas(downloadCanvas, MOCK_IMAGE, getOutputSettings(getCanvasSettings()));
+        
+        const blurRadius = operations => {
+            const [, filter] = operations.find(([operation, value]) => operation === 'set filter' && value !== 'none');
+            return parseFloat(filter.match(/blur\(([\d.]+)px\)/)[1]);
+        };
+        expect(blurRadius(preview.operations)).toBeGreaterThan(0);
+        expect(blurRadius(exported.operations)).toBeCloseTo(blurRadius(preview.operations) * 2, 1);
+    });
+    
+    test('should draw identical operations for linear gradient background', async () => {
+        selectBackgroundType('linear-gradient');
+        document.getElementById('gradient-angle').value = '135';
+        window.addGradientStop('#00ff00', 40);
+        
+        const { preview, exported } = await renderBothPaths();
+        
+        expect(exported).toEqual(preview);
+        expect(preview).toContainEqual(['addColorStop', 0.4, '#00ff00']);
+    });
+    
+    test('should draw identical operations for radial gradient background', async () => {
+        selectBackgroundType('radial-gradient');
+        document.getElementById('radial-shape').value = 'ellipse';
+        document.getElementById('radial-center-x').value = '30';
+        
+        const { preview, exported } = await renderBothPaths();
+        
+        expect(exported).toEqual(preview);
+    });
+    
+    test('should draw identical operations for transparent background', async () => {
+        selectBackgroundType('transparent');
+        
+        const { preview, exported } = await renderBothPaths();
+        
+        expect(exported).toEqual(preview);
+        expect(preview.some(([operation]) => operation === 'fillRect')).toBe(false);
+    });
+    
+    test('should place a dragged image identically in preview and export', async () => {
+        document.querySelector('input[name="position-anchor"][value="bottom-left"]').checked = true;
+        document.getElementById('position-offset-x').value = '15';
+        document.getElementById('position-offset-y').value = '-40';
+        
+        const { preview, exported } = await renderBothPaths();
+        
+        expect(exported).toEqual(preview);
+        expect(preview).toContainEqual(['drawImage', MOCK_IMAGE, 0, 0, 400, 300, 15, 260, 400, 300]);
+    });
+    
+    test('should size the image identically with a fit mode', async () => {
+        document.getElementById('fit-mode').value = 'contain';
+        document.getElementById('fit-padding').value = '10';
+        document.getElementById('fit-padding-unit').value = '%';
+        
+        const { preview, exported } = await renderBothPaths();
+        
+        expect(exported).toEqual(preview);
+        expect(preview).toContainEqual(['drawImage', MOCK_IMAGE, 0, 0, 400, 300, 80, 60, 640, 480]);
+    });
+    
+    test('should crop identically in preview and export', async () => {
+        window.getCropSettings = () => ({ x: 0.25, y: 0.5, width: 0.5, height: 0.5 });
+        
+        const { preview, exported } = await renderBothPaths();
+        
+        expect(exported).toEqual(preview);
+        expect(preview).toContainEqual(['drawImage', MOCK_IMAGE, 100, 150, 200, 150, 300, 225, 200, 150]);
+    });
+    
+    test('should draw identical operations for stretched edge background', async () => {
+        selectBackgroundType('edge-extend');
+        document.getElementById('scale-slider').value = '50';
+        
+        const { preview, exported } = await renderBothPaths();
+        
+        expect(exported).toEqual(preview);
+        expect(preview.filter(([operation]) => operation === 'drawImage')).toHaveLength(9);
+    });
+    
+    test('should draw identical operations for mirrored background', async () => {
+        selectBackgroundType('mirror');
+        
+        const { preview, exported } = await renderBothPaths();
+        
+        expect(exported).toEqual(preview);
+        expect(preview).toContainEqual(['scale', -1, -1]);
+    });
+    
+    test('should draw identical operations for edge color background', async () => {
+        selectBackgroundType('edge-color');
+        document.getElementById('edge-color-style').value = 'gradient';
+        const sample = window.sampleImageEdgeColors;
+        window.sampleImageEdgeColors = jest.fn(() => ({
+            top: '#111111', bottom: '#222222', left: '#333333', right: '#444444'
+        }));
+        
+        const { preview, exported } = await renderBothPaths();
+        window.sampleImageEdgeColors = sample;
+        
+        expect(exported).toEqual(preview);
+        expect(preview).toContainEqual(['addColorStop', 0, '#333333']);
+    });
+    
+    test('should render on any context passed in', () => {
+        const { ctx, operations } = createRecordingContext();
+        
+        renderScene(ctx, MOCK_IMAGE, {
+            width: 1000,
+            height: 500,
+            scale: 50,
+            backgroundType: 'color',
+            backgroundColor: '#000000'
+        });
+        
+        expect(operations).toEqual([
+            ['clearRect', 0, 0, 1000, 500],
+            ['set fillStyle', '#000000'],
+            ['fillRect', 0, 0, 1000, 500],
+            ['drawImage', MOCK_IMAGE, 0, 0, 400, 300, 400, 175, 200, 150]
+        ]);
+    });
+});
@@ -68,4 +68,8 @@ global.Image = class Image {
 global.URL = {
   createObjectURL: jest.fn(() => 'blob:fake-url'),
   revokeObjectURL: jest.fn()
-};
\ No newline at end of file
+};
+// jsdom has no TextEncoder; use the one Node ships
+if (typeof global.TextEncoder === 'undefined') {
+  global.TextEncoder = require('util').TextEncoder;
+}
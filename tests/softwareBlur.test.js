@@ -0,0 +1,223 @@
+/**
+ * Software Blur Fallback Tests
+ * Following TDD: RED → GREEN → REFACTOR
+ */
+
+const {
+    supportsCanvasFilter,
+    resetCanvasFilterSupport,
+    calculateBoxSizes,
+    blurPixelData,
+    adjustPixelColors,
+    paintSoftwareBlur
+} = require('../src/js/blurFilter');
+
+/**
+ * Creates an RGBA buffer filled with one color
+ */
+function createPixels(width, height, [r, g, b, a]) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = b;
+        data[i + 3] = a;
+    }
+    return data;
+}
+
+function pixelAt(data, width, x, y) {
+    const i = (y * width + x) * 4;
+    return Array.from(data.slice(i, i + 4));
+}
+
+beforeEach(() => {
+    resetCanvasFilterSupport();
+});
+
+describe('Canvas Filter Feature Detection', () => {
+    test('should detect supported canvas filter', () => {
+        const context = { filter: 'none' };
+        const spy = jest.spyOn(document, 'createElement').mockReturnValue({ getContext: () => context });
+        
+        expect(supportsCanvasFilter()).toBe(true);
+        
+        spy.mockRestore();
+    });
+    
+    test('should detect missing canvas filter', () => {
+        // Safari-like context: there is no filter property at all
+        const context = {};
+        const spy = jest.spyOn(document, 'createElement').mockReturnValue({ getContext: () => context });
+        
+        expect(supportsCanvasFilter()).toBe(false);
+        // Probing must not leave a fake filter property behind
+        expect('filter' in context).toBe(false);
+        
+        spy.mockRestore();
+    });
+    
+    test('should detect a filter property that ignores assignments', () => {
+        const context = {};
+        Object.defineProperty(context, 'filter', { get: () => 'none', set: () => {} });
+        const spy = jest.spyOn(document, 'createElement').mockReturnValue({ getContext: () => context });
+        
+        expect(supportsCanvasFilter()).toBe(false);
+        
+        spy.mockRestore();
+    });
+    
+    test('should cache the detection result', () => {
+        const spy = jest.spyOn(document, 'createElement').mockReturnValue({ getContext: () => ({ filter: 'none' }) });
+        
+        supportsCanvasFilter();
+        supportsCanvasFilter();
+        
+        expect(spy).toHaveBeenCalledTimes(1);
+        spy.mockRestore();
+    });
+});
+
+describe('Software Blur on Pixel Buffers', () => {
+    test('should calculate odd box sizes that grow with radius', () => {
+        const small = calculateBoxSizes(2);
+        const large = calculateBoxSizes(20);
+        
+        expect(small).toHaveLength(3);
+        small.concat(large).forEach(size => expect(size % 2).toBe(1));
+        expect(large[0]).toBeGreaterThan(small[0]);
+    });
+    
+    test('should leave pixels unchanged for zero radius', () => {
+        const data = createPixels(4, 4, [10, 20, 30, 255]);
+        data[0] = 200;
+        const original = Array.from(data);
+        
+        blurPixelData(data, 4, 4, 0);
+        
+        expect(Array.from(data)).toEqual(original);
+    });
+    
+    test('should keep the interior of a uniform image unchanged', () => {
+        const data = createPixels(40, 40, [100, 150, 200, 255]);
+        
+        blurPixelData(data, 40, 40, 3);
+        
+        expect(pixelAt(data, 40, 20, 20)).toEqual([100, 150, 200, 255]);
+    });
+    
+    test('should fade alpha at the image edges like CSS blur', () => {
+        const data = createPixels(40, 40, [100, 150, 200, 255]);
+        
+        blurPixelData(data, 40, 40, 3);
+        
+        const corner = pixelAt(data, 40, 0, 0);
+        expect(corner[3]).toBeLessThan(255);
+        // Premultiplied blur keeps the color itself intact
+        expect(corner[0]).toBeCloseTo(100, -1);
+        expect(corner[2]).toBeCloseTo(200, -1);
+    });
+    
+    test('should spread a single bright pixel symmetrically', () => {
+        const size = 21;
+        const data = createPixels(size, size, [0, 0, 0, 255]);
+        const center = (10 * size + 10) * 4;
+        data[center] = 255;
+        
+        blurPixelData(data, size, size, 2);
+        
+        const centerRed = pixelAt(data, size, 10, 10)[0];
+        expect(centerRed).toBeLessThan(255);
+        expect(centerRed).toBeGreaterThan(0);
+        expect(pixelAt(data, size, 9, 10)[0]).toBe(pixelAt(data, size, 11, 10)[0]);
+        expect(pixelAt(data, size, 10, 9)[0]).toBe(pixelAt(data, size, 10, 11)[0]);
+        expect(pixelAt(data, size, 9, 10)[0]).toBeGreaterThan(0);
+        expect(pixelAt(data, size, 0, 0)[0]).toBe(0);
+    });
+});
+
+describe('Software Color Adjustments', () => {
+    test('should scale colors with brightness', () => {
+        const data = createPixels(1, 1, [200, 100, 50, 255]);
+        
+        adjustPixelColors(data, 50, 100);
+        
+        expect(pixelAt(data, 1, 0, 0)).toEqual([100, 50, 25, 255]);
+    });
+    
+    test('should produce grayscale at zero saturation', () => {
+        const data = createPixels(1, 1, [255, 0, 0, 255]);
+        
+        adjustPixelColors(data, 100, 0);
+        
+        const [r, g, b] = pixelAt(data, 1, 0, 0);
+        expect(r).toBe(g);
+        expect(g).toBe(b);
+        expect(r).toBe(Math.round(0.213 * 255));
+    });
+    
+    test('should leave pixels unchanged at default adjustments', () => {
+        const data = createPixels(1, 1, [12, 34, 56, 78]);
+        
+        adjustPixelColors(data, 100, 100);
+        
+        expect(pixelAt(data, 1, 0, 0)).toEqual([12, 34, 56, 78]);
+    });
+});
+
+describe('Software Blur Painting', () => {
+    test('should blur through a scratch canvas and copy it onto the target', () => {
+        const imageData = { data: createPixels(8, 6, [10, 20, 30, 255]) };
+        const scratchContext = {
+            drawImage: jest.fn(),
+            getImageData: jest.fn(() => imageData),
+            putImageData: jest.fn()
+        };
+        const scratchCanvas = { width: 0, height: 0, getContext: jest.fn(() => scratchContext) };
+        const spy = jest.spyOn(document, 'createElement').mockReturnValue(scratchCanvas);
+        const targetContext = { drawImage: jest.fn() };
+        const image = { width: 4, height: 3 };
+        
+        paintSoftwareBlur(targetContext, image, { x: -1, y: 0, width: 10, height: 6 },
+            { radius: 2, brightness: 100, saturation: 100 }, 8, 6);
+        
+        spy.mockRestore();
+        
+        expect(scratchCanvas.width).toBe(8);
+        expect(scratchCanvas.height).toBe(6);
+        expect(scratchContext.drawImage).toHaveBeenCalledWith(image, -1, 0, 10, 6);
+        expect(scratchContext.getImageData).toHaveBeenCalledWith(0, 0, 8, 6);
+        expect(scratchContext.putImageData).toHaveBeenCalledWith(imageData, 0, 0);
+        expect(targetContext.drawImage).toHaveBeenCalledWith(scratchCanvas, 0, 0);
+    });
+    
+    test('should use software blur for blurred background when filter is unsupported', () => {
+        const { paintBlurredBackground } = require('../src/js/canvasRenderer');
+        
+        window.supportsCanvasFilter = jest.fn(() => false);
+        window.paintSoftwareBlur = jest.fn();
+        
+        const filterValues = [];
+        const mockContext = {
+            set filter(value) { filterValues.push(value); },
+            drawImage: jest.fn(),
+            fillRect: jest.fn()
+        };
+        const image = { width: 400, height: 300 };
+        
+        paintBlurredBackground(mockContext, image, {
+            radius: 10, zoom: 100, brightness: 80, saturation: 120, tintColor: '#000000', tintOpacity: 0
+        }, 1600, 1200);
+        
+        expect(window.paintSoftwareBlur).toHaveBeenCalledWith(
+            mockContext,
+            image,
+            { x: 0, y: 0, width: 1600, height: 1200 },
+            { radius: 20, brightness: 80, saturation: 120 },
+            1600,
+            1200
+        );
+        expect(filterValues).toEqual([]);
+        expect(mockContext.drawImage).not.toHaveBeenCalled();
+    });
+});
@@ -10,6 +10,8 @@ const path = require('path');
 // Load the HTML template
 const html = fs.readFileSync(path.resolve(__dirname, '../src/index.html'), 'utf8');
 
+require('../src/js/notifications');
+
 beforeEach(() => {
     document.body.innerHTML = html;
 });
@@ -76,11 +78,10 @@ describe('Size Controls Functionality', () => {
         expect(window.updatePreview).toHaveBeenCalled();
     });
 
-    test('should not show alert during input changes for invalid values', () => {
+    test('should not show a message during input changes for invalid values', () => {
         const { handleSizeChange } = require('../src/js/uiControls');
         
         const widthInput = document.getElementById('width-input');
-        window.alert = jest.fn();
         window.updatePreview = jest.fn();
         
         widthInput.value = '50'; // Too small
@@ -88,17 +89,16 @@ describe('Size Controls Functionality', () => {
         
         handleSizeChange(event);
         
-        // Should NOT show alert during typing
-        expect(window.alert).not.toHaveBeenCalled();
+        // Should NOT show a message during typing
+        expect(document.getElementById('notifications').children).toHaveLength(0);
         // Should NOT update preview for invalid values
         expect(window.updatePreview).not.toHaveBeenCalled();
     });
 
-    test('should validate and show alert on blur for invalid size values', () => {
+    test('should validate and show a message on blur for invalid size values', () => {
         const { handleSizeBlur } = require('../src/js/uiControls');
         
         const widthInput = document.getElementById('width-input');
-        window.alert = jest.fn();
         window.updatePreview = jest.fn();
         
         widthInput.value = '50'; // Too small
@@ -106,7 +106,7 @@ describe('Size Controls Functionality', () => {
         
         handleSizeBlur(event);
         
-        expect(window.alert).toHaveBeenCalledWith(expect.stringContaining('Size must be between 100-2000px'));
+        expect(document.getElementById('notifications').textContent).toContain('Size must be between 100-2000px');
         expect(widthInput.value).toBe('800'); // Reset to default
         expect(window.updatePreview).toHaveBeenCalled();
     });
@@ -210,6 +210,16 @@ describe('Background Color Controls Functionality', () => {
         expect(validateColorInput('#gggggg')).toBe(false); // Invalid hex
         expect(validateColorInput('#fff')).toBe(true);     // Short form
     });
+
+    test('should accept alpha hex colors and transparent keyword', () => {
+        const { validateColorInput } = require('../src/js/uiControls');
+        
+        expect(validateColorInput('transparent')).toBe(true);
+        expect(validateColorInput('#ffffff00')).toBe(true); // #rrggbbaa
+        expect(validateColorInput('#fff0')).toBe(true);     // #rgba
+        expect(validateColorInput('#fffff')).toBe(false);   // Invalid length
+        expect(validateColorInput('#ffffff0g')).toBe(false); // Invalid hex
+    });
 });
 
 describe('Background Type Selection', () => {
@@ -371,4 +381,558 @@ describe('Event Binding', () => {
         expect(scaleSlider.addEventListener).toHaveBeenCalledWith('input', expect.any(Function));
         expect(bgColorInput.addEventListener).toHaveBeenCalledWith('input', expect.any(Function));
     });
-});
\ No newline at end of file
+});
+describe('Linear Gradient Controls', () => {
+    test('should have linear gradient background type radio', () => {
+        const gradientRadio = document.getElementById('bg-type-linear-gradient');
+        
+        expect(gradientRadio).toBeTruthy();
+        expect(gradientRadio.name).toBe('bg-type');
+        expect(gradientRadio.value).toBe('linear-gradient');
+    });
+
+    test('should return linear-gradient background type when selected', () => {
+        const { getBackgroundType } = require('../src/js/uiControls');
+        
+        document.getElementById('bg-type-linear-gradient').checked = true;
+        
+        expect(getBackgroundType()).toBe('linear-gradient');
+    });
+
+    test('should show gradient controls only for gradient type', () => {
+        const { toggleBackgroundControls } = require('../src/js/uiControls');
+        
+        const colorControls = document.getElementById('bg-color-controls');
+        const gradientControls = document.getElementById('bg-linear-gradient-controls');
+        
+        toggleBackgroundControls('linear-gradient');
+        expect(gradientControls.style.display).not.toBe('none');
+        expect(colorControls.style.display).toBe('none');
+        
+        toggleBackgroundControls('color');
+        expect(gradientControls.style.display).toBe('none');
+        expect(colorControls.style.display).not.toBe('none');
+    });
+
+    test('should validate gradient angle', () => {
+        const { validateGradientAngle } = require('../src/js/uiControls');
+        
+        expect(validateGradientAngle(0)).toBe(true);
+        expect(validateGradientAngle(137.5)).toBe(true);
+        expect(validateGradientAngle(360)).toBe(true);
+        expect(validateGradientAngle(-1)).toBe(false);
+        expect(validateGradientAngle(361)).toBe(false);
+        expect(validateGradientAngle(NaN)).toBe(false);
+    });
+
+    test('should get gradient settings with stops sorted by position', () => {
+        const { getLinearGradientSettings, addGradientStop } = require('../src/js/uiControls');
+        
+        document.getElementById('gradient-start-color').value = '#ff0000';
+        document.getElementById('gradient-end-color').value = '#0000ff';
+        document.getElementById('gradient-angle').value = '45';
+        addGradientStop('#00ff00', 70);
+        addGradientStop('#ffff00', 20);
+        
+        const settings = getLinearGradientSettings();
+        
+        expect(settings.angle).toBe(45);
+        expect(settings.startColor).toBe('#ff0000');
+        expect(settings.endColor).toBe('#0000ff');
+        expect(settings.stops).toEqual([
+            { color: '#ffff00', position: 20 },
+            { color: '#00ff00', position: 70 }
+        ]);
+    });
+
+    test('should fall back to the markup default colors without gradient controls', () => {
+        const { getLinearGradientSettings } = require('../src/js/uiControls');
+        const startColor = document.getElementById('gradient-start-color').value;
+        const endColor = document.getElementById('gradient-end-color').value;
+        
+        document.getElementById('gradient-start-color').remove();
+        document.getElementById('gradient-end-color').remove();
+        
+        const settings = getLinearGradientSettings();
+        expect(settings.startColor).toBe(startColor);
+        expect(settings.endColor).toBe(endColor);
+    });
+    
+    test('should limit intermediate stops to five', () => {
+        const { addGradientStop } = require('../src/js/uiControls');
+        
+        for (let i = 0; i < 5; i++) {
+            expect(addGradientStop('#000000', i * 10)).toBeTruthy();
+        }
+        
+        expect(addGradientStop('#000000', 90)).toBeNull();
+        expect(document.querySelectorAll('#gradient-stops .gradient-stop').length).toBe(5);
+        expect(document.getElementById('add-gradient-stop').disabled).toBe(true);
+    });
+
+    test('should remove a gradient stop', () => {
+        const { addGradientStop, removeGradientStop } = require('../src/js/uiControls');
+        
+        const row = addGradientStop('#000000', 50);
+        removeGradientStop(row);
+        
+        expect(document.querySelectorAll('#gradient-stops .gradient-stop').length).toBe(0);
+    });
+
+    test('should apply angle preset and sync preset on free angle input', () => {
+        const { handleGradientPresetChange, handleGradientAngleChange } = require('../src/js/uiControls');
+        
+        const presetSelect = document.getElementById('gradient-angle-preset');
+        const angleInput = document.getElementById('gradient-angle');
+        window.updatePreview = jest.fn();
+        
+        presetSelect.value = '90';
+        handleGradientPresetChange({ target: presetSelect });
+        expect(angleInput.value).toBe('90');
+        
+        angleInput.value = '120';
+        handleGradientAngleChange({ target: angleInput });
+        expect(presetSelect.value).toBe('custom');
+        
+        angleInput.value = '45';
+        handleGradientAngleChange({ target: angleInput });
+        expect(presetSelect.value).toBe('45');
+        expect(window.updatePreview).toHaveBeenCalledTimes(3);
+    });
+});
+
+describe('Radial Gradient Controls', () => {
+    test('should have radial gradient background type radio and controls', () => {
+        const radialRadio = document.getElementById('bg-type-radial-gradient');
+        
+        expect(radialRadio).toBeTruthy();
+        expect(radialRadio.value).toBe('radial-gradient');
+        expect(document.getElementById('bg-radial-gradient-controls')).toBeTruthy();
+    });
+
+    test('should fall back to centered position for invalid center input', () => {
+        const { getRadialGradientSettings } = require('../src/js/uiControls');
+        
+        document.getElementById('radial-center-x').value = '150';
+        document.getElementById('radial-center-y').value = '20';
+        
+        const settings = getRadialGradientSettings();
+        
+        expect(settings.centerX).toBe(50);
+        expect(settings.centerY).toBe(20);
+        expect(settings.shape).toBe('circle');
+    });
+
+    test('should convert click position to canvas percentages', () => {
+        const { calculateCanvasClickPercent } = require('../src/js/uiControls');
+        
+        const canvas = document.getElementById('preview-canvas');
+        canvas.getBoundingClientRect = jest.fn(() => ({ left: 100, top: 50, width: 400, height: 300 }));
+        
+        expect(calculateCanvasClickPercent({ clientX: 200, clientY: 125 }, canvas)).toEqual({ x: 25, y: 25 });
+        expect(calculateCanvasClickPercent({ clientX: 900, clientY: 0 }, canvas)).toEqual({ x: 100, y: 0 });
+    });
+
+    test('should move radial center when preview is clicked in radial mode', () => {
+        const { handlePreviewCanvasClick } = require('../src/js/uiControls');
+        
+        const canvas = document.getElementById('preview-canvas');
+        canvas.getBoundingClientRect = jest.fn(() => ({ left: 0, top: 0, width: 800, height: 600 }));
+        document.getElementById('bg-type-radial-gradient').checked = true;
+        window.updatePreview = jest.fn();
+        
+        const event = { clientX: 200, clientY: 450, currentTarget: canvas, stopPropagation: jest.fn() };
+        handlePreviewCanvasClick(event);
+        
+        expect(document.getElementById('radial-center-x').value).toBe('25');
+        expect(document.getElementById('radial-center-y').value).toBe('75');
+        expect(event.stopPropagation).toHaveBeenCalled();
+        expect(window.updatePreview).toHaveBeenCalled();
+    });
+
+    test('should ignore preview clicks for other background types', () => {
+        const { handlePreviewCanvasClick } = require('../src/js/uiControls');
+        
+        const canvas = document.getElementById('preview-canvas');
+        window.updatePreview = jest.fn();
+        
+        const event = { clientX: 200, clientY: 450, currentTarget: canvas, stopPropagation: jest.fn() };
+        handlePreviewCanvasClick(event);
+        
+        expect(document.getElementById('radial-center-x').value).toBe('50');
+        expect(event.stopPropagation).not.toHaveBeenCalled();
+        expect(window.updatePreview).not.toHaveBeenCalled();
+    });
+});
+
+describe('Size Preset Controls', () => {
+    test('should fill width and height from a preset', () => {
+        const { handleSizePresetChange } = require('../src/js/uiControls');
+        window.updatePreview = jest.fn();
+        
+        const presetSelect = document.getElementById('size-preset');
+        presetSelect.value = 'instagram-story';
+        handleSizePresetChange({ target: presetSelect });
+        
+        expect(document.getElementById('width-input').value).toBe('1080');
+        expect(document.getElementById('height-input').value).toBe('1920');
+        expect(window.updatePreview).toHaveBeenCalled();
+    });
+
+    test('should match typed dimensions back to a preset', () => {
+        const { getSizePreset, handleSizeChange } = require('../src/js/uiControls');
+        
+        expect(getSizePreset(1200, 675)).toBe('twitter-post');
+        expect(getSizePreset(800, 600)).toBe('custom');
+        
+        const widthInput = document.getElementById('width-input');
+        const heightInput = document.getElementById('height-input');
+        widthInput.value = '1080';
+        heightInput.value = '1080';
+        handleSizeChange({ target: heightInput });
+        
+        expect(document.getElementById('size-preset').value).toBe('instagram-post');
+    });
+});
+
+describe('Image Sizing Mode Controls', () => {
+    test('should default to percentage mode with the scale slider visible', () => {
+        const { getFitSettings, initializeControls } = require('../src/js/uiControls');
+        
+        initializeControls();
+        
+        expect(getFitSettings()).toEqual({ mode: 'percentage', padding: 0, paddingUnit: 'px' });
+        expect(document.getElementById('scale-controls').style.display).toBe('');
+        expect(document.getElementById('fit-padding-controls').style.display).toBe('none');
+    });
+
+    test('should read sizing mode and sanitize padding', () => {
+        const { getFitSettings } = require('../src/js/uiControls');
+        
+        document.getElementById('fit-mode').value = 'contain';
+        document.getElementById('fit-padding').value = '-5';
+        document.getElementById('fit-padding-unit').value = '%';
+        
+        expect(getFitSettings()).toEqual({ mode: 'contain', padding: 0, paddingUnit: '%' });
+    });
+
+    test('should swap scale and padding controls when the mode changes', () => {
+        const { handleFitModeChange } = require('../src/js/uiControls');
+        window.updatePreview = jest.fn();
+        
+        const modeSelect = document.getElementById('fit-mode');
+        modeSelect.value = 'fit-width';
+        handleFitModeChange({ target: modeSelect });
+        
+        expect(document.getElementById('scale-controls').style.display).toBe('none');
+        expect(document.getElementById('fit-padding-controls').style.display).toBe('');
+        expect(window.updatePreview).toHaveBeenCalled();
+        
+        modeSelect.value = 'cover';
+        handleFitModeChange({ target: modeSelect });
+        
+        expect(document.getElementById('fit-padding-controls').style.display).toBe('none');
+    });
+});
+
+describe('Image Position Controls', () => {
+    /**
+     * Loads an 400×300 image into an 800×600 preview displayed at half size
+     */
+    function setUpDraggablePreview() {
+        require('../src/js/canvasRenderer');
+        require('../src/js/uiControls');
+        
+        const canvas = document.getElementById('preview-canvas');
+        canvas.getBoundingClientRect = jest.fn(() => ({ left: 0, top: 0, width: 400, height: 300 }));
+        window.getImageElement = jest.fn(() => ({ width: 400, height: 300 }));
+        window.getUploadedImage = jest.fn(() => 'data:image/png;base64,fake-data');
+        window.updatePreview = jest.fn();
+        window.bindPositionEvents();
+        
+        return canvas;
+    }
+
+    test('should have a nine-grid anchor picker defaulting to center', () => {
+        const anchors = document.querySelectorAll('input[name="position-anchor"]');
+        
+        expect(anchors).toHaveLength(9);
+        expect(document.querySelector('input[name="position-anchor"]:checked').value).toBe('center');
+        expect(document.getElementById('preview-canvas').getAttribute('tabindex')).toBe('0');
+    });
+
+    test('should read and write position settings', () => {
+        const { getPositionSettings, setPositionSettings } = require('../src/js/uiControls');
+        
+        expect(getPositionSettings()).toEqual({ anchor: 'center', offsetX: 0, offsetY: 0 });
+        
+        setPositionSettings({ anchor: 'bottom-right', offsetX: -12.4, offsetY: 30 });
+        
+        expect(getPositionSettings()).toEqual({ anchor: 'bottom-right', offsetX: -12, offsetY: 30 });
+    });
+
+    test('should reset offsets when a new anchor is picked', () => {
+        const { setPositionSettings, handleAnchorChange, getPositionSettings } = require('../src/js/uiControls');
+        window.updatePreview = jest.fn();
+        
+        setPositionSettings({ anchor: 'center', offsetX: 40, offsetY: -10 });
+        const topLeft = document.querySelector('input[name="position-anchor"][value="top-left"]');
+        handleAnchorChange({ target: topLeft });
+        
+        expect(getPositionSettings()).toEqual({ anchor: 'top-left', offsetX: 0, offsetY: 0 });
+        expect(window.updatePreview).toHaveBeenCalled();
+    });
+
+    test('should nudge the image with arrow keys', () => {
+        const canvas = setUpDraggablePreview();
+        
+        canvas.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight' }));
+        canvas.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowUp', shiftKey: true }));
+        
+        expect(window.getPositionSettings()).toEqual({ anchor: 'center', offsetX: 1, offsetY: -10 });
+        expect(window.updatePreview).toHaveBeenCalledTimes(2);
+    });
+
+    test('should drag the image and keep a free offset', () => {
+        const canvas = setUpDraggablePreview();
+        
+        canvas.dispatchEvent(new MouseEvent('mousedown', { clientX: 200, clientY: 150, bubbles: true }));
+        document.dispatchEvent(new MouseEvent('mousemove', { clientX: 230, clientY: 140 }));
+        document.dispatchEvent(new MouseEvent('mouseup', { clientX: 230, clientY: 140 }));
+        
+        // The canvas is shown at half size, so screen pixels count double
+        expect(window.getPositionSettings()).toEqual({ anchor: 'center', offsetX: 60, offsetY: -20 });
+        expect(window.updatePreview).toHaveBeenCalled();
+    });
+
+    test('should snap a dragged image onto a nearby anchor', () => {
+        const canvas = setUpDraggablePreview();
+        
+        canvas.dispatchEvent(new MouseEvent('mousedown', { clientX: 200, clientY: 150, bubbles: true }));
+        document.dispatchEvent(new MouseEvent('mousemove', { clientX: 102, clientY: 76 }));
+        document.dispatchEvent(new MouseEvent('mouseup', { clientX: 102, clientY: 76 }));
+        
+        expect(window.getPositionSettings()).toEqual({ anchor: 'top-left', offsetX: 0, offsetY: 0 });
+    });
+
+    test('should not start a drag outside the image', () => {
+        const canvas = setUpDraggablePreview();
+        
+        canvas.dispatchEvent(new MouseEvent('mousedown', { clientX: 10, clientY: 10, bubbles: true }));
+        document.dispatchEvent(new MouseEvent('mousemove', { clientX: 60, clientY: 60 }));
+        document.dispatchEvent(new MouseEvent('mouseup', { clientX: 60, clientY: 60 }));
+        
+        expect(window.getPositionSettings()).toEqual({ anchor: 'center', offsetX: 0, offsetY: 0 });
+        expect(window.updatePreview).not.toHaveBeenCalled();
+    });
+
+    test('should swallow the click that ends a drag', () => {
+        const canvas = setUpDraggablePreview();
+        const dropZoneClick = jest.fn();
+        document.getElementById('drop-zone').addEventListener('click', dropZoneClick);
+        
+        canvas.dispatchEvent(new MouseEvent('mousedown', { clientX: 200, clientY: 150, bubbles: true }));
+        document.dispatchEvent(new MouseEvent('mousemove', { clientX: 260, clientY: 150 }));
+        document.dispatchEvent(new MouseEvent('mouseup', { clientX: 260, clientY: 150 }));
+        canvas.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+        
+        expect(dropZoneClick).not.toHaveBeenCalled();
+    });
+});
+
+describe('Edge Fill Background Controls', () => {
+    test('should offer stretch, mirror and edge color background types', () => {
+        ['edge-extend', 'mirror', 'edge-color'].forEach(type => {
+            expect(document.getElementById(`bg-type-${type}`).value).toBe(type);
+        });
+    });
+
+    test('should show only the panel for the selected edge type', () => {
+        const { toggleBackgroundControls } = require('../src/js/uiControls');
+        
+        toggleBackgroundControls('edge-color');
+        
+        expect(document.getElementById('bg-edge-color-controls').style.display).toBe('');
+        expect(document.getElementById('bg-mirror-controls').style.display).toBe('none');
+        expect(document.getElementById('bg-color-controls').style.display).toBe('none');
+    });
+
+    test('should read the edge color fill style', () => {
+        const { getEdgeColorSettings } = require('../src/js/uiControls');
+        
+        expect(getEdgeColorSettings()).toEqual({ style: 'solid' });
+        
+        document.getElementById('edge-color-style').value = 'gradient';
+        
+        expect(getEdgeColorSettings()).toEqual({ style: 'gradient' });
+    });
+});
+
+describe('Color Suggestion Controls', () => {
+    const palette = ['#ff0000', '#00ff00'];
+    const suggestions = [
+        { name: 'Analogous', type: 'gradient', colors: ['#ff0080', '#ff0000', '#ff8000'] },
+        { name: 'Neutral', type: 'solid', colors: ['#333333'] }
+    ];
+
+    test('should stay hidden until an image is analysed', () => {
+        expect(document.getElementById('color-suggestions').style.display).toBe('none');
+    });
+
+    test('should render palette and suggestion swatches', () => {
+        const { renderColorSuggestions } = require('../src/js/uiControls');
+        
+        renderColorSuggestions(palette, suggestions);
+        
+        const paletteSwatches = document.querySelectorAll('#palette-swatches .color-swatch');
+        const suggestionSwatches = document.querySelectorAll('#suggestion-swatches .color-swatch');
+        expect(document.getElementById('color-suggestions').style.display).toBe('');
+        expect(paletteSwatches).toHaveLength(2);
+        expect(paletteSwatches[0].dataset.colors).toBe('#ff0000');
+        expect(suggestionSwatches[0].dataset.colors).toBe('#ff0080,#ff0000,#ff8000');
+    });
+
+    test('should hide suggestions when no palette can be extracted', () => {
+        const { renderColorSuggestions, updateColorSuggestions } = require('../src/js/uiControls');
+        renderColorSuggestions(palette, suggestions);
+        window.extractImagePalette = jest.fn(() => null);
+        
+        updateColorSuggestions({ width: 10, height: 10 });
+        
+        expect(document.getElementById('color-suggestions').style.display).toBe('none');
+        delete window.extractImagePalette;
+    });
+
+    test('should set the fill color from a single-color swatch', () => {
+        const { renderColorSuggestions, handleColorSuggestionClick } = require('../src/js/uiControls');
+        window.updatePreview = jest.fn();
+        document.getElementById('bg-type-image').checked = true;
+        renderColorSuggestions(palette, suggestions);
+        
+        handleColorSuggestionClick({ target: document.querySelector('#palette-swatches .color-swatch') });
+        
+        expect(document.getElementById('bg-color').value).toBe('#ff0000');
+        expect(document.getElementById('bg-type-color').checked).toBe(true);
+        expect(window.updatePreview).toHaveBeenCalled();
+    });
+
+    test('should set gradient colors and stops from a gradient swatch', () => {
+        const { renderColorSuggestions, handleColorSuggestionClick, addGradientStop, getLinearGradientSettings } = require('../src/js/uiControls');
+        window.updatePreview = jest.fn();
+        addGradientStop('#123456', 20);
+        renderColorSuggestions(palette, suggestions);
+        
+        handleColorSuggestionClick({ target: document.querySelector('#suggestion-swatches .color-swatch') });
+        
+        const gradient = getLinearGradientSettings();
+        expect(gradient.startColor).toBe('#ff0080');
+        expect(gradient.endColor).toBe('#ff8000');
+        expect(gradient.stops).toEqual([{ color: '#ff0000', position: 50 }]);
+        expect(document.getElementById('bg-type-linear-gradient').checked).toBe(true);
+        expect(document.getElementById('bg-linear-gradient-controls').style.display).toBe('');
+    });
+});
+
+describe('Image Metadata Display', () => {
+    test('should show camera, date, dimensions and a location notice', () => {
+        const { renderImageMetadata } = require('../src/js/uiControls');
+        require('../src/js/exifReader');
+        
+        renderImageMetadata(
+            { make: 'Canon', model: 'Canon EOS R5', dateTaken: '2024:05:01 12:34:56', hasLocation: true },
+            { width: 3000, height: 2000 }
+        );
+        
+        const metadata = document.getElementById('image-metadata');
+        expect(metadata.style.display).toBe('');
+        expect(metadata.textContent).toBe('📷 Canon EOS R5 · 🗓️ 2024-05-01 12:34 · 3000×2000px · 📍 Contains location');
+    });
+
+    test('should combine make and model when the model does not repeat the make', () => {
+        const { renderImageMetadata } = require('../src/js/uiControls');
+        
+        renderImageMetadata({ make: 'Apple', model: 'iPhone 13', dateTaken: null, hasLocation: false }, { width: 10, height: 20 });
+        
+        expect(document.getElementById('image-metadata').textContent).toBe('📷 Apple iPhone 13 · 10×20px');
+    });
+
+    test('should show only dimensions for images without EXIF', () => {
+        const { renderImageMetadata } = require('../src/js/uiControls');
+        
+        renderImageMetadata(null, { width: 800, height: 600 });
+        
+        expect(document.getElementById('image-metadata').textContent).toBe('800×600px');
+    });
+
+    test('should mention the original size of scaled-down uploads', () => {
+        const { renderImageMetadata } = require('../src/js/uiControls');
+        window.getImageSourceSize = () => ({ width: 8000, height: 6000 });
+        
+        renderImageMetadata(null, { width: 4096, height: 3072 });
+        
+        expect(document.getElementById('image-metadata').textContent).toBe('8000×6000px, scaled to 4096×3072px');
+        delete window.getImageSourceSize;
+    });
+});
+
+describe('Transparent Background Controls', () => {
+    test('should show matte color controls for transparent type', () => {
+        const { toggleBackgroundControls } = require('../src/js/uiControls');
+        
+        const transparentControls = document.getElementById('bg-transparent-controls');
+        
+        toggleBackgroundControls('transparent');
+        expect(transparentControls.style.display).not.toBe('none');
+        expect(document.getElementById('bg-color-controls').style.display).toBe('none');
+    });
+
+    test('should get matte color', () => {
+        const { getMatteColor } = require('../src/js/uiControls');
+        
+        expect(getMatteColor()).toBe('#ffffff');
+        
+        document.getElementById('matte-color').value = '#000000';
+        expect(getMatteColor()).toBe('#000000');
+    });
+});
+
+describe('Blur Background Controls', () => {
+    test('should show blur controls for image background type', () => {
+        const { toggleBackgroundControls } = require('../src/js/uiControls');
+        
+        const blurControls = document.getElementById('bg-image-controls');
+        
+        toggleBackgroundControls('image');
+        expect(blurControls.style.display).not.toBe('none');
+        
+        toggleBackgroundControls('color');
+        expect(blurControls.style.display).toBe('none');
+    });
+
+    test('should get default blur settings', () => {
+        const { getBlurSettings } = require('../src/js/uiControls');
+        
+        expect(getBlurSettings()).toEqual({
+            radius: 10,
+            zoom: 100,
+            brightness: 100,
+            saturation: 100,
+            tintColor: '#000000',
+            tintOpacity: 0
+        });
+    });
+
+    test('should update slider display and preview on blur setting change', () => {
+        const { handleBlurSettingChange, getBlurSettings } = require('../src/js/uiControls');
+        
+        const radiusSlider = document.getElementById('blur-radius');
+        window.updatePreview = jest.fn();
+        
+        radiusSlider.value = '25';
+        handleBlurSettingChange({ target: radiusSlider });
+        
+        expect(document.getElementById('blur-radius-display').textContent).toBe('25px');
+        expect(getBlurSettings().radius).toBe(25);
+        expect(window.updatePreview).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * ZIP Builder Tests
+ * Following TDD: RED → GREEN → REFACTOR
+ */
+
+const {
+    calculateCrc32,
+    encodeUtf8,
+    blobToBytes,
+    uniqueZipEntryName,
+    toDosDateTime,
+    buildZipBytes,
+    createZipArchive
+} = require('../src/js/zipBuilder');
+
+function bytesOf(text) {
+    return Uint8Array.from(text, character => character.charCodeAt(0));
+}
+
+describe('ZIP Builder', () => {
+    test('should calculate standard CRC-32 checksums', () => {
+        expect(calculateCrc32(bytesOf(''))).toBe(0);
+        expect(calculateCrc32(bytesOf('hello'))).toBe(0x3610a686);
+        expect(calculateCrc32(bytesOf('123456789'))).toBe(0xcbf43926);
+    });
+
+    test('should encode file names as UTF-8', () => {
+        expect(Array.from(encodeUtf8('a.png'))).toEqual([97, 46, 112, 110, 103]);
+        expect(Array.from(encodeUtf8('é'))).toEqual([0xc3, 0xa9]);
+    });
+
+    test('should keep archive entry names unique', () => {
+        const used = new Set();
+
+        expect(uniqueZipEntryName('photo.png', used)).toBe('photo.png');
+        expect(uniqueZipEntryName('photo.png', used)).toBe('photo (2).png');
+        expect(uniqueZipEntryName('PHOTO.png', used)).toBe('PHOTO (3).png');
+        expect(uniqueZipEntryName('readme', used)).toBe('readme');
+    });
+
+    test('should convert dates to MS-DOS fields', () => {
+        const { time, date } = toDosDateTime(new Date(2025, 5, 15, 13, 45, 30));
+
+        expect(time).toBe((13 << 11) | (45 << 5) | 15);
+        expect(date).toBe((45 << 9) | (6 << 5) | 15);
+    });
+
+    test('should write local headers, central directory and end record', () => {
+        const zip = buildZipBytes([
+            { name: 'a.txt', bytes: bytesOf('hello') },
+            { name: 'b.txt', bytes: bytesOf('world!') }
+        ]);
+        const view = new DataView(zip.buffer);
+
+        // First local file header
+        expect(view.getUint32(0, true)).toBe(0x04034b50);
+        expect(view.getUint16(8, true)).toBe(0);
+        expect(view.getUint32(14, true)).toBe(0x3610a686);
+        expect(view.getUint32(18, true)).toBe(5);
+        expect(view.getUint16(26, true)).toBe(5);
+        expect(String.fromCharCode(...zip.slice(30, 35))).toBe('a.txt');
+        expect(String.fromCharCode(...zip.slice(35, 40))).toBe('hello');
+
+        // Second entry starts right after the first
+        expect(view.getUint32(40, true)).toBe(0x04034b50);
+
+        // End of central directory record
+        const endOffset = zip.length - 22;
+        expect(view.getUint32(endOffset, true)).toBe(0x06054b50);
+        expect(view.getUint16(endOffset + 10, true)).toBe(2);
+
+        const centralOffset = view.getUint32(endOffset + 16, true);
+        expect(centralOffset).toBe(40 + 30 + 5 + 6);
+        expect(view.getUint32(centralOffset, true)).toBe(0x02014b50);
+        expect(view.getUint32(centralOffset + 42, true)).toBe(0);
+
+        // Second central record points at the second local header
+        const secondCentral = centralOffset + 46 + 5;
+        expect(view.getUint32(secondCentral, true)).toBe(0x02014b50);
+        expect(view.getUint32(secondCentral + 42, true)).toBe(40);
+    });
+
+    test('should write an empty archive as a bare end record', () => {
+        const zip = buildZipBytes([]);
+
+        expect(zip).toHaveLength(22);
+        expect(new DataView(zip.buffer).getUint32(0, true)).toBe(0x06054b50);
+    });
+
+    test('should create a ZIP blob', () => {
+        const archive = createZipArchive([{ name: 'a.txt', bytes: bytesOf('hello') }]);
+
+        expect(archive).toBeInstanceOf(Blob);
+        expect(archive.type).toBe('application/zip');
+        expect(archive.size).toBe(30 + 5 + 5 + 46 + 5 + 22);
+    });
+
+    test('should read blob bytes with arrayBuffer when available', async () => {
+        const blob = { arrayBuffer: jest.fn(() => Promise.resolve(bytesOf('abc').buffer)) };
+
+        const bytes = await blobToBytes(blob);
+
+        expect(Array.from(bytes)).toEqual([97, 98, 99]);
+    });
+
+    test('should fall back to FileReader to read blob bytes', async () => {
+        const OriginalFileReader = global.FileReader;
+        global.FileReader = class {
+            readAsArrayBuffer() {
+                this.result = bytesOf('xyz').buffer;
+                setTimeout(() => this.onload(), 0);
+            }
+        };
+
+        const bytes = await blobToBytes({});
+        global.FileReader = OriginalFileReader;
+
+        expect(Array.from(bytes)).toEqual([120, 121, 122]);
+    });
+});